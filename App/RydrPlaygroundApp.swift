@@ -15,6 +15,7 @@ struct RydrApp: App {
 
     @StateObject private var session = UserSessionManager()
     @State private var showSplash = true
+    @Environment(\.scenePhase) private var scenePhase
 
     init() {
         // ✅ Stripe publishable key configuration
@@ -38,15 +39,22 @@ struct RydrApp: App {
 
     var body: some Scene {
         WindowGroup {
-            if showSplash {
-                SplashVideoView { showSplash = false }
-            } else {
-                if session.isLoggedIn {
-                    MainTabView().environmentObject(session)
+            Group {
+                if showSplash {
+                    SplashVideoView { showSplash = false }
                 } else {
-                    WelcomeView().environmentObject(session)
+                    if session.isLoggedIn {
+                        MainTabView().environmentObject(session)
+                    } else {
+                        WelcomeView().environmentObject(session)
+                    }
                 }
             }
+            // RydrBank on sign-in: device for referral checks, rides gifted before sign-up
+            .onAppear { session.observeAuth() }
+            .onChange(of: scenePhase) { _, phase in
+                if phase == .active { session.refreshEmailVerification() }
+            }
         }
     }
 }
@@ -0,0 +1,64 @@
+//
+//  FeatureAccessAPI.swift
+//  RydrPlayground
+//
+//  Per-user feature switches from rydr-rollout-service, so features like
+//  SafeRydr can be turned on for a rider (or their city) without an app release.
+//
+
+import Foundation
+import FirebaseAuth
+
+/// One feature for the signed-in rider.
+struct FeatureAccess: Equatable {
+    var enabled: Bool
+    var waitlistStatus: String?     // waiting | invited | accepted | expired (nil: not on the waitlist)
+    var inviteExpiresAt: Date?
+
+    var isInvited: Bool { !enabled && waitlistStatus == "invited" }
+
+    static let safeRydr = "safe_rydr"
+}
+
+struct FeatureAccessAPI {
+    // ⚠️ set your Render base URL
+    static let base = URL(string: "https://rydr-rollout.onrender.com")!
+
+    private static func authedRequest(path: String, method: String = "GET") async throws -> [String: Any] {
+        guard let user = Auth.auth().currentUser else { throw RydrBankAPIError.notSignedIn }
+        let token = try await user.getIDToken()
+
+        var req = URLRequest(url: base.appendingPathComponent(path))
+        req.httpMethod = method
+        req.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+
+        let (data, resp) = try await URLSession.shared.data(for: req)
+        guard let http = resp as? HTTPURLResponse else { throw RydrBankAPIError.badResponse }
+        let obj = (try? JSONSerialization.jsonObject(with: data)) as? [String: Any] ?? [:]
+        guard (200..<300).contains(http.statusCode) else {
+            throw RydrBankAPIError.server((obj["error"] as? String) ?? "Server error")
+        }
+        return obj
+    }
+
+    /// Feature key (e.g. `FeatureAccess.safeRydr`) -> access for the signed-in rider.
+    static func entitlements() async throws -> [String: FeatureAccess] {
+        let resp = try await authedRequest(path: "entitlements")
+        let iso = ISO8601DateFormatter()
+        iso.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        let features = resp["features"] as? [String: [String: Any]] ?? [:]
+        return features.mapValues { f in
+            let waitlist = f["waitlist"] as? [String: Any]
+            return FeatureAccess(
+                enabled: f["enabled"] as? Bool ?? false,
+                waitlistStatus: waitlist?["status"] as? String,
+                inviteExpiresAt: (waitlist?["inviteExpiresAt"] as? String).flatMap { iso.date(from: $0) }
+            )
+        }
+    }
+
+    /// Takes up an early-access invite; the feature is on from then on.
+    static func acceptInvite(feature: String) async throws {
+        _ = try await authedRequest(path: "waitlist/\(feature)/accept", method: "POST")
+    }
+}
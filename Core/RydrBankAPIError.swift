@@ -8,6 +8,7 @@
 
 import Foundation
 import FirebaseAuth
+import FirebaseAppCheck
 
 enum RydrBankAPIError: Error, LocalizedError {
     case notSignedIn
@@ -28,15 +29,35 @@ struct RydrBankAPI {
     static let base = URL(string: "https://rydr-bank.onrender.com")!
 
     // MARK: - Core request
-    private static func authedRequest(path: String, json: [String: Any]) async throws -> [String: Any] {
+    /// `refreshToken` skips the cached ID token, e.g. so a just-verified email shows up in its claims.
+    /// `appCheck` adds the App Check token for endpoints that only trust the genuine app.
+    private static func authedRequest(path: String,
+                                      json: [String: Any]? = [:],
+                                      query: [URLQueryItem] = [],
+                                      refreshToken: Bool = false,
+                                      appCheck: Bool = false) async throws -> [String: Any] {
         guard let user = Auth.auth().currentUser else { throw RydrBankAPIError.notSignedIn }
-        let token = try await user.getIDToken()
+        let token = try await user.getIDTokenForcingRefresh(refreshToken)
 
-        var req = URLRequest(url: base.appendingPathComponent(path))
-        req.httpMethod = "POST"
-        req.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        var url = base.appendingPathComponent(path)
+        if !query.isEmpty, var comps = URLComponents(url: url, resolvingAgainstBaseURL: false) {
+            comps.queryItems = query
+            url = comps.url ?? url
+        }
+        var req = URLRequest(url: url)
         req.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
-        req.httpBody = try JSONSerialization.data(withJSONObject: json, options: [])
+        if appCheck {
+            let appCheckToken = try await AppCheck.appCheck().token(forcingRefresh: false)
+            req.setValue(appCheckToken.token, forHTTPHeaderField: "X-Firebase-AppCheck")
+        }
+        // json == nil -> GET
+        if let json {
+            req.httpMethod = "POST"
+            req.setValue("application/json", forHTTPHeaderField: "Content-Type")
+            req.httpBody = try JSONSerialization.data(withJSONObject: json, options: [])
+        } else {
+            req.httpMethod = "GET"
+        }
 
         let (data, resp) = try await URLSession.shared.data(for: req)
         guard let http = resp as? HTTPURLResponse else { throw RydrBankAPIError.badResponse }
@@ -58,38 +79,44 @@ struct RydrBankAPI {
 
     // MARK: - Public calls
 
-    static func preview(code: String, bookingId: String?) async throws -> [String: Any] {
+    /// Reserves `code` for `bookingId` (the ride ID). The server redeems it when the
+    /// ride is charged. The hold expires after the server's TTL; call again to extend it.
+    static func preview(code: String, bookingId: String) async throws -> [String: Any] {
         try await authedRequest(path: "promo/preview", json: [
             "code": code,
-            "bookingId": bookingId ?? ""
+            "bookingId": bookingId
         ])
     }
 
-    static func release(code: String) async throws {
-        _ = try await authedRequest(path: "promo/release", json: ["code": code])
+    /// Claims codes gifted to the signed-in user's (verified) email. Returns the claimed codes.
+    static func claimPending() async throws -> [String] {
+        let resp = try await authedRequest(path: "promo/claim-pending", json: [:], refreshToken: true)
+        return resp["claimed"] as? [String] ?? []
     }
 
-    static func consume(code: String, rideId: String) async throws {
-        _ = try await authedRequest(path: "promo/consume", json: ["code": code, "rideId": rideId])
+    /// Takes back a code gifted to someone without a Rydr account, if they haven't claimed or used it.
+    static func recall(code: String) async throws {
+        _ = try await authedRequest(path: "promo/recall", json: ["code": code])
     }
 
-    /// Used by your ride pipeline (simulating completion in dev).
-    static func rideComplete(rideId: String, distanceMi: Double) async throws -> [String: Any] {
-        try await authedRequest(path: "rides/complete", json: [
-            "rideId": rideId, "distanceMi": distanceMi
-        ])
+    /// Ties this device (`identifierForVendor`) to the signed-in account for the
+    /// server's referral abuse checks. Called on every sign-in.
+    static func registerDevice(deviceId: String) async throws {
+        _ = try await authedRequest(path: "devices", json: ["deviceId": deviceId], appCheck: true)
     }
 
-    /// Optional helper to mint a batch in dev:
-    static func mintTenDevRides() async throws -> String? {
-        var minted: String?
-        let stamp = Int(Date().timeIntervalSince1970)
+    /// The user's referral code plus pending/rewarded referrals.
+    static func referrals() async throws -> [String: Any] {
+        try await authedRequest(path: "referrals", json: nil)
+    }
 
-        for i in 1...10 {
-            let id = "ios_dev_ride_\(stamp)_\(i)"   // always unique
-            let resp = try await rideComplete(rideId: id, distanceMi: 6.0)
-            if let m = resp["minted"] as? String { minted = m }
-        }
-        return minted
+    /// Applies a friend's referral code to a new account. Both riders get a banked
+    /// ride once this user's first qualifying ride is charged.
+    static func applyReferral(code: String) async throws {
+        _ = try await authedRequest(path: "referrals/apply", json: ["code": code])
+    }
+
+    static func release(code: String) async throws {
+        _ = try await authedRequest(path: "promo/release", json: ["code": code])
     }
 }
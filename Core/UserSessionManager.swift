@@ -6,6 +6,7 @@
 //
 import Foundation
 import SwiftUI
+import UIKit
 import FirebaseAuth
 import FirebaseFirestore
 
@@ -15,6 +16,10 @@ class UserSessionManager: ObservableObject {
     @AppStorage("userName") var userName: String = ""
     @AppStorage("userEmail") var userEmail: String = ""
 
+    private var authListener: AuthStateDidChangeListenerHandle?
+    private var claimedGiftsForUid: String?
+    private var registeredDeviceForUid: String?
+
     func login(name: String, email: String) {
         userName = name
         userEmail = email
@@ -27,6 +32,44 @@ class UserSessionManager: ObservableObject {
         isLoggedIn = false
     }
 
+    // MARK: - RydrBank on sign-in
+
+    /// On sign-in / sign-up (auth state changes, including the session restored at
+    /// launch): records this device for the referral checks, and claims rides gifted
+    /// to the user's email before the account existed, which wait on the server until
+    /// that email is verified. Call once Firebase is configured.
+    func observeAuth() {
+        guard authListener == nil else { return }
+        authListener = Auth.auth().addStateDidChangeListener { [weak self] _, user in
+            Task { @MainActor in
+                self?.registerDevice(for: user)
+                self?.claimGiftedRides(for: user)
+            }
+        }
+    }
+
+    private func registerDevice(for user: User?) {
+        guard let user, registeredDeviceForUid != user.uid,
+              let deviceId = UIDevice.current.identifierForVendor?.uuidString else { return }
+        registeredDeviceForUid = user.uid
+        Task { try? await RydrBankAPI.registerDevice(deviceId: deviceId) }
+    }
+
+    /// The verification link is opened outside the app, so the user is reloaded
+    /// when the app comes back to the foreground.
+    func refreshEmailVerification() {
+        guard let user = Auth.auth().currentUser, !user.isEmailVerified else { return }
+        user.reload { [weak self] _ in
+            Task { @MainActor in self?.claimGiftedRides(for: Auth.auth().currentUser) }
+        }
+    }
+
+    private func claimGiftedRides(for user: User?) {
+        guard let user, user.isEmailVerified, claimedGiftsForUid != user.uid else { return }
+        claimedGiftsForUid = user.uid
+        Task { _ = try? await RydrBankAPI.claimPending() }
+    }
+
     /// Load rider info from Firestore and compute a display name.
     func loadUserProfile() {
         guard let uid = Auth.auth().currentUser?.uid else { return }
@@ -91,6 +91,12 @@ struct BookingView: View {
     private var isApplyingPromo: Bool { if case .applying = promoStatus { return true } else { return false } }
     private var isPromoApplied: Bool { if case .success = promoStatus { return true } else { return false } }
 
+    // Schedule for later (pickup at least ~1h and at most 30 days out; the service enforces it)
+    @State private var scheduleForLater = false
+    @State private var scheduledPickupAt = Date().addingTimeInterval(2 * 3600)
+    @State private var isScheduling = false
+    @State private var scheduleMessage: String?
+
     // Shortcuts (Work / Home / Add)
     struct Shortcut: Identifiable {
         let id = UUID()
@@ -178,6 +184,7 @@ struct BookingView: View {
             RideInProgressView(rideManager: rideManager)
         }
         .navigationBarBackButtonHidden(false)
+        .task { await rideManager.loadScheduledRides() }
     }
 
     // MARK: - High priority drag for snapping panel
@@ -329,13 +336,23 @@ struct BookingView: View {
                     .overlay(RoundedRectangle(cornerRadius: 16).stroke(Color.black.opacity(0.06), lineWidth: 1))
                 }
 
-                // ── Promo + Request button ─────────────────────────────────────
+                // ── Promo + Schedule + Request button ──────────────────────────
                 promoView
 
-                Button { requestRide() } label: {
-                    Text("Request \(rideType)").frame(maxWidth: .infinity)
+                scheduleView
+
+                Button { scheduleForLater ? scheduleRide() : requestRide() } label: {
+                    Group {
+                        if isScheduling {
+                            ProgressView()
+                        } else {
+                            Text(scheduleForLater ? "Schedule \(rideType)" : "Request \(rideType)")
+                        }
+                    }
+                    .frame(maxWidth: .infinity)
                 }
                 .buttonStyle(GradientButtonStyle())
+                .disabled(isScheduling)
                 .padding(.horizontal)
                 .padding(.bottom, 8)
             }
@@ -598,6 +615,108 @@ struct BookingView: View {
         }
     }
 
+    // MARK: - Schedule for later
+    private var scheduleView: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            Toggle(isOn: $scheduleForLater.animation(.spring())) {
+                Label("Schedule for later", systemImage: "calendar.badge.clock")
+                    .font(.subheadline)
+            }
+
+            if scheduleForLater {
+                DatePicker("Pickup", selection: $scheduledPickupAt, in: scheduleWindow,
+                           displayedComponents: [.date, .hourAndMinute])
+                    .font(.subheadline)
+                Text("We hold the fare on your card the day before and find your driver shortly before pickup. Free to change or cancel until an hour before.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            if let scheduleMessage {
+                Text(scheduleMessage).font(.footnote)
+            }
+
+            if !rideManager.scheduledRides.isEmpty {
+                Text("Upcoming").font(.headline).padding(.top, 4)
+                ForEach(rideManager.scheduledRides) { ride in
+                    scheduledRow(ride)
+                }
+            }
+        }
+        .padding(12)
+        .background(RoundedRectangle(cornerRadius: 16).fill(.ultraThinMaterial))
+        .overlay(RoundedRectangle(cornerRadius: 16).stroke(Color.black.opacity(0.06), lineWidth: 1))
+    }
+
+    private var scheduleWindow: ClosedRange<Date> {
+        let now = Date()
+        return now.addingTimeInterval(65 * 60)...now.addingTimeInterval(30 * 24 * 3600)
+    }
+
+    @ViewBuilder
+    private func scheduledRow(_ ride: ScheduledRide) -> some View {
+        HStack(spacing: 12) {
+            Image(systemName: "calendar").font(.title3).foregroundStyle(Color.blue)
+            VStack(alignment: .leading, spacing: 2) {
+                Text(ride.pickupAt.formatted(date: .abbreviated, time: .shortened))
+                    .font(.subheadline.weight(.semibold))
+                Text(ride.dropoff).font(.caption).foregroundColor(.secondary).lineLimit(1)
+                if ride.paymentStatus == "failed" {
+                    Text("Card hold failed. Update your payment method.")
+                        .font(.caption).foregroundStyle(Color.orange)
+                }
+            }
+            Spacer()
+            if ride.status == "scheduled" {
+                Button(ride.cancelIsFree ? "Cancel" : "Cancel (fee)") { cancelScheduled(ride) }
+                    .font(.caption.bold())
+                    .buttonStyle(.bordered)
+            } else {
+                Text("Finding driver").font(.caption).foregroundColor(.secondary)
+            }
+        }
+        .padding(10)
+        .background(RoundedRectangle(cornerRadius: 12).fill(.thinMaterial))
+    }
+
+    private func scheduleRide() {
+        guard !pickupText.isEmpty, !dropoffText.isEmpty else {
+            scheduleMessage = "Enter a pickup and dropoff."
+            return
+        }
+        isScheduling = true
+        Task {
+            defer { isScheduling = false }
+            do {
+                let ride = try await rideManager.scheduleRide(
+                    pickup: pickupText,
+                    dropoff: dropoffText,
+                    rideType: rideType,
+                    near: region.center,
+                    at: scheduledPickupAt
+                )
+                pushRecent(dropoffText)
+                scheduleForLater = false
+                scheduleMessage = "Booked for \(ride.pickupAt.formatted(date: .abbreviated, time: .shortened))."
+            } catch {
+                scheduleMessage = error.localizedDescription
+            }
+        }
+    }
+
+    private func cancelScheduled(_ ride: ScheduledRide) {
+        Task {
+            do {
+                let fee = try await rideManager.cancelScheduled(ride)
+                scheduleMessage = fee > 0
+                    ? String(format: "Ride cancelled. A $%.2f late cancellation fee applies.", fee)
+                    : "Ride cancelled."
+            } catch {
+                scheduleMessage = error.localizedDescription
+            }
+        }
+    }
+
     // MARK: - Recents persistence
     private func decodeRecents(from data: Data?) -> [String] {
         guard let data else { return [] }
@@ -0,0 +1,334 @@
+//
+//  DispatchRideService.swift
+//  RydrPlayground
+//
+//  `RideService` backed by rydr-dispatch-service (real drivers, offers with
+//  accept timeouts, automatic re-offer to the next driver). Live position, ETA
+//  and trip events come over the service's /realtime WebSocket. Rides booked
+//  ahead are quoted by stripe-backend and held by the service's /scheduled-rides.
+//  SafeRydr share links, SOS and check-in answers go to the ride's endpoints.
+//
+
+import Foundation
+import MapKit
+import FirebaseAuth
+
+final class DispatchRideService: RideService {
+    // ⚠️ set your Render base URL
+    static let base = URL(string: "https://rydr-dispatch.onrender.com")!
+    // Signed fare quotes for scheduled rides
+    static let fareBase = URL(string: "https://rydr-stripe-backend.onrender.com")!
+
+    private let queue = DispatchQueue(label: "dispatch.ride.service")
+    private var lastCenter: CLLocationCoordinate2D?
+    private var requestedDriver: [String: String] = [:]   // rideId -> driver the rider picked
+
+    // MARK: - Core request
+
+    private func request(_ path: String,
+                         method: String = "GET",
+                         json: [String: Any]? = nil,
+                         query: [URLQueryItem] = [],
+                         base: URL = DispatchRideService.base) async throws -> [String: Any] {
+        guard let user = Auth.auth().currentUser else { throw RydrBankAPIError.notSignedIn }
+        let token = try await user.getIDToken()
+
+        var url = base.appendingPathComponent(path)
+        if !query.isEmpty, var comps = URLComponents(url: url, resolvingAgainstBaseURL: false) {
+            comps.queryItems = query
+            url = comps.url ?? url
+        }
+        var req = URLRequest(url: url)
+        req.httpMethod = method
+        req.timeoutInterval = 60 // decision long-poll holds up to ~25s
+        req.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        if let json {
+            req.setValue("application/json", forHTTPHeaderField: "Content-Type")
+            req.httpBody = try JSONSerialization.data(withJSONObject: json, options: [])
+        }
+
+        let (data, resp) = try await URLSession.shared.data(for: req)
+        guard let http = resp as? HTTPURLResponse else { throw RydrBankAPIError.badResponse }
+        let obj = (try? JSONSerialization.jsonObject(with: data)) as? [String: Any] ?? [:]
+        guard (200..<300).contains(http.statusCode) else {
+            throw RydrBankAPIError.server((obj["error"] as? String) ?? "Server error")
+        }
+        return obj
+    }
+
+    private static func driver(from d: [String: Any]) -> Driver? {
+        guard let id = d["id"] as? String,
+              let coord = d["coordinate"] as? [String: Any],
+              let lat = coord["lat"] as? Double,
+              let lng = coord["lng"] as? Double else { return nil }
+        return Driver(
+            id: id,
+            name: d["name"] as? String ?? "Driver",
+            profileImage: d["profileImage"] as? String,
+            carImage: d["carImage"] as? String,
+            carMakeModel: d["carMakeModel"] as? String ?? "",
+            rating: d["rating"] as? Double ?? 5,
+            compliments: d["compliments"] as? [String] ?? [],
+            perMinute: d["perMinute"] as? Double ?? 0,
+            perMile: d["perMile"] as? Double ?? 0,
+            coordinate: CLLocationCoordinate2D(latitude: lat, longitude: lng),
+            score: d["score"] as? Int ?? 0
+        )
+    }
+
+    // MARK: - Nearby drivers
+
+    func fetchNearbyDrivers(pickup: String, dropoff: String, near center: CLLocationCoordinate2D) async throws -> [Driver] {
+        queue.sync { lastCenter = center }
+        let resp = try await request("drivers/nearby", method: "POST", json: [
+            "lat": center.latitude,
+            "lng": center.longitude,
+            "pickup": pickup,
+            "dropoff": dropoff
+        ])
+        let list = resp["drivers"] as? [[String: Any]] ?? []
+        return list.compactMap(Self.driver(from:))
+    }
+
+    // MARK: - Ride lifecycle
+
+    func requestRide(driverId: String, pickup: String, dropoff: String, rideType: String) async throws -> String {
+        guard let center = queue.sync(execute: { lastCenter }) else { throw RydrBankAPIError.badResponse }
+        let resp = try await request("rides", method: "POST", json: [
+            "driverId": driverId,
+            "pickup": pickup,
+            "dropoff": dropoff,
+            "rideType": rideType,
+            "pickupLat": center.latitude,
+            "pickupLng": center.longitude
+        ])
+        guard let rideId = resp["rideId"] as? String else { throw RydrBankAPIError.badResponse }
+        queue.sync { requestedDriver[rideId] = driverId }
+        return rideId
+    }
+
+    /// Long-polls until a driver accepts or the server gives up. Another
+    /// driver accepting (after a decline/timeout) comes back as `.reassigned`.
+    func awaitDriverDecision(rideId: String) async throws -> DriverDecision {
+        while true {
+            try Task.checkCancellation()
+            let resp = try await request("rides/\(rideId)/decision", query: [URLQueryItem(name: "wait", value: "25")])
+            switch resp["decision"] as? String {
+            case "accepted":
+                let ride = resp["ride"] as? [String: Any] ?? [:]
+                let picked = queue.sync { requestedDriver[rideId] }
+                if let d = ride["driver"] as? [String: Any], let driver = Self.driver(from: d), driver.id != picked {
+                    return .reassigned(driver)
+                }
+                return .accepted
+            case "declined":
+                return .declined
+            default:
+                continue // still offered; poll again
+            }
+        }
+    }
+
+    func driverLocationStream(rideId: String) -> AsyncStream<CLLocationCoordinate2D> {
+        AsyncStream { continuation in
+            let task = Task {
+                while !Task.isCancelled {
+                    if let ride = try? await self.request("rides/\(rideId)") {
+                        if let d = ride["driver"] as? [String: Any],
+                           let coord = d["coordinate"] as? [String: Any],
+                           let lat = coord["lat"] as? Double,
+                           let lng = coord["lng"] as? Double {
+                            continuation.yield(.init(latitude: lat, longitude: lng))
+                        }
+                        let status = ride["status"] as? String
+                        if status == "completed" || status == "cancelled" { break }
+                    }
+                    try? await Task.sleep(nanoseconds: 2_000_000_000) // 2s
+                }
+                continuation.finish()
+            }
+            continuation.onTermination = { _ in task.cancel() }
+        }
+    }
+
+    // MARK: - Realtime
+
+    var providesLiveUpdates: Bool { true }
+
+    /// Smoothed driver position + ETA and trip events; reconnects with backoff
+    /// until the ride ends or the stream is cancelled.
+    func rideUpdates(rideId: String) -> AsyncStream<RideUpdate> {
+        AsyncStream { continuation in
+            let task = Task {
+                var attempt = 0
+                while !Task.isCancelled {
+                    if await self.streamRealtime(rideId: rideId, into: continuation) { break }
+                    attempt += 1
+                    let delay = UInt64(min(30, 1 << min(attempt, 5)))
+                    try? await Task.sleep(nanoseconds: delay * 1_000_000_000)
+                }
+                continuation.finish()
+            }
+            continuation.onTermination = { _ in task.cancel() }
+        }
+    }
+
+    /// One socket session. Returns true once the ride is over (don't reconnect).
+    private func streamRealtime(rideId: String, into continuation: AsyncStream<RideUpdate>.Continuation) async -> Bool {
+        guard let user = Auth.auth().currentUser,
+              let token = try? await user.getIDToken(),
+              var comps = URLComponents(url: Self.base.appendingPathComponent("realtime"), resolvingAgainstBaseURL: false)
+        else { return false }
+        comps.scheme = comps.scheme == "http" ? "ws" : "wss"
+        guard let url = comps.url else { return false }
+
+        let socket = URLSession.shared.webSocketTask(with: url)
+        socket.resume()
+        defer { socket.cancel(with: .normalClosure, reason: nil) }
+
+        do {
+            let auth = try JSONSerialization.data(withJSONObject: ["type": "auth", "token": token, "rideId": rideId])
+            try await socket.send(.string(String(decoding: auth, as: UTF8.self)))
+
+            while !Task.isCancelled {
+                let data: Data
+                switch try await socket.receive() {
+                case .string(let text): data = Data(text.utf8)
+                case .data(let raw): data = raw
+                @unknown default: continue
+                }
+                guard let msg = (try? JSONSerialization.jsonObject(with: data)) as? [String: Any] else { continue }
+
+                switch msg["type"] as? String {
+                case "ready":
+                    // Catch up on what happened while disconnected
+                    let ride = msg["ride"] as? [String: Any] ?? [:]
+                    if ride["arrivedAtPickupAt"] as? String != nil { continuation.yield(.arrivedAtPickup) }
+                    if ride["status"] as? String == "enRouteToDropoff" { continuation.yield(.tripStarted) }
+                case "location":
+                    guard let lat = msg["lat"] as? Double, let lng = msg["lng"] as? Double else { continue }
+                    continuation.yield(.location(.init(latitude: lat, longitude: lng),
+                                                 etaMinutes: msg["etaMinutes"] as? Double))
+                case "status":
+                    switch msg["event"] as? String {
+                    case "arrived_at_pickup": continuation.yield(.arrivedAtPickup)
+                    case "trip_started":      continuation.yield(.tripStarted)
+                    case "trip_ended":        continuation.yield(.tripEnded); return true
+                    case "cancelled":         continuation.yield(.cancelled); return true
+                    default: break
+                    }
+                case "check_in":
+                    guard let id = msg["checkInId"] as? String else { continue }
+                    continuation.yield(.checkIn(SafetyCheckIn(id: id, reason: msg["reason"] as? String ?? "")))
+                case "check_in_resolved":
+                    guard let id = msg["checkInId"] as? String else { continue }
+                    continuation.yield(.checkInResolved(id: id))
+                case "error":
+                    // Ended while we were away: report how, then stop
+                    if msg["error"] as? String == "ride_over" {
+                        let ride = try? await request("rides/\(rideId)")
+                        continuation.yield(ride?["status"] as? String == "completed" ? .tripEnded : .cancelled)
+                        return true
+                    }
+                    if ["not_found", "not_your_ride"].contains(msg["error"] as? String ?? "") { return true }
+                default:
+                    break
+                }
+            }
+            return true // cancelled
+        } catch {
+            return false // dropped; caller reconnects
+        }
+    }
+
+    func cancelRide(rideId: String) async throws {
+        _ = try await request("rides/\(rideId)/cancel", method: "POST", json: ["reason": "rider_cancelled"])
+        queue.sync { requestedDriver[rideId] = nil }
+    }
+
+    // MARK: - SafeRydr
+
+    func shareTrip(rideId: String, notifyContacts: Bool) async throws -> URL {
+        let resp = try await request("rides/\(rideId)/share", method: "POST", json: ["notifyContacts": notifyContacts])
+        guard let url = (resp["url"] as? String).flatMap(URL.init(string:)) else { throw RydrBankAPIError.badResponse }
+        return url
+    }
+
+    func sendSOS(rideId: String) async throws -> Int {
+        let resp = try await request("rides/\(rideId)/sos", method: "POST", json: [:])
+        return resp["notified"] as? Int ?? 0
+    }
+
+    func respondToCheckIn(rideId: String, checkInId: String, ok: Bool) async throws {
+        _ = try await request("rides/\(rideId)/check-in", method: "POST", json: ["checkInId": checkInId, "ok": ok])
+    }
+
+    // MARK: - Scheduled rides
+
+    private static func scheduledRide(from r: [String: Any]) -> ScheduledRide? {
+        let iso = ISO8601DateFormatter()
+        iso.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        let date = { (key: String) in (r[key] as? String).flatMap { iso.date(from: $0) } }
+        guard let id = r["id"] as? String, let pickupAt = date("pickupAt") else { return nil }
+        return ScheduledRide(
+            id: id,
+            pickup: r["pickup"] as? String ?? "",
+            dropoff: r["dropoff"] as? String ?? "",
+            rideType: r["rideType"] as? String ?? "",
+            pickupAt: pickupAt,
+            status: r["status"] as? String ?? "scheduled",
+            amount: (r["amount"] as? Double).map { $0 / 100 },
+            paymentStatus: r["paymentStatus"] as? String,
+            freeCancelUntil: date("freeCancelUntil"),
+            cancellationFee: (r["cancellationFee"] as? Double ?? 0) / 100,
+            rydrBankCode: r["rydrBankCode"] as? String,
+            rideId: r["rideId"] as? String
+        )
+    }
+
+    private static func isoString(_ date: Date) -> String {
+        let iso = ISO8601DateFormatter()
+        iso.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        return iso.string(from: date)
+    }
+
+    func scheduleRide(_ booking: ScheduledRideRequest) async throws -> ScheduledRide {
+        let quote = try await request("fares/quote", method: "POST", json: [
+            "rideType": booking.rideType,
+            "distanceMi": booking.estimate.distanceMiles,
+            "durationMin": booking.estimate.durationMinutes
+        ], base: Self.fareBase)
+        guard let quoteId = quote["quoteId"] as? String else { throw RydrBankAPIError.badResponse }
+
+        var body: [String: Any] = [
+            "pickup": booking.pickup,
+            "dropoff": booking.dropoff,
+            "pickupLat": booking.pickupCoordinate.latitude,
+            "pickupLng": booking.pickupCoordinate.longitude,
+            "pickupAt": Self.isoString(booking.pickupAt),
+            "timeZone": TimeZone.current.identifier,
+            "quoteId": quoteId
+        ]
+        if let code = booking.rydrBankCode { body["rydrBankCode"] = code }
+        let resp = try await request("scheduled-rides", method: "POST", json: body)
+        guard let ride = Self.scheduledRide(from: resp) else { throw RydrBankAPIError.badResponse }
+        return ride
+    }
+
+    func scheduledRides() async throws -> [ScheduledRide] {
+        let resp = try await request("scheduled-rides")
+        return (resp["rides"] as? [[String: Any]] ?? []).compactMap(Self.scheduledRide(from:))
+    }
+
+    func reschedule(id: String, to pickupAt: Date) async throws -> ScheduledRide {
+        let resp = try await request("scheduled-rides/\(id)", method: "PATCH", json: ["pickupAt": Self.isoString(pickupAt)])
+        guard let ride = Self.scheduledRide(from: resp) else { throw RydrBankAPIError.badResponse }
+        return ride
+    }
+
+    func cancelScheduledRide(id: String) async throws -> ScheduledRide {
+        let resp = try await request("scheduled-rides/\(id)/cancel", method: "POST", json: [:])
+        guard let ride = Self.scheduledRide(from: resp) else { throw RydrBankAPIError.badResponse }
+        return ride
+    }
+}
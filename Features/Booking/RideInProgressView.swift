@@ -4,7 +4,8 @@
 //
 //  Drop-in replacement.
 //  Shows driver tile, live route polyline, actions, payment picker,
-//  and presents an EndRideView when the ride completes.
+//  and presents an EndRideView when the ride completes. SafeRydr: live-trip
+//  links, SOS and the check-in prompt.
 //
 import SwiftUI
 import MapKit
@@ -26,6 +27,9 @@ struct RideInProgressView: View {
     @State private var pickupNotes = ""
     @State private var gateCode = ""
     @State private var showEnd = false
+    @State private var showShareOptions = false
+    @State private var showSOSConfirm = false
+    @State private var safetyMessage: String?
 
     var body: some View {
         content
@@ -62,6 +66,27 @@ struct RideInProgressView: View {
             } message: {
                 Text("Thanks for the report. Our team will review this trip.")
             }
+            .confirmationDialog("Share your trip", isPresented: $showShareOptions) {
+                Button("Share live trip link") { shareRide() }
+                Button("Send to trusted contacts") { shareRide(notifyContacts: true) }
+            }
+            .confirmationDialog("Send SOS?", isPresented: $showSOSConfirm, titleVisibility: .visible) {
+                Button("Send SOS", role: .destructive) { sendSOS() }
+            } message: {
+                Text("Your trusted contacts get your location and a live trip link. If you're in danger, call 911.")
+            }
+            .alert("Everything OK?", isPresented: checkInPresented) {
+                Button("I'm OK") { answerCheckIn(ok: true) }
+                Button("I need help", role: .destructive) { answerCheckIn(ok: false) }
+            } message: {
+                Text(checkInText)
+            }
+            .alert("SafeRydr", isPresented: Binding(get: { safetyMessage != nil },
+                                                    set: { if !$0 { safetyMessage = nil } })) {
+                Button("OK", role: .cancel) { }
+            } message: {
+                Text(safetyMessage ?? "")
+            }
     }
 
     // MARK: content (awaiting→pickup vs on the way to drop-off)
@@ -93,6 +118,8 @@ struct RideInProgressView: View {
 
                 shareSection
 
+                sosSection
+
                 reportSection
             }
             .padding(.horizontal)
@@ -110,7 +137,8 @@ struct RideInProgressView: View {
                 riderHeaderRow
                 etaRow("ETA to drop-off: \(etaText)")
                 HStack(spacing: 12) {
-                    pill("map", "Share status & ETA") { shareRide() }
+                    pill("map", "Share status & ETA") { showShareOptions = true }
+                    pill("sos", "SOS") { showSOSConfirm = true }
                     Spacer()
                     pill("exclamationmark.triangle.fill", "Report") { showReportAlert = true }
                 }
@@ -206,7 +234,7 @@ struct RideInProgressView: View {
     }
 
     private var shareSection: some View {
-        Button { shareRide() } label: {
+        Button { showShareOptions = true } label: {
             HStack {
                 Image(systemName: "square.and.arrow.up")
                     .foregroundStyle(Styles.rydrGradient)      // ← gradient icon
@@ -219,6 +247,20 @@ struct RideInProgressView: View {
         .clipShape(RoundedRectangle(cornerRadius: 12))
     }
 
+    private var sosSection: some View {
+        Button { showSOSConfirm = true } label: {
+            HStack {
+                Image(systemName: "sos")
+                    .foregroundStyle(.red)
+                Text("SOS: alert my trusted contacts")
+                Spacer()
+            }
+        }
+        .padding()
+        .background(.ultraThinMaterial)
+        .clipShape(RoundedRectangle(cornerRadius: 12))
+    }
+
     private var reportSection: some View {
         Button { showReportAlert = true } label: {
             HStack {
@@ -321,19 +363,83 @@ struct RideInProgressView: View {
     }
 
     private var etaText: String {
+        if rideManager.driverArrivedAtPickup, rideManager.currentRide?.status == .enRouteToPickup {
+            return "Here"
+        }
         let min = max(1, Int(rideManager.remainingMinutesRounded))
         return "\(min) min"
     }
 
-    private func shareRide() {
+    private func shareRide(notifyContacts: Bool = false) {
         let text = "I'm on a Rydr: \(rideManager.currentRide?.pickup ?? "") → \(rideManager.currentRide?.dropoff ?? "")"
-        let avc = UIActivityViewController(activityItems: [text], applicationActivities: nil)
+        Task {
+            do {
+                let url = try await rideManager.shareTripLink(notifyContacts: notifyContacts)
+                if notifyContacts {
+                    safetyMessage = "Your trusted contacts got a link to follow this trip."
+                } else {
+                    presentShareSheet([text, url])
+                }
+            } catch {
+                if notifyContacts {
+                    safetyMessage = safetyError(error)
+                } else {
+                    presentShareSheet([text]) // no live link for this ride (e.g. mock rides)
+                }
+            }
+        }
+    }
+
+    private func presentShareSheet(_ items: [Any]) {
+        let avc = UIActivityViewController(activityItems: items, applicationActivities: nil)
         UIApplication.shared.connectedScenes
             .compactMap { $0 as? UIWindowScene }
             .first?.keyWindow?.rootViewController?
             .present(avc, animated: true)
     }
 
+    private func sendSOS() {
+        Task {
+            do {
+                let notified = try await rideManager.sendSOS()
+                safetyMessage = notified > 0
+                    ? "SOS sent to \(notified) trusted contact\(notified == 1 ? "" : "s"). If you're in danger, call 911."
+                    : "You have no trusted contacts to alert. If you're in danger, call 911."
+            } catch {
+                safetyMessage = safetyError(error)
+            }
+        }
+    }
+
+    private var checkInPresented: Binding<Bool> {
+        Binding(get: { rideManager.pendingCheckIn != nil }, set: { _ in })
+    }
+
+    private var checkInText: String {
+        let what = rideManager.pendingCheckIn?.reason == "route_deviation"
+            ? "Your ride seems to have gone off route."
+            : "Your ride has been stopped for a while."
+        return "\(what) If we don't hear from you in a few minutes, we'll let your trusted contacts know."
+    }
+
+    private func answerCheckIn(ok: Bool) {
+        Task {
+            do {
+                try await rideManager.answerCheckIn(ok: ok)
+                if !ok { safetyMessage = "Your trusted contacts have been alerted. If you're in danger, call 911." }
+            } catch {
+                safetyMessage = safetyError(error)
+            }
+        }
+    }
+
+    private func safetyError(_ error: Error) -> String {
+        if error.localizedDescription == "no_trusted_contacts" {
+            return "You haven't added any trusted contacts yet."
+        }
+        return "\(error.localizedDescription) If you're in danger, call 911."
+    }
+
     private func callDriver() {
         if let url = URL(string: "tel://5550100"), UIApplication.shared.canOpenURL(url) {
             UIApplication.shared.open(url)
@@ -62,15 +62,117 @@ struct Ride: Identifiable, Equatable {
     var fare: Double = 0
 }
 
+/// A ride booked ahead; dispatched `dispatchLeadMinutes` before `pickupAt`.
+struct ScheduledRide: Identifiable, Equatable {
+    let id: String
+    var pickup: String
+    var dropoff: String
+    var rideType: String
+    var pickupAt: Date
+    var status: String              // scheduled | dispatched | cancelled | failed
+    var amount: Double?             // quoted fare, dollars
+    var paymentStatus: String?      // failed -> the card hold was declined
+    var freeCancelUntil: Date?
+    var cancellationFee: Double
+    var rydrBankCode: String?
+    var rideId: String?             // once dispatched
+
+    var isUpcoming: Bool { status == "scheduled" || status == "dispatched" }
+    var cancelIsFree: Bool { freeCancelUntil.map { Date() < $0 } ?? true }
+}
+
+/// What the app sends to book ahead; the fare is quoted from the estimate at the ride type's caps.
+struct ScheduledRideRequest {
+    var pickup: String
+    var dropoff: String
+    var rideType: String
+    var pickupCoordinate: CLLocationCoordinate2D
+    var pickupAt: Date
+    var estimate: RideEstimate
+    var rydrBankCode: String?
+}
+
+/// SafeRydr asks the rider to check in after an unexpected stop or a detour;
+/// one left unanswered goes to their trusted contacts.
+struct SafetyCheckIn: Identifiable, Equatable {
+    let id: String
+    let reason: String              // unexpected_stop | route_deviation
+}
+
 // MARK: - Service protocol
-enum DriverDecision { case accepted, declined }
+enum DriverDecision {
+    case accepted, declined
+    case reassigned(Driver)   // another driver took the ride after the picked one declined/timed out
+}
+
+/// What the ride's live channel reports once a driver is on the way.
+enum RideUpdate {
+    case location(CLLocationCoordinate2D, etaMinutes: Double?)
+    case arrivedAtPickup
+    case tripStarted
+    case tripEnded
+    case cancelled
+    case checkIn(SafetyCheckIn)
+    case checkInResolved(id: String)  // answered, possibly on another device
+}
 
 protocol RideService {
     func fetchNearbyDrivers(pickup: String, dropoff: String, near: CLLocationCoordinate2D) async throws -> [Driver]
     func requestRide(driverId: String, pickup: String, dropoff: String, rideType: String) async throws -> String // returns rideId
     func awaitDriverDecision(rideId: String) async throws -> DriverDecision
     func driverLocationStream(rideId: String) -> AsyncStream<CLLocationCoordinate2D>
+    func rideUpdates(rideId: String) -> AsyncStream<RideUpdate>
     func cancelRide(rideId: String) async throws
+    /// True when `rideUpdates` carries real positions/status; otherwise the manager animates the mock route.
+    var providesLiveUpdates: Bool { get }
+
+    // Scheduled rides
+    func scheduleRide(_ request: ScheduledRideRequest) async throws -> ScheduledRide
+    func scheduledRides() async throws -> [ScheduledRide]
+    func reschedule(id: String, to pickupAt: Date) async throws -> ScheduledRide
+    func cancelScheduledRide(id: String) async throws -> ScheduledRide
+
+    // SafeRydr
+    func shareTrip(rideId: String, notifyContacts: Bool) async throws -> URL
+    func sendSOS(rideId: String) async throws -> Int   // trusted contacts alerted
+    func respondToCheckIn(rideId: String, checkInId: String, ok: Bool) async throws
+}
+
+extension RideService {
+    var providesLiveUpdates: Bool { false }
+
+    func scheduleRide(_ request: ScheduledRideRequest) async throws -> ScheduledRide {
+        throw RydrBankAPIError.server("Scheduling rides isn't available yet.")
+    }
+    func scheduledRides() async throws -> [ScheduledRide] { [] }
+    func reschedule(id: String, to pickupAt: Date) async throws -> ScheduledRide {
+        throw RydrBankAPIError.server("Scheduling rides isn't available yet.")
+    }
+    func cancelScheduledRide(id: String) async throws -> ScheduledRide {
+        throw RydrBankAPIError.server("Scheduling rides isn't available yet.")
+    }
+
+    func shareTrip(rideId: String, notifyContacts: Bool) async throws -> URL {
+        throw RydrBankAPIError.server("Trip sharing isn't available yet.")
+    }
+    func sendSOS(rideId: String) async throws -> Int {
+        throw RydrBankAPIError.server("SOS isn't available yet. If you're in danger, call 911.")
+    }
+    func respondToCheckIn(rideId: String, checkInId: String, ok: Bool) async throws {}
+
+    /// Positions only, no ETA or status events.
+    func rideUpdates(rideId: String) -> AsyncStream<RideUpdate> {
+        let locations = driverLocationStream(rideId: rideId)
+        return AsyncStream { continuation in
+            let task = Task {
+                for await coordinate in locations {
+                    continuation.yield(.location(coordinate, etaMinutes: nil))
+                }
+                continuation.finish()
+            }
+            continuation.onTermination = { _ in task.cancel() }
+        }
+    }
 }
 
 // MARK: - Manager (rider app)
@@ -86,6 +188,7 @@ final class RideManager: ObservableObject {
     @Published var currentRide: Ride?
     @Published var lastReceipt: Receipt?
     @Published var history: [Receipt] = []
+    @Published var scheduledRides: [ScheduledRide] = []   // upcoming, soonest first
 
     // Payment
     @Published var savedCards: [PaymentCard] = [
@@ -98,6 +201,9 @@ final class RideManager: ObservableObject {
     @Published var liveDriverCoordinate: CLLocationCoordinate2D = .init(latitude: 33.7490, longitude: -84.3880)
     @Published var pickupCoordinate: CLLocationCoordinate2D?
     @Published var dropoffCoordinate: CLLocationCoordinate2D?
+    @Published var liveEtaMinutes: Double?
+    @Published var driverArrivedAtPickup = false
+    @Published var pendingCheckIn: SafetyCheckIn?
 
     // Mock movement driver
     private var movementTimer: Timer?
@@ -113,6 +219,7 @@ final class RideManager: ObservableObject {
     private var cachedPickup = ""
     private var cachedDropoff = ""
     private var cachedRideType = ""
+    private var cachedCenter: CLLocationCoordinate2D?
     private var currentServiceRideId: String?
 
     init(rideService: RideService = MockRideService()) {
@@ -125,9 +232,12 @@ final class RideManager: ObservableObject {
         // do NOT call stopMovement() here — deinit is not guaranteed on MainActor
     }
 
-    // Remaining minutes (toy ETA for the chip)
+    // Remaining minutes for the chip: live ETA when the service streams one, else a toy estimate
     var remainingMinutesRounded: Double {
         guard let ride = currentRide else { return 0 }
+        if let eta = liveEtaMinutes, ride.status == .enRouteToPickup || ride.status == .enRouteToDropoff {
+            return max(1, eta.rounded())
+        }
         switch ride.status {
         case .enRouteToPickup:  return max(1, (ride.estimate.durationMinutes * 0.4).rounded())
         case .enRouteToDropoff: return max(1, (ride.estimate.durationMinutes * 0.6).rounded())
@@ -152,6 +262,25 @@ final class RideManager: ObservableObject {
         return ""
     }
 
+    /// RydrBank codes ("RB-XXXX-XXXX") cover miles, not a percentage.
+    private func isBankedRideCode(_ code: String) -> Bool {
+        code.hasPrefix("RB-")
+    }
+
+    /// What a RydrBank code covers: booking fee + the first 15 miles + the same
+    /// share of the time charge. Mirrors rydr-bank-service/redemption.js, which
+    /// decides the real amount when the code is consumed.
+    private func bankedRideCovered(estimate: RideEstimate, with driver: Driver, rideType: String,
+                                   maxMiles: Double = 15) -> Double {
+        let c = caps(for: rideType)
+        let perMile   = min(driver.perMile,   c.maxPerMile)
+        let perMinute = min(driver.perMinute, c.maxPerMinute)
+        let miles = min(estimate.distanceMiles, maxMiles)
+        let share = estimate.distanceMiles > 0 ? miles / estimate.distanceMiles : 1
+        let covered = c.booking + miles * perMile + estimate.durationMinutes * share * perMinute
+        return (min(covered, rawFare(estimate: estimate, with: driver, rideType: rideType)) * 100).rounded() / 100.0
+    }
+
     private func promoPercent(for code: String) -> Double {
         let pattern = #"^[A-Z]{2}-[A-Z0-9]{2,}-[A-Z0-9]{2,}$"#
         guard !code.isEmpty,
@@ -167,6 +296,7 @@ final class RideManager: ObservableObject {
         cachedPickup = pickup
         cachedDropoff = dropoff
         cachedRideType = rideType
+        cachedCenter = center
         cachedEstimate = estimateFor(pickup: pickup, dropoff: dropoff)
 
         attemptedDriverIDs.removeAll()
@@ -183,6 +313,71 @@ final class RideManager: ObservableObject {
         }
     }
 
+    // MARK: - Scheduled rides
+
+    /// Books a ride for later. A RydrBank code saved for the booking is held for it.
+    func scheduleRide(pickup: String, dropoff: String, rideType: String,
+                      near center: CLLocationCoordinate2D, at pickupAt: Date) async throws -> ScheduledRide {
+        let code = normalizedSavedPromoCode()
+        let ride = try await rideService.scheduleRide(ScheduledRideRequest(
+            pickup: pickup,
+            dropoff: dropoff,
+            rideType: rideType,
+            pickupCoordinate: center,
+            pickupAt: pickupAt,
+            estimate: estimateFor(pickup: pickup, dropoff: dropoff),
+            rydrBankCode: isBankedRideCode(code) ? code : nil
+        ))
+        upsertScheduled(ride)
+        return ride
+    }
+
+    func loadScheduledRides() async {
+        if let rides = try? await rideService.scheduledRides() {
+            scheduledRides = rides.filter(\.isUpcoming)
+        }
+    }
+
+    func reschedule(_ ride: ScheduledRide, to pickupAt: Date) async throws {
+        upsertScheduled(try await rideService.reschedule(id: ride.id, to: pickupAt))
+    }
+
+    /// -> the late-cancellation fee charged (0 inside the free window)
+    @discardableResult
+    func cancelScheduled(_ ride: ScheduledRide) async throws -> Double {
+        let cancelled = try await rideService.cancelScheduledRide(id: ride.id)
+        upsertScheduled(cancelled)
+        return cancelled.cancellationFee
+    }
+
+    private func upsertScheduled(_ ride: ScheduledRide) {
+        var list = scheduledRides.filter { $0.id != ride.id }
+        if ride.isUpcoming { list.append(ride) }
+        scheduledRides = list.sorted { $0.pickupAt < $1.pickupAt }
+    }
+
+    // MARK: - SafeRydr
+
+    /// Live-trip link for the current ride; notifyContacts also sends it to the trusted contacts.
+    func shareTripLink(notifyContacts: Bool = false) async throws -> URL {
+        guard let id = currentServiceRideId else { throw RydrBankAPIError.server("No ride to share yet.") }
+        return try await rideService.shareTrip(rideId: id, notifyContacts: notifyContacts)
+    }
+
+    /// Alerts the trusted contacts with the ride's last known location. -> contacts alerted
+    @discardableResult
+    func sendSOS() async throws -> Int {
+        guard let id = currentServiceRideId else { throw RydrBankAPIError.server("No active ride. If you're in danger, call 911.") }
+        return try await rideService.sendSOS(rideId: id)
+    }
+
+    /// ok == false is an SOS.
+    func answerCheckIn(ok: Bool) async throws {
+        guard let checkIn = pendingCheckIn, let id = currentServiceRideId else { return }
+        try await rideService.respondToCheckIn(rideId: id, checkInId: checkIn.id, ok: ok)
+        if pendingCheckIn?.id == checkIn.id { pendingCheckIn = nil }
+    }
+
     /// Step 2: user taps a driver; send request, await accept/decline.
     func confirm(driver: Driver) {
         selectedDriver = driver
@@ -205,6 +400,10 @@ final class RideManager: ObservableObject {
                 switch decision {
                 case .accepted:
                     self.handleAccept()
+                case .reassigned(let other):
+                    self.selectedDriver = other
+                    self.attemptedDriverIDs.insert(other.id)
+                    self.handleAccept()
                 case .declined:
                     self.handleDecline()
                 }
@@ -214,20 +413,30 @@ final class RideManager: ObservableObject {
         }
     }
 
-    /// Driver accepted – seed an example route and start the mock movement.
+    /// Driver accepted – follow the live channel, or seed an example route and start the mock movement.
     func handleAccept() {
         guard let driver = selectedDriver else { return }
 
         // Compute fare with caps/fee + promo
         let fareBeforePromo = rawFare(estimate: cachedEstimate, with: driver, rideType: cachedRideType)
-        let fareAfterPromo  = applyPromo(to: fareBeforePromo)
-
-        // Seed a simple two-leg path relative to driver's start
-        let start  = driver.coordinate
-        let pickup = CLLocationCoordinate2D(latitude: start.latitude + 0.02, longitude: start.longitude + 0.02)
-        let drop   = CLLocationCoordinate2D(latitude: pickup.latitude + 0.03, longitude: pickup.longitude + 0.03)
-        pickupCoordinate  = pickup
-        dropoffCoordinate = drop
+        let fareAfterPromo  = isBankedRideCode(normalizedSavedPromoCode())
+            ? fareBeforePromo - bankedRideCovered(estimate: cachedEstimate, with: driver, rideType: cachedRideType)
+            : applyPromo(to: fareBeforePromo)
+
+        let start = driver.coordinate
+        let live = rideService.providesLiveUpdates ? currentServiceRideId : nil
+        if live != nil {
+            pickupCoordinate  = cachedCenter
+            dropoffCoordinate = nil
+        } else {
+            // Seed a simple two-leg path relative to driver's start
+            let pickup = CLLocationCoordinate2D(latitude: start.latitude + 0.02, longitude: start.longitude + 0.02)
+            let drop   = CLLocationCoordinate2D(latitude: pickup.latitude + 0.03, longitude: pickup.longitude + 0.03)
+            pickupCoordinate  = pickup
+            dropoffCoordinate = drop
+        }
+        liveEtaMinutes = nil
+        driverArrivedAtPickup = false
 
         currentRide = Ride(
             pickup: cachedPickup,
@@ -239,7 +448,11 @@ final class RideManager: ObservableObject {
             fare: fareAfterPromo
         )
         liveDriverCoordinate = start
-        startDriverMovement()
+        if let rideId = live {
+            followLiveUpdates(rideId: rideId)
+        } else {
+            startDriverMovement()
+        }
         state = .inProgress
     }
 
@@ -256,6 +469,8 @@ final class RideManager: ObservableObject {
     func riderCancelAndAutoReassign() {
         locationTask?.cancel()
         currentRide = nil
+        liveEtaMinutes = nil
+        pendingCheckIn = nil
 
         Task {
             if let id = currentServiceRideId {
@@ -293,6 +508,8 @@ final class RideManager: ObservableObject {
         history.insert(receipt, at: 0)
         currentRide = nil
         currentServiceRideId = nil
+        liveEtaMinutes = nil
+        pendingCheckIn = nil
         stopMovement()
         state = .completed
     }
@@ -304,9 +521,46 @@ final class RideManager: ObservableObject {
         currentRide = nil
         selectedDriver = nil
         currentServiceRideId = nil
+        liveEtaMinutes = nil
+        pendingCheckIn = nil
         state = .cancelled
     }
 
+    // MARK: - Live updates
+
+    /// Moves the marker and ride status from the service's live channel.
+    private func followLiveUpdates(rideId: String) {
+        locationTask?.cancel()
+        locationTask = Task { [weak self] in
+            guard let self else { return }
+            for await update in self.rideService.rideUpdates(rideId: rideId) {
+                guard !Task.isCancelled else { return }
+                switch update {
+                case let .location(coordinate, eta):
+                    self.liveDriverCoordinate = coordinate
+                    self.liveEtaMinutes = eta
+                case .arrivedAtPickup:
+                    self.driverArrivedAtPickup = true
+                case .tripStarted:
+                    if self.currentRide?.status == .enRouteToPickup {
+                        self.currentRide?.status = .enRouteToDropoff
+                        self.liveEtaMinutes = nil
+                    }
+                case .tripEnded:
+                    self.completeRide()
+                    return
+                case .cancelled:
+                    self.cancelAll()
+                    return
+                case .checkIn(let checkIn):
+                    self.pendingCheckIn = checkIn
+                case .checkInResolved(let id):
+                    if self.pendingCheckIn?.id == id { self.pendingCheckIn = nil }
+                }
+            }
+        }
+    }
+
     // MARK: - Mock movement & helpers
 
     /// Drive the marker along a two-leg route (start→pickup, pickup→dropoff).
@@ -198,27 +198,38 @@ private struct AddCardSheet_Signup: View {
         req.setValue("application/json", forHTTPHeaderField: "Content-Type")
         req.httpBody = try? JSONSerialization.data(withJSONObject: ["customerId": customerId])
 
-        URLSession.shared.dataTask(with: req) { data, _, err in
-            if let err = err { finish(.failure(err)); return }
-            guard let data = data,
-                  let si = try? JSONDecoder().decode(SetupIntentResponse_Signup.self, from: data)
-            else { finish(.failure(simple("Failed to create SetupIntent"))); return }
-
-            let confirm = STPSetupIntentConfirmParams(clientSecret: si.clientSecret)
-            confirm.paymentMethodParams = pmParams
-
-            let handler = STPPaymentHandler.shared()
-            let ctx = AuthContext_Signup(presenting: presentingVC)
-
-            handler.confirmSetupIntent(confirm, with: ctx) { status, _, error in
-                switch status {
-                case .succeeded: finish(.success(()))
-                case .failed:    finish(.failure(error ?? simple("Confirmation failed")))
-                case .canceled:  finish(.failure(simple("Canceled")))
-                @unknown default:finish(.failure(simple("Unknown status")))
+        func send(_ r: URLRequest) {
+            URLSession.shared.dataTask(with: r) { data, _, err in
+                if let err = err { finish(.failure(err)); return }
+                guard let data = data,
+                      let si = try? JSONDecoder().decode(SetupIntentResponse_Signup.self, from: data)
+                else { finish(.failure(simple("Failed to create SetupIntent"))); return }
+
+                let confirm = STPSetupIntentConfirmParams(clientSecret: si.clientSecret)
+                confirm.paymentMethodParams = pmParams
+
+                let handler = STPPaymentHandler.shared()
+                let ctx = AuthContext_Signup(presenting: presentingVC)
+
+                handler.confirmSetupIntent(confirm, with: ctx) { status, _, error in
+                    switch status {
+                    case .succeeded: finish(.success(()))
+                    case .failed:    finish(.failure(error ?? simple("Confirmation failed")))
+                    case .canceled:  finish(.failure(simple("Canceled")))
+                    @unknown default:finish(.failure(simple("Unknown status")))
+                    }
                 }
-            }
-        }.resume()
+            }.resume()
+        }
+
+        guard let user = Auth.auth().currentUser else {
+            finish(.failure(simple("You must be logged in."))); return
+        }
+        user.getIDToken { token, _ in
+            var r = req
+            if let token { r.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization") }
+            send(r)
+        }
     }
 
     private func finish(_ result: Result<Void, Error>) {
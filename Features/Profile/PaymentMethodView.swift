@@ -404,37 +404,48 @@ private struct AddOrReplaceCardSheet: View {
         req.setValue("application/json", forHTTPHeaderField: "Content-Type")
         req.httpBody = try? JSONSerialization.data(withJSONObject: ["customerId": customerId])
 
-        URLSession.shared.dataTask(with: req) { data, _, err in
-            if let err = err { finish(.failure(err)); return }
-            guard let data = data,
-                  let si = try? JSONDecoder().decode(SetupIntentResponse_Profile.self, from: data)
-            else { finish(.failure(simple("Failed to create SetupIntent"))); return }
-
-            let confirm = STPSetupIntentConfirmParams(clientSecret: si.clientSecret)
-            confirm.paymentMethodParams = pmParams
-
-            let handler = STPPaymentHandler.shared()
-            let ctx = AuthContext(presenting: presentingVC)
-
-            handler.confirmSetupIntent(confirm, with: ctx) { status, setupIntent, error in
-                switch status {
-                case .succeeded:
-                    // The new payment method should now be attached to the customer
-                    let newPMId = setupIntent?.paymentMethodID ?? ""
-                    if newPMId.isEmpty {
-                        finish(.failure(simple("Card saved but could not resolve payment method id.")))
-                    } else {
-                        finish(.success(newPMId))
+        func send(_ r: URLRequest) {
+            URLSession.shared.dataTask(with: r) { data, _, err in
+                if let err = err { finish(.failure(err)); return }
+                guard let data = data,
+                      let si = try? JSONDecoder().decode(SetupIntentResponse_Profile.self, from: data)
+                else { finish(.failure(simple("Failed to create SetupIntent"))); return }
+
+                let confirm = STPSetupIntentConfirmParams(clientSecret: si.clientSecret)
+                confirm.paymentMethodParams = pmParams
+
+                let handler = STPPaymentHandler.shared()
+                let ctx = AuthContext(presenting: presentingVC)
+
+                handler.confirmSetupIntent(confirm, with: ctx) { status, setupIntent, error in
+                    switch status {
+                    case .succeeded:
+                        // The new payment method should now be attached to the customer
+                        let newPMId = setupIntent?.paymentMethodID ?? ""
+                        if newPMId.isEmpty {
+                            finish(.failure(simple("Card saved but could not resolve payment method id.")))
+                        } else {
+                            finish(.success(newPMId))
+                        }
+                    case .failed:
+                        finish(.failure(error ?? simple("Confirmation failed")))
+                    case .canceled:
+                        finish(.failure(simple("Canceled")))
+                    @unknown default:
+                        finish(.failure(simple("Unknown status")))
                     }
-                case .failed:
-                    finish(.failure(error ?? simple("Confirmation failed")))
-                case .canceled:
-                    finish(.failure(simple("Canceled")))
-                @unknown default:
-                    finish(.failure(simple("Unknown status")))
                 }
-            }
-        }.resume()
+            }.resume()
+        }
+
+        guard let user = Auth.auth().currentUser else {
+            finish(.failure(simple("You must be logged in."))); return
+        }
+        user.getIDToken { token, _ in
+            var r = req
+            if let token { r.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization") }
+            send(r)
+        }
     }
 
     private func finish(_ result: Result<String, Error>) {
@@ -17,6 +17,12 @@ struct RydrBankSummary: Codable {
     var totalEligible: Int = 0           // lifetime eligible rides (5+ mi)
     var codesEarned: Int = 0             // lifetime codes minted
     var codesAvailable: Int = 0          // currently active codes
+    var progress: Int?                   // credits toward the next code (reward rules)
+    var progressTarget: Int?             // credits needed for a code under the current rules
+
+    /// Older accounts have no `progress` yet: every 10th eligible ride earned a code.
+    var progressToNext: Int { progress ?? eligibleCount % 10 }
+    var creditsPerCode: Int { max(1, progressTarget ?? 10) }
 }
 
 struct RydrBankCode: Identifiable {
@@ -46,9 +52,14 @@ final class RydrBankVM: ObservableObject {
     private var codesListener: ListenerRegistration?
 
     func start() {
-        guard let uid = Auth.auth().currentUser?.uid else { return }
-        listenSummary(uid: uid)
-        listenCodes(uid: uid)
+        guard let user = Auth.auth().currentUser else { return }
+        listenSummary(uid: user.uid)
+        listenCodes(uid: user.uid)
+        // Pick up any rides gifted to this email before the account existed;
+        // the listeners above show them once they move into rydrBankCodes.
+        if user.isEmailVerified {
+            Task { _ = try? await RydrBankAPI.claimPending() }
+        }
     }
     func stop() {
         summaryListener?.remove()
@@ -163,12 +174,6 @@ struct RydrBankView: View {
     @State private var transferFriendName = ""
     @State private var transferFriendPhone = ""
 
-    // TEMP START: Dev mint helpers (remove when done testing)
-    @State private var isMinting = false
-    @State private var mintAlert: String?
-    @State private var showMintAlert = false
-    // TEMP END
-
     // Copy confirmation
     @State private var showCopyAlert = false
     @State private var copiedCode: String?
@@ -177,44 +182,10 @@ struct RydrBankView: View {
         ScrollView {
             VStack(spacing: 18) {
                 balanceCard
-                progressCard(eligibleModulo: vm.summary.eligibleCount % 10)
+                progressCard(progress: vm.summary.progressToNext, target: vm.summary.creditsPerCode)
                 activeCodesSection
                 usedCodesSection
 
-                // TEMP START: Dev button to mint 10 eligible rides and (likely) earn a code
-                Button {
-                    Task {
-                        isMinting = true
-                        do {
-                            if let code = try await RydrBankAPI.mintTenDevRides() {
-                                mintAlert = "Minted code: \(code)"
-                            } else {
-                                mintAlert = "No code minted. If some rides were already counted, run again."
-                            }
-                            showMintAlert = true
-                        } catch {
-                            mintAlert = "Mint failed: \(error.localizedDescription)"
-                            showMintAlert = true
-                        }
-                        isMinting = false
-                    }
-                } label: {
-                    HStack(spacing: 8) {
-                        if isMinting { ProgressView() }
-                        Text(isMinting ? "Minting…" : "Dev: Mint 10 Eligible Rides")
-                            .bold()
-                    }
-                }
-                .buttonStyle(.borderedProminent)
-                .tint(.blue)
-                .padding(.horizontal)
-                .alert("RydrBank", isPresented: $showMintAlert) {
-                    Button("OK", role: .cancel) { }
-                } message: {
-                    Text(mintAlert ?? "")
-                }
-                // TEMP END
-
                 Text("Earn 1 banked ride after every 10 completed rides of 5 miles or more. Each banked ride covers up to 15 miles on a single trip. Codes do not expire.")
                     .font(.footnote)
                     .foregroundStyle(.secondary)
@@ -319,9 +290,9 @@ struct RydrBankView: View {
     }
 
     @ViewBuilder
-    private func progressCard(eligibleModulo: Int) -> some View {
-        let progress = max(0, min(eligibleModulo, 10))
-        let remaining = max(0, 10 - progress)
+    private func progressCard(progress rawProgress: Int, target: Int) -> some View {
+        let progress = max(0, min(rawProgress, target))
+        let remaining = max(0, target - progress)
 
         VStack(alignment: .leading, spacing: 12) {
             HStack {
@@ -329,7 +300,7 @@ struct RydrBankView: View {
                     .font(.headline)
                     .foregroundStyle(Styles.rydrGradient)
                 Spacer()
-                Text("\(progress)/10")
+                Text("\(progress)/\(target)")
                     .font(.subheadline)
                     .foregroundStyle(.secondary)
             }
@@ -341,7 +312,7 @@ struct RydrBankView: View {
                         .frame(height: 10)
                     RoundedRectangle(cornerRadius: 8)
                         .fill(Styles.rydrGradient)
-                        .frame(width: geo.size.width * CGFloat(progress) / 10.0, height: 10)
+                        .frame(width: geo.size.width * CGFloat(progress) / CGFloat(target), height: 10)
                         .animation(.easeInOut(duration: 0.25), value: progress)
                 }
             }
@@ -349,7 +320,7 @@ struct RydrBankView: View {
 
             Text(remaining == 0
                  ? "Reward ready! Your next eligible ride will mint a free ride code."
-                 : "\(remaining) more eligible \(remaining == 1 ? "ride" : "rides") (5+ miles) to earn a free ride.")
+                 : "\(remaining) more eligible \(remaining == 1 ? "ride" : "rides") to earn a free ride.")
             .font(.footnote)
             .foregroundStyle(.secondary)
         }
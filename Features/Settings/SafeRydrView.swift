@@ -13,6 +13,8 @@ import FirebaseFirestore
 struct SafeRydrView: View {
     @State private var showConfirmation = false
     @State private var errorMessage: String?
+    @State private var access: FeatureAccess?      // from rydr-rollout-service
+    @State private var isAccepting = false
 
     var body: some View {
         ScrollView {
@@ -27,9 +29,9 @@ struct SafeRydrView: View {
                     .font(.largeTitle)
                     .fontWeight(.bold)
 
-                Text("Coming Soon")
+                Text(statusTitle)
                     .font(.title2)
-                    .foregroundColor(.gray)
+                    .foregroundColor(access?.enabled == true ? .green : .gray)
 
                 VStack(alignment: .leading, spacing: 15) {
                     Text("Safer Rides. Built Around You.")
@@ -49,19 +51,43 @@ This feature does **not** currently support services like shopping or medication
                 }
                 .padding()
 
-                // 🔘 "I’m Interested" Button
-                Button(action: registerInterest) {
-                    Text("I’m Interested")
-                        .frame(maxWidth: .infinity)
-                        .padding()
-                        .background(Color.blue)
-                        .foregroundColor(.white)
-                        .cornerRadius(12)
+                if access?.enabled == true {
+                    Text("SafeRydr is on for your account. Share your trip, send an SOS and get check-ins from the ride screen.")
+                        .multilineTextAlignment(.center)
+                        .padding(.horizontal)
+                } else if access?.isInvited == true {
+                    // 🎟️ Invite from the waitlist
+                    Button(action: acceptInvite) {
+                        Text(isAccepting ? "Turning on…" : "Accept invite and turn on SafeRydr")
+                            .frame(maxWidth: .infinity)
+                            .padding()
+                            .background(Color.red)
+                            .foregroundColor(.white)
+                            .cornerRadius(12)
+                    }
+                    .disabled(isAccepting)
+                    .padding(.horizontal)
+
+                    if let until = access?.inviteExpiresAt {
+                        Text("Your invite is open until \(until.formatted(date: .abbreviated, time: .omitted)).")
+                            .font(.footnote)
+                            .foregroundColor(.secondary)
+                    }
+                } else {
+                    // 🔘 "I’m Interested" Button
+                    Button(action: registerInterest) {
+                        Text("I’m Interested")
+                            .frame(maxWidth: .infinity)
+                            .padding()
+                            .background(Color.blue)
+                            .foregroundColor(.white)
+                            .cornerRadius(12)
+                    }
+                    .padding(.horizontal)
                 }
-                .padding(.horizontal)
 
                 // ✅ Confirmation Message
-                if showConfirmation {
+                if showConfirmation || (access?.enabled != true && access?.waitlistStatus == "waiting") {
                     Text("✅ You’ll be notified when SafeRydr becomes available.")
                         .foregroundColor(.green)
                         .multilineTextAlignment(.center)
@@ -75,14 +101,43 @@ This feature does **not** currently support services like shopping or medication
                         .padding(.horizontal)
                 }
 
-                Text("SafeRydr will be launching soon to select riders. Stay tuned for early access opportunities.")
-                    .font(.footnote)
-                    .foregroundColor(.secondary)
-                    .padding(.horizontal)
+                if access?.enabled != true {
+                    Text("SafeRydr will be launching soon to select riders. Stay tuned for early access opportunities.")
+                        .font(.footnote)
+                        .foregroundColor(.secondary)
+                        .padding(.horizontal)
+                }
             }
             .padding()
             .navigationTitle("SafeRydr")
         }
+        .task { await loadAccess() }
+    }
+
+    private var statusTitle: String {
+        if access?.enabled == true { return "On" }
+        if access?.isInvited == true { return "You’re Invited" }
+        return "Coming Soon"
+    }
+
+    private func loadAccess() async {
+        access = try? await FeatureAccessAPI.entitlements()[FeatureAccess.safeRydr]
+    }
+
+    private func acceptInvite() {
+        isAccepting = true
+        Task {
+            do {
+                try await FeatureAccessAPI.acceptInvite(feature: FeatureAccess.safeRydr)
+                errorMessage = nil
+                await loadAccess()
+            } catch {
+                errorMessage = error.localizedDescription == "invite_expired"
+                    ? "This invite has expired."
+                    : "Couldn't accept the invite: \(error.localizedDescription)"
+            }
+            isAccepting = false
+        }
     }
 
     // 🔧 Save interest to Firestore
@@ -236,7 +236,7 @@ struct SignupCoordinator: View {
                 var req = URLRequest(url: backendBase.appendingPathComponent("create-customer"))
                 req.httpMethod = "POST"
                 req.setValue("application/json", forHTTPHeaderField: "Content-Type")
-                // (Optional) If you later secure the backend, send the ID token:
+                // Backend verifies this token and binds the customer to the caller's UID
                 if let token = token { req.setValue("Bearer \(token)", forHTTPHeaderField: "Authorization") }
 
                 let body: [String: Any] = [
@@ -0,0 +1,309 @@
+// admin.js
+// Support operations on RydrBank codes and balances. Routes live in server.js
+// under /admin (Firebase custom claims `support` / `admin`).
+//
+// Every change runs in one transaction that also writes its ledger entries and
+// an audits/{id} doc: { type: "admin_<action>", actorUid, actorEmail, actorRole,
+// reason, targetUid, code, details, at }. `actor` = { uid, email, role }.
+
+import { admin, db } from "./firebase.js";
+import { recordEntry, listEntries } from "./ledger.js";
+import { reservationRef, writeRelease } from "./reservations.js";
+import { reserveUniqueCodeReadsOnly, writeMintedCode } from "./codes.js";
+import { queueNotification } from "./outbox.js";
+import { DEFAULT_MAX_MILES } from "./redemption.js";
+
+const MAX_GRANT_MILES = Number(process.env.ADMIN_MAX_GRANT_MILES || 50);
+const MAX_PROGRESS_ADJUST = 100;
+
+const iso = (ts) => ts?.toDate?.().toISOString() || null;
+
+// WRITES ONLY
+function audit(t, actor, action, { reason, targetUid = null, code = null, details = {} }) {
+  t.set(db.collection("audits").doc(), {
+    type: `admin_${action}`,
+    actorUid: actor.uid,
+    actorEmail: actor.email || null,
+    actorRole: actor.role,
+    reason,
+    targetUid,
+    code,
+    details,
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// READS ONLY: the index entry and the owner's code doc. Throws unless the code
+// is held by a rider (gifts still out to an email have no code doc).
+async function readCode(t, code) {
+  const idxRef = db.collection("codes_index").doc(code);
+  const idxSnap = await t.get(idxRef);
+  if (!idxSnap.exists) throw new Error("not_found");
+  const codeDocPath = idxSnap.get("codeDocPath");
+  if (!codeDocPath) throw new Error("held_by_external_recipient");
+  const codeRef = db.doc(codeDocPath);
+  const codeSnap = await t.get(codeRef);
+  if (!codeSnap.exists) throw new Error("not_found");
+  return { idxRef, idxSnap, codeRef, data: codeSnap.data(), uid: codeRef.parent.parent.id };
+}
+
+// READ ONLY: the booking lock of a reserved code
+async function readLock(t, uid, data) {
+  return data.status === "reserved" && data.reservedRideId
+    ? t.get(reservationRef(uid, data.reservedRideId))
+    : null;
+}
+
+// ----- Lookups -----
+
+function codeView(path, data) {
+  return {
+    path,
+    code: data.code,
+    status: data.status,
+    maxMiles: data.maxMiles ?? null,
+    source: data.source || null,
+    reservedRideId: data.reservedRideId || null,
+    reservedUntil: iso(data.reservedUntil),
+    usedRideId: data.usedRideId || null,
+    coveredAmountCents: data.coveredAmountCents ?? null,
+    originalOwnerUid: data.originalOwnerUid || null,
+    transferCount: data.transferCount ?? 0,
+    ruleVersion: data.ruleVersion ?? null,
+    createdAt: iso(data.createdAt),
+  };
+}
+
+export async function lookupCode(code) {
+  const idxSnap = await db.collection("codes_index").doc(code).get();
+  if (!idxSnap.exists) throw new Error("not_found");
+  const idx = idxSnap.data();
+  const codeSnap = idx.codeDocPath ? await db.doc(idx.codeDocPath).get() : null;
+  const ownerUid = codeSnap?.exists ? codeSnap.ref.parent.parent.id : null;
+
+  const [ledger, audits] = await Promise.all([
+    ownerUid
+      ? db.collection("users").doc(ownerUid).collection("rydrLedger").where("code", "==", code).get()
+      : null,
+    db.collection("audits").where("code", "==", code).limit(50).get(),
+  ]);
+
+  return {
+    code,
+    index: {
+      currentOwnerUid: idx.currentOwnerUid,
+      codeDocPath: idx.codeDocPath || null,
+      senderUid: idx.senderUid || null,
+      claimExpiresAt: iso(idx.claimExpiresAt),
+      usedRideId: idx.usedRideId || null,
+      usedByExternal: idx.usedByExternal || null,
+      createdAt: iso(idx.createdAt),
+      transferredAt: iso(idx.transferredAt),
+    },
+    ownerUid,
+    codeDoc: codeSnap?.exists ? codeView(codeSnap.ref.path, codeSnap.data()) : null,
+    ledger: (ledger?.docs || [])
+      .map((d) => ({ id: d.id, ...d.data(), at: iso(d.get("at")) }))
+      .sort((a, b) => String(b.at).localeCompare(String(a.at))),
+    audits: audits.docs.map((d) => ({ id: d.id, ...d.data(), at: iso(d.get("at")) })),
+  };
+}
+
+// By uid, or by email (resolved through Firebase Auth)
+export async function lookupUser({ uid, email }) {
+  if (!uid && email) uid = (await admin.auth().getUserByEmail(email).catch(() => null))?.uid;
+  if (!uid) throw new Error("user_not_found");
+
+  const userRef = db.collection("users").doc(uid);
+  const [authUser, userSnap, codes, ledger] = await Promise.all([
+    admin.auth().getUser(uid).catch(() => null),
+    userRef.get(),
+    userRef.collection("rydrBankCodes").get(),
+    listEntries(uid, { limit: 50 }),
+  ]);
+
+  return {
+    uid,
+    email: authUser?.email || null,
+    displayName: authUser?.displayName || null,
+    phoneNumber: authUser?.phoneNumber || null,
+    bank: userSnap.get("rydrBank") || {},
+    codes: codes.docs
+      .map((d) => codeView(d.ref.path, d.data()))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))),
+    ledger,
+  };
+}
+
+// ----- Actions -----
+
+// Goodwill code for a rider
+export async function grantCode(actor, { uid, maxMiles = DEFAULT_MAX_MILES, reason }) {
+  if (!(maxMiles > 0 && maxMiles <= MAX_GRANT_MILES)) throw new Error("invalid_max_miles");
+  await admin.auth().getUser(uid).catch(() => {
+    throw new Error("user_not_found");
+  });
+
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const { code, indexRef } = await reserveUniqueCodeReadsOnly(t);
+
+    // === WRITES ===
+    writeMintedCode(t, uid, {
+      code,
+      indexRef,
+      maxMiles,
+      transferable: false,
+      source: "goodwill",
+      grantedBy: actor.uid,
+    });
+    recordEntry(t, uid, { type: "grant", code, reason: "goodwill", actorUid: actor.uid });
+    queueNotification(t, "reward_minted", { uid }, { codes: [code], maxMiles, reason: "goodwill" });
+    audit(t, actor, "grant", { reason, targetUid: uid, code, details: { maxMiles } });
+    return { code, uid, maxMiles };
+  });
+}
+
+// Takes an unused code out of circulation
+export async function voidCode(actor, { code, reason }) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const { codeRef, data, uid } = await readCode(t, code);
+    if (data.status === "used") throw new Error("already_used");
+    if (data.status === "void") throw new Error("already_void");
+    const lockSnap = await readLock(t, uid, data);
+
+    // === WRITES ===
+    t.update(codeRef, {
+      status: "void",
+      reservedRideId: null,
+      reservedUntil: null,
+      voidedAt: admin.firestore.FieldValue.serverTimestamp(),
+      voidedBy: actor.uid,
+    });
+    if (lockSnap?.exists && lockSnap.get("code") === code) t.delete(lockSnap.ref);
+    recordEntry(t, uid, { type: "void", from: data.status, code, reason: "admin_void", actorUid: actor.uid });
+    audit(t, actor, "void", { reason, targetUid: uid, code, details: { from: data.status } });
+    return { code, uid, status: "void", from: data.status };
+  });
+}
+
+// Frees a code stuck in "reserved" (e.g. the booking died before the TTL existed)
+export async function forceRelease(actor, { code, reason }) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const { codeRef, data, uid } = await readCode(t, code);
+    if (data.status !== "reserved") throw new Error("not_reserved");
+    const lockSnap = await readLock(t, uid, data);
+
+    // === WRITES ===
+    writeRelease(t, uid, codeRef, data, lockSnap, { reason: "admin_release", actorUid: actor.uid });
+    audit(t, actor, "force_release", {
+      reason,
+      targetUid: uid,
+      code,
+      details: { reservedRideId: data.reservedRideId || null },
+    });
+    return { code, uid, status: "active" };
+  });
+}
+
+// Replaces an unused (or voided) code with a fresh one for the same rider,
+// keeping its terms. Use when a code leaked or was voided by mistake.
+export async function reissueCode(actor, { code, reason }) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const { codeRef, data, uid } = await readCode(t, code);
+    if (data.status === "used") throw new Error("already_used");
+    const lockSnap = await readLock(t, uid, data);
+    const fresh = await reserveUniqueCodeReadsOnly(t, new Set([code]));
+
+    // === WRITES ===
+    if (data.status === "void") {
+      t.update(codeRef, { replacedBy: fresh.code });
+    } else {
+      t.update(codeRef, {
+        status: "void",
+        reservedRideId: null,
+        reservedUntil: null,
+        voidedAt: admin.firestore.FieldValue.serverTimestamp(),
+        voidedBy: actor.uid,
+        replacedBy: fresh.code,
+      });
+      if (lockSnap?.exists && lockSnap.get("code") === code) t.delete(lockSnap.ref);
+      recordEntry(t, uid, { type: "void", from: data.status, code, reason: "reissued", actorUid: actor.uid });
+    }
+
+    const maxMiles = data.maxMiles || DEFAULT_MAX_MILES;
+    writeMintedCode(t, uid, {
+      code: fresh.code,
+      indexRef: fresh.indexRef,
+      maxMiles,
+      originalOwnerUid: data.originalOwnerUid || uid,
+      transferable: data.status === "void" ? false : data.transferable === true,
+      transferCount: data.transferCount || 0,
+      ruleVersion: data.ruleVersion ?? null,
+      source: "reissue",
+      replaces: code,
+      grantedBy: actor.uid,
+    });
+    recordEntry(t, uid, { type: "grant", code: fresh.code, reason: "reissue", replaces: code, actorUid: actor.uid });
+    queueNotification(t, "reward_minted", { uid }, { codes: [fresh.code], maxMiles, reason: "reissue" });
+    audit(t, actor, "reissue", { reason, targetUid: uid, code, details: { newCode: fresh.code, from: data.status } });
+    return { code, newCode: fresh.code, uid };
+  });
+}
+
+// Corrects progress toward the next code (e.g. a ride that never reported).
+// Codes are granted/voided with the actions above, never adjusted directly;
+// progress past the target mints on the rider's next qualifying ride.
+export async function adjustProgress(actor, { uid, delta, reason }) {
+  if (!Number.isInteger(delta) || delta === 0 || Math.abs(delta) > MAX_PROGRESS_ADJUST) {
+    throw new Error("invalid_delta");
+  }
+  const userRef = db.collection("users").doc(uid);
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const userSnap = await t.get(userRef);
+    if (!userSnap.exists) throw new Error("user_not_found");
+    const before = userSnap.get("rydrBank.progress") || 0;
+    if (before + delta < 0) throw new Error("progress_below_zero");
+
+    // === WRITES ===
+    recordEntry(t, uid, { type: "adjust", progress: delta, reason: "admin_adjust", actorUid: actor.uid });
+    audit(t, actor, "adjust_progress", { reason, targetUid: uid, details: { delta, before, after: before + delta } });
+    return { uid, progress: before + delta };
+  });
+}
+
+// ----- Audit log -----
+
+// Filters: type, code, uid (target), actorUid, since/until (ISO); page with
+// before=<audit id> (the `next` of the previous page). Newest first. Every filter
+// is part of the Firestore query, ordered by `at`: each combination of equality
+// filters in use needs a composite index on those fields + at desc.
+const AUDIT_FILTERS = { type: "type", code: "code", uid: "targetUid", actorUid: "actorUid" };
+
+export async function searchAudits({ since, until, limit = 50, before = null, ...filters }) {
+  const max = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) throw new Error("invalid_date");
+
+  const col = db.collection("audits");
+  let q = col;
+  for (const [param, field] of Object.entries(AUDIT_FILTERS)) {
+    if (filters[param]) q = q.where(field, "==", String(filters[param]));
+  }
+  q = q.orderBy("at", "desc");
+  if (sinceMs !== null) q = q.where("at", ">=", admin.firestore.Timestamp.fromMillis(sinceMs));
+  if (untilMs !== null) q = q.where("at", "<=", admin.firestore.Timestamp.fromMillis(untilMs));
+  if (before) {
+    const cursor = await col.doc(String(before)).get();
+    if (cursor.exists) q = q.startAfter(cursor);
+  }
+
+  const snap = await q.limit(max).get();
+  const rows = snap.docs.map((d) => ({ id: d.id, ...d.data(), at: iso(d.get("at")) }));
+  return { audits: rows, next: rows.length === max ? rows[rows.length - 1].id : null };
+}
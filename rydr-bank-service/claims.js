@@ -0,0 +1,173 @@
+// claims.js
+// Gifted codes sent to someone without a Rydr account. The transfer stores only
+// a SHA-256 hash of a random claim token on codes_index; the token itself goes
+// out in the gift email/SMS link and is needed to redeem on the web. When the
+// recipient signs up and verifies that email, claimPendingCodes() moves the code
+// into their rydrBankCodes (a transfer_in ledger entry) and the token stops working.
+//
+// Until then the sender can recall the gift, and after GIFT_CLAIM_DAYS an
+// unclaimed, unused gift goes back to the sender on its own (returnGift). Both
+// restore the sender's voided copy and notify sender and recipient (via the outbox).
+
+import crypto from "node:crypto";
+import { admin, db } from "./firebase.js";
+import { recordEntry } from "./ledger.js";
+import { queueNotification } from "./outbox.js";
+
+const CLAIM_BASE_URL = process.env.CLAIM_BASE_URL || "https://www.rydr-go.com/redeem";
+export const GIFT_CLAIM_DAYS = Number(process.env.GIFT_CLAIM_DAYS || 30);
+
+export const externalOwner = (email) => `external:${String(email).toLowerCase()}`;
+
+const isExpired = (idx) => !!idx.claimExpiresAt && idx.claimExpiresAt.toMillis() <= Date.now();
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// -> { token, tokenHash }; store only the hash
+export function newClaimToken() {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+}
+
+export function claimExpiresAt() {
+  return admin.firestore.Timestamp.fromMillis(Date.now() + GIFT_CLAIM_DAYS * 24 * 3600 * 1000);
+}
+
+export function claimUrl(code, token) {
+  return `${CLAIM_BASE_URL}?code=${encodeURIComponent(code)}&token=${encodeURIComponent(token)}`;
+}
+
+// Throws unless `email` + `token` match the external owner of this index entry
+export function assertExternalClaim(idxSnap, email, token) {
+  if (idxSnap.get("currentOwnerUid") !== externalOwner(email)) throw new Error("not_owner_external");
+  if (isExpired(idxSnap.data())) throw new Error("gift_expired");
+  const stored = idxSnap.get("claimTokenHash");
+  if (!stored) throw new Error("claim_token_invalid"); // used, claimed, or sent before tokens
+  const a = Buffer.from(hashToken(token || ""), "hex");
+  const b = Buffer.from(stored, "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw new Error("claim_token_invalid");
+}
+
+// Moves every unused code gifted to `email` into uid's RydrBank.
+// Caller must have checked the email is verified. -> [claimed codes]
+export async function claimPendingCodes(uid, email) {
+  const owner = externalOwner(email);
+  const pending = await db.collection("codes_index").where("currentOwnerUid", "==", owner).get();
+
+  const claimed = [];
+  for (const doc of pending.docs) {
+    const ok = await db.runTransaction(async (t) => {
+      // === READS FIRST ===
+      const idxSnap = await t.get(doc.ref);
+      if (idxSnap.get("currentOwnerUid") !== owner || idxSnap.get("usedRideId")) return false;
+      if (isExpired(idxSnap.data())) return false; // on its way back to the sender
+
+      // === WRITES ===
+      const codeRef = db.collection("users").doc(uid).collection("rydrBankCodes").doc();
+      t.set(codeRef, {
+        code: doc.id,
+        status: "active",
+        maxMiles: idxSnap.get("maxMiles") || 15,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        reservedRideId: null,
+        usedRideId: null,
+        originalOwnerUid: idxSnap.get("originalOwnerUid") || null,
+        transferCount: 1,
+        transferable: false,
+        ruleVersion: idxSnap.get("ruleVersion") ?? null,
+      });
+      t.update(doc.ref, {
+        currentOwnerUid: uid,
+        codeDocPath: codeRef.path,
+        claimTokenHash: null,
+        claimExpiresAt: null,
+        claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      recordEntry(t, uid, {
+        type: "transfer_in",
+        code: doc.id,
+        fromUid: idxSnap.get("originalOwnerUid") || null,
+        reason: "claimed_gift",
+      });
+      if (idxSnap.get("senderUid")) {
+        queueNotification(t, "claim", { uid: idxSnap.get("senderUid") }, { code: doc.id, recipientEmail: email });
+      }
+      return true;
+    });
+    if (ok) claimed.push(doc.id);
+  }
+  return claimed;
+}
+
+// Gives an unclaimed, unused external gift back to its sender.
+// reason: "recalled" (sender asked; byUid must be the sender) | "expired" (sweeper)
+// -> { code, senderUid, recipientEmail } or throws
+export async function returnGift(code, { reason, byUid = null }) {
+  const idxRef = db.collection("codes_index").doc(code);
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const idxSnap = await t.get(idxRef);
+    if (!idxSnap.exists) throw new Error("not_found");
+    const idx = idxSnap.data();
+    if (!String(idx.currentOwnerUid || "").startsWith("external:")) throw new Error("already_claimed");
+    if (idx.usedRideId) throw new Error("already_used");
+    if (!idx.senderUid || !idx.senderCodeDocPath) throw new Error("not_recallable"); // sent before recall existed
+    if (reason === "recalled" && idx.senderUid !== byUid) throw new Error("not_owner");
+    if (reason === "expired" && !isExpired(idx)) throw new Error("not_expired");
+
+    const codeRef = db.doc(idx.senderCodeDocPath);
+    const codeSnap = await t.get(codeRef);
+    if (codeSnap.get("status") !== "void") throw new Error("not_recallable");
+
+    // === WRITES ===
+    const recipientEmail = idx.currentOwnerUid.slice("external:".length);
+    t.update(codeRef, { status: "active", transferCount: 0, transferable: true });
+    t.update(idxRef, {
+      currentOwnerUid: idx.senderUid,
+      codeDocPath: codeRef.path,
+      claimTokenHash: null,
+      claimExpiresAt: null,
+      returnedAt: admin.firestore.FieldValue.serverTimestamp(),
+      returnReason: reason,
+    });
+    recordEntry(t, idx.senderUid, {
+      type: "transfer_in",
+      code,
+      reason: reason === "expired" ? "gift_expired" : "gift_recalled",
+      fromEmail: recipientEmail,
+    });
+    queueNotification(
+      t,
+      reason === "expired" ? "expiry" : "recall",
+      { email: recipientEmail, phone: idx.recipientPhone || null },
+      { friendName: idx.recipientName || null, code }
+    );
+    queueNotification(t, "return", { uid: idx.senderUid }, { code, reason });
+    return { code, senderUid: idx.senderUid, recipientEmail };
+  });
+}
+
+const FINAL_ERRORS = ["not_found", "already_claimed", "already_used", "not_recallable"];
+
+// Unclaimed gifts past their claim window go back to the sender
+export async function sweepExpiredGifts() {
+  const snap = await db
+    .collection("codes_index")
+    .where("claimExpiresAt", "<=", admin.firestore.Timestamp.now())
+    .get();
+
+  let returned = 0;
+  for (const doc of snap.docs) {
+    try {
+      await returnGift(doc.id, { reason: "expired" });
+      returned++;
+    } catch (e) {
+      // Claimed/used since the query, or a legacy gift: stop looking at it
+      if (FINAL_ERRORS.includes(e.message)) {
+        await doc.ref.update({ claimExpiresAt: null }).catch(() => {});
+      }
+      console.error("gift expiry:", doc.id, e.message);
+    }
+  }
+  return { checked: snap.size, returned };
+}
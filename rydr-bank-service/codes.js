@@ -0,0 +1,50 @@
+// codes.js
+// Minting RydrBank codes: a unique RB-XXXX-XXXX in codes_index plus the owner's
+// users/{uid}/rydrBankCodes doc. Used by ride accrual and referral rewards.
+
+import { admin, db } from "./firebase.js";
+
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no I,O,1,0
+
+export function randomCode(len = 8, prefix = "RB") {
+  let s = "";
+  for (let i = 0; i < len; i++) s += ALPHABET[Math.floor(Math.random() * ALPHABET.length)];
+  return `${prefix}-${s.slice(0, 4)}-${s.slice(4, 8)}`;
+}
+
+// Only READS a free code in the transaction; returns chosen code + indexRef to write later.
+// `taken` = codes already picked in this transaction.
+export async function reserveUniqueCodeReadsOnly(t, taken = new Set()) {
+  while (true) {
+    const code = randomCode(8);
+    if (taken.has(code)) continue;
+    const indexRef = db.collection("codes_index").doc(code);
+    const idxSnap = await t.get(indexRef); // READ
+    if (!idxSnap.exists) return { code, indexRef };
+  }
+}
+
+// WRITES ONLY: index entry + active code doc for uid. `extra` is stamped on the
+// code doc (ruleVersion, tier, source, ...). The caller records the mint entry.
+export function writeMintedCode(t, uid, { code, indexRef, maxMiles, ...extra }) {
+  const codeRef = db.collection("users").doc(uid).collection("rydrBankCodes").doc();
+  t.set(indexRef, {
+    code,
+    currentOwnerUid: uid,
+    codeDocPath: codeRef.path,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  t.set(codeRef, {
+    code,
+    status: "active", // active | reserved | used | void
+    maxMiles,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    reservedRideId: null,
+    usedRideId: null,
+    originalOwnerUid: uid,
+    transferCount: 0,
+    transferable: true,
+    ...extra,
+  });
+  return codeRef;
+}
@@ -0,0 +1,17 @@
+// firebase.js
+// Firebase Admin + Firestore, shared by server.js and the ledger/reconcile modules
+
+import admin from "firebase-admin";
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    // On Render, mount your service account JSON as a Secret File
+    // Path should be /etc/secrets/firebase.json and exposed via env if desired
+    credential: admin.credential.cert(
+      process.env.GOOGLE_APPLICATION_CREDENTIALS || "/etc/secrets/firebase.json"
+    ),
+  });
+}
+
+export const db = admin.firestore();
+export { admin };
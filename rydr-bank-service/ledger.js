@@ -0,0 +1,126 @@
+// ledger.js
+// Append-only RydrBank ledger: users/{uid}/rydrLedger/{entryId}
+// Every change to the rydrBank counters goes through recordEntry() inside the
+// same transaction that changes the code docs, so any balance can be explained
+// (and recomputed) from its entries. Entries are never updated or deleted.
+//
+// Counters on users/{uid}.rydrBank:
+//   eligibleCount / totalEligible  credits from rides that counted (see rewards.js)
+//   progress                       credits toward the next code
+//   codesEarned                    codes minted for this user
+//   codesAvailable                 codes with status "active"
+//   codesReserved                  codes with status "reserved"
+
+import { admin, db } from "./firebase.js";
+
+const FieldValue = admin.firestore.FieldValue;
+
+export const ENTRY_TYPES = [
+  "earn",
+  "reverse",
+  "mint",
+  "reserve",
+  "release",
+  "consume",
+  "transfer_out",
+  "transfer_in",
+  "void",
+  "grant", // code issued by support (goodwill, re-issue); not "earned"
+  "adjust", // support correction to progress
+];
+
+// A code leaving `status` (consume, transfer out, void) stops counting there
+function leaving(status) {
+  if (status === "active") return { codesAvailable: -1 };
+  if (status === "reserved") return { codesReserved: -1 };
+  return {};
+}
+
+// Counter deltas for an entry. `from` = the code's status before the change;
+// `credits` = what an earned ride counted for; `progress` = change to
+// rydrBank.progress when it isn't simply the credits.
+export function deltaFor(type, { from = null, credits = 1, progress = null } = {}) {
+  switch (type) {
+    case "earn":
+      return { eligibleCount: credits, totalEligible: credits, progress: progress ?? credits };
+    case "reverse": // an earned ride was refunded or disputed
+      return { eligibleCount: -credits, totalEligible: -credits, progress: progress ?? -credits };
+    case "mint":
+      return { codesAvailable: 1, codesEarned: 1, ...(progress !== null && { progress }) };
+    case "reserve":
+      return { codesAvailable: -1, codesReserved: 1 };
+    case "release":
+      return { codesAvailable: 1, codesReserved: -1 };
+    case "transfer_in":
+    case "grant":
+      return { codesAvailable: 1 };
+    case "adjust":
+      return { progress: progress ?? 0 };
+    case "consume":
+    case "transfer_out":
+    case "void":
+      return leaving(from);
+    default:
+      throw new Error(`unknown_ledger_type:${type}`);
+  }
+}
+
+// WRITES ONLY — call after the transaction's reads.
+// -> the delta applied to the user's rydrBank counters
+export function recordEntry(
+  t,
+  uid,
+  { type, from = null, credits = 1, progress = null, code = null, rideId = null, ...details }
+) {
+  const delta = deltaFor(type, { from, credits, progress });
+  const userRef = db.collection("users").doc(uid);
+
+  t.set(userRef.collection("rydrLedger").doc(), {
+    type,
+    code,
+    rideId,
+    delta,
+    ...details,
+    at: FieldValue.serverTimestamp(),
+  });
+
+  const bank = {};
+  for (const [field, n] of Object.entries(delta)) bank[field] = FieldValue.increment(n);
+  if (Object.keys(bank).length) t.set(userRef, { rydrBank: bank }, { merge: true });
+
+  return delta;
+}
+
+// Newest first. `before` = entry id to page from.
+export async function listEntries(uid, { limit = 50, before = null } = {}) {
+  const col = db.collection("users").doc(uid).collection("rydrLedger");
+  let q = col.orderBy("at", "desc").limit(Math.min(Math.max(Number(limit) || 50, 1), 200));
+  if (before) {
+    const cursor = await col.doc(String(before)).get();
+    if (cursor.exists) q = q.startAfter(cursor);
+  }
+  const snap = await q.get();
+  return snap.docs.map((d) => {
+    const e = d.data();
+    return { id: d.id, ...e, at: e.at?.toDate?.().toISOString() || null };
+  });
+}
+
+// Sum of all entry deltas -> { codesAvailable, codesReserved, ... }
+export async function ledgerTotals(uid) {
+  const snap = await db.collection("users").doc(uid).collection("rydrLedger").get();
+  const totals = {
+    eligibleCount: 0,
+    totalEligible: 0,
+    codesEarned: 0,
+    codesAvailable: 0,
+    codesReserved: 0,
+    progress: 0,
+  };
+  for (const d of snap.docs) {
+    for (const [field, n] of Object.entries(d.get("delta") || {})) {
+      totals[field] = (totals[field] || 0) + n;
+    }
+  }
+  return { totals, entries: snap.size };
+}
@@ -0,0 +1,66 @@
+// notify.js
+// Transports for the notification outbox: SendGrid email + Twilio SMS, or a
+// local stand-in (NOTIFY_TRANSPORT=local) that sends nothing and records each
+// message in memory, on stdout and, with NOTIFY_LOCAL_FILE, as JSON lines.
+// Use local for dev/staging and tests. Messages come rendered (templates.js).
+//
+// Each send resolves to { id } (provider message id) or { skipped: reason } when
+// the channel isn't configured; it throws on provider errors so the outbox retries.
+
+import fs from "node:fs/promises";
+import sgMail from "@sendgrid/mail";
+import twilio from "twilio";
+
+const MODE = process.env.NOTIFY_TRANSPORT === "local" ? "local" : "live";
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY || ""); // set in Render
+
+const twilioClient =
+  MODE === "live" && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
+    ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+    : null;
+
+const FROM_EMAIL = process.env.EMAIL_FROM || "support@rydr-go.com";
+const FROM_NAME = process.env.EMAIL_FROM_NAME || "Rydr Support";
+const SMS_FROM = process.env.TWILIO_FROM || ""; // +1555...
+
+// ----- local stand-in -----
+
+const LOCAL_FILE = process.env.NOTIFY_LOCAL_FILE || "";
+export const localSent = []; // newest last; inspect in tests / REPL
+
+async function sendLocal(channel, message) {
+  const entry = { id: `local-${Date.now()}-${localSent.length}`, channel, at: new Date().toISOString(), ...message };
+  localSent.push(entry);
+  console.log(`[notify:local] ${channel} -> ${message.to}: ${message.subject || message.body}`);
+  if (LOCAL_FILE) await fs.appendFile(LOCAL_FILE, JSON.stringify(entry) + "\n");
+  return { id: entry.id };
+}
+
+// ----- live -----
+
+async function sendEmailLive({ to, subject, text, html }) {
+  if (!process.env.SENDGRID_API_KEY) return { skipped: "email_not_configured" };
+  const [resp] = await sgMail.send({
+    to,
+    from: { email: FROM_EMAIL, name: FROM_NAME },
+    subject,
+    text,
+    html,
+  });
+  return { id: resp?.headers?.["x-message-id"] || null };
+}
+
+async function sendSmsLive({ to, body }) {
+  if (!twilioClient || !SMS_FROM) return { skipped: "sms_not_configured" };
+  const msg = await twilioClient.messages.create({ to, from: SMS_FROM, body });
+  return { id: msg.sid };
+}
+
+export function sendEmail(message) {
+  return MODE === "local" ? sendLocal("email", message) : sendEmailLive(message);
+}
+
+export function sendSms(message) {
+  return MODE === "local" ? sendLocal("sms", message) : sendSmsLive(message);
+}
@@ -0,0 +1,198 @@
+// outbox.js
+// Transactional outbox for email/SMS. Routes never send inline: they queue a
+// notification doc in the same Firestore transaction as the change it announces,
+// so a message is queued if and only if the change committed. A worker
+// (deliverDueNotifications, on an interval in server.js) sends them.
+//
+// notifications/{id}: {
+//   channel: "email" | "sms", template, templateVersion, data,
+//   to: { uid } | { email } | { phone },   // uid -> address looked up at send time
+//   status: "pending" | "sending" | "sent" | "skipped" | "dead",
+//   attempts, nextAttemptAt, lastError, providerMessageId, createdAt, sentAt, deadAt,
+//   secretFields,                           // data keys removed once sent (claim links)
+// }
+//
+// Retries back off exponentially; after NOTIFY_MAX_ATTEMPTS, or on an error that
+// can't succeed (bad address, unknown template), the doc is dead-lettered and
+// stays for ops to inspect or requeue. Only pending/sending docs have
+// nextAttemptAt, which keeps the worker's query to a single-field index.
+
+import { admin, db } from "./firebase.js";
+import { CURRENT, TEMPLATES, render } from "./templates.js";
+import { sendEmail, sendSms } from "./notify.js";
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 8);
+const LEASE_SECONDS = 120; // a crashed send is retried after this
+const BATCH_SIZE = 50;
+
+const col = () => db.collection("notifications");
+const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+
+// WRITES ONLY. Queues `template` to `recipient` on every channel the template
+// has and the recipient can be reached on. recipient: { uid } and/or { email, phone }.
+// Returns the queued notification ids.
+export function queueNotification(t, template, recipient, data, { secretFields = [] } = {}) {
+  const version = CURRENT[template];
+  if (!version) throw new Error(`unknown_template:${template}`);
+  const { uid = null, email = null, phone = null } = recipient || {};
+
+  const ids = [];
+  for (const channel of ["email", "sms"]) {
+    if (!TEMPLATES[template][version][channel]) continue;
+    const address = channel === "email" ? email : phone;
+    if (!address && !uid) continue;
+
+    const ref = col().doc();
+    t.set(ref, {
+      channel,
+      template,
+      templateVersion: version,
+      data,
+      to: address ? { [channel === "email" ? "email" : "phone"]: address } : { uid },
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastError: null,
+      providerMessageId: null,
+      secretFields,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    ids.push(ref.id);
+  }
+  return ids;
+}
+
+// Errors retrying won't fix: 4xx from SendGrid/Twilio (except throttling),
+// users that no longer exist, templates this build doesn't have
+function isPermanent(e) {
+  const status = Number(e?.code) || Number(e?.status) || 0;
+  if (status >= 400 && status < 500 && status !== 408 && status !== 429) return true;
+  if (e?.code === "auth/user-not-found") return true;
+  return String(e?.message || "").startsWith("unknown_template");
+}
+
+const backoffMs = (attempts) => Math.min(6 * 3600, 30 * 2 ** attempts) * 1000;
+
+async function resolveAddress(n) {
+  if (n.to?.email) return { to: n.to.email, name: null };
+  if (n.to?.phone) return { to: n.to.phone, name: null };
+  const user = await admin.auth().getUser(n.to.uid);
+  return { to: n.channel === "sms" ? user.phoneNumber : user.email, name: user.displayName || null };
+}
+
+// Takes the send for this worker (status "sending" until the lease runs out)
+async function lease(ref) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const n = snap.data();
+    if (!n || !["pending", "sending"].includes(n.status)) return null;
+    if (!n.nextAttemptAt || n.nextAttemptAt.toMillis() > Date.now()) return null;
+    const attempts = (n.attempts || 0) + 1;
+    t.update(ref, { status: "sending", attempts, nextAttemptAt: ts(Date.now() + LEASE_SECONDS * 1000) });
+    return { ...n, attempts };
+  });
+}
+
+function finalUpdate(n, fields) {
+  const update = { ...fields, nextAttemptAt: null };
+  if (fields.status !== "dead") {
+    for (const key of n.secretFields || []) update[`data.${key}`] = admin.firestore.FieldValue.delete();
+  }
+  return update;
+}
+
+// One delivery attempt. -> "sent" | "skipped" | "retry" | "dead"
+async function attempt(ref, n) {
+  try {
+    const { to, name } = await resolveAddress(n);
+    if (!to) {
+      await ref.update(finalUpdate(n, { status: "skipped", lastError: "no_address" }));
+      return "skipped";
+    }
+    const message = render(n.template, n.templateVersion, n.channel, {
+      ...n.data,
+      friendName: n.data?.friendName ?? name,
+    });
+    const result = n.channel === "sms" ? await sendSms({ to, ...message }) : await sendEmail({ to, ...message });
+    if (result.skipped) {
+      await ref.update(finalUpdate(n, { status: "skipped", lastError: result.skipped }));
+      return "skipped";
+    }
+    await ref.update(
+      finalUpdate(n, {
+        status: "sent",
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        providerMessageId: result.id || null,
+        lastError: null,
+      })
+    );
+    return "sent";
+  } catch (e) {
+    const lastError = String(e?.message || e).slice(0, 500);
+    if (isPermanent(e) || n.attempts >= MAX_ATTEMPTS) {
+      await ref.update(
+        finalUpdate(n, { status: "dead", deadAt: admin.firestore.FieldValue.serverTimestamp(), lastError })
+      );
+      console.error("notification dead-lettered:", ref.id, lastError);
+      return "dead";
+    }
+    await ref.update({ status: "pending", lastError, nextAttemptAt: ts(Date.now() + backoffMs(n.attempts)) });
+    return "retry";
+  }
+}
+
+// Worker pass: sends what's due (new, retry time reached, or lease expired)
+export async function deliverDueNotifications() {
+  const snap = await col()
+    .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+    .orderBy("nextAttemptAt")
+    .limit(BATCH_SIZE)
+    .get();
+
+  const counts = { sent: 0, skipped: 0, retry: 0, dead: 0 };
+  for (const doc of snap.docs) {
+    const n = await lease(doc.ref).catch(() => null); // another worker got it
+    if (!n) continue;
+    counts[await attempt(doc.ref, n)]++;
+  }
+  return counts;
+}
+
+// Dead letters, newest first
+export async function listDeadNotifications({ limit = 50 } = {}) {
+  const snap = await col()
+    .where("status", "==", "dead")
+    .limit(Math.min(Number(limit) || 50, 200))
+    .get();
+  return snap.docs
+    .map((d) => {
+      const n = d.data();
+      return {
+        id: d.id,
+        channel: n.channel,
+        template: n.template,
+        templateVersion: n.templateVersion,
+        attempts: n.attempts,
+        lastError: n.lastError,
+        deadAt: n.deadAt?.toDate?.().toISOString() || null,
+      };
+    })
+    .sort((a, b) => String(b.deadAt).localeCompare(String(a.deadAt)));
+}
+
+// Puts a dead letter back in the queue with a fresh attempt budget
+export async function requeueNotification(id) {
+  const ref = col().doc(id);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error("not_found");
+    if (snap.get("status") !== "dead") throw new Error("not_dead");
+    t.update(ref, {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      requeuedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { id, status: "pending" };
+  });
+}
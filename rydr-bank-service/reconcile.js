@@ -0,0 +1,113 @@
+// reconcile.js
+// Recomputes every RydrBank balance two ways and reports counters that disagree:
+//   - from the ledger (sum of entry deltas, see ledger.js)
+//   - from the source docs (rydrBankCodes statuses, rydrContrib rides)
+// Report only — nothing is corrected automatically. Each run is saved to
+// reconciliations/{runId}. Users with no ledger entries yet (balances from before
+// the ledger) are counted as preLedgerUsers and checked against their docs only.
+//
+// Run: `npm run reconcile`, or POST /internal/reconcile (x-internal-key header).
+
+import { pathToFileURL } from "node:url";
+import { admin, db } from "./firebase.js";
+import { ledgerTotals } from "./ledger.js";
+
+const PAGE_SIZE = 300;
+const MAX_REPORTED = 500; // keep the report doc well under Firestore's 1 MiB
+
+const FIELDS = ["eligibleCount", "totalEligible", "progress", "codesEarned", "codesAvailable", "codesReserved"];
+
+async function fromSourceDocs(userRef) {
+  const [codes, contrib] = await Promise.all([
+    userRef.collection("rydrBankCodes").select("status").get(),
+    userRef.collection("rydrContrib").select("credits", "reversedAt").get(),
+  ]);
+  const byStatus = (s) => codes.docs.filter((d) => d.get("status") === s).length;
+  // Rides from before reward rules existed counted 1 credit each
+  const credits = contrib.docs
+    .filter((d) => !d.get("reversedAt"))
+    .reduce((n, d) => n + (d.get("credits") ?? 1), 0);
+  return {
+    codesAvailable: byStatus("active"),
+    codesReserved: byStatus("reserved"),
+    eligibleCount: credits,
+  };
+}
+
+export async function reconcileUser(uid) {
+  const userRef = db.collection("users").doc(uid);
+  const [userSnap, ledger, source] = await Promise.all([
+    userRef.get(),
+    ledgerTotals(uid),
+    fromSourceDocs(userRef),
+  ]);
+  const counters = (userSnap.exists ? userSnap.get("rydrBank") : null) || {};
+  // Balances from before the ledger existed have no entries to explain them, so
+  // only the source docs are checked for those
+  const preLedger = ledger.entries === 0;
+
+  const mismatches = [];
+  for (const field of FIELDS) {
+    const stored = counters[field] || 0;
+    const fromLedger = ledger.totals[field] || 0;
+    const fromDocs = field in source ? source[field] : null;
+    if ((!preLedger && stored !== fromLedger) || (fromDocs !== null && stored !== fromDocs)) {
+      mismatches.push({ field, stored, ledger: preLedger ? null : fromLedger, docs: fromDocs });
+    }
+  }
+  return { uid, ok: mismatches.length === 0, preLedger, mismatches };
+}
+
+export async function reconcileAll() {
+  const startedAt = new Date();
+  let usersChecked = 0;
+  let preLedgerUsers = 0;
+  const problems = [];
+
+  let last = null;
+  while (true) {
+    let q = db.collection("users").orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) q = q.startAfter(last);
+    const page = await q.select("rydrBank").get();
+    if (page.empty) break;
+
+    for (const doc of page.docs) {
+      if (!doc.get("rydrBank")) continue;
+      usersChecked++;
+      const result = await reconcileUser(doc.id);
+      if (result.preLedger) preLedgerUsers++;
+      if (!result.ok) problems.push(result);
+    }
+    last = page.docs[page.docs.length - 1];
+  }
+
+  const report = {
+    startedAt: admin.firestore.Timestamp.fromDate(startedAt),
+    finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    usersChecked,
+    preLedgerUsers,
+    mismatchedUsers: problems.length,
+    mismatches: problems.slice(0, MAX_REPORTED),
+  };
+  const runRef = await db.collection("reconciliations").add(report);
+  return {
+    runId: runRef.id,
+    usersChecked,
+    preLedgerUsers,
+    mismatchedUsers: problems.length,
+    mismatches: report.mismatches,
+  };
+}
+
+// CLI: node reconcile.js
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  reconcileAll()
+    .then((out) => {
+      console.log(JSON.stringify(out, null, 2));
+      process.exit(out.mismatchedUsers ? 1 : 0);
+    })
+    .catch((e) => {
+      console.error(e);
+      process.exit(2);
+    });
+}
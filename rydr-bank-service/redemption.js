@@ -0,0 +1,82 @@
+// redemption.js
+// What a RydrBank code is worth on a given ride. A code covers the fare for the
+// first maxMiles miles: booking fee + those miles + the same share of the time
+// charge (a 20 mi / 40 min ride with a 15 mi code covers 15/20 of the 40 min).
+// The rider owes the remainder.
+//
+// Fare rules mirror stripe-backend/fares.js (and RideManager.caps on the app);
+// keep the three in sync. All amounts are integer cents.
+
+const RIDE_TYPES = {
+  go:       { booking: 4.0, maxPerMile: 1.0, maxPerMinute: 0.5 },
+  xl:       { booking: 5.0, maxPerMile: 2.0, maxPerMinute: 0.5 },
+  prestine: { booking: 8.0, maxPerMile: 4.0, maxPerMinute: 1.0 },
+};
+
+// Rydr Pass: no booking fee, % off Prestine
+const MEMBER_PRESTINE_DISCOUNT = Number(process.env.MEMBER_PRESTINE_DISCOUNT || 0.1);
+
+export const DEFAULT_MAX_MILES = 15;
+
+function normalizeRideType(rideType) {
+  const key = String(rideType || "").toLowerCase();
+  if (key.includes("prestine")) return "prestine";
+  if (key.includes("xl")) return "xl";
+  return "go";
+}
+
+const toCents = (usd) => Math.round(usd * 100);
+
+function number(name, v) {
+  if (typeof v !== "number" || !Number.isFinite(v) || v < 0) throw new Error(`invalid_${name}`);
+  return v;
+}
+
+// perMile / perMinute are the driver's rates (capped per ride type); omitted -> the caps.
+// Throws "invalid_<field>" on bad input.
+export function computeRedemption({
+  rideType,
+  distanceMi,
+  durationMin,
+  perMile,
+  perMinute,
+  member = false,
+  maxMiles = DEFAULT_MAX_MILES,
+}) {
+  const type = normalizeRideType(rideType);
+  const c = RIDE_TYPES[type];
+  number("distance", distanceMi);
+  number("duration", durationMin);
+  number("max_miles", maxMiles);
+  const ratePerMile = Math.min(perMile == null ? c.maxPerMile : number("per_mile", perMile), c.maxPerMile);
+  const ratePerMinute = Math.min(
+    perMinute == null ? c.maxPerMinute : number("per_minute", perMinute),
+    c.maxPerMinute
+  );
+
+  const booking = member ? 0 : c.booking;
+  const discount = member && type === "prestine" ? MEMBER_PRESTINE_DISCOUNT : 0;
+  const priced = (miles, minutes) => {
+    const subtotal = toCents(booking + miles * ratePerMile + minutes * ratePerMinute);
+    return subtotal - Math.round(subtotal * discount);
+  };
+
+  const coveredMiles = Math.min(distanceMi, maxMiles);
+  const timeShare = distanceMi > 0 ? coveredMiles / distanceMi : 1;
+  const fare = priced(distanceMi, durationMin);
+  const covered = Math.min(fare, priced(coveredMiles, durationMin * timeShare));
+
+  return {
+    rideType: type,
+    distanceMi,
+    durationMin,
+    perMile: ratePerMile,
+    perMinute: ratePerMinute,
+    member: !!member,
+    maxMiles,
+    coveredMiles,
+    fareCents: fare,
+    coveredAmountCents: covered,
+    remainderCents: fare - covered,
+  };
+}
@@ -0,0 +1,261 @@
+// referrals.js
+// Referral program on top of RydrBank minting. Every rider has a persistent
+// referral code; a new rider who applies it and then completes a first
+// qualifying ride (the signed ride-completion accrual path) earns a banked ride
+// for both of them.
+//
+// referral_codes/{code}          { uid, createdAt }
+// users/{uid}.referralCode       the rider's own code
+// referrals/{refereeUid}         { referrerUid, code, status, deviceHashes, phone,
+//                                  createdAt, rewardedAt, rejectedReason, rewardCodes }
+//   status: pending -> rewarded | rejected; rewarded -> reversed when the
+//   qualifying ride's fare is refunded or disputed (unused reward codes voided)
+// referral_devices/{deviceHash}  { uid } first account seen on a device
+// users/{uid}/rydrDevices/{hash} devices the rider signed in on (POST /devices)
+// users/{uid}/rydrCards/{fp}     card fingerprints that paid for the rider's rides
+//
+// Anti-abuse: a device the rider signed in on that's tied to another account,
+// the referrer's phone number, a phone already used on another referral, or
+// paying the qualifying ride with a card the referrer has used all disqualify
+// the referral. Devices are only ever taken from sign-ins, never from the
+// referral request itself.
+
+import crypto from "node:crypto";
+import { admin, db } from "./firebase.js";
+import { recordEntry } from "./ledger.js";
+import { queueNotification } from "./outbox.js";
+import { randomCode, reserveUniqueCodeReadsOnly, writeMintedCode } from "./codes.js";
+
+const REFERRAL_SIGNUP_DAYS = Number(process.env.REFERRAL_SIGNUP_DAYS || 7);
+const REFERRAL_MAX_MILES = Number(process.env.REFERRAL_MAX_MILES || 15);
+
+const hash = (v) => crypto.createHash("sha256").update(String(v)).digest("hex");
+
+const devicesRef = (uid) => db.collection("users").doc(uid).collection("rydrDevices");
+
+// App sign-in (POST /devices): remembers the device on the account, and the
+// first account seen on the device. -> uid that owns the device
+export async function recordSignInDevice(uid, deviceId) {
+  const deviceHash = hash(deviceId);
+  const ref = db.collection("referral_devices").doc(deviceHash);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const seenAt = admin.firestore.FieldValue.serverTimestamp();
+    t.set(devicesRef(uid).doc(deviceHash), { lastSignInAt: seenAt }, { merge: true });
+    if (snap.exists) return snap.get("uid");
+    t.set(ref, { uid, firstSeenAt: seenAt });
+    return uid;
+  });
+}
+
+// READS ONLY. -> the rider's sign-in device hashes, and whether any of them is
+// another account's device
+async function signInDevices(t, uid) {
+  const devices = (await t.get(devicesRef(uid))).docs.map((d) => d.id);
+  const owners = await Promise.all(devices.map((h) => t.get(db.collection("referral_devices").doc(h))));
+  return { devices, shared: owners.some((o) => o.exists && o.get("uid") !== uid) };
+}
+
+// Cards seen on completed rides (from stripe-backend's ride events)
+export async function recordCard(uid, fingerprint) {
+  if (!fingerprint) return;
+  await db
+    .collection("users")
+    .doc(uid)
+    .collection("rydrCards")
+    .doc(fingerprint)
+    .set({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+}
+
+// The caller's referral code, created on first use
+export async function referralCodeFor(uid) {
+  const userRef = db.collection("users").doc(uid);
+  return db.runTransaction(async (t) => {
+    const userSnap = await t.get(userRef);
+    const existing = userSnap.get("referralCode");
+    if (existing) return existing;
+
+    let code;
+    let codeRef;
+    do {
+      code = randomCode(8, "RF");
+      codeRef = db.collection("referral_codes").doc(code);
+    } while ((await t.get(codeRef)).exists);
+
+    t.set(codeRef, { uid, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    t.set(userRef, { referralCode: code }, { merge: true });
+    return code;
+  });
+}
+
+// New rider enters a referral code. -> the pending referral
+export async function applyReferral(uid, { code }) {
+  const codeSnap = await db.collection("referral_codes").doc(String(code).toUpperCase()).get();
+  if (!codeSnap.exists) throw new Error("referral_not_found");
+  const referrerUid = codeSnap.get("uid");
+  if (referrerUid === uid) throw new Error("cannot_refer_self");
+
+  const [referee, referrer] = await Promise.all([
+    admin.auth().getUser(uid),
+    admin.auth().getUser(referrerUid).catch(() => null),
+  ]);
+  const createdMs = Date.parse(referee.metadata.creationTime);
+  if (Date.now() - createdMs > REFERRAL_SIGNUP_DAYS * 24 * 3600 * 1000) throw new Error("not_a_new_rider");
+
+  const phone = referee.phoneNumber || null;
+  if (phone) {
+    if (phone === referrer?.phoneNumber) throw new Error("same_phone");
+    const used = await db.collection("referrals").where("phone", "==", phone).limit(1).get();
+    if (!used.empty) throw new Error("phone_already_used");
+  }
+
+  const userRef = db.collection("users").doc(uid);
+  const referralRef = db.collection("referrals").doc(uid);
+  return db.runTransaction(async (t) => {
+    const [userSnap, existing, { devices, shared }] = await Promise.all([
+      t.get(userRef),
+      t.get(referralRef),
+      signInDevices(t, uid),
+    ]);
+    if (existing.exists) throw new Error("already_referred");
+    if ((userSnap.get("rydrBank.totalEligible") || 0) > 0) throw new Error("not_a_new_rider");
+    if (!devices.length) throw new Error("device_required");
+    if (shared) throw new Error("device_already_used");
+
+    const referral = {
+      referrerUid,
+      code: codeSnap.id,
+      status: "pending",
+      deviceHashes: devices,
+      phone,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      rewardedAt: null,
+      rejectedReason: null,
+      rewardCodes: [],
+    };
+    t.set(referralRef, referral);
+    return { referrerUid, code: codeSnap.id, status: "pending" };
+  });
+}
+
+// Called after a ride accrued for uid. Pays out a pending referral on the
+// referee's first qualifying ride. -> { rewarded, codes } | { rejected, reason } | null
+export async function rewardReferral(uid, { rideId, cardFingerprint = null }) {
+  const referralRef = db.collection("referrals").doc(uid);
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const referralSnap = await t.get(referralRef);
+    if (!referralSnap.exists || referralSnap.get("status") !== "pending") return null;
+    const referrerUid = referralSnap.get("referrerUid");
+
+    // Signed in since applying on a device another account already uses
+    const { shared } = await signInDevices(t, uid);
+    if (shared) {
+      t.update(referralRef, { status: "rejected", rejectedReason: "device_already_used", qualifyingRideId: rideId });
+      return { rejected: true, reason: "device_already_used" };
+    }
+
+    if (cardFingerprint) {
+      const cardRef = db.collection("users").doc(referrerUid).collection("rydrCards").doc(cardFingerprint);
+      if ((await t.get(cardRef)).exists) {
+        t.update(referralRef, { status: "rejected", rejectedReason: "same_card", qualifyingRideId: rideId });
+        return { rejected: true, reason: "same_card" };
+      }
+    }
+
+    const taken = new Set();
+    const plans = [];
+    for (const owner of [referrerUid, uid]) {
+      const { code, indexRef } = await reserveUniqueCodeReadsOnly(t, taken); // READS ONLY
+      taken.add(code);
+      plans.push({ owner, code, indexRef });
+    }
+
+    // === WRITES ===
+    for (const { owner, code, indexRef } of plans) {
+      writeMintedCode(t, owner, {
+        code,
+        indexRef,
+        maxMiles: REFERRAL_MAX_MILES,
+        transferable: false,
+        source: "referral",
+      });
+      recordEntry(t, owner, { type: "mint", code, rideId, reason: "referral", refereeUid: uid });
+      queueNotification(t, "reward_minted", { uid: owner }, {
+        codes: [code],
+        maxMiles: REFERRAL_MAX_MILES,
+        reason: "referral",
+      });
+    }
+    t.update(referralRef, {
+      status: "rewarded",
+      rewardedAt: admin.firestore.FieldValue.serverTimestamp(),
+      qualifyingRideId: rideId,
+      rewardCodes: plans.map((p) => p.code),
+    });
+    return { rewarded: true, codes: plans.map((p) => p.code) };
+  });
+}
+
+// READS ONLY — for reverseAccrual. The referral that `rideId` paid out, if it
+// did, and its reward codes that can still be taken back (active or reserved;
+// a used code stays used). -> plan for writeReferralClawback, or null
+export async function readReferralClawback(t, uid, rideId) {
+  const referralRef = db.collection("referrals").doc(uid);
+  const referralSnap = await t.get(referralRef);
+  if (referralSnap.get("status") !== "rewarded" || referralSnap.get("qualifyingRideId") !== rideId) return null;
+
+  const voidable = [];
+  for (const code of referralSnap.get("rewardCodes") || []) {
+    const idxSnap = await t.get(db.collection("codes_index").doc(code));
+    const owner = idxSnap.get("currentOwnerUid");
+    if (!owner || !idxSnap.get("codeDocPath")) continue;
+    const codeRef = db.doc(idxSnap.get("codeDocPath"));
+    const data = (await t.get(codeRef)).data();
+    if (data && (data.status === "active" || data.status === "reserved")) {
+      voidable.push({ owner, code, codeRef, from: data.status });
+    }
+  }
+  return { uid, rideId, referralRef, voidable };
+}
+
+// WRITES ONLY — voids what readReferralClawback found and marks the referral reversed
+export function writeReferralClawback(t, { uid, rideId, referralRef, voidable }, reason) {
+  for (const { owner, code, codeRef, from } of voidable) {
+    t.update(codeRef, { status: "void", reservedRideId: null, reservedUntil: null, voidReason: "referral_reversed" });
+    recordEntry(t, owner, { type: "void", from, code, rideId, reason: "referral_reversed", refereeUid: uid });
+  }
+  t.update(referralRef, {
+    status: "reversed",
+    reversedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reversalReason: reason || null,
+    voidedCodes: voidable.map((v) => v.code),
+  });
+}
+
+const toIso = (ts) => ts?.toDate?.().toISOString() || null;
+
+// For GET /referrals: the caller's code, who they referred, and who referred them
+export async function referralSummary(uid) {
+  const [code, sent, mine] = await Promise.all([
+    referralCodeFor(uid),
+    db.collection("referrals").where("referrerUid", "==", uid).get(),
+    db.collection("referrals").doc(uid).get(),
+  ]);
+  const view = (id, r) => ({
+    id,
+    status: r.status,
+    createdAt: toIso(r.createdAt),
+    rewardedAt: toIso(r.rewardedAt),
+    rejectedReason: r.rejectedReason || null,
+  });
+  const referrals = sent.docs.map((d) => view(d.id, d.data()));
+  return {
+    code,
+    pending: referrals.filter((r) => r.status === "pending"),
+    rewarded: referrals.filter((r) => r.status === "rewarded"),
+    rejected: referrals.filter((r) => r.status === "rejected"),
+    reversed: referrals.filter((r) => r.status === "reversed"),
+    referredBy: mine.exists ? { ...view(mine.id, mine.data()), code: mine.get("code") } : null,
+  };
+}
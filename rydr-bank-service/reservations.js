@@ -0,0 +1,171 @@
+// reservations.js
+// Time-limited code reservations. /promo/preview reserves a code for one booking
+// until reservedUntil (RESERVATION_TTL_MINUTES); the sweeper puts expired
+// reservations back to "active" so an abandoned booking can't hold a code forever.
+//
+// users/{uid}/rydrReservations/{bookingId}: { code, reservedUntil, consumedAt }
+// is the lock that keeps a booking to one code; it stays after consume.
+//
+// Scheduled rides (rydr-dispatch-service) hold a code until their pickup time
+// instead, and move the hold to the ride that's dispatched for them. An
+// immediate ride's hold is extended once a driver accepts it (extendBooking), so
+// a long ride doesn't outlive its reservation before the fare is captured.
+//
+// The sweeper's collection-group query needs the rydrBankCodes.status
+// single-field index enabled for collection group scope.
+
+import { admin, db } from "./firebase.js";
+import { recordEntry } from "./ledger.js";
+
+export const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES || 30);
+export const MAX_HOLD_DAYS = Number(process.env.MAX_HOLD_DAYS || 31); // longest a scheduled ride may hold a code
+
+export function reservationRef(uid, bookingId) {
+  return db.collection("users").doc(uid).collection("rydrReservations").doc(bookingId);
+}
+
+export function newReservedUntil() {
+  return admin.firestore.Timestamp.fromMillis(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+}
+
+// Reservations made before the TTL existed have no reservedUntil: treat as expired
+export function isExpired(reservedUntil) {
+  return !reservedUntil || reservedUntil.toMillis() <= Date.now();
+}
+
+// True when another code already holds (or was used for) this booking
+export function bookingHeldByOther(lockSnap, code) {
+  if (!lockSnap.exists || lockSnap.get("code") === code) return false;
+  return !!lockSnap.get("consumedAt") || !isExpired(lockSnap.get("reservedUntil"));
+}
+
+// WRITES ONLY: a reserved code back to "active", its booking lock dropped.
+// lockSnap = the reservationRef(uid, data.reservedRideId) read, if any.
+export function writeRelease(t, uid, codeRef, data, lockSnap, details = {}) {
+  t.update(codeRef, { status: "active", reservedRideId: null, reservedUntil: null });
+  if (lockSnap?.exists && lockSnap.get("code") === data.code) t.delete(lockSnap.ref);
+  recordEntry(t, uid, {
+    type: "release",
+    from: "reserved",
+    code: data.code,
+    rideId: data.reservedRideId,
+    ...details,
+  });
+}
+
+// Reserves `code` for `bookingId` until `reservedUntil`, or just extends the hold
+// if this booking already has it. fromBookingId: take over the hold another of
+// the rider's bookings has on the code (a scheduled ride -> its dispatched ride).
+// -> reservedUntil
+export async function reserveCode(uid, code, bookingId, reservedUntil, { fromBookingId = null } = {}) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const idxSnap = await t.get(db.collection("codes_index").doc(code));
+    if (!idxSnap.exists) throw new Error("not_found");
+    if (idxSnap.get("currentOwnerUid") !== uid) throw new Error("not_owner");
+
+    const codeRef = db.doc(idxSnap.get("codeDocPath"));
+    const codeSnap = await t.get(codeRef);
+    const data = codeSnap.data();
+    if (!data) throw new Error("not_found");
+
+    const lockRef = reservationRef(uid, bookingId);
+    const lockSnap = await t.get(lockRef);
+    const moving = !!fromBookingId && data.status === "reserved" && data.reservedRideId === fromBookingId;
+    const fromLockSnap = moving ? await t.get(reservationRef(uid, fromBookingId)) : null;
+
+    // Already reserved for this booking: just extend the hold
+    if (data.status === "reserved" && data.reservedRideId === bookingId) {
+      t.update(codeRef, { reservedUntil });
+      t.set(lockRef, { code, reservedUntil });
+      return reservedUntil;
+    }
+    if (data.status !== "active" && !moving) throw new Error("not_active");
+    if (bookingHeldByOther(lockSnap, code)) throw new Error("booking_has_code");
+
+    // === WRITES ===
+    if (moving) writeRelease(t, uid, codeRef, data, fromLockSnap, { reason: "moved", toRideId: bookingId });
+    t.update(codeRef, { status: "reserved", reservedRideId: bookingId, reservedUntil });
+    t.set(lockRef, { code, reservedUntil });
+    recordEntry(t, uid, { type: "reserve", from: "active", code, rideId: bookingId });
+    return reservedUntil;
+  });
+}
+
+// Extends the hold `bookingId` already has on a code to `reservedUntil` (never
+// shortens it). -> the hold's reservedUntil, or null if the booking holds no code
+export async function extendBooking(uid, bookingId, reservedUntil) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const lockRef = reservationRef(uid, bookingId);
+    const lockSnap = await t.get(lockRef);
+    if (!lockSnap.exists || lockSnap.get("consumedAt")) return null;
+    const idxSnap = await t.get(db.collection("codes_index").doc(lockSnap.get("code")));
+    if (!idxSnap.exists || idxSnap.get("currentOwnerUid") !== uid) return null;
+    const codeRef = db.doc(idxSnap.get("codeDocPath"));
+    const data = (await t.get(codeRef)).data();
+    if (!data || data.status !== "reserved" || data.reservedRideId !== bookingId) return null;
+    if (!isExpired(data.reservedUntil) && data.reservedUntil.toMillis() >= reservedUntil.toMillis()) {
+      return data.reservedUntil;
+    }
+
+    // === WRITES ===
+    t.update(codeRef, { reservedUntil });
+    t.set(lockRef, { code: data.code, reservedUntil });
+    return reservedUntil;
+  });
+}
+
+// Releases whatever code `bookingId` holds (no-op if none or already used).
+// -> the released code or null
+export async function releaseBooking(uid, bookingId, details = {}) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const lockSnap = await t.get(reservationRef(uid, bookingId));
+    if (!lockSnap.exists || lockSnap.get("consumedAt")) return null;
+    const idxSnap = await t.get(db.collection("codes_index").doc(lockSnap.get("code")));
+    if (!idxSnap.exists || idxSnap.get("currentOwnerUid") !== uid) return null;
+    const codeRef = db.doc(idxSnap.get("codeDocPath"));
+    const codeSnap = await t.get(codeRef);
+    const data = codeSnap.data();
+    if (!data || data.status !== "reserved" || data.reservedRideId !== bookingId) return null;
+
+    // === WRITES ===
+    writeRelease(t, uid, codeRef, data, lockSnap, details);
+    return data.code;
+  });
+}
+
+// Returns one expired reservation to "active". Skips it if it was consumed,
+// released or re-reserved since the sweep query ran.
+async function expireOne(codeRef) {
+  const uid = codeRef.parent.parent.id;
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const codeSnap = await t.get(codeRef);
+    const data = codeSnap.data();
+    if (!data || data.status !== "reserved" || !isExpired(data.reservedUntil)) return false;
+    const lockRef = data.reservedRideId ? reservationRef(uid, data.reservedRideId) : null;
+    const lockSnap = lockRef ? await t.get(lockRef) : null;
+
+    // === WRITES ===
+    writeRelease(t, uid, codeRef, data, lockSnap, { reason: "reservation_expired" });
+    return true;
+  });
+}
+
+// Reserved codes are only those in an open booking, so scanning them is cheap
+export async function sweepExpiredReservations() {
+  const snap = await db.collectionGroup("rydrBankCodes").where("status", "==", "reserved").get();
+
+  let released = 0;
+  for (const doc of snap.docs) {
+    if (!isExpired(doc.get("reservedUntil"))) continue;
+    try {
+      if (await expireOne(doc.ref)) released++;
+    } catch (e) {
+      console.error("reservation sweep:", doc.ref.path, e.message);
+    }
+  }
+  return { checked: snap.size, released };
+}
@@ -0,0 +1,138 @@
+// rewards.js
+// RydrBank reward rules, read from versioned configs in Firestore instead of
+// being hard-coded. rewardConfigs/{id} docs are never edited in place: marketing
+// publishes a new doc with a higher `version`; the one in force is the doc with
+// the latest effectiveFrom that has passed. No config -> DEFAULT_CONFIG (the
+// original rule: 5+ mile rides, every 10th mints a 15-mile code).
+//
+// rewardConfigs/{id}: {
+//   version: 4, effectiveFrom: Timestamp,
+//   minDistanceMi: 5, ridesPerCode: 10, maxMiles: 15,
+//   rideTypeMultipliers: { prestine: 2 },                       // Prestine counts 2x
+//   newRider: { untilCredits: 10, minDistanceMi: 3, ridesPerCode: 5 },
+//   tiers: [{ name: "gold", minCodesEarned: 5, maxMiles: 25 }],  // loyalty tiers
+//   campaigns: [{ id: "double-weekend", startsAt, endsAt, multiplier: 2,
+//                 rideTypes?: ["go"], minDistanceMi?: 3 }],
+// }
+//
+// A ride earns `credits` (ride type multiplier x best active campaign multiplier);
+// rydrBank.progress collects credits and each ridesPerCode of progress mints a code.
+
+import { admin, db } from "./firebase.js";
+
+export const DEFAULT_CONFIG = {
+  id: "default",
+  version: 0,
+  minDistanceMi: 5,
+  ridesPerCode: 10,
+  maxMiles: 15,
+  rideTypeMultipliers: {},
+  newRider: null,
+  tiers: [],
+  campaigns: [],
+};
+
+const MAX_CODES_PER_RIDE = 3; // bounds the code-index reads in one transaction
+
+const toMillis = (v) => (v?.toMillis ? v.toMillis() : v ? Date.parse(v) : NaN);
+
+function positive(v, fallback) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+export function normalizeRideType(rideType) {
+  const key = String(rideType || "").toLowerCase();
+  if (key.includes("prestine")) return "prestine";
+  if (key.includes("xl")) return "xl";
+  return "go";
+}
+
+// Firestore doc -> config with defaults filled in (bad values fall back)
+export function normalizeConfig(id, data) {
+  const d = data || {};
+  return {
+    id,
+    version: Number(d.version) || 0,
+    minDistanceMi: positive(d.minDistanceMi, DEFAULT_CONFIG.minDistanceMi),
+    ridesPerCode: Math.round(positive(d.ridesPerCode, DEFAULT_CONFIG.ridesPerCode)),
+    maxMiles: positive(d.maxMiles, DEFAULT_CONFIG.maxMiles),
+    rideTypeMultipliers: d.rideTypeMultipliers || {},
+    newRider: d.newRider || null,
+    tiers: Array.isArray(d.tiers) ? d.tiers : [],
+    campaigns: Array.isArray(d.campaigns) ? d.campaigns : [],
+  };
+}
+
+// READ ONLY — call with the other reads at the top of a transaction
+export async function readActiveConfig(t) {
+  const q = db
+    .collection("rewardConfigs")
+    .where("effectiveFrom", "<=", admin.firestore.Timestamp.now())
+    .orderBy("effectiveFrom", "desc")
+    .limit(1);
+  const snap = await t.get(q);
+  return snap.empty ? DEFAULT_CONFIG : normalizeConfig(snap.docs[0].id, snap.docs[0].data());
+}
+
+// Pure: what this ride earns under `config`. `bank` is the user's rydrBank map.
+// -> { eligible, credits, ridesPerCode, maxMiles, tier, newRider, campaigns, ruleVersion }
+export function evaluateRide(config, { rideType, distanceMi, bank = {}, now = Date.now() }) {
+  const type = normalizeRideType(rideType);
+  const ruleVersion = config.version;
+
+  const newRider =
+    !!config.newRider && (bank.totalEligible || 0) < positive(config.newRider.untilCredits, 0);
+  let minDistanceMi = newRider
+    ? positive(config.newRider.minDistanceMi, config.minDistanceMi)
+    : config.minDistanceMi;
+  const ridesPerCode = newRider
+    ? Math.round(positive(config.newRider.ridesPerCode, config.ridesPerCode))
+    : config.ridesPerCode;
+
+  const campaigns = config.campaigns.filter((c) => {
+    const start = toMillis(c.startsAt);
+    const end = toMillis(c.endsAt);
+    if (!(start <= now && now < end)) return false;
+    return !Array.isArray(c.rideTypes) || c.rideTypes.map(normalizeRideType).includes(type);
+  });
+  for (const c of campaigns) minDistanceMi = Math.min(minDistanceMi, positive(c.minDistanceMi, minDistanceMi));
+
+  // Loyalty tier from codes earned so far; the highest tier reached wins
+  const tier = config.tiers
+    .filter((tr) => (bank.codesEarned || 0) >= (tr.minCodesEarned || 0))
+    .sort((a, b) => (b.minCodesEarned || 0) - (a.minCodesEarned || 0))[0] || null;
+  const maxMiles = positive(tier?.maxMiles, config.maxMiles);
+
+  if (typeof distanceMi !== "number" || distanceMi < minDistanceMi) {
+    return { eligible: false, credits: 0, ridesPerCode, maxMiles, tier: null, newRider, campaigns: [], ruleVersion };
+  }
+
+  const typeMultiplier = positive(config.rideTypeMultipliers[type], 1);
+  const campaignMultiplier = Math.max(1, ...campaigns.map((c) => positive(c.multiplier, 1)));
+  return {
+    eligible: true,
+    credits: Math.max(1, Math.round(typeMultiplier * campaignMultiplier)),
+    ridesPerCode,
+    maxMiles,
+    tier: tier?.name || null,
+    newRider,
+    campaigns: campaigns.map((c) => c.id || null).filter(Boolean),
+    ruleVersion,
+  };
+}
+
+// How many codes this ride mints given progress before it. -> { mints, progressAfter }
+export function mintsFor(progressBefore, credits, ridesPerCode) {
+  let progress = progressBefore + credits;
+  let mints = 0;
+  while (progress >= ridesPerCode && mints < MAX_CODES_PER_RIDE) {
+    progress -= ridesPerCode;
+    mints++;
+  }
+  return { mints, progressAfter: progress };
+}
+
+// Users from before rydrBank.progress existed: progress under the old 1-in-10 rule
+export function currentProgress(bank = {}) {
+  return typeof bank.progress === "number" ? bank.progress : (bank.eligibleCount || 0) % 10;
+}
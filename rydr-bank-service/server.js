@@ -4,26 +4,70 @@
 // - Adds notifications (SendGrid email + Twilio SMS)
 // - Supports transfers to existing users (in‑app) and non‑users (web code)
 // - Adds web booking endpoints for non‑users
+// - Every balance change is written to the append-only ledger (ledger.js)
+// - Accrual only from signed server-to-server ride events (stripe-backend)
 
+import crypto from "node:crypto";
 import express from "express";
 import cors from "cors";
-import admin from "firebase-admin";
-
-// ---------- Firebase Admin ----------
-if (!admin.apps.length) {
-  admin.initializeApp({
-    // On Render, mount your service account JSON as a Secret File
-    // Path should be /etc/secrets/firebase.json and exposed via env if desired
-    credential: admin.credential.cert(
-      process.env.GOOGLE_APPLICATION_CREDENTIALS || "/etc/secrets/firebase.json"
-    ),
-  });
-}
-const db = admin.firestore();
+import { admin, db } from "./firebase.js";
+import { recordEntry, listEntries } from "./ledger.js";
+import { reconcileAll } from "./reconcile.js";
+import { queueNotification, deliverDueNotifications, listDeadNotifications, requeueNotification } from "./outbox.js";
+import { reserveUniqueCodeReadsOnly, writeMintedCode } from "./codes.js";
+import {
+  RESERVATION_TTL_MINUTES,
+  MAX_HOLD_DAYS,
+  reservationRef,
+  newReservedUntil,
+  writeRelease,
+  reserveCode,
+  extendBooking,
+  releaseBooking,
+  sweepExpiredReservations,
+} from "./reservations.js";
+import { computeRedemption, DEFAULT_MAX_MILES } from "./redemption.js";
+import {
+  externalOwner,
+  newClaimToken,
+  claimUrl,
+  claimExpiresAt,
+  assertExternalClaim,
+  claimPendingCodes,
+  returnGift,
+  sweepExpiredGifts,
+} from "./claims.js";
+import {
+  readActiveConfig,
+  evaluateRide,
+  mintsFor,
+  currentProgress,
+  normalizeRideType,
+} from "./rewards.js";
+import {
+  lookupCode,
+  lookupUser,
+  grantCode,
+  voidCode,
+  forceRelease,
+  reissueCode,
+  adjustProgress,
+  searchAudits,
+} from "./admin.js";
+import {
+  applyReferral,
+  recordCard,
+  recordSignInDevice,
+  referralSummary,
+  rewardReferral,
+  readReferralClawback,
+  writeReferralClawback,
+} from "./referrals.js";
 
 // ---------- Express ----------
 const app = express();
-app.use(express.json());
+// Keep the raw body: signed ride events are verified against the exact bytes sent
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 app.use(cors({ origin: true })); // tighten later
 
 // ---------- Auth middleware ----------
@@ -34,177 +78,304 @@ async function requireAuth(req, res, next) {
     if (!token) return res.status(401).json({ error: "Missing token" });
     const decoded = await admin.auth().verifyIdToken(token);
     req.uid = decoded.uid;
+    req.email = decoded.email || null;
+    req.emailVerified = decoded.email_verified === true;
+    req.claims = decoded;
     next();
   } catch (e) {
     res.status(401).json({ error: "Invalid token" });
   }
 }
 
-// ===== Notifications (email + SMS) =====
-import sgMail from "@sendgrid/mail";
-sgMail.setApiKey(process.env.SENDGRID_API_KEY || ""); // set in Render
-
-import twilio from "twilio";
-const twilioClient =
-  process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
-    ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
-    : null;
-
-const FROM_EMAIL = process.env.EMAIL_FROM || "support@rydr-go.com";
-const FROM_NAME = process.env.EMAIL_FROM_NAME || "Rydr Support";
-const SMS_FROM = process.env.TWILIO_FROM || ""; // +1555...
-
-function giftEmailContent(friendName, code) {
-  const safeName =
-    friendName && friendName.trim().length > 0 ? friendName.trim() : "there";
-  const siteUrl = "https://www.rydr-go.com";
-  const subject = "You’ve been gifted a free Rydr ride";
-
-  const text = `Hi ${safeName},
-
-Congratulations! You have just been gifted a free ride from your friend. If you have a Rydr account the promo code for the free ride will be added to your RydrBank. The free ride is good for up to a 15 mile ride. Keep in mind, this promo code is only good for one ride even if the ride is less than 15 miles.
-
-If you do not have a Rydr account, but would still like to take advantage of the promo code, please go to ${siteUrl} and use the web to book your ride using the promo code.
-
-Promo Code: ${code}
-
-Happy Rydying!
-
-Rydr Support`;
-
-  const html = `
-  <p>Hi ${safeName},</p>
-  <p>Congratulations! You have just been gifted a free ride from your friend. If you have a Rydr account the promo code for the free ride will be added to your RydrBank. The free ride is good for up to a 15 mile ride. Keep in mind, this promo code is only good for one ride even if the ride is less than 15 miles.</p>
-  <p>If you do not have a Rydr account, but would still like to take advantage of the promo code, please go to <a href="${siteUrl}" target="_blank">${siteUrl}</a> and use the web to book your ride using the promo code.</p>
-  <p><strong>Promo Code:</strong> ${code}</p>
-  <p>Happy Rydying!</p>
-  <p>Rydr Support</p>`;
-
-  return { subject, text, html };
+// Firebase App Check token (X-Firebase-AppCheck): the call comes from the Rydr app
+async function requireAppCheck(req, res, next) {
+  const token = req.headers["x-firebase-appcheck"];
+  if (!token) return res.status(401).json({ error: "app_check_required" });
+  try {
+    await admin.appCheck().verifyToken(String(token));
+    next();
+  } catch (e) {
+    res.status(401).json({ error: "app_check_failed" });
+  }
 }
 
-async function sendGiftEmail({ toEmail, friendName, code }) {
-  if (!process.env.SENDGRID_API_KEY) return;
-  const { subject, text, html } = giftEmailContent(friendName, code);
-  await sgMail.send({
-    to: toEmail,
-    from: { email: FROM_EMAIL, name: FROM_NAME },
-    subject,
-    text,
-    html,
-  });
-}
+// ---------- Signed server-to-server calls ----------
+// x-rydr-timestamp: unix seconds; x-rydr-signature: hex HMAC-SHA256 of
+// `${timestamp}.${rawBody}` with the caller's secret: RIDE_EVENTS_SECRET for ride
+// events from stripe-backend, DISPATCH_SIGNING_SECRET for scheduled-ride code
+// holds from rydr-dispatch-service. Old timestamps are rejected so a captured
+// request can't be replayed later.
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function requireSignature(secretEnv) {
+  return (req, res, next) => {
+    const secret = process.env[secretEnv];
+    const timestamp = Number(req.headers["x-rydr-timestamp"]);
+    const signature = String(req.headers["x-rydr-signature"] || "");
+    if (!secret || !req.rawBody) return res.status(401).json({ error: "unauthorized" });
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return res.status(401).json({ error: "stale_event" });
+    }
 
-async function sendGiftSms({ toPhone, code }) {
-  if (!twilioClient || !SMS_FROM || !toPhone) return;
-  const msg = `You’ve been gifted a free Rydr ride. Promo code: ${code}. Book at https://www.rydr-go.com`;
-  await twilioClient.messages.create({ to: toPhone, from: SMS_FROM, body: msg });
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${req.rawBody}`)
+      .digest("hex");
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return res.status(401).json({ error: "bad_signature" });
+    }
+    next();
+  };
 }
 
-// ---------- Helpers ----------
-const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no I,O,1,0
-function randomCode(len = 8) {
-  let s = "";
-  for (let i = 0; i < len; i++) s += ALPHABET[Math.floor(Math.random() * ALPHABET.length)];
-  return `RB-${s.slice(0, 4)}-${s.slice(4, 8)}`;
-}
+const requireRideEventSignature = requireSignature("RIDE_EVENTS_SECRET");
+// How dispatch measured a completed ride (rydr-dispatch-service dispatch.js tripDistance)
+const DISTANCE_SOURCES = ["tracked", "estimated"];
+const requireDispatchSignature = requireSignature("DISPATCH_SIGNING_SECRET");
 
-// Only READS a free code in the transaction; returns chosen code + indexRef to write later
-async function reserveUniqueCodeReadsOnly(t) {
-  while (true) {
-    const code = randomCode(8);
-    const indexRef = db.collection("codes_index").doc(code);
-    const idxSnap = await t.get(indexRef); // READ
-    if (!idxSnap.exists) return { code, indexRef };
-  }
-}
+// ---------- Helpers ----------
 
 // Combined accrual + (optional) mint inside ONE transaction with proper ordering.
-async function accrueAndMaybeMintInOneTxn(uid, rideId, distanceMi) {
-  if (typeof distanceMi !== "number" || distanceMi < 5) {
+// Eligibility, credits and code size come from the active reward config (rewards.js);
+// each minted code is stamped with the rule version that produced it.
+async function accrueAndMaybeMintInOneTxn(uid, rideId, distanceMi, rideType, distanceSource) {
+  if (typeof distanceMi !== "number" || distanceMi < 0) {
     return { eligible: false, minted: null };
   }
 
   const userRef = db.collection("users").doc(uid);
   const contribRef = userRef.collection("rydrContrib").doc(rideId);
 
-  const result = await db.runTransaction(async (t) => {
+  return db.runTransaction(async (t) => {
     // === READS FIRST ===
-    const [contribSnap, userSnap] = await Promise.all([t.get(contribRef), t.get(userRef)]);
+    const [contribSnap, userSnap, config] = await Promise.all([
+      t.get(contribRef),
+      t.get(userRef),
+      readActiveConfig(t),
+    ]);
 
     if (contribSnap.exists) {
-      const bank = (userSnap.exists ? userSnap.get("rydrBank") : null) || {};
-      return { eligible: true, minted: null, currentEligible: bank.eligibleCount || 0 };
+      return { eligible: !contribSnap.get("reversedAt"), minted: null, duplicate: true };
     }
 
     const bank = (userSnap.exists ? userSnap.get("rydrBank") : null) || {};
-    const currentEligible = bank.eligibleCount || 0;
-    const nextEligible = currentEligible + 1;
-
-    let mintPlan = null;
-    if (nextEligible % 10 === 0) {
-      const { code, indexRef } = await reserveUniqueCodeReadsOnly(t); // READS ONLY
-      const newCodeRef = userRef.collection("rydrBankCodes").doc();
-      mintPlan = { code, indexRef, newCodeRef };
+    const rule = evaluateRide(config, { rideType, distanceMi, bank });
+    if (!rule.eligible) return { eligible: false, minted: null, ruleVersion: rule.ruleVersion };
+
+    const progressBefore = currentProgress(bank);
+    const { mints } = mintsFor(progressBefore, rule.credits, rule.ridesPerCode);
+
+    const mintPlans = [];
+    const taken = new Set();
+    for (let i = 0; i < mints; i++) {
+      const { code, indexRef } = await reserveUniqueCodeReadsOnly(t, taken); // READS ONLY
+      taken.add(code);
+      mintPlans.push({ code, indexRef });
     }
 
     // === WRITES AFTER ALL READS ===
     t.set(contribRef, {
       contributedAt: admin.firestore.FieldValue.serverTimestamp(),
       distanceMi,
+      distanceSource,
+      rideType: normalizeRideType(rideType),
+      credits: rule.credits,
+      ruleVersion: rule.ruleVersion,
+      campaigns: rule.campaigns,
+      mintedCodes: mintPlans.map((m) => m.code),
+      mintCost: rule.ridesPerCode,
+    });
+
+    // Users from before rydrBank.progress existed get their old progress seeded here
+    const seed = typeof bank.progress === "number" ? 0 : progressBefore;
+    recordEntry(t, uid, {
+      type: "earn",
+      rideId,
+      distanceMi,
+      distanceSource,
+      credits: rule.credits,
+      progress: seed + rule.credits,
+      ruleVersion: rule.ruleVersion,
+      campaigns: rule.campaigns,
     });
+    t.set(userRef, { rydrBank: { progressTarget: rule.ridesPerCode } }, { merge: true });
 
-    t.set(
-      userRef,
-      {
-        rydrBank: {
-          eligibleCount: admin.firestore.FieldValue.increment(1),
-          totalEligible: admin.firestore.FieldValue.increment(1),
-        },
-      },
-      { merge: true }
-    );
-
-    if (mintPlan) {
-      const { code, indexRef, newCodeRef } = mintPlan;
-
-      t.set(indexRef, {
+    for (const { code, indexRef } of mintPlans) {
+      writeMintedCode(t, uid, {
         code,
-        currentOwnerUid: uid,
-        codeDocPath: newCodeRef.path,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        indexRef,
+        maxMiles: rule.maxMiles,
+        ruleVersion: rule.ruleVersion,
+        rewardConfigId: config.id,
+        tier: rule.tier,
       });
 
-      t.set(newCodeRef, {
+      recordEntry(t, uid, {
+        type: "mint",
         code,
-        status: "active", // active | reserved | used | void
-        maxMiles: 15,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        reservedRideId: null,
-        usedRideId: null,
-        originalOwnerUid: uid,
-        transferCount: 0,
-        transferable: true,
+        rideId,
+        progress: -rule.ridesPerCode,
+        ruleVersion: rule.ruleVersion,
+      });
+    }
+    if (mintPlans.length) {
+      queueNotification(t, "reward_minted", { uid }, {
+        codes: mintPlans.map((m) => m.code),
+        maxMiles: rule.maxMiles,
+        reason: "rides",
       });
+    }
+
+    return {
+      eligible: true,
+      credits: rule.credits,
+      minted: mintPlans[0]?.code || null,
+      mintedCodes: mintPlans.map((m) => m.code),
+      ruleVersion: rule.ruleVersion,
+    };
+  });
+}
 
-      t.set(
-        userRef,
-        {
-          rydrBank: {
-            codesAvailable: admin.firestore.FieldValue.increment(1),
-            codesEarned: admin.firestore.FieldValue.increment(1),
-          },
-        },
-        { merge: true }
-      );
-
-      return { eligible: true, minted: code, currentEligible: nextEligible };
+// Undo a ride's accrual after its fare was refunded or disputed. Voids the codes
+// that ride minted if they're still unused (their progress is given back); a used
+// or transferred code stays. If it was the ride that paid out a referral, both
+// riders' unused referral codes are voided too. A reversal that arrives before
+// the completion leaves a tombstone, so the late completion doesn't accrue.
+async function reverseAccrual(uid, rideId, reason) {
+  const userRef = db.collection("users").doc(uid);
+  const contribRef = userRef.collection("rydrContrib").doc(rideId);
+
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const contribSnap = await t.get(contribRef);
+    if (contribSnap.get("reversedAt")) return { reversed: false, voidedCodes: [] };
+
+    const voidable = [];
+    for (const code of (contribSnap.exists && contribSnap.get("mintedCodes")) || []) {
+      const idxSnap = await t.get(db.collection("codes_index").doc(code));
+      if (idxSnap.get("currentOwnerUid") !== uid || !idxSnap.get("codeDocPath")) continue;
+      const codeRef = db.doc(idxSnap.get("codeDocPath"));
+      const data = (await t.get(codeRef)).data();
+      if (data && (data.status === "active" || data.status === "reserved")) {
+        voidable.push({ code, codeRef, from: data.status });
+      }
+    }
+    const clawback = contribSnap.exists ? await readReferralClawback(t, uid, rideId) : null;
+
+    // === WRITES ===
+    const reversal = {
+      reversedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reversalReason: reason || null,
+    };
+    if (!contribSnap.exists) {
+      t.set(contribRef, { ...reversal, distanceMi: null, credits: 0, mintedCodes: [] });
+      return { reversed: false, voidedCodes: [] };
+    }
+    t.update(contribRef, reversal);
+    if (clawback) writeReferralClawback(t, clawback, reason);
+
+    for (const { code, codeRef, from } of voidable) {
+      t.update(codeRef, { status: "void", reservedRideId: null, reservedUntil: null, voidReason: "ride_reversed" });
+      recordEntry(t, uid, { type: "void", from, code, rideId, reason: "ride_reversed" });
+    }
+    const credits = contribSnap.get("credits") ?? 1;
+    const mintCost = contribSnap.get("mintCost") ?? 10;
+    recordEntry(t, uid, {
+      type: "reverse",
+      rideId,
+      credits,
+      progress: -credits + voidable.length * mintCost,
+      reason: reason || null,
+    });
+    return {
+      reversed: true,
+      voidedCodes: voidable.map((v) => v.code),
+      referralVoidedCodes: clawback ? clawback.voidable.map((v) => v.code) : [],
+    };
+  });
+}
+
+// Consume the code a ride was booked with against its final fare (stripe-backend,
+// at capture). That's the code the booker reserved for the ride, or else a gifted
+// code a non-user bound to it (/web/promo/consume). Dispatch extends the hold
+// when a driver accepts the ride, so the reservation outlasts the ride and its
+// capture retries. The covered amount is worked out here and never exceeds
+// fareCents. Safe to repeat.
+// -> { code: null } | { code, coveredAmountCents, remainderCents }
+async function redeemForRide(uid, rideId, trip, fareCents) {
+  const lockRef = reservationRef(uid, rideId);
+  const externalQuery = db.collection("codes_index").where("usedRideId", "==", rideId).limit(1);
+  const settle = (maxMiles) => {
+    const redemption = computeRedemption({ ...trip, maxMiles: maxMiles || DEFAULT_MAX_MILES });
+    const covered = Math.min(redemption.coveredAmountCents, fareCents);
+    return { ...redemption, fareCents, coveredAmountCents: covered, remainderCents: fareCents - covered };
+  };
+  const result = (code, r) => ({ code, coveredAmountCents: r.coveredAmountCents, remainderCents: r.remainderCents });
+
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const lockSnap = await t.get(lockRef);
+    const code = lockSnap.exists ? lockSnap.get("code") : null;
+    const idxSnap = code ? await t.get(db.collection("codes_index").doc(code)) : null;
+    const codeRef =
+      idxSnap?.exists && idxSnap.get("currentOwnerUid") === uid ? db.doc(idxSnap.get("codeDocPath")) : null;
+    const data = codeRef ? (await t.get(codeRef)).data() : null;
+    const external = data ? null : (await t.get(externalQuery)).docs[0] || null;
+
+    if (data) {
+      if (data.status === "used" && data.usedRideId === rideId) return result(code, data.redemption);
+      if (data.status !== "reserved" || data.reservedRideId !== rideId) return { code: null };
+      const redemption = settle(data.maxMiles);
+
+      // === WRITES ===
+      t.update(codeRef, {
+        status: "used",
+        usedRideId: rideId,
+        reservedRideId: null,
+        reservedUntil: null,
+        redemption,
+        coveredAmountCents: redemption.coveredAmountCents,
+      });
+      t.set(lockRef, { code, reservedUntil: null, consumedAt: admin.firestore.FieldValue.serverTimestamp() });
+      // A reserved code already left codesAvailable when it was reserved
+      recordEntry(t, uid, {
+        type: "consume",
+        from: "reserved",
+        code,
+        rideId,
+        coveredAmountCents: redemption.coveredAmountCents,
+        remainderCents: redemption.remainderCents,
+      });
+      queueNotification(t, "receipt", { uid }, { code, rideId, ...result(code, redemption) });
+      return result(code, redemption);
     }
 
-    return { eligible: true, minted: null, currentEligible: nextEligible };
+    if (!external) return { code: null };
+    if (!external.get("redemptionPending")) return result(external.id, external.get("redemption"));
+    const redemption = settle(DEFAULT_MAX_MILES);
+
+    // === WRITES ===
+    t.update(external.ref, {
+      redemptionPending: false,
+      redemption,
+      coveredAmountCents: redemption.coveredAmountCents,
+    });
+    queueNotification(t, "receipt", { email: external.get("usedByExternal") }, {
+      friendName: external.get("recipientName") || null,
+      code: external.id,
+      rideId,
+      ...result(external.id, redemption),
+    });
+    return result(external.id, redemption);
   });
+}
 
-  return { eligible: true, minted: result.minted || null };
+// Trip fields sent with /promo/redemption and /internal/rides/redeem
+function tripFrom(body) {
+  const { rideType, distanceMi, durationMin, perMile, perMinute, member } = body || {};
+  return { rideType, distanceMi, durationMin, perMile, perMinute, member: member === true };
 }
 
 // ---------- Routes ----------
@@ -212,14 +383,29 @@ async function accrueAndMaybeMintInOneTxn(uid, rideId, distanceMi) {
 // Health
 app.get("/", (_, res) => res.send("RydrBank service up"));
 
-// Earn (simulate ride completion). distanceMi >= 5 required to be eligible.
-app.post("/rides/complete", requireAuth, async (req, res) => {
+// Client-reported completions no longer accrue; see /internal/rides/complete
+app.post("/rides/complete", (_, res) => res.status(410).json({ error: "endpoint_removed" }));
+
+// Earn: charged ride reported by stripe-backend. Eligibility per the reward rules.
+// The first qualifying ride also pays out a pending referral. distanceMi is the
+// distance dispatch settled the fare on; distanceSource says how dispatch got it.
+// Body: { uid, rideId, distanceMi, distanceSource: "tracked" | "estimated", rideType, cardFingerprint? }
+app.post("/internal/rides/complete", requireRideEventSignature, async (req, res) => {
   try {
-    const { rideId, distanceMi } = req.body || {};
-    if (!rideId || typeof distanceMi !== "number") {
-      return res.status(400).json({ error: "rideId and distanceMi required" });
+    const { uid, rideId, distanceMi, distanceSource, rideType, cardFingerprint } = req.body || {};
+    if (!uid || !rideId || typeof distanceMi !== "number") {
+      return res.status(400).json({ error: "uid, rideId and distanceMi required" });
+    }
+    // Events from before capture read the trip from dispatch carried the app's distance
+    if (!DISTANCE_SOURCES.includes(distanceSource)) {
+      return res.status(400).json({ error: "distance_not_verified" });
+    }
+    const out = await accrueAndMaybeMintInOneTxn(uid, rideId, distanceMi, rideType, distanceSource);
+    if (out.eligible) {
+      // Idempotent: a redelivered event retries a reward that failed the first time
+      out.referral = await rewardReferral(uid, { rideId, cardFingerprint: cardFingerprint || null });
     }
-    const out = await accrueAndMaybeMintInOneTxn(req.uid, rideId, distanceMi);
+    await recordCard(uid, cardFingerprint);
     return res.json(out);
   } catch (e) {
     console.error(e);
@@ -227,35 +413,93 @@ app.post("/rides/complete", requireAuth, async (req, res) => {
   }
 });
 
-// Reserve a code for a booking (mobile preview/apply)
-app.post("/promo/preview", requireAuth, async (req, res) => {
-  const { code, bookingId } = req.body || {};
-  if (!code) return res.status(400).json({ error: "code required" });
+// Reverse: the ride's fare was refunded or disputed. Body: { uid, rideId, reason }
+app.post("/internal/rides/reverse", requireRideEventSignature, async (req, res) => {
+  try {
+    const { uid, rideId, reason } = req.body || {};
+    if (!uid || !rideId) return res.status(400).json({ error: "uid and rideId required" });
+    return res.json(await reverseAccrual(uid, rideId, reason));
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
+// Redeem: the ride's code, settled by stripe-backend at capture on the final fare
+// (dispatch's trip at the booked rates; member = Rydr Pass on the booking).
+// stripe-backend takes coveredAmountCents off what the riders are charged.
+// Body: { uid, rideId, rideType, distanceMi, durationMin, perMile, perMinute, member, fareCents }
+// -> { code: null } | { code, coveredAmountCents, remainderCents } (see redeemForRide)
+app.post("/internal/rides/redeem", requireRideEventSignature, async (req, res) => {
+  const { uid, rideId, fareCents } = req.body || {};
+  if (!uid || !rideId || !Number.isInteger(fareCents) || fareCents < 0) {
+    return res.status(400).json({ error: "uid, rideId and fareCents required" });
+  }
   try {
-    await db.runTransaction(async (t) => {
-      const idxRef = db.collection("codes_index").doc(code);
-      const idxSnap = await t.get(idxRef);
-      if (!idxSnap.exists) throw new Error("not_found");
+    computeRedemption(tripFrom(req.body)); // validate the trip before touching the code
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  try {
+    return res.json(await redeemForRide(uid, rideId, tripFrom(req.body), fareCents));
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
-      const ownerUid = idxSnap.get("currentOwnerUid");
-      if (ownerUid !== req.uid) throw new Error("not_owner");
+// Scheduled ride (rydr-dispatch-service) holds a code until `holdUntil` (ISO,
+// at most MAX_HOLD_DAYS ahead); fromBookingId moves an existing hold to a new
+// booking, e.g. the ride dispatched for the schedule. Without a code, extends the
+// hold the booking already has (an immediate ride once a driver accepts it;
+// reservedUntil null if it holds none).
+// Body: { uid, code?, bookingId, holdUntil, fromBookingId? } -> { ok, reservedUntil }
+app.post("/internal/bookings/reserve", requireDispatchSignature, async (req, res) => {
+  const { uid, code, bookingId, holdUntil, fromBookingId } = req.body || {};
+  if (!uid || !bookingId) return res.status(400).json({ error: "uid and bookingId required" });
+  const until = Date.parse(holdUntil);
+  if (!Number.isFinite(until) || until <= Date.now() || until > Date.now() + MAX_HOLD_DAYS * 86400 * 1000) {
+    return res.status(400).json({ error: "invalid_holdUntil" });
+  }
+  const reservedUntil = admin.firestore.Timestamp.fromMillis(until);
+  try {
+    const held = code
+      ? await reserveCode(uid, code, bookingId, reservedUntil, { fromBookingId: fromBookingId || null })
+      : await extendBooking(uid, bookingId, reservedUntil);
+    res.json({ ok: true, reservedUntil: held ? held.toDate().toISOString() : null });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message || "cannot_reserve" });
+  }
+});
 
-      const codeRef = db.doc(idxSnap.get("codeDocPath"));
-      const codeSnap = await t.get(codeRef);
-      const data = codeSnap.data();
-      if (!data) throw new Error("not_found");
-      if (data.status !== "active") throw new Error("not_active");
+// Body: { uid, bookingId, reason? } -> { ok, code } (code: what was released, or null)
+app.post("/internal/bookings/release", requireDispatchSignature, async (req, res) => {
+  const { uid, bookingId, reason } = req.body || {};
+  if (!uid || !bookingId) return res.status(400).json({ error: "uid and bookingId required" });
+  try {
+    const code = await releaseBooking(uid, bookingId, { reason: reason || "booking_cancelled" });
+    res.json({ ok: true, code });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message || "cannot_release" });
+  }
+});
 
-      t.update(codeRef, {
-        status: "reserved",
-        reservedRideId: bookingId || "preview-" + Date.now(),
-      });
-    });
+// Reserve a code for a booking (mobile preview/apply). The hold lasts
+// RESERVATION_TTL_MINUTES; previewing the same code again refreshes it.
+app.post("/promo/preview", requireAuth, async (req, res) => {
+  const { code, bookingId } = req.body || {};
+  if (!code || !bookingId) return res.status(400).json({ error: "code and bookingId required" });
+
+  try {
+    const reservedUntil = await reserveCode(req.uid, code, bookingId, newReservedUntil());
 
     res.json({
       ok: true,
       message: "RydrBank applied: up to 15 miles will be covered.",
+      reservedUntil: reservedUntil.toDate().toISOString(),
+      ttlMinutes: RESERVATION_TTL_MINUTES,
     });
   } catch (e) {
     console.error(e);
@@ -282,7 +526,10 @@ app.post("/promo/release", requireAuth, async (req, res) => {
       if (!data) throw new Error("not_found");
       if (data.status !== "reserved") return;
 
-      t.update(codeRef, { status: "active", reservedRideId: null });
+      const lockRef = data.reservedRideId ? reservationRef(req.uid, data.reservedRideId) : null;
+      const lockSnap = lockRef ? await t.get(lockRef) : null;
+
+      writeRelease(t, req.uid, codeRef, data, lockSnap);
     });
 
     res.json({ ok: true });
@@ -292,41 +539,29 @@ app.post("/promo/release", requireAuth, async (req, res) => {
   }
 });
 
-// Consume a code after the ride is completed (mobile)
-app.post("/promo/consume", requireAuth, async (req, res) => {
-  const { code, rideId } = req.body || {};
-  if (!code || !rideId) return res.status(400).json({ error: "code and rideId required" });
-
+// Estimate of what a code covers on a ride (no side effects); what it actually
+// covers is settled at capture (/internal/rides/redeem). Body: { code?, rideType,
+// distanceMi, durationMin, perMile?, perMinute?, member? } -> computeRedemption()
+app.post("/promo/redemption", requireAuth, async (req, res) => {
+  const { code } = req.body || {};
   try {
-    await db.runTransaction(async (t) => {
-      const idxRef = db.collection("codes_index").doc(code);
-      const idxSnap = await t.get(idxRef);
+    let maxMiles = DEFAULT_MAX_MILES;
+    if (code) {
+      const idxSnap = await db.collection("codes_index").doc(code).get();
       if (!idxSnap.exists) throw new Error("not_found");
-      const ownerUid = idxSnap.get("currentOwnerUid");
-      if (ownerUid !== req.uid) throw new Error("not_owner");
-
-      const codeRef = db.doc(idxSnap.get("codeDocPath"));
-      const codeSnap = await t.get(codeRef);
-      const data = codeSnap.data();
-      if (!data) throw new Error("not_found");
-      if (data.status !== "reserved" && data.status !== "active")
-        throw new Error("bad_status");
-
-      t.update(codeRef, { status: "used", usedRideId: rideId, reservedRideId: null });
-      t.set(
-        db.collection("users").doc(ownerUid),
-        { rydrBank: { codesAvailable: admin.firestore.FieldValue.increment(-1) } },
-        { merge: true }
-      );
-    });
-
-    res.json({ ok: true });
+      if (idxSnap.get("currentOwnerUid") !== req.uid) throw new Error("not_owner");
+      const codeSnap = await db.doc(idxSnap.get("codeDocPath")).get();
+      maxMiles = codeSnap.get("maxMiles") || DEFAULT_MAX_MILES;
+    }
+    res.json(computeRedemption({ ...tripFrom(req.body), maxMiles }));
   } catch (e) {
-    console.error(e);
-    res.status(400).json({ error: e.message || "cannot_consume" });
+    res.status(400).json({ error: e.message || "cannot_calculate" });
   }
 });
 
+// The app no longer consumes codes: capture does, on the final fare (/internal/rides/redeem)
+app.post("/promo/consume", (_, res) => res.status(410).json({ error: "endpoint_removed" }));
+
 // One-time transfer to a friend (user or non-user) + notifications
 app.post("/promo/transfer", requireAuth, async (req, res) => {
   const { code, recipientEmail, recipientName, recipientPhone } = req.body || {};
@@ -383,26 +618,21 @@ app.post("/promo/transfer", requireAuth, async (req, res) => {
           transferredAt: admin.firestore.FieldValue.serverTimestamp(),
         });
 
-        t.set(
-          db.collection("users").doc(req.uid),
-          { rydrBank: { codesAvailable: admin.firestore.FieldValue.increment(-1) } },
-          { merge: true }
-        );
-        t.set(
-          db.collection("users").doc(recipient.uid),
-          { rydrBank: { codesAvailable: admin.firestore.FieldValue.increment(1) } },
-          { merge: true }
+        recordEntry(t, req.uid, { type: "transfer_out", from: "active", code, toUid: recipient.uid });
+        recordEntry(t, recipient.uid, { type: "transfer_in", code, fromUid: req.uid });
+        queueNotification(
+          t,
+          "gift",
+          { email: recipientEmail, phone: recipientPhone || null },
+          { friendName: recipientName || null, code, maxMiles: data.maxMiles || DEFAULT_MAX_MILES }
         );
       });
 
-      await Promise.all([
-        sendGiftEmail({ toEmail: recipientEmail, friendName: recipientName, code }),
-        sendGiftSms({ toPhone: recipientPhone, code }),
-      ]);
-
       return res.json({ ok: true, friendIsUser: true });
     } else {
       // ----- NON-USER -----
+      const { token, tokenHash } = newClaimToken();
+      const claimLink = claimUrl(code, token);
       await db.runTransaction(async (t) => {
         const idxRef = db.collection("codes_index").doc(code);
         const idxSnap = await t.get(idxRef);
@@ -425,26 +655,38 @@ app.post("/promo/transfer", requireAuth, async (req, res) => {
         // Void sender copy
         t.update(codeRef, { status: "void", transferCount: 1, transferable: false });
 
-        // Mark index as owned by external email
+        // Mark index as owned by external email; keep what a later claim needs
         t.update(idxRef, {
-          currentOwnerUid: `external:${recipientEmail.toLowerCase()}`,
+          currentOwnerUid: externalOwner(recipientEmail),
           codeDocPath: null,
           transferredAt: admin.firestore.FieldValue.serverTimestamp(),
+          claimTokenHash: tokenHash,
+          claimExpiresAt: claimExpiresAt(),
+          senderUid: req.uid,
+          senderCodeDocPath: codeDocPath,
+          recipientName: recipientName || null,
+          recipientPhone: recipientPhone || null,
+          maxMiles: data.maxMiles || DEFAULT_MAX_MILES,
+          originalOwnerUid: data.originalOwnerUid,
+          ruleVersion: data.ruleVersion ?? null,
         });
 
-        // decrement sender balance
-        t.set(
-          db.collection("users").doc(req.uid),
-          { rydrBank: { codesAvailable: admin.firestore.FieldValue.increment(-1) } },
-          { merge: true }
+        recordEntry(t, req.uid, {
+          type: "transfer_out",
+          from: "active",
+          code,
+          toEmail: recipientEmail.toLowerCase(),
+        });
+        // The link carries the raw claim token; the outbox drops it once sent
+        queueNotification(
+          t,
+          "gift",
+          { email: recipientEmail, phone: recipientPhone || null },
+          { friendName: recipientName || null, code, claimLink, maxMiles: data.maxMiles || DEFAULT_MAX_MILES },
+          { secretFields: ["claimLink"] }
         );
       });
 
-      await Promise.all([
-        sendGiftEmail({ toEmail: recipientEmail, friendName: recipientName, code }),
-        sendGiftSms({ toPhone: recipientPhone, code }),
-      ]);
-
       return res.json({ ok: true, friendIsUser: false });
     }
   } catch (e) {
@@ -453,12 +695,213 @@ app.post("/promo/transfer", requireAuth, async (req, res) => {
   }
 });
 
+// Take back a gift sent to a non-user that hasn't been claimed or used yet.
+// Body: { code } -> { ok, code }
+app.post("/promo/recall", requireAuth, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: "code required" });
+
+  try {
+    await returnGift(code, { reason: "recalled", byUid: req.uid });
+    res.json({ ok: true, code });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message || "cannot_recall" });
+  }
+});
+
+// Move codes gifted to the caller's email (before they had an account) into their
+// RydrBank. The app calls this after sign-in; the email must be verified.
+app.post("/promo/claim-pending", requireAuth, async (req, res) => {
+  try {
+    if (!req.email || !req.emailVerified) {
+      return res.status(403).json({ error: "email_not_verified" });
+    }
+    const claimed = await claimPendingCodes(req.uid, req.email);
+    res.json({ ok: true, claimed });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "cannot_claim" });
+  }
+});
+
+// Rider's ledger, newest first. Query: ?limit=50&before=<entryId>
+app.get("/bank/ledger", requireAuth, async (req, res) => {
+  try {
+    const entries = await listEntries(req.uid, {
+      limit: req.query.limit,
+      before: req.query.before || null,
+    });
+    res.json({ entries, next: entries.length ? entries[entries.length - 1].id : null });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// ===== Referrals =====
+
+// Sign-in (app): ties this device to the account for the referral abuse checks,
+// which only use devices recorded here. Body: { deviceId } -> { ok }
+app.post("/devices", requireAuth, requireAppCheck, async (req, res) => {
+  const { deviceId } = req.body || {};
+  if (!deviceId) return res.status(400).json({ error: "deviceId required" });
+  try {
+    await recordSignInDevice(req.uid, String(deviceId));
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// Caller's referral code (created on first call) and the riders they referred
+app.get("/referrals", requireAuth, async (req, res) => {
+  try {
+    res.json(await referralSummary(req.uid));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// New rider enters someone's referral code. Body: { code }
+app.post("/referrals/apply", requireAuth, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: "code required" });
+  try {
+    res.json({ ok: true, ...(await applyReferral(req.uid, { code })) });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message || "cannot_apply_referral" });
+  }
+});
+
+// ===== Admin (support console) =====
+// Same custom claims as stripe-backend's support tooling: `support` can look up,
+// release and re-issue; `admin` can also grant, void and adjust balances.
+// Every change needs a `reason` and is written to audits.
+
+const roleOf = (req) => (req.claims?.admin === true ? "admin" : req.claims?.support === true ? "support" : null);
+
+// After requireAuth
+function requireSupport(req, res, next) {
+  if (roleOf(req)) return next();
+  res.status(403).json({ error: "support_only" });
+}
+
+function requireAdmin(req, res, next) {
+  if (roleOf(req) === "admin") return next();
+  res.status(403).json({ error: "admin_only" });
+}
+
+const SUPPORT = [requireAuth, requireSupport];
+const ADMIN = [requireAuth, requireAdmin];
+
+const actorOf = (req) => ({ uid: req.uid, email: req.email, role: roleOf(req) });
+
+// Wraps an admin action: requires body.reason, maps thrown codes to 400
+function adminAction(fn) {
+  return async (req, res) => {
+    const reason = String(req.body?.reason || "").trim();
+    if (reason.length < 5) return res.status(400).json({ error: "reason_required" });
+    try {
+      res.json({ ok: true, ...(await fn(actorOf(req), { ...req.body, reason })) });
+    } catch (e) {
+      console.error(e);
+      res.status(400).json({ error: e.message || "admin_action_failed" });
+    }
+  };
+}
+
+app.get("/admin/codes/:code", ...SUPPORT, async (req, res) => {
+  try {
+    res.json(await lookupCode(req.params.code));
+  } catch (e) {
+    if (e.message === "not_found") return res.status(404).json({ error: "not_found" });
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// Query: ?uid= or ?email=
+app.get("/admin/users", ...SUPPORT, async (req, res) => {
+  try {
+    res.json(await lookupUser({ uid: req.query.uid || null, email: req.query.email || null }));
+  } catch (e) {
+    if (e.message === "user_not_found") return res.status(404).json({ error: "user_not_found" });
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// Body: { uid, maxMiles?, reason }
+app.post("/admin/codes/grant", ...ADMIN, adminAction(grantCode));
+// Body: { code, reason }
+app.post("/admin/codes/void", ...ADMIN, adminAction(voidCode));
+app.post("/admin/codes/release", ...SUPPORT, adminAction(forceRelease));
+app.post("/admin/codes/reissue", ...SUPPORT, adminAction(reissueCode));
+// Body: { uid, delta, reason } (delta: credits toward the next code, +/-)
+app.post("/admin/balances/adjust", ...ADMIN, adminAction(adjustProgress));
+
+// Query: ?type=&code=&uid=&actorUid=&since=&until=&limit=&before=
+app.get("/admin/audits", ...SUPPORT, async (req, res) => {
+  try {
+    res.json(await searchAudits(req.query));
+  } catch (e) {
+    if (e.message === "invalid_date") return res.status(400).json({ error: "invalid_date" });
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// ===== Internal (ops / scheduled jobs) =====
+
+function requireInternalKey(req, res, next) {
+  const key = process.env.INTERNAL_API_KEY;
+  if (!key || req.headers["x-internal-key"] !== key) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
+
+// Recompute balances from the ledger + code docs and report mismatches
+app.post("/internal/reconcile", requireInternalKey, async (req, res) => {
+  try {
+    res.json(await reconcileAll());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "reconcile_failed" });
+  }
+});
+
+// Notification dead letters (failed for good, or out of retries)
+app.get("/internal/notifications/dead", requireInternalKey, async (req, res) => {
+  try {
+    res.json({ notifications: await listDeadNotifications({ limit: req.query.limit }) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "server_error" });
+  }
+});
+
+// Send a dead letter again (e.g. after fixing a template or provider config)
+app.post("/internal/notifications/:id/requeue", requireInternalKey, async (req, res) => {
+  try {
+    res.json(await requeueNotification(req.params.id));
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ error: e.message || "cannot_requeue" });
+  }
+});
+
 // ===== Web booking (no auth) for non-user recipients =====
 
-// Preview/apply (no auth) -> check external email owns the code
+// Preview/apply (no auth) -> check the claim token from the gift link
 app.post("/web/promo/preview", async (req, res) => {
-  const { code, email, bookingId } = req.body || {};
-  if (!code || !email) return res.status(400).json({ error: "code and email required" });
+  const { code, email, token } = req.body || {};
+  if (!code || !email || !token)
+    return res.status(400).json({ error: "code, email, token required" });
 
   try {
     await db.runTransaction(async (t) => {
@@ -466,8 +909,8 @@ app.post("/web/promo/preview", async (req, res) => {
       const idxSnap = await t.get(idxRef);
       if (!idxSnap.exists) throw new Error("not_found");
 
-      const owner = idxSnap.get("currentOwnerUid");
-      if (owner !== `external:${email.toLowerCase()}`) throw new Error("not_owner_external");
+      assertExternalClaim(idxSnap, email, token);
+      if (idxSnap.get("usedRideId")) throw new Error("already_used");
 
       // Optional: write a soft reservation doc if you want
       // (skipped here; preview just returns ok)
@@ -483,11 +926,13 @@ app.post("/web/promo/preview", async (req, res) => {
   }
 });
 
-// Consume (no auth) -> mark external code as used
+// Consume (no auth) -> bind the external code to the ride; the claim token is
+// spent. What it covers is settled when the ride is charged (redeemForRide).
+// Body: { code, email, token, rideId } -> { ok }
 app.post("/web/promo/consume", async (req, res) => {
-  const { code, email, rideId } = req.body || {};
-  if (!code || !email || !rideId)
-    return res.status(400).json({ error: "code, email, rideId required" });
+  const { code, email, token, rideId } = req.body || {};
+  if (!code || !email || !token || !rideId)
+    return res.status(400).json({ error: "code, email, token, rideId required" });
 
   try {
     await db.runTransaction(async (t) => {
@@ -495,14 +940,19 @@ app.post("/web/promo/consume", async (req, res) => {
       const idxSnap = await t.get(idxRef);
       if (!idxSnap.exists) throw new Error("not_found");
 
-      const owner = idxSnap.get("currentOwnerUid");
-      if (owner !== `external:${email.toLowerCase()}`) throw new Error("not_owner_external");
+      assertExternalClaim(idxSnap, email, token);
+      if (idxSnap.get("usedRideId")) throw new Error("already_used");
 
       t.update(idxRef, {
+        claimTokenHash: null,
+        claimExpiresAt: null,
         usedByExternal: email.toLowerCase(),
         usedRideId: rideId,
         usedAt: admin.firestore.FieldValue.serverTimestamp(),
         status: "used", // informational
+        redemptionPending: true,
+        redemption: null,
+        coveredAmountCents: null,
       });
 
       // Optional: audit record
@@ -527,3 +977,18 @@ app.post("/web/promo/consume", async (req, res) => {
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => console.log("Listening on", PORT));
 
+// Return abandoned reservations to the rider's balance
+setInterval(() => {
+  sweepExpiredReservations().catch((e) => console.error("reservation sweep:", e));
+}, 60 * 1000).unref();
+
+// Deliver queued emails/SMS
+setInterval(() => {
+  deliverDueNotifications().catch((e) => console.error("notification outbox:", e));
+}, 15 * 1000).unref();
+
+// Return unclaimed gifts to their senders
+setInterval(() => {
+  sweepExpiredGifts().catch((e) => console.error("gift expiry:", e));
+}, 15 * 60 * 1000).unref();
+
@@ -0,0 +1,306 @@
+// templates.js
+// Versioned message templates for the notification outbox (outbox.js).
+// TEMPLATES[name][version] = { email?(data) -> { subject, text, html }, sms?(data) -> string }
+//
+// Never edit a published version: a queued notification keeps the version it
+// was queued with, so retries render exactly what was meant to go out. Add a
+// new version and bump CURRENT instead.
+//
+//   gift           recipient: you've been gifted a ride
+//   claim          sender: your gift was claimed
+//   recall         recipient: the sender took the gift back
+//   expiry         recipient: the gift wasn't claimed in time
+//   return         sender: the code is back in your RydrBank (reason: recalled | expired)
+//   reward_minted  rider: a free ride code was added (rides, referral, goodwill, reissue)
+//   receipt        rider: a code was used on a ride (covered / remainder)
+//
+// Queued by rydr-dispatch-service for scheduled rides (same notifications collection):
+//   ride_reminder        rider: pickup coming up (when: day_before | soon)
+//   ride_payment_failed  rider: the card hold for a scheduled ride failed
+//   ride_cancelled       rider: a scheduled ride was cancelled (reason, fee)
+// and for SafeRydr, to a rider's trusted contacts (friendName is the contact):
+//   trip_shared          the rider shared their live trip (tripUrl)
+//   sos_alert            the rider pressed SOS (locationUrl, tripUrl)
+//   check_in_missed      the rider didn't answer a check-in (reason: unexpected_stop | route_deviation)
+//
+// Queued by rydr-rollout-service:
+//   early_access_invite  rider: invited off a waitlist (featureName, acceptBy)
+
+const SITE_URL = "https://www.rydr-go.com";
+
+const safeNameOf = (name) => (name && name.trim().length > 0 ? name.trim() : "there");
+const dollars = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// Plain body paragraphs -> { subject, text, html } with the usual greeting/sign-off
+function simpleEmail(subject, name, paragraphs) {
+  const safeName = safeNameOf(name);
+  const text = `Hi ${safeName},
+
+${paragraphs.join("\n\n")}
+
+Rydr Support`;
+  const html = `
+  <p>Hi ${safeName},</p>
+  ${paragraphs.map((p) => `<p>${p}</p>`).join("\n  ")}
+  <p>Rydr Support</p>`;
+  return { subject, text, html };
+}
+
+// claimLink: set for recipients without a Rydr account (see claims.js)
+function giftEmail({ friendName, code, claimLink }, maxMiles) {
+  const safeName = safeNameOf(friendName);
+  const siteUrl = SITE_URL;
+  const subject = "You’ve been gifted a free Rydr ride";
+
+  const webText = claimLink
+    ? `If you do not have a Rydr account, you can book your ride on the web with this link (it only works once): ${claimLink}
+
+Or sign up for Rydr with this email address and the free ride will be added to your RydrBank automatically.`
+    : `If you do not have a Rydr account, but would still like to take advantage of the promo code, please go to ${siteUrl} and use the web to book your ride using the promo code.`;
+  const webHtml = claimLink
+    ? `<p>If you do not have a Rydr account, you can <a href="${claimLink}" target="_blank">book your ride on the web</a> (the link only works once). Or sign up for Rydr with this email address and the free ride will be added to your RydrBank automatically.</p>`
+    : `<p>If you do not have a Rydr account, but would still like to take advantage of the promo code, please go to <a href="${siteUrl}" target="_blank">${siteUrl}</a> and use the web to book your ride using the promo code.</p>`;
+
+  const terms = `The free ride is good for up to a ${maxMiles} mile ride. Keep in mind, this promo code is only good for one ride even if the ride is less than ${maxMiles} miles.`;
+
+  const text = `Hi ${safeName},
+
+Congratulations! You have just been gifted a free ride from your friend. If you have a Rydr account the promo code for the free ride will be added to your RydrBank. ${terms}
+
+${webText}
+
+Promo Code: ${code}
+
+Happy Rydying!
+
+Rydr Support`;
+
+  const html = `
+  <p>Hi ${safeName},</p>
+  <p>Congratulations! You have just been gifted a free ride from your friend. If you have a Rydr account the promo code for the free ride will be added to your RydrBank. ${terms}</p>
+  ${webHtml}
+  <p><strong>Promo Code:</strong> ${code}</p>
+  <p>Happy Rydying!</p>
+  <p>Rydr Support</p>`;
+
+  return { subject, text, html };
+}
+
+const giftSms = ({ code, claimLink }) =>
+  `You’ve been gifted a free Rydr ride. Promo code: ${code}. Book at ${claimLink || SITE_URL}`;
+
+function rewardEmail({ friendName, codes, maxMiles, reason }, supportReasons = false) {
+  let subject = codes.length > 1 ? "You earned free Rydr rides" : "You earned a free Rydr ride";
+  let intro =
+    reason === "referral"
+      ? "Thanks for bringing a friend to Rydr! Their first ride earned you both a free ride."
+      : "Thanks for riding with Rydr! Your rides have earned you a free ride.";
+  if (supportReasons && reason === "goodwill") {
+    subject = "A free Rydr ride from us";
+    intro = "We're sorry about your recent experience. We've added a free ride to your RydrBank.";
+  } else if (supportReasons && reason === "reissue") {
+    subject = "Your Rydr free ride code was replaced";
+    intro = "We've replaced one of your free ride codes. The old code no longer works; use this one instead.";
+  }
+  return simpleEmail(subject, friendName, [
+    intro,
+    `${codes.length > 1 ? "Promo codes" : "Promo code"}: ${codes.join(", ")}. Each is good for one ride of up to ${maxMiles || 15} miles and is waiting in your RydrBank.`,
+  ]);
+}
+
+// pickupTime comes formatted in the rider's time zone (dispatch knows it)
+const rideLine = ({ pickupTime, pickup, dropoff }) =>
+  `${pickupTime}: ${pickup}${dropoff ? ` to ${dropoff}` : ""}`;
+
+const CANCEL_REASONS = {
+  rider: "as you requested",
+  payment_failed: "because we couldn't place a hold on your card",
+  no_driver_available: "because no driver was available",
+};
+const becauseOf = (reason) => (CANCEL_REASONS[reason] ? ` ${CANCEL_REASONS[reason]}` : "");
+
+export const TEMPLATES = {
+  gift: {
+    // v1: every gifted code was a 15 mile code
+    1: { email: (d) => giftEmail(d, 15), sms: giftSms },
+    // v2: codes carry their own maxMiles (tiers, referrals)
+    2: { email: (d) => giftEmail(d, d.maxMiles || 15), sms: giftSms },
+  },
+  claim: {
+    1: {
+      email: ({ friendName, code, recipientEmail }) =>
+        simpleEmail("Your gifted Rydr ride was claimed", friendName, [
+          `${recipientEmail || "Your friend"} signed up for Rydr and the free ride you gifted (promo code ${code}) is now in their RydrBank.`,
+        ]),
+      sms: ({ code }) => `Rydr: your gifted ride (${code}) was claimed.`,
+    },
+  },
+  recall: {
+    1: {
+      email: ({ friendName, code }) =>
+        simpleEmail("A Rydr ride gift was withdrawn", friendName, [
+          `The free ride gifted to you (promo code ${code}) was taken back by the sender, so the code can no longer be used.`,
+        ]),
+      sms: ({ code }) => `Rydr: the free ride gifted to you (${code}) was withdrawn by the sender.`,
+    },
+  },
+  expiry: {
+    1: {
+      email: ({ friendName, code }) =>
+        simpleEmail("Your Rydr ride gift has expired", friendName, [
+          `The free ride gifted to you (promo code ${code}) wasn't claimed in time and has been returned to the sender.`,
+        ]),
+      sms: ({ code }) => `Rydr: the free ride gifted to you (${code}) expired unclaimed.`,
+    },
+  },
+  return: {
+    1: {
+      email: ({ friendName, code, reason }) =>
+        simpleEmail("Your gifted Rydr ride is back in your RydrBank", friendName, [
+          reason === "expired"
+            ? `The free ride you gifted (promo code ${code}) wasn't claimed in time, so it has been returned to your RydrBank. You can use it yourself or gift it again.`
+            : `You took back the free ride you gifted (promo code ${code}). It's in your RydrBank again, ready to use or gift again.`,
+        ]),
+      sms: ({ code, reason }) =>
+        reason === "expired"
+          ? `Rydr: your gifted ride (${code}) wasn't claimed and is back in your RydrBank.`
+          : `Rydr: you took back your gifted ride (${code}). It's in your RydrBank again.`,
+    },
+  },
+  reward_minted: {
+    1: { email: (d) => rewardEmail(d) },
+    // v2: codes granted by support (goodwill / replacement)
+    2: { email: (d) => rewardEmail(d, true) },
+  },
+  ride_reminder: {
+    1: {
+      email: ({ friendName, when, ...ride }) =>
+        simpleEmail(when === "day_before" ? "Your Rydr ride is tomorrow" : "Your Rydr ride is coming up", friendName, [
+          `Reminder: your scheduled ride, ${rideLine(ride)}.`,
+          when === "day_before"
+            ? "We'll start finding your driver shortly before pickup. You can change or cancel the ride in the app."
+            : "We're finding your driver now. You'll see them in the app as soon as they accept.",
+        ]),
+      sms: ({ when, ...ride }) =>
+        when === "day_before"
+          ? `Rydr: reminder, your ride is scheduled for ${rideLine(ride)}.`
+          : `Rydr: your ride at ${ride.pickupTime} is coming up. We're finding your driver now.`,
+    },
+  },
+  ride_payment_failed: {
+    1: {
+      email: ({ friendName, ...ride }) =>
+        simpleEmail("Action needed for your scheduled Rydr ride", friendName, [
+          `We couldn't place a hold on your card for your scheduled ride, ${rideLine(ride)}.`,
+          "Please update your payment method in the app. We'll try again, and the ride will be cancelled if the hold still fails before pickup.",
+        ]),
+      sms: ({ pickupTime }) =>
+        `Rydr: we couldn't hold your card for your ${pickupTime} ride. Please update your payment method in the app.`,
+    },
+  },
+  ride_cancelled: {
+    1: {
+      email: ({ friendName, reason, cancellationFeeCents, ...ride }) =>
+        simpleEmail("Your scheduled Rydr ride was cancelled", friendName, [
+          `Your scheduled ride, ${rideLine(ride)}, was cancelled${becauseOf(reason)}.`,
+          cancellationFeeCents
+            ? `A late cancellation fee of ${dollars(cancellationFeeCents)} was charged to your card.`
+            : "You have not been charged.",
+        ]),
+      sms: ({ reason, pickupTime, cancellationFeeCents }) =>
+        `Rydr: your ${pickupTime} ride was cancelled${becauseOf(reason)}.` +
+        (cancellationFeeCents ? ` Late cancellation fee: ${dollars(cancellationFeeCents)}.` : ""),
+    },
+  },
+  trip_shared: {
+    1: {
+      email: ({ friendName, riderName, pickup, dropoff, tripUrl }) =>
+        simpleEmail(`${riderName} shared their Rydr trip with you`, friendName, [
+          `${riderName} is on a Rydr ride from ${pickup} to ${dropoff} and added you as a trusted contact.`,
+          `Follow the trip live: ${tripUrl}`,
+          "The link stops working shortly after the ride ends.",
+        ]),
+      sms: ({ riderName, tripUrl }) => `Rydr: ${riderName} shared their trip with you. Follow it live: ${tripUrl}`,
+    },
+  },
+  sos_alert: {
+    1: {
+      email: ({ friendName, riderName, driverName, vehicle, pickup, dropoff, locationUrl, tripUrl }) =>
+        simpleEmail(`SOS: ${riderName} needs help on a Rydr ride`, friendName, [
+          `${riderName} pressed the SOS button during a Rydr ride from ${pickup} to ${dropoff}. You're one of their trusted contacts.`,
+          "If you think they may be in danger, call 911 now.",
+          driverName ? `Driver: ${driverName}${vehicle ? `, ${vehicle}` : ""}.` : "No driver had been assigned yet.",
+          locationUrl ? `Last known location: ${locationUrl}` : "Their location isn't available.",
+          `Follow the trip live: ${tripUrl}`,
+        ]),
+      sms: ({ riderName, locationUrl, tripUrl }) =>
+        `Rydr SOS: ${riderName} needs help. If they may be in danger, call 911.` +
+        (locationUrl ? ` Last location: ${locationUrl}` : "") +
+        ` Live trip: ${tripUrl}`,
+    },
+  },
+  check_in_missed: {
+    1: {
+      email: ({ friendName, riderName, driverName, vehicle, pickup, dropoff, reason, locationUrl, tripUrl }) =>
+        simpleEmail(`${riderName} didn't answer a Rydr safety check-in`, friendName, [
+          `During ${riderName}'s Rydr ride from ${pickup} to ${dropoff}, ${
+            reason === "route_deviation" ? "the car went well off the route" : "the car stopped unexpectedly"
+          }. We asked them to check in and haven't heard back.`,
+          "This may be nothing, but please try to reach them. If you think they may be in danger, call 911.",
+          driverName ? `Driver: ${driverName}${vehicle ? `, ${vehicle}` : ""}.` : "",
+          locationUrl ? `Last known location: ${locationUrl}` : "",
+          `Follow the trip live: ${tripUrl}`,
+        ].filter(Boolean)),
+      sms: ({ riderName, reason, tripUrl }) =>
+        `Rydr: ${riderName} didn't answer a safety check-in after ${
+          reason === "route_deviation" ? "the car went off route" : "an unexpected stop"
+        }. Please try to reach them. Live trip: ${tripUrl}`,
+    },
+  },
+  early_access_invite: {
+    1: {
+      email: ({ friendName, featureName, acceptBy }) =>
+        simpleEmail(`You're invited to try ${featureName}`, friendName, [
+          `Thanks for joining the ${featureName} waitlist. Your spot came up: you can turn on ${featureName} in the Rydr app now.`,
+          `Open the app and go to ${featureName} to accept your invite before ${acceptBy}. After that, the spot goes to the next rider on the list.`,
+        ]),
+    },
+  },
+  receipt: {
+    1: {
+      email: ({ friendName, code, rideId, coveredAmountCents, remainderCents }) =>
+        simpleEmail("Your Rydr free ride receipt", friendName, [
+          `Promo code ${code} was used on ride ${rideId}.`,
+          coveredAmountCents == null
+            ? "Your free ride has been applied."
+            : `Covered by your free ride: ${dollars(coveredAmountCents)}. You paid: ${dollars(remainderCents)}.`,
+        ]),
+    },
+  },
+};
+
+// Version new notifications are queued with
+export const CURRENT = {
+  gift: 2,
+  claim: 1,
+  recall: 1,
+  expiry: 1,
+  return: 1,
+  reward_minted: 2,
+  receipt: 1,
+  ride_reminder: 1,
+  ride_payment_failed: 1,
+  ride_cancelled: 1,
+  trip_shared: 1,
+  sos_alert: 1,
+  check_in_missed: 1,
+  early_access_invite: 1,
+};
+
+// -> { subject, text, html } for email, { body } for sms. Throws on an unknown
+// template/version/channel (the outbox dead-letters those right away).
+export function render(name, version, channel, data) {
+  const fn = TEMPLATES[name]?.[version]?.[channel];
+  if (!fn) throw new Error(`unknown_template:${name}@${version}/${channel}`);
+  return channel === "sms" ? { body: fn(data) } : fn(data);
+}
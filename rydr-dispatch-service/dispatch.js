@@ -0,0 +1,464 @@
+// dispatch.js
+// Ride requests, driver offers and the ride lifecycle.
+//
+// rides/{rideId}: {
+//   riderUid, pickup, dropoff, rideType, pickupLocation: { lat, lng },
+//   dropoffLocation: { lat, lng } | null,                // for the realtime ETA to dropoff
+//   status: "offered" | "enRouteToPickup" | "enRouteToDropoff" | "completed" | "cancelled",
+//   offer: { driverId, offeredAt, expiresAt } | null,   // while "offered"
+//   driverId,                                           // once accepted
+//   requestedDriverId, triedDriverIds, offerCount,
+//   scheduledRideId,                                    // dispatched from scheduled_rides (scheduled.js)
+//   cancelledBy, cancelReason,
+//   statusHistory: [{ status, at }], createdAt, acceptedAt, arrivedAtPickupAt, pickedUpAt,
+//   completedAt, cancelledAt,
+//   trackedKm,                                          // driven on the dropoff leg (realtime.js)
+//   tripDistanceMi, tripDistanceSource: "tracked" | "estimated",   // set on completion; billed
+//   settlement,                                         // capture/cancel on stripe-backend (settlement.js)
+// }
+//
+// A request is offered to the rider's chosen driver first. Each offer stands for
+// OFFER_TIMEOUT_SECONDS; a decline or timeout re-offers the ride to the next best
+// nearby driver, up to MAX_OFFERS drivers, after which the ride is cancelled
+// with cancelReason "no_driver_available".
+
+import { admin, db } from "./firebase.js";
+import { distanceKm, isCoordinate } from "./geo.js";
+import { canTakeRide, driverRef, driverView, findNearbyDrivers, normalizeRideType } from "./drivers.js";
+import { ROAD_FACTOR } from "./tracking.js";
+import { bank } from "./internal.js";
+import { queueSettlement, settleRide } from "./settlement.js";
+
+export const OFFER_TIMEOUT_SECONDS = Number(process.env.OFFER_TIMEOUT_SECONDS || 20);
+const MAX_OFFERS = Number(process.env.MAX_OFFERS || 5);
+const MISSED_OFFERS_OFFLINE = 3; // timed-out offers in a row before a driver is taken offline
+// An accepted ride's RydrBank code is held this long: through the ride and the
+// capture retries (settlement.js) that redeem it
+const RIDE_CODE_HOLD_HOURS = Number(process.env.RIDE_CODE_HOLD_HOURS || 24);
+const KM_PER_MI = 1.609344;
+
+const ACTIVE = ["offered", "enRouteToPickup", "enRouteToDropoff"];
+// Driver-side status changes (advanceRide)
+const TRANSITIONS = {
+  pickup: { from: "enRouteToPickup", to: "enRouteToDropoff", stamp: "pickedUpAt" },
+  complete: { from: "enRouteToDropoff", to: "completed", stamp: "completedAt" },
+};
+
+const rideRef = (rideId) => db.collection("rides").doc(rideId);
+const now = () => admin.firestore.Timestamp.now();
+const historyEntry = (status) =>
+  admin.firestore.FieldValue.arrayUnion({ status, at: admin.firestore.Timestamp.now() });
+
+function newOffer(driverId) {
+  return {
+    driverId,
+    offeredAt: now(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + OFFER_TIMEOUT_SECONDS * 1000),
+  };
+}
+
+const offerExpired = (offer) => !offer || offer.expiresAt.toMillis() <= Date.now();
+
+// Capture/cancel on stripe-backend runs after the response; settlePending() retries it
+function settleInBackground(rideId) {
+  settleRide(rideId).catch((e) => console.error("ride settlement:", rideId, e.message));
+}
+
+// An immediate ride's RydrBank code (reserved by the app's preview for
+// RESERVATION_TTL_MINUTES) is held past the ride once a driver accepts it, and
+// let go if the ride is cancelled. Scheduled rides' holds are scheduled.js's.
+// If the bank can't be reached the hold just keeps its own expiry.
+function holdRideCode(r, rideId) {
+  if (r.scheduledRideId) return;
+  const holdUntil = new Date(Date.now() + RIDE_CODE_HOLD_HOURS * 3600 * 1000).toISOString();
+  bank
+    .reserve({ uid: r.riderUid, bookingId: rideId, holdUntil })
+    .catch((e) => console.error("ride code hold:", rideId, e.message));
+}
+
+function releaseRideCode(r, rideId) {
+  if (r.scheduledRideId) return;
+  bank
+    .release({ uid: r.riderUid, bookingId: rideId, reason: "ride_cancelled" })
+    .catch((e) => console.error("ride code release:", rideId, e.message));
+}
+
+// The distance a completed ride is billed on: what tracking added up on the
+// dropoff leg when that's plausible (at least the straight line from the pickup
+// to where the trip ended), else that straight line at ROAD_FACTOR (tracking
+// missed part of the trip, e.g. nobody had the ride open).
+function tripDistance(r, endLocation) {
+  const end = isCoordinate(endLocation) ? endLocation : r.dropoffLocation;
+  const straightKm = end ? distanceKm(r.pickupLocation, end) : 0;
+  const trackedKm = Number(r.trackedKm) || 0;
+  const tracked = trackedKm > 0 && trackedKm >= straightKm;
+  const km = tracked ? trackedKm : straightKm * ROAD_FACTOR;
+  return {
+    tripDistanceMi: Math.round((km / KM_PER_MI) * 100) / 100,
+    tripDistanceSource: tracked ? "tracked" : "estimated",
+  };
+}
+
+// What the rider/driver apps see
+export function rideView(id, r, driver = null) {
+  const iso = (ts) => ts?.toDate?.().toISOString() || null;
+  return {
+    id,
+    status: r.status,
+    pickup: r.pickup,
+    dropoff: r.dropoff,
+    rideType: r.rideType,
+    pickupLocation: r.pickupLocation,
+    dropoffLocation: r.dropoffLocation || null,
+    driverId: r.driverId || null,
+    offeredDriverId: r.offer?.driverId || null,
+    offerExpiresAt: iso(r.offer?.expiresAt),
+    driver: driver ? driverView(r.driverId || r.offer?.driverId, driver) : null,
+    cancelledBy: r.cancelledBy || null,
+    cancelReason: r.cancelReason || null,
+    scheduledRideId: r.scheduledRideId || null,
+    createdAt: iso(r.createdAt),
+    acceptedAt: iso(r.acceptedAt),
+    arrivedAtPickupAt: iso(r.arrivedAtPickupAt),
+    pickedUpAt: iso(r.pickedUpAt),
+    completedAt: iso(r.completedAt),
+    cancelledAt: iso(r.cancelledAt),
+    tripDistanceMi: r.tripDistanceMi ?? null,
+  };
+}
+
+// Rider picks a driver from the nearby list. -> { rideId }
+// The scheduler passes its own rideId so a retried dispatch can't create a second ride.
+export async function requestRide(
+  riderUid,
+  { driverId, pickup, dropoff, rideType, pickupLocation, dropoffLocation, rideId = null, scheduledRideId = null }
+) {
+  if (!isCoordinate(pickupLocation)) throw new Error("invalid_pickup_location");
+  if (dropoffLocation && !isCoordinate(dropoffLocation)) throw new Error("invalid_dropoff_location");
+  const ref = rideId ? rideRef(rideId) : db.collection("rides").doc();
+
+  const offered = await db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const existing = rideId ? await t.get(ref) : null;
+    if (existing?.exists) return "exists";
+    const driverSnap = driverId ? await t.get(driverRef(driverId)) : null;
+    const available = !!driverSnap && canTakeRide(driverSnap.data(), rideType);
+
+    // === WRITES ===
+    t.set(ref, {
+      riderUid,
+      pickup: String(pickup || ""),
+      dropoff: String(dropoff || ""),
+      rideType: normalizeRideType(rideType),
+      pickupLocation: { lat: pickupLocation.lat, lng: pickupLocation.lng },
+      dropoffLocation: dropoffLocation ? { lat: dropoffLocation.lat, lng: dropoffLocation.lng } : null,
+      status: "offered",
+      offer: available ? newOffer(driverId) : null,
+      driverId: null,
+      requestedDriverId: driverId || null,
+      triedDriverIds: available ? [driverId] : [],
+      offerCount: available ? 1 : 0,
+      scheduledRideId,
+      statusHistory: [{ status: "offered", at: now() }],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (available) t.update(driverRef(driverId), { status: "offered", offerRideId: ref.id });
+    return available;
+  });
+
+  // The chosen driver went offline/busy meanwhile: go straight to the next best
+  if (offered === false) await offerNext(ref.id);
+  return { rideId: ref.id };
+}
+
+async function cancelNoDriver(rideId) {
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(rideRef(rideId));
+    const r = snap.data();
+    if (!r || r.status !== "offered" || r.offer) return;
+    t.update(rideRef(rideId), {
+      status: "cancelled",
+      cancelledBy: "system",
+      cancelReason: "no_driver_available",
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: historyEntry("cancelled"),
+    });
+  });
+}
+
+// Offers an unassigned ride to the best nearby driver it hasn't tried yet
+export async function offerNext(rideId) {
+  const snap = await rideRef(rideId).get();
+  const ride = snap.data();
+  if (!ride || ride.status !== "offered" || ride.offer) return false;
+  if ((ride.offerCount || 0) >= MAX_OFFERS) {
+    await cancelNoDriver(rideId);
+    return false;
+  }
+
+  const candidates = await findNearbyDrivers(ride.pickupLocation, {
+    rideType: ride.rideType,
+    exclude: ride.triedDriverIds || [],
+  });
+  for (const c of candidates) {
+    const result = await db.runTransaction(async (t) => {
+      // === READS FIRST ===
+      const [rideSnap, driverSnap] = await Promise.all([t.get(rideRef(rideId)), t.get(driverRef(c.id))]);
+      const r = rideSnap.data();
+      if (!r || r.status !== "offered" || r.offer) return "done"; // cancelled or offered elsewhere
+      if (!canTakeRide(driverSnap.data(), r.rideType)) return "busy";
+
+      // === WRITES ===
+      t.update(rideRef(rideId), {
+        offer: newOffer(c.id),
+        triedDriverIds: admin.firestore.FieldValue.arrayUnion(c.id),
+        offerCount: admin.firestore.FieldValue.increment(1),
+      });
+      t.update(driverRef(c.id), { status: "offered", offerRideId: rideId });
+      return "offered";
+    });
+    if (result === "offered") return true;
+    if (result === "done") return false;
+  }
+
+  await cancelNoDriver(rideId);
+  return false;
+}
+
+// Driver answers their current offer. -> ride view
+export async function respondToOffer(driverUid, rideId, accept) {
+  const ref = rideRef(rideId);
+  const out = await db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const [rideSnap, driverSnap] = await Promise.all([t.get(ref), t.get(driverRef(driverUid))]);
+    const r = rideSnap.data();
+    if (!r) throw new Error("not_found");
+    if (r.status !== "offered" || r.offer?.driverId !== driverUid) throw new Error("no_offer");
+    if (offerExpired(r.offer)) throw new Error("offer_expired");
+
+    // === WRITES ===
+    if (accept) {
+      t.update(ref, {
+        status: "enRouteToPickup",
+        driverId: driverUid,
+        offer: null,
+        acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+        statusHistory: historyEntry("enRouteToPickup"),
+      });
+      t.update(driverRef(driverUid), {
+        status: "on_ride",
+        offerRideId: null,
+        currentRideId: rideId,
+        missedOffers: 0,
+      });
+      return { ...r, status: "enRouteToPickup", driverId: driverUid, offer: null, driver: driverSnap.data() };
+    }
+    t.update(ref, { offer: null });
+    t.update(driverRef(driverUid), { status: "available", offerRideId: null, missedOffers: 0 });
+    return { ...r, offer: null, driver: null };
+  });
+
+  if (accept) holdRideCode(out, rideId);
+  else await offerNext(rideId);
+  return rideView(rideId, out, out.driver);
+}
+
+// Offers nobody answered in time go to the next driver
+async function expireOffer(rideId) {
+  const ref = rideRef(rideId);
+  const expired = await db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const snap = await t.get(ref);
+    const r = snap.data();
+    if (!r || r.status !== "offered" || !r.offer || !offerExpired(r.offer)) return false;
+    const dRef = driverRef(r.offer.driverId);
+    const driverSnap = await t.get(dRef);
+    const d = driverSnap.data();
+
+    // === WRITES ===
+    t.update(ref, { offer: null });
+    if (d && d.offerRideId === rideId) {
+      const missed = (d.missedOffers || 0) + 1;
+      t.update(dRef, {
+        status: missed >= MISSED_OFFERS_OFFLINE ? "offline" : "available",
+        offerRideId: null,
+        missedOffers: missed,
+      });
+    }
+    return true;
+  });
+  if (expired) await offerNext(rideId);
+  return expired;
+}
+
+export async function sweepExpiredOffers() {
+  const snap = await db.collection("rides").where("offer.expiresAt", "<=", now()).get();
+  let expired = 0;
+  for (const doc of snap.docs) {
+    try {
+      if (await expireOffer(doc.id)) expired++;
+    } catch (e) {
+      console.error("offer expiry:", doc.id, e.message);
+    }
+  }
+  return { checked: snap.size, expired };
+}
+
+// Rider (or driver) cancels an active ride; frees whoever held it. A ride with
+// a driver assigned may have a card hold, settled on stripe-backend after.
+// system: the scheduler cancelling a ride it dispatched (uid is ignored)
+export async function cancelRide(uid, rideId, { reason = null, system = false } = {}) {
+  const ref = rideRef(rideId);
+  let settle = false;
+  let ride = null;
+  const view = await db.runTransaction(async (t) => {
+    settle = false;
+    // === READS FIRST ===
+    const snap = await t.get(ref);
+    const r = snap.data();
+    if (!r) throw new Error("not_found");
+    const by = system ? "system" : uid === r.riderUid ? "rider" : uid === r.driverId ? "driver" : null;
+    if (!by) throw new Error("not_your_ride");
+    if (!ACTIVE.includes(r.status)) return rideView(rideId, r); // already over
+    const heldBy = r.driverId || r.offer?.driverId || null;
+    const driverSnap = heldBy ? await t.get(driverRef(heldBy)) : null;
+
+    // === WRITES ===
+    settle = !!r.driverId;
+    ride = r;
+    t.update(ref, {
+      status: "cancelled",
+      offer: null,
+      cancelledBy: by,
+      cancelReason: reason,
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: historyEntry("cancelled"),
+      ...(settle && { settlement: queueSettlement("cancel") }),
+    });
+    const d = driverSnap?.data();
+    if (d && (d.offerRideId === rideId || d.currentRideId === rideId)) {
+      t.update(driverRef(heldBy), { status: "available", offerRideId: null, currentRideId: null });
+    }
+    return rideView(rideId, { ...r, status: "cancelled", offer: null, cancelledBy: by, cancelReason: reason });
+  });
+  if (settle) {
+    settleInBackground(rideId);
+    releaseRideCode(ride, rideId);
+  }
+  return view;
+}
+
+// Driver moves their ride along: "pickup" (rider on board) or "complete".
+// On pickup the driver app may send the dropoff coordinate if the rider's app didn't.
+// Completing records the billed trip distance and queues the fare capture.
+export async function advanceRide(driverUid, rideId, action, { dropoffLocation = null } = {}) {
+  const step = TRANSITIONS[action];
+  if (!step) throw new Error("bad_action");
+  if (dropoffLocation && !isCoordinate(dropoffLocation)) throw new Error("invalid_dropoff_location");
+  const ref = rideRef(rideId);
+  const view = await db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const snap = await t.get(ref);
+    const r = snap.data();
+    if (!r) throw new Error("not_found");
+    if (r.driverId !== driverUid) throw new Error("not_your_ride");
+    if (r.status !== step.from) throw new Error("bad_status");
+    const completing = step.to === "completed";
+    const driver = completing ? (await t.get(driverRef(driverUid))).data() : null;
+
+    // === WRITES ===
+    const trip = completing ? tripDistance(r, driver?.location) : {};
+    t.update(ref, {
+      status: step.to,
+      [step.stamp]: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: historyEntry(step.to),
+      ...(action === "pickup" && dropoffLocation && !r.dropoffLocation
+        ? { dropoffLocation: { lat: dropoffLocation.lat, lng: dropoffLocation.lng } }
+        : {}),
+      ...(completing && { ...trip, settlement: queueSettlement("capture") }),
+    });
+    if (completing) {
+      t.update(driverRef(driverUid), { status: "available", currentRideId: null });
+    }
+    return rideView(rideId, { ...r, ...trip, status: step.to });
+  });
+  if (step.to === "completed") settleInBackground(rideId);
+  return view;
+}
+
+// Realtime tracking saw the driver reach the pickup. Once per ride; -> true if stamped now
+export async function markArrivedAtPickup(rideId) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(rideRef(rideId));
+    const r = snap.data();
+    if (!r || r.status !== "enRouteToPickup" || r.arrivedAtPickupAt) return false;
+    t.update(rideRef(rideId), {
+      arrivedAtPickupAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: historyEntry("arrivedAtPickup"),
+    });
+    return true;
+  });
+}
+
+// Ride plus the assigned (or offered) driver's profile and position, for its rider or driver
+export async function getRide(uid, rideId) {
+  const snap = await rideRef(rideId).get();
+  const r = snap.data();
+  if (!r) throw new Error("not_found");
+  if (uid !== r.riderUid && uid !== r.driverId && uid !== r.offer?.driverId) throw new Error("not_your_ride");
+  const driverId = r.driverId || null;
+  const driverSnap = driverId ? await driverRef(driverId).get() : null;
+  return rideView(rideId, r, driverSnap?.data() || null);
+}
+
+// Rider waits for the outcome of their request (long poll).
+// -> { decision: "accepted" | "declined" | "pending", ride }
+// "accepted" may name a different driver than the one picked (re-offered);
+// "declined" means no driver took it and the ride was cancelled.
+export function awaitDecision(uid, rideId, { waitSeconds = 25 } = {}) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let unsubscribe = () => {};
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      unsubscribe();
+      fn(value);
+    };
+
+    const timer = setTimeout(async () => {
+      try {
+        finish(resolve, { decision: "pending", ride: await getRide(uid, rideId) });
+      } catch (e) {
+        finish(reject, e);
+      }
+    }, Math.min(Math.max(Number(waitSeconds) || 25, 1), 55) * 1000);
+
+    unsubscribe = rideRef(rideId).onSnapshot(
+      async (snap) => {
+        const r = snap.data();
+        if (!r) return finish(reject, new Error("not_found"));
+        if (r.riderUid !== uid) return finish(reject, new Error("not_your_ride"));
+        if (r.status === "offered") return;
+        try {
+          const ride = await getRide(uid, rideId);
+          finish(resolve, { decision: r.status === "cancelled" ? "declined" : "accepted", ride });
+        } catch (e) {
+          finish(reject, e);
+        }
+      },
+      (e) => finish(reject, e)
+    );
+  });
+}
+
+// Driver app: the offer waiting for this driver, if any
+export async function currentOffer(driverUid) {
+  const d = (await driverRef(driverUid).get()).data();
+  if (!d?.offerRideId) return null;
+  const snap = await rideRef(d.offerRideId).get();
+  const r = snap.data();
+  if (!r || r.status !== "offered" || r.offer?.driverId !== driverUid || offerExpired(r.offer)) return null;
+  return rideView(snap.id, r);
+}
@@ -0,0 +1,156 @@
+// drivers.js
+// Driver availability and the nearby-driver search.
+//
+// dispatch_drivers/{uid}: {
+//   name, carMakeModel, profileImage, carImage, rating, compliments,
+//   perMile, perMinute, rideTypes: ["go", "xl", "prestine"],
+//   status: "offline" | "available" | "offered" | "on_ride",
+//   location: { lat, lng }, heading, cell (geohash, CELL_PRECISION), locationAt,
+//   offerRideId, currentRideId, missedOffers,
+// }
+//
+// Only "available" drivers with a location newer than DRIVER_STALE_SECONDS are
+// offered rides. A driver app that stops reporting drops out on its own.
+
+import { admin, db } from "./firebase.js";
+import {
+  CELL_PRECISION,
+  SEARCH_RADIUS_KM,
+  cellsCovering,
+  distanceKm,
+  encodeGeohash,
+  isCoordinate,
+} from "./geo.js";
+
+export const DRIVER_STALE_SECONDS = Number(process.env.DRIVER_STALE_SECONDS || 90);
+const NEARBY_LIMIT = 10;
+const IN_QUERY_MAX = 30; // Firestore "in" limit
+const NEW_DRIVER_RATING = 4.8; // until rider ratings exist for the driver
+
+const PROFILE_FIELDS = [
+  "name",
+  "carMakeModel",
+  "profileImage",
+  "carImage",
+  "perMile",
+  "perMinute",
+  "rideTypes",
+  "compliments",
+];
+
+export const driverRef = (uid) => db.collection("dispatch_drivers").doc(uid);
+
+export function normalizeRideType(rideType) {
+  const key = String(rideType || "").toLowerCase();
+  if (key.includes("prestine")) return "prestine";
+  if (key.includes("xl")) return "xl";
+  return "go";
+}
+
+export function isFresh(driver, now = Date.now()) {
+  const at = driver?.locationAt?.toMillis?.();
+  return !!at && now - at <= DRIVER_STALE_SECONDS * 1000;
+}
+
+// Available, reporting, and drives this ride type (any type when none given)
+export function canTakeRide(driver, rideType) {
+  if (!driver || driver.status !== "available" || !isFresh(driver)) return false;
+  if (!rideType) return true;
+  const types = Array.isArray(driver.rideTypes) && driver.rideTypes.length ? driver.rideTypes : ["go"];
+  return types.map(normalizeRideType).includes(normalizeRideType(rideType));
+}
+
+// 0-100: mostly how close the driver is, then rating (4.0 -> 0, 5.0 -> full)
+export function scoreDriver(distance, rating, radiusKm = SEARCH_RADIUS_KM) {
+  const proximity = Math.max(0, 1 - distance / radiusKm);
+  const ratingPart = Math.min(1, Math.max(0, (Number(rating) || NEW_DRIVER_RATING) - 4));
+  return Math.round(100 * (0.7 * proximity + 0.3 * ratingPart));
+}
+
+// Shape the app's Driver model decodes
+export function driverView(id, d, extra = {}) {
+  return {
+    id,
+    name: d.name || "Driver",
+    profileImage: d.profileImage || null,
+    carImage: d.carImage || null,
+    carMakeModel: d.carMakeModel || "",
+    rating: Number(d.rating) || NEW_DRIVER_RATING,
+    compliments: Array.isArray(d.compliments) ? d.compliments.slice(0, 3) : [],
+    perMinute: Number(d.perMinute) || 0,
+    perMile: Number(d.perMile) || 0,
+    coordinate: d.location ? { lat: d.location.lat, lng: d.location.lng } : null,
+    ...extra,
+  };
+}
+
+// Best-scored drivers who can take `rideType` near `center`.
+// -> [{ id, driver, distanceKm, score }] best first
+export async function findNearbyDrivers(center, { rideType, exclude = [], limit = NEARBY_LIMIT } = {}) {
+  if (!isCoordinate(center)) throw new Error("invalid_location");
+  const cells = cellsCovering(center.lat, center.lng);
+  const chunks = [];
+  for (let i = 0; i < cells.length; i += IN_QUERY_MAX) chunks.push(cells.slice(i, i + IN_QUERY_MAX));
+  const snaps = await Promise.all(
+    chunks.map((c) => db.collection("dispatch_drivers").where("cell", "in", c).get())
+  );
+
+  const skip = new Set(exclude);
+  const found = [];
+  for (const snap of snaps) {
+    for (const doc of snap.docs) {
+      const d = doc.data();
+      if (skip.has(doc.id) || !canTakeRide(d, rideType)) continue;
+      const km = distanceKm(center, d.location);
+      if (km > SEARCH_RADIUS_KM) continue;
+      found.push({ id: doc.id, driver: d, distanceKm: km, score: scoreDriver(km, d.rating) });
+    }
+  }
+  return found.sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm).slice(0, limit);
+}
+
+// Driver app: profile fields (rates are capped per ride type at booking, not here)
+export async function updateProfile(uid, body) {
+  const update = {};
+  for (const key of PROFILE_FIELDS) if (body[key] !== undefined) update[key] = body[key];
+  for (const key of ["perMile", "perMinute"]) {
+    if (key in update && !(typeof update[key] === "number" && update[key] >= 0)) throw new Error(`invalid_${key}`);
+  }
+  if ("rideTypes" in update) {
+    if (!Array.isArray(update.rideTypes)) throw new Error("invalid_rideTypes");
+    update.rideTypes = [...new Set(update.rideTypes.map(normalizeRideType))];
+  }
+  await driverRef(uid).set(
+    { ...update, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+}
+
+// Driver app: go online/offline. Can't go offline holding an offer or a ride.
+export async function setAvailability(uid, online) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(driverRef(uid));
+    const d = snap.data();
+    if (!d) throw new Error("no_driver_profile");
+    if (d.status === "offered" || d.status === "on_ride") {
+      if (!online) throw new Error(d.status === "on_ride" ? "on_ride" : "offer_pending");
+      return d.status;
+    }
+    const status = online ? "available" : "offline";
+    t.update(driverRef(uid), { status, missedOffers: 0 });
+    return status;
+  });
+}
+
+// Driver app: location ping (every few seconds while online)
+export async function reportLocation(uid, { lat, lng, heading = null }) {
+  if (!isCoordinate({ lat, lng })) throw new Error("invalid_location");
+  const snap = await driverRef(uid).get();
+  if (!snap.exists) throw new Error("no_driver_profile");
+  await driverRef(uid).update({
+    location: { lat, lng },
+    heading: typeof heading === "number" ? heading : null,
+    cell: encodeGeohash(lat, lng, CELL_PRECISION),
+    locationAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
@@ -0,0 +1,81 @@
+// geo.js
+// Geohash encoding for the driver index and great-circle distances.
+// Drivers are indexed by a precision-5 cell (~4.9 km tall, narrower away from the
+// equator); a nearby search reads every cell under the search circle's bounding box.
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+export const CELL_PRECISION = 5;
+export const SEARCH_RADIUS_KM = Number(process.env.SEARCH_RADIUS_KM || 8);
+
+export function encodeGeohash(lat, lng, precision = 9) {
+  let latMin = -90, latMax = 90, lngMin = -180, lngMax = 180;
+  let hash = "";
+  let bit = 0;
+  let ch = 0;
+  let even = true;
+  while (hash.length < precision) {
+    if (even) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) { ch = (ch << 1) | 1; lngMin = mid; } else { ch <<= 1; lngMax = mid; }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) { ch = (ch << 1) | 1; latMin = mid; } else { ch <<= 1; latMax = mid; }
+    }
+    even = !even;
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+// Cell size in degrees at this precision -> { latDeg, lngDeg }
+function cellSize(precision) {
+  const bits = precision * 5;
+  const lngBits = Math.ceil(bits / 2);
+  const latBits = Math.floor(bits / 2);
+  return { latDeg: 180 / 2 ** latBits, lngDeg: 360 / 2 ** lngBits };
+}
+
+// Every cell that overlaps the circle's bounding box
+export function cellsCovering(lat, lng, radiusKm = SEARCH_RADIUS_KM, precision = CELL_PRECISION) {
+  const { latDeg, lngDeg } = cellSize(precision);
+  const dLat = radiusKm / 111.32;
+  const dLng = Math.min(180, radiusKm / (111.32 * Math.max(Math.cos((lat * Math.PI) / 180), 0.01)));
+  const cells = new Set();
+  const latSteps = Math.ceil((2 * dLat) / latDeg) + 1;
+  const lngSteps = Math.ceil((2 * dLng) / lngDeg) + 1;
+  for (let i = 0; i <= latSteps; i++) {
+    const la = Math.max(-90, Math.min(90, lat - dLat + Math.min(i * latDeg, 2 * dLat)));
+    for (let j = 0; j <= lngSteps; j++) {
+      let lo = lng - dLng + Math.min(j * lngDeg, 2 * dLng);
+      if (lo < -180) lo += 360;
+      if (lo >= 180) lo -= 360;
+      cells.add(encodeGeohash(la, lo, precision));
+    }
+  }
+  return [...cells];
+}
+
+export function distanceKm(a, b) {
+  const R = 6371;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+export function isCoordinate(p) {
+  return (
+    !!p &&
+    typeof p.lat === "number" &&
+    typeof p.lng === "number" &&
+    Math.abs(p.lat) <= 90 &&
+    Math.abs(p.lng) <= 180
+  );
+}
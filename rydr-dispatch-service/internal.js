@@ -0,0 +1,64 @@
+// internal.js
+// Signed server-to-server calls to stripe-backend (scheduled-ride card holds,
+// ride capture/cancel) and rydr-bank-service (RydrBank code holds). Same scheme
+// as stripe-backend's ride events: unix seconds in x-rydr-timestamp,
+// x-rydr-signature = hex HMAC-SHA256(DISPATCH_SIGNING_SECRET, `${timestamp}.${body}`).
+
+import crypto from "node:crypto";
+
+const SECRET = process.env.DISPATCH_SIGNING_SECRET || "";
+const TIMEOUT_MS = 15 * 1000;
+
+const base = (url) => (url || "").replace(/\/+$/, "");
+const STRIPE_BACKEND_URL = base(process.env.STRIPE_BACKEND_URL);
+const RYDR_BANK_URL = base(process.env.RYDR_BANK_URL);
+
+// -> response JSON. Throws Error(<the service's error code>) with .status (0 = unreachable)
+async function post(baseUrl, path, payload) {
+  if (!baseUrl || !SECRET) throw Object.assign(new Error("internal_api_not_configured"), { status: 0 });
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex");
+
+  let res;
+  try {
+    res = await fetch(baseUrl + path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-rydr-timestamp": String(timestamp),
+        "x-rydr-signature": signature,
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (e) {
+    throw Object.assign(new Error("service_unreachable"), { status: 0, cause: e });
+  }
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw Object.assign(new Error(out.error || `http_${res.status}`), { status: res.status });
+  return out;
+}
+
+// ----- stripe-backend: /internal/scheduled/* (scheduled-payments.js) -----
+
+export const payments = {
+  register: (p) => post(STRIPE_BACKEND_URL, "/internal/scheduled/register", p),
+  authorize: (p) => post(STRIPE_BACKEND_URL, "/internal/scheduled/authorize", p),
+  release: (p) => post(STRIPE_BACKEND_URL, "/internal/scheduled/release", p),
+  convert: (p) => post(STRIPE_BACKEND_URL, "/internal/scheduled/convert", p),
+};
+
+// ----- stripe-backend: /internal/rides/* (ride-payments.js) -----
+
+export const ridePayments = {
+  capture: (p) => post(STRIPE_BACKEND_URL, "/internal/rides/capture", p),
+  cancel: (p) => post(STRIPE_BACKEND_URL, "/internal/rides/cancel", p),
+};
+
+// ----- rydr-bank-service: /internal/bookings/* -----
+
+export const bank = {
+  reserve: (p) => post(RYDR_BANK_URL, "/internal/bookings/reserve", p),
+  release: (p) => post(RYDR_BANK_URL, "/internal/bookings/release", p),
+};
@@ -0,0 +1,46 @@
+// notifications.js
+// Email/SMS go through rydr-bank-service's notification outbox: this writes the
+// same notifications/{id} docs (same Firestore project) and the bank's worker
+// renders and sends them. The templates live in rydr-bank-service/templates.js;
+// bump a version here only after the bank has deployed it.
+//
+//   ride_reminder, ride_payment_failed, ride_cancelled   rider (scheduled.js)
+//   trip_shared, sos_alert, check_in_missed             trusted contacts (safety.js)
+
+import { admin, db } from "./firebase.js";
+
+const VERSIONS = {
+  ride_reminder: 1,
+  ride_payment_failed: 1,
+  ride_cancelled: 1,
+  trip_shared: 1,
+  sos_alert: 1,
+  check_in_missed: 1,
+};
+
+// WRITES ONLY (transaction or batch). One doc per channel the recipient can be
+// reached on. recipient: { uid } (email/phone looked up at send time) or { email, phone }.
+export function queueNotification(t, template, recipient, data) {
+  const templateVersion = VERSIONS[template];
+  if (!templateVersion) throw new Error(`unknown_template:${template}`);
+  const { uid = null, email = null, phone = null } = recipient || {};
+
+  for (const channel of ["email", "sms"]) {
+    const address = channel === "email" ? email : phone;
+    if (!address && !uid) continue;
+    t.set(db.collection("notifications").doc(), {
+      channel,
+      template,
+      templateVersion,
+      data,
+      to: address ? { [channel === "email" ? "email" : "phone"]: address } : { uid },
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastError: null,
+      providerMessageId: null,
+      secretFields: [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
@@ -0,0 +1,307 @@
+// realtime.js
+// WebSocket channel per ride at /realtime: the driver app publishes GPS fixes,
+// the ride's rider (and driver) get smoothed positions, remaining distance/ETA
+// and status events.
+//
+// Client -> server (JSON):
+//   { type: "auth", token, rideId }                  first message, within AUTH_TIMEOUT_MS
+//   { type: "fix", lat, lng, ts, accuracy?, speed?, heading? }   driver only
+// Server -> client:
+//   { type: "ready", role, ride }                    then the latest "location", if any
+//   { type: "location", lat, lng, heading, speedMps, leg, remainingKm, etaMinutes, at }
+//   { type: "status", status, event }                arrived_at_pickup | trip_started | trip_ended | cancelled
+//   { type: "check_in", checkInId, reason, expiresAt }   rider only: answer via POST /rides/:id/check-in
+//   { type: "check_in_resolved", checkInId }             rider only
+//   { type: "error", error }
+//
+// With SIMULATOR_ENABLED=true, { type: "auth", internalKey, rideId } joins as
+// the ride's rider, so simulate.js --watch can follow a ride without a device.
+//
+// Only the ride's rider and its assigned driver can join. Channels live in this
+// process: run a single instance (or sticky sessions) while this is in-memory.
+// Status changes come from the ride doc, so /driver/rides/:id/pickup|complete
+// on any instance still reach subscribers. On the dropoff leg each fix also goes
+// through the ride's TripMonitor (safety.js) for SafeRydr check-ins, and the
+// distance driven is added up into rides.trackedKm, which the fare is billed on
+// (advanceRide in dispatch.js).
+
+import { WebSocketServer, WebSocket } from "ws";
+import { admin, db } from "./firebase.js";
+import { isCoordinate } from "./geo.js";
+import { reportLocation } from "./drivers.js";
+import { markArrivedAtPickup, rideView } from "./dispatch.js";
+import { Odometer, Tracker, etaTo } from "./tracking.js";
+import { TripMonitor, openCheckIn } from "./safety.js";
+
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const PERSIST_EVERY_MS = 5 * 1000; // smoothed position -> dispatch_drivers (search + GET /rides)
+const TERMINAL = ["completed", "cancelled"];
+const STATUS_EVENTS = {
+  enRouteToDropoff: "trip_started",
+  completed: "trip_ended",
+  cancelled: "cancelled",
+};
+
+export const SIMULATOR_ENABLED = process.env.SIMULATOR_ENABLED === "true";
+
+// rideId -> { ride, sockets: Set, tracker, monitor, odometer, unsavedKm, checkIn, last, lastPersistAt, unsubscribe }
+const channels = new Map();
+
+const send = (socket, msg) => {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+};
+
+function broadcast(channel, msg) {
+  for (const socket of channel.sockets) send(socket, msg);
+}
+
+const sendToRider = (channel, msg) => {
+  for (const socket of channel.sockets) if (socket.role === "rider") send(socket, msg);
+};
+
+// Trip distance since the last save -> rides.trackedKm
+function saveTrackedKm(rideId, channel) {
+  const km = channel.unsavedKm;
+  if (!km) return;
+  channel.unsavedKm = 0;
+  db.collection("rides")
+    .doc(rideId)
+    .update({ trackedKm: admin.firestore.FieldValue.increment(km) })
+    .catch((e) => {
+      channel.unsavedKm += km;
+      console.error("save tracked distance:", rideId, e.message);
+    });
+}
+
+function closeChannel(rideId) {
+  const channel = channels.get(rideId);
+  if (!channel) return;
+  channels.delete(rideId);
+  saveTrackedKm(rideId, channel);
+  channel.unsubscribe();
+  for (const socket of channel.sockets) socket.close(1000, "ride_over");
+}
+
+function openChannel(rideId, ride) {
+  const channel = {
+    ride,
+    sockets: new Set(),
+    tracker: new Tracker(),
+    monitor: new TripMonitor(),
+    odometer: new Odometer(),
+    unsavedKm: 0,
+    checkIn: null, // open check-in prompt, re-sent to riders who join
+    last: null,
+    lastPersistAt: 0,
+    unsubscribe: () => {},
+  };
+  channels.set(rideId, channel);
+
+  channel.unsubscribe = db.collection("rides").doc(rideId).onSnapshot(
+    (snap) => {
+      const r = snap.data();
+      if (!r) return closeChannel(rideId);
+      const previous = channel.ride.status;
+      channel.ride = r;
+      if (r.status !== previous && STATUS_EVENTS[r.status]) {
+        broadcast(channel, { type: "status", status: r.status, event: STATUS_EVENTS[r.status] });
+      }
+      if (TERMINAL.includes(r.status)) setTimeout(() => closeChannel(rideId), 2000).unref();
+    },
+    (e) => {
+      console.error("realtime ride listener:", rideId, e.message);
+      closeChannel(rideId);
+    }
+  );
+  return channel;
+}
+
+// Simulator: a channel for an active ride with nobody connected yet (it closes
+// when the ride ends rather than when the last socket leaves)
+export async function ensureChannel(rideId) {
+  if (channels.has(rideId)) return channels.get(rideId).ride;
+  const snap = await db.collection("rides").doc(rideId).get();
+  const ride = snap.data();
+  if (!ride) throw new Error("not_found");
+  if (TERMINAL.includes(ride.status)) throw new Error("ride_over");
+  return (channels.get(rideId) || openChannel(rideId, ride)).ride;
+}
+
+// Where the driver is heading right now
+function legOf(ride) {
+  if (ride.status === "enRouteToPickup") return { leg: "pickup", target: ride.pickupLocation };
+  if (ride.status === "enRouteToDropoff") return { leg: "dropoff", target: ride.dropoffLocation || null };
+  return { leg: null, target: null };
+}
+
+// One driver fix through the filter -> broadcast. Shared by driver sockets and
+// the simulator. -> { accepted, reason? }
+export async function publishFix(rideId, driverUid, fix) {
+  const channel = channels.get(rideId);
+  if (!channel) return { accepted: false, reason: "no_subscribers" };
+  if (channel.ride.driverId !== driverUid) return { accepted: false, reason: "not_your_ride" };
+  if (TERMINAL.includes(channel.ride.status)) return { accepted: false, reason: "ride_over" };
+  if (!isCoordinate({ lat: fix?.lat, lng: fix?.lng })) return { accepted: false, reason: "invalid_location" };
+
+  const out = channel.tracker.push(fix);
+  if (!out.accepted) return out;
+
+  const { leg, target } = legOf(channel.ride);
+  const eta = etaTo(out.position, target, out.speedMps);
+  channel.last = {
+    type: "location",
+    lat: out.position.lat,
+    lng: out.position.lng,
+    heading: out.heading,
+    speedMps: out.speedMps === null ? null : Math.round(out.speedMps * 10) / 10,
+    leg,
+    remainingKm: eta.remainingKm,
+    etaMinutes: eta.etaMinutes,
+    at: new Date().toISOString(),
+  };
+  broadcast(channel, channel.last);
+
+  if (leg === "pickup" && eta.arrived && !channel.ride.arrivedAtPickupAt) {
+    channel.ride = { ...channel.ride, arrivedAtPickupAt: true }; // don't re-fire before the snapshot lands
+    markArrivedAtPickup(rideId)
+      .then((stamped) => {
+        if (stamped) broadcast(channel, { type: "status", status: "enRouteToPickup", event: "arrived_at_pickup" });
+      })
+      .catch((e) => console.error("arrived at pickup:", rideId, e.message));
+  }
+
+  if (leg === "dropoff") {
+    channel.unsavedKm += channel.odometer.push(out.position);
+    const reason = channel.monitor.observe({ speedMps: out.speedMps, remainingKm: eta.remainingKm });
+    if (reason) {
+      openCheckIn(rideId, channel.ride, reason, out.position)
+        .then((msg) => {
+          channel.checkIn = msg;
+          sendToRider(channel, msg);
+        })
+        .catch((e) => console.error("check-in:", rideId, e.message));
+    }
+  }
+
+  if (Date.now() - channel.lastPersistAt >= PERSIST_EVERY_MS) {
+    channel.lastPersistAt = Date.now();
+    saveTrackedKm(rideId, channel);
+    reportLocation(driverUid, { ...out.position, heading: out.heading }).catch((e) =>
+      console.error("persist location:", driverUid, e.message)
+    );
+  }
+  return { accepted: true };
+}
+
+// The rider answered (POST /rides/:id/check-in): close the prompt on their other devices
+export function resolveCheckIn(rideId, checkInId) {
+  const channel = channels.get(rideId);
+  if (!channel || channel.checkIn?.checkInId !== checkInId) return;
+  channel.checkIn = null;
+  sendToRider(channel, { type: "check_in_resolved", checkInId });
+}
+
+// -> { uid, role } for the ride or throws
+async function authenticate(msg, ride) {
+  if (SIMULATOR_ENABLED && msg.internalKey && msg.internalKey === process.env.INTERNAL_API_KEY) {
+    // Simulator/testing: watch a ride as its rider without a device
+    return { uid: ride.riderUid, role: "rider" };
+  }
+  if (!msg.token) throw new Error("missing_token");
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(msg.token);
+  } catch {
+    throw new Error("invalid_token");
+  }
+  if (decoded.uid === ride.riderUid) return { uid: decoded.uid, role: "rider" };
+  if (decoded.uid === ride.driverId) return { uid: decoded.uid, role: "driver" };
+  throw new Error("not_your_ride");
+}
+
+async function join(socket, msg) {
+  const rideId = String(msg.rideId || "");
+  if (!rideId) throw new Error("missing_ride");
+  const snap = await db.collection("rides").doc(rideId).get();
+  const ride = snap.data();
+  if (!ride) throw new Error("not_found");
+  const who = await authenticate(msg, ride);
+  if (TERMINAL.includes(ride.status)) throw new Error("ride_over");
+
+  const channel = channels.get(rideId) || openChannel(rideId, ride);
+  socket.role = who.role;
+  channel.sockets.add(socket);
+  socket.on("close", () => {
+    channel.sockets.delete(socket);
+    if (!channel.sockets.size && channels.get(rideId) === channel) closeChannel(rideId);
+  });
+  send(socket, { type: "ready", role: who.role, ride: rideView(rideId, channel.ride) });
+  if (channel.last) send(socket, channel.last);
+  if (channel.checkIn && who.role === "rider") send(socket, channel.checkIn);
+  return { rideId, ...who };
+}
+
+export function attachRealtime(server) {
+  const wss = new WebSocketServer({ server, path: "/realtime" });
+
+  wss.on("connection", (socket) => {
+    let session = null;
+    let joining = false;
+    socket.isAlive = true;
+    socket.on("pong", () => (socket.isAlive = true));
+
+    const authTimer = setTimeout(() => {
+      if (!session) socket.close(4401, "auth_timeout");
+    }, AUTH_TIMEOUT_MS);
+
+    socket.on("message", async (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return send(socket, { type: "error", error: "bad_json" });
+      }
+
+      if (!session) {
+        if (msg.type !== "auth" || joining) return send(socket, { type: "error", error: "auth_required" });
+        joining = true;
+        try {
+          session = await join(socket, msg);
+          clearTimeout(authTimer);
+        } catch (e) {
+          joining = false;
+          if (!/^[a-z_]+$/.test(e.message || "")) console.error("realtime join:", e);
+          send(socket, { type: "error", error: /^[a-z_]+$/.test(e.message || "") ? e.message : "cannot_join" });
+          socket.close(4403, "join_failed");
+        }
+        return;
+      }
+
+      if (msg.type === "fix") {
+        if (session.role !== "driver") return send(socket, { type: "error", error: "driver_only" });
+        const out = await publishFix(session.rideId, session.uid, msg);
+        if (!out.accepted && out.reason === "invalid_location") send(socket, { type: "error", error: out.reason });
+        return;
+      }
+      send(socket, { type: "error", error: "unknown_type" });
+    });
+
+    socket.on("close", () => clearTimeout(authTimer));
+  });
+
+  // Drop connections that stopped answering pings (phones going out of coverage)
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on("close", () => clearInterval(heartbeat));
+  return wss;
+}
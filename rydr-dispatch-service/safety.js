@@ -0,0 +1,379 @@
+// safety.js
+// SafeRydr: trusted contacts, live-trip share links, SOS and check-ins.
+//
+// trusted_contacts/{uid}: { contacts: [{ id, name, phone, email }], updatedAt }
+// trip_shares/{sha256(token)}: { rideId, riderUid, expiresAt, revoked, createdAt }
+//   The token only ever exists in the link; a share stops working at expiresAt,
+//   when revoked, or SHARE_AFTER_END_MINUTES after the ride ends.
+// safety_events/{id}: {
+//   type: "sos" | "check_in", rideId, riderUid, driverId, location,
+//   reason,                               // check_in: unexpected_stop | route_deviation
+//   status: "prompted" | "ok" | "sos" | "unanswered",   // check_in
+//   checkInExpiresAt,                     // only while prompted (sweepCheckIns' single-field query)
+//   notified, createdAt, respondedAt,
+// }
+//
+// Contacts are reached through the bank's notification outbox (trip_shared,
+// sos_alert, check_in_missed). TripMonitor watches the smoothed fixes of a ride
+// on its dropoff leg (realtime.js) and asks the rider to check in after an
+// unexpected stop or when the car heads well away from the dropoff; a check-in
+// nobody answers within CHECK_IN_TIMEOUT_MINUTES goes to the trusted contacts.
+
+import crypto from "node:crypto";
+import { admin, db } from "./firebase.js";
+import { isCoordinate } from "./geo.js";
+import { driverRef } from "./drivers.js";
+import { etaTo } from "./tracking.js";
+import { queueNotification } from "./notifications.js";
+
+const MAX_CONTACTS = 5;
+const SHARE_TTL_HOURS = 12;
+const SHARE_AFTER_END_MINUTES = 30;
+const CHECK_IN_TIMEOUT_MINUTES = Number(process.env.CHECK_IN_TIMEOUT_MINUTES || 3);
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "https://rydr-dispatch.onrender.com").replace(/\/+$/, "");
+const SAFETY_OPS_EMAIL = process.env.SAFETY_OPS_EMAIL || null; // also gets every SOS
+
+// TripMonitor thresholds
+const STOP_SPEED_MPS = 1;
+const MOVING_SPEED_MPS = 3;
+const STOP_MINUTES = 4;
+const NEAR_DROPOFF_KM = 0.3;
+const DEVIATION_KM = 1.5; // further from the dropoff than the closest the car has been
+const DEVIATION_CLEAR_KM = 0.5;
+const PROMPT_COOLDOWN_MINUTES = 10;
+
+const MINUTE = 60 * 1000;
+const ACTIVE = ["offered", "enRouteToPickup", "enRouteToDropoff"];
+
+const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+const iso = (t) => t?.toDate?.().toISOString() || null;
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+// Names and addresses go into email HTML as-is (templates.js)
+const plainText = (s, max) => String(s || "").replace(/[<>]/g, "").trim().slice(0, max);
+const plainName = (name, fallback) => plainText(name, 80) || fallback;
+const mapsUrl = (p) => (p ? `https://maps.google.com/?q=${p.lat},${p.lng}` : null);
+
+// ===== Trusted contacts =====
+
+function cleanContact(c) {
+  const name = plainName(c?.name, "");
+  if (!name) throw new Error("contact_name_required");
+  let phone = null;
+  if (c.phone) {
+    phone = String(c.phone).replace(/[\s\-().]/g, "");
+    if (!/^\+[1-9]\d{7,14}$/.test(phone)) throw new Error("invalid_contact_phone"); // E.164
+  }
+  let email = null;
+  if (c.email) {
+    email = String(c.email).trim().toLowerCase();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) throw new Error("invalid_contact_email");
+  }
+  if (!phone && !email) throw new Error("contact_needs_phone_or_email");
+  return { id: typeof c.id === "string" && c.id ? c.id : crypto.randomUUID(), name, phone, email };
+}
+
+export async function getTrustedContacts(uid) {
+  const snap = await db.collection("trusted_contacts").doc(uid).get();
+  return snap.data()?.contacts || [];
+}
+
+// Replaces the whole list. -> contacts (with ids)
+export async function setTrustedContacts(uid, contacts) {
+  if (!Array.isArray(contacts)) throw new Error("contacts_required");
+  if (contacts.length > MAX_CONTACTS) throw new Error("too_many_contacts");
+  const cleaned = contacts.map(cleanContact);
+  await db.collection("trusted_contacts").doc(uid).set({
+    contacts: cleaned,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return cleaned;
+}
+
+function queueForContacts(t, contacts, template, data) {
+  for (const c of contacts) {
+    queueNotification(t, template, { email: c.email, phone: c.phone }, { ...data, friendName: c.name });
+  }
+}
+
+// ===== Ride context for messages =====
+
+async function loadRiderRide(uid, rideId) {
+  const snap = await db.collection("rides").doc(rideId).get();
+  const ride = snap.data();
+  if (!ride) throw new Error("not_found");
+  if (ride.riderUid !== uid) throw new Error("not_your_ride");
+  return ride;
+}
+
+// Who/what the contacts are told about: rider and driver names, vehicle, places
+async function tripDetails(ride) {
+  const [rider, driverSnap] = await Promise.all([
+    admin.auth().getUser(ride.riderUid).catch(() => null),
+    ride.driverId ? driverRef(ride.driverId).get() : null,
+  ]);
+  const d = driverSnap?.data() || null;
+  return {
+    riderName: plainName(rider?.displayName, "A Rydr rider"),
+    driverName: d ? plainName(d.name, "Driver") : null,
+    vehicle: d ? plainText(d.carMakeModel, 80) || null : null,
+    pickup: plainText(ride.pickup, 200),
+    dropoff: plainText(ride.dropoff, 200),
+    driverLocation: d?.location || null,
+  };
+}
+
+// ===== Share links =====
+
+// WRITES ONLY (transaction or batch). -> { url, expiresAt } of a new link to the ride
+function writeShare(t, rideId, riderUid) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = ts(Date.now() + SHARE_TTL_HOURS * 60 * MINUTE);
+  t.set(db.collection("trip_shares").doc(hashToken(token)), {
+    rideId,
+    riderUid,
+    expiresAt,
+    revoked: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { url: `${PUBLIC_BASE_URL}/trip/${token}`, expiresAt };
+}
+
+// New share link for the rider's ride. notifyContacts: text/email it to every trusted contact.
+// -> { url, expiresAt, notified }
+export async function createShareLink(uid, rideId, { notifyContacts = false } = {}) {
+  const ride = await loadRiderRide(uid, rideId);
+  if (!ACTIVE.includes(ride.status)) throw new Error("ride_over");
+  const contacts = notifyContacts ? await getTrustedContacts(uid) : [];
+  if (notifyContacts && !contacts.length) throw new Error("no_trusted_contacts");
+
+  const details = contacts.length ? await tripDetails(ride) : null;
+  const batch = db.batch();
+  const { url, expiresAt } = writeShare(batch, rideId, uid);
+  if (details) {
+    const { riderName, pickup, dropoff } = details;
+    queueForContacts(batch, contacts, "trip_shared", { riderName, pickup, dropoff, tripUrl: url });
+  }
+  await batch.commit();
+  return { url, expiresAt: iso(expiresAt), notified: contacts.length };
+}
+
+// Every link for the ride stops working. -> { revoked: n }
+export async function revokeShareLinks(uid, rideId) {
+  await loadRiderRide(uid, rideId);
+  const snap = await db.collection("trip_shares").where("rideId", "==", rideId).get();
+  const batch = db.batch();
+  let revoked = 0;
+  for (const doc of snap.docs) {
+    if (doc.get("riderUid") !== uid || doc.get("revoked")) continue;
+    batch.update(doc.ref, { revoked: true, revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+    revoked++;
+  }
+  if (revoked) await batch.commit();
+  return { revoked };
+}
+
+// What the share page shows. Throws link_expired for unknown/revoked/expired links.
+export async function sharedTripStatus(token) {
+  const snap = await db.collection("trip_shares").doc(hashToken(token)).get();
+  const share = snap.data();
+  if (!share || share.revoked || share.expiresAt.toMillis() <= Date.now()) throw new Error("link_expired");
+  const ride = (await db.collection("rides").doc(share.rideId).get()).data();
+  if (!ride) throw new Error("link_expired");
+  const endedAt = ride.completedAt || ride.cancelledAt;
+  if (!ACTIVE.includes(ride.status) && endedAt && Date.now() - endedAt.toMillis() > SHARE_AFTER_END_MINUTES * MINUTE) {
+    throw new Error("link_expired");
+  }
+
+  const d = ride.driverId ? (await driverRef(ride.driverId).get()).data() : null;
+  const live = ACTIVE.includes(ride.status) && d?.location ? d.location : null;
+  const target = ride.status === "enRouteToPickup" ? ride.pickupLocation : ride.dropoffLocation || null;
+  const eta = etaTo(live, ride.status === "offered" ? null : target, null);
+  return {
+    status: ride.status,
+    pickup: ride.pickup,
+    dropoff: ride.dropoff,
+    driver: d
+      ? { name: d.name || "Driver", carMakeModel: d.carMakeModel || "", carImage: d.carImage || null }
+      : null,
+    location: live ? { lat: live.lat, lng: live.lng, at: iso(d.locationAt) } : null,
+    leg: ride.status === "enRouteToPickup" ? "pickup" : ride.status === "enRouteToDropoff" ? "dropoff" : null,
+    remainingKm: eta.remainingKm,
+    etaMinutes: eta.etaMinutes,
+    pickedUpAt: iso(ride.pickedUpAt),
+    endedAt: iso(endedAt),
+    expiresAt: iso(share.expiresAt),
+  };
+}
+
+// ===== SOS =====
+
+// Rider pressed SOS (or answered a check-in with "not OK"). Trusted contacts
+// (and SAFETY_OPS_EMAIL) get the last known location and a live-trip link.
+// location: the phone's own fix if it sent one, else the driver's last position.
+// -> { sosId, notified, tripUrl }
+export async function sendSos(uid, rideId, { location = null, checkInId = null } = {}) {
+  const ride = await loadRiderRide(uid, rideId);
+  if (location && !isCoordinate(location)) throw new Error("invalid_location");
+  const [contacts, details] = await Promise.all([getTrustedContacts(uid), tripDetails(ride)]);
+  const where = location ? { lat: location.lat, lng: location.lng } : details.driverLocation;
+
+  const sosRef = db.collection("safety_events").doc();
+  const batch = db.batch();
+  // A fresh link, also while the ride is ending (contacts need the driver/vehicle)
+  const { url: tripUrl } = writeShare(batch, rideId, uid);
+  batch.set(sosRef, {
+    type: "sos",
+    rideId,
+    riderUid: uid,
+    driverId: ride.driverId || null,
+    location: where || null,
+    checkInId,
+    notified: contacts.length,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  const data = {
+    riderName: details.riderName,
+    driverName: details.driverName,
+    vehicle: details.vehicle,
+    pickup: details.pickup,
+    dropoff: details.dropoff,
+    locationUrl: mapsUrl(where),
+    tripUrl,
+  };
+  queueForContacts(batch, contacts, "sos_alert", data);
+  if (SAFETY_OPS_EMAIL) {
+    queueNotification(batch, "sos_alert", { email: SAFETY_OPS_EMAIL }, { ...data, friendName: "Rydr Safety", rideId });
+  }
+  await batch.commit();
+  console.error("🚨 SOS:", rideId, "rider", uid, "notified", contacts.length);
+  return { sosId: sosRef.id, notified: contacts.length, tripUrl };
+}
+
+// ===== Check-ins =====
+
+// Per-ride watcher over the smoothed fixes of the dropoff leg (realtime.js).
+// observe() -> "unexpected_stop" | "route_deviation" when the rider should be asked, else null
+export class TripMonitor {
+  constructor() {
+    this.stoppedSince = null;
+    this.stopPrompted = false;
+    this.closestKm = null;
+    this.deviating = false;
+    this.lastPromptAt = -Infinity;
+  }
+
+  observe({ speedMps, remainingKm, at = Date.now() }) {
+    let stopped = false;
+    let deviated = false;
+
+    // Stationary for a while away from the dropoff (traffic lights/jams clear well within STOP_MINUTES)
+    const nearDropoff = remainingKm !== null && remainingKm <= NEAR_DROPOFF_KM;
+    if (speedMps !== null && speedMps < STOP_SPEED_MPS && !nearDropoff) {
+      this.stoppedSince ??= at;
+      stopped = !this.stopPrompted && at - this.stoppedSince >= STOP_MINUTES * MINUTE;
+    } else if (speedMps !== null && speedMps >= MOVING_SPEED_MPS) {
+      this.stoppedSince = null;
+      this.stopPrompted = false;
+    }
+
+    // Heading away: clearly further from the dropoff than the car has already been
+    if (remainingKm !== null) {
+      this.closestKm = this.closestKm === null ? remainingKm : Math.min(this.closestKm, remainingKm);
+      const driftKm = remainingKm - this.closestKm;
+      if (this.deviating && driftKm <= DEVIATION_CLEAR_KM) this.deviating = false;
+      deviated = !this.deviating && driftKm >= DEVIATION_KM;
+    }
+
+    // Inside the cooldown nothing is marked as prompted, so it fires once the cooldown ends
+    if (!(stopped || deviated) || at - this.lastPromptAt < PROMPT_COOLDOWN_MINUTES * MINUTE) return null;
+    this.lastPromptAt = at;
+    if (stopped) this.stopPrompted = true;
+    if (deviated) this.deviating = true;
+    return stopped ? "unexpected_stop" : "route_deviation";
+  }
+}
+
+// Records a prompt. -> the message for the rider's sockets
+export async function openCheckIn(rideId, ride, reason, position) {
+  const ref = db.collection("safety_events").doc();
+  const expiresAt = ts(Date.now() + CHECK_IN_TIMEOUT_MINUTES * MINUTE);
+  await ref.set({
+    type: "check_in",
+    rideId,
+    riderUid: ride.riderUid,
+    driverId: ride.driverId || null,
+    reason,
+    status: "prompted",
+    location: position ? { lat: position.lat, lng: position.lng } : null,
+    checkInExpiresAt: expiresAt,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { type: "check_in", checkInId: ref.id, reason, expiresAt: iso(expiresAt) };
+}
+
+// Rider answers. ok=false is an SOS. -> { status, sos? }
+export async function respondToCheckIn(uid, rideId, checkInId, { ok, location = null }) {
+  const ref = db.collection("safety_events").doc(String(checkInId || "_"));
+  const previous = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const e = snap.data();
+    if (!e || e.type !== "check_in" || e.rideId !== rideId) throw new Error("not_found");
+    if (e.riderUid !== uid) throw new Error("not_your_ride");
+    t.update(ref, {
+      status: ok ? "ok" : "sos",
+      checkInExpiresAt: admin.firestore.FieldValue.delete(),
+      respondedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return e.status;
+  });
+  // A late "I'm OK" after contacts were alerted is recorded; they aren't un-alerted
+  if (ok) return { status: "ok", escalated: previous === "unanswered" };
+  return { status: "sos", sos: await sendSos(uid, rideId, { location, checkInId: ref.id }) };
+}
+
+// Check-ins nobody answered in time go to the rider's trusted contacts
+export async function sweepCheckIns() {
+  const snap = await db.collection("safety_events").where("checkInExpiresAt", "<=", admin.firestore.Timestamp.now()).get();
+  let escalated = 0;
+  for (const doc of snap.docs) {
+    try {
+      const e = doc.data();
+      const ride = (await db.collection("rides").doc(e.rideId).get()).data();
+      const details = ride ? await tripDetails(ride) : null;
+
+      const sent = await db.runTransaction(async (t) => {
+        // === READS FIRST ===
+        const [eventSnap, contactsSnap] = await Promise.all([
+          t.get(doc.ref),
+          t.get(db.collection("trusted_contacts").doc(e.riderUid)),
+        ]);
+        if (eventSnap.get("status") !== "prompted") return false;
+        const contacts = contactsSnap.data()?.contacts || [];
+
+        // === WRITES ===
+        t.update(doc.ref, {
+          status: "unanswered",
+          checkInExpiresAt: admin.firestore.FieldValue.delete(),
+          notified: contacts.length,
+        });
+        if (!contacts.length || !details) return false;
+        const { url } = writeShare(t, e.rideId, e.riderUid);
+        queueForContacts(t, contacts, "check_in_missed", {
+          riderName: details.riderName,
+          driverName: details.driverName,
+          vehicle: details.vehicle,
+          pickup: details.pickup,
+          dropoff: details.dropoff,
+          reason: e.reason,
+          locationUrl: mapsUrl(e.location || details.driverLocation),
+          tripUrl: url,
+        });
+        return true;
+      });
+      if (sent) escalated++;
+    } catch (err) {
+      console.error("check-in sweep:", doc.id, err.message);
+    }
+  }
+  return { checked: snap.size, escalated };
+}
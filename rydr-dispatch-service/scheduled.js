@@ -0,0 +1,558 @@
+// scheduled.js
+// Rides booked ahead ("tomorrow at 6am"). The booking is held here until a lead
+// time before pickup, then dispatched like any other ride (requestRide with no
+// chosen driver).
+//
+// scheduled_rides/{id}: {
+//   riderUid, pickup, dropoff, rideType, pickupLocation, dropoffLocation,
+//   pickupAt, timeZone,                               // timeZone: for reminder wording
+//   status: "scheduled" | "dispatched" | "cancelled" | "failed",
+//   payment: { status, amount, currency, error, retryAt, paymentIntentId },
+//   rydrBankCode, rydrBankCodeError,
+//   reminders: { day_before: "due" | "sent" | "skipped" },
+//   rideId, dispatchedAt,                             // once dispatched
+//   cancelledBy, cancelReason, cancellationFee, cancelledAt,
+//   nextActionAt,                                     // when the scheduler next looks (null: done)
+//   createdAt, updatedAt,
+// }
+//
+// Timeline, for pickup time T:
+//   booking      the signed fare quote + card are registered with stripe-backend
+//                (payment.status mirrors scheduled_payments there) and the
+//                RydrBank code, if any, is held until T + CODE_HOLD_GRACE_HOURS
+//   T - 24h      "day_before" reminder (only if booked earlier than that)
+//   T - PREAUTH_LEAD_HOURS   card hold placed off-session; a decline emails/texts
+//                the rider and is retried every PAYMENT_RETRY_MINUTES
+//   T - DISPATCH_LEAD_MINUTES   dispatched as rides/scheduled_{id} ("soon"
+//                reminder); no hold by then -> failed (payment_failed). The code
+//                hold moves to the ride so capture redeems it as usual.
+//   accept       the hold is converted to a normal ride hold paid out to the
+//                driver; from then on the ride is paid/cancelled like any other
+//
+// Changes are allowed, and cancelling is free, until T - FREE_CANCEL_MINUTES
+// (or within BOOKING_GRACE_MINUTES of booking). A later cancellation is charged
+// the ride type's cancellation fee out of the hold.
+
+import { admin, db } from "./firebase.js";
+import { isCoordinate } from "./geo.js";
+import { cancelRide, requestRide } from "./dispatch.js";
+import { bank, payments } from "./internal.js";
+import { queueNotification } from "./notifications.js";
+
+const MIN_LEAD_MINUTES = Number(process.env.SCHEDULE_MIN_LEAD_MINUTES || 60);
+const MAX_DAYS_AHEAD = Number(process.env.SCHEDULE_MAX_DAYS_AHEAD || 30);
+export const DISPATCH_LEAD_MINUTES = Number(process.env.DISPATCH_LEAD_MINUTES || 15);
+const PREAUTH_LEAD_HOURS = Number(process.env.PREAUTH_LEAD_HOURS || 24);
+export const FREE_CANCEL_MINUTES = Number(process.env.FREE_CANCEL_MINUTES || 60);
+const BOOKING_GRACE_MINUTES = 5;
+const PAYMENT_RETRY_MINUTES = Number(process.env.PAYMENT_RETRY_MINUTES || 60);
+const CODE_HOLD_GRACE_HOURS = 3; // a late driver shouldn't cost the rider their code
+const DAY_BEFORE_HOURS = 24;
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "America/New_York";
+
+const LEASE_SECONDS = 120; // a crashed step is retried after this
+const WATCH_SECONDS = 30; // dispatched: how often to check for an accept/cancel
+const BATCH_SIZE = 25;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const col = () => db.collection("scheduled_rides");
+const ref = (id) => col().doc(id);
+const ts = (ms) => (ms === null ? null : admin.firestore.Timestamp.fromMillis(ms));
+const millis = (t) => t?.toMillis?.() ?? null;
+const rideIdFor = (id) => `scheduled_${id}`;
+
+function deadlines(s) {
+  const pickupAt = millis(s.pickupAt);
+  return {
+    dayBeforeAt: pickupAt - DAY_BEFORE_HOURS * HOUR,
+    preauthAt: pickupAt - PREAUTH_LEAD_HOURS * HOUR,
+    dispatchAt: pickupAt - DISPATCH_LEAD_MINUTES * MINUTE,
+    freeCancelUntil: pickupAt - FREE_CANCEL_MINUTES * MINUTE,
+    codeHoldUntil: pickupAt + CODE_HOLD_GRACE_HOURS * HOUR,
+  };
+}
+
+// When the scheduler next needs this booking; null once there's nothing left to do
+function nextActionFor(s) {
+  if (s.status === "dispatched") return s.payment?.status === "converted" ? null : Date.now() + WATCH_SECONDS * 1000;
+  if (s.status !== "scheduled") return null;
+  const d = deadlines(s);
+  const due = [d.dispatchAt];
+  if (s.reminders?.day_before === "due") due.push(d.dayBeforeAt);
+  if (s.payment?.status === "registered") due.push(d.preauthAt);
+  if (s.payment?.status === "failed") due.push(millis(s.payment.retryAt) ?? d.preauthAt);
+  return Math.min(...due);
+}
+
+// A booking made inside the last day gets no "day_before" reminder
+const remindersFor = (pickupAt) => ({
+  day_before: pickupAt - Date.now() > (DAY_BEFORE_HOURS + 1) * HOUR ? "due" : "skipped",
+});
+
+function lateCancellation(s) {
+  const now = Date.now();
+  const justBooked = now - (millis(s.createdAt) ?? 0) < BOOKING_GRACE_MINUTES * MINUTE;
+  return now >= deadlines(s).freeCancelUntil && !justBooked;
+}
+
+function checkPickupAt(value) {
+  const at = Date.parse(value);
+  if (!Number.isFinite(at)) throw new Error("invalid_pickup_at");
+  if (at < Date.now() + MIN_LEAD_MINUTES * MINUTE) throw new Error("pickup_too_soon");
+  if (at > Date.now() + MAX_DAYS_AHEAD * 24 * HOUR) throw new Error("pickup_too_far_ahead");
+  return at;
+}
+
+function checkTimeZone(zone) {
+  if (!zone) return DEFAULT_TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return zone;
+  } catch {
+    throw new Error("invalid_time_zone");
+  }
+}
+
+// "Tue, Oct 20, 6:00 AM" in the rider's zone, for the reminder templates
+function pickupTimeText(s) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: s.timeZone || DEFAULT_TIME_ZONE,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(new Date(millis(s.pickupAt)));
+}
+
+const rideData = (s) => ({ pickupTime: pickupTimeText(s), pickup: s.pickup, dropoff: s.dropoff });
+
+// RydrBank's errors (not_found, not_owner, ...) would read as this booking's own: prefixed code_
+async function holdCode(params) {
+  try {
+    return await bank.reserve(params);
+  } catch (e) {
+    throw e.status >= 400 && e.status < 500 ? new Error(`code_${e.message}`) : e;
+  }
+}
+
+// What the rider app sees
+export function scheduledRideView(id, s) {
+  const iso = (t) => t?.toDate?.().toISOString() || null;
+  const d = deadlines(s);
+  return {
+    id,
+    status: s.status,
+    pickup: s.pickup,
+    dropoff: s.dropoff,
+    rideType: s.rideType,
+    pickupLocation: s.pickupLocation,
+    dropoffLocation: s.dropoffLocation || null,
+    pickupAt: iso(s.pickupAt),
+    timeZone: s.timeZone,
+    amount: s.payment?.amount ?? null,
+    currency: s.payment?.currency || null,
+    paymentStatus: s.payment?.status || null,
+    paymentError: s.payment?.error || null,
+    // The ride's own hold once a driver accepted (settled with the ride, settlement.js)
+    paymentIntentId: s.payment?.status === "converted" ? s.payment.paymentIntentId : null,
+    rydrBankCode: s.rydrBankCode || null,
+    rydrBankCodeError: s.rydrBankCodeError || null,
+    rideId: s.rideId || null,
+    dispatchAt: new Date(d.dispatchAt).toISOString(),
+    freeCancelUntil: new Date(d.freeCancelUntil).toISOString(),
+    cancelledBy: s.cancelledBy || null,
+    cancelReason: s.cancelReason || null,
+    cancellationFee: s.cancellationFee || 0,
+    createdAt: iso(s.createdAt),
+    dispatchedAt: iso(s.dispatchedAt),
+    cancelledAt: iso(s.cancelledAt),
+  };
+}
+
+async function loadOwn(riderUid, id) {
+  const snap = await ref(id).get();
+  const s = snap.data();
+  if (!s) throw new Error("not_found");
+  if (s.riderUid !== riderUid) throw new Error("not_your_ride");
+  return s;
+}
+
+// Writes change(t, current) if the booking is still in one of `statuses`. -> updated doc | null
+async function commit(id, statuses, change) {
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const snap = await t.get(ref(id));
+    const s = snap.data();
+    if (!s || !statuses.includes(s.status)) return null;
+
+    // === WRITES ===
+    const fields = change(t, s);
+    t.update(ref(id), { ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { ...s, ...fields };
+  });
+}
+
+// ===== Rider API =====
+
+// -> scheduled ride view. The fare comes from the signed quote (its ride type wins).
+export async function createScheduledRide(
+  riderUid,
+  { pickup, dropoff, pickupLocation, dropoffLocation, pickupAt, timeZone, quoteId, paymentMethodId, rydrBankCode }
+) {
+  if (!isCoordinate(pickupLocation)) throw new Error("invalid_pickup_location");
+  if (dropoffLocation && !isCoordinate(dropoffLocation)) throw new Error("invalid_dropoff_location");
+  if (!quoteId) throw new Error("quote_required");
+  const at = checkPickupAt(pickupAt);
+  const zone = checkTimeZone(timeZone);
+  const id = col().doc().id;
+
+  const fare = await payments.register({
+    scheduledId: id,
+    uid: riderUid,
+    quoteId,
+    paymentMethodId: paymentMethodId || null,
+  });
+  const code = rydrBankCode ? String(rydrBankCode).trim().toUpperCase() : null;
+  if (code) {
+    const holdUntil = new Date(at + CODE_HOLD_GRACE_HOURS * HOUR).toISOString();
+    try {
+      await holdCode({ uid: riderUid, code, bookingId: id, holdUntil });
+    } catch (e) {
+      await payments.release({ scheduledId: id, cancel: true }).catch(() => {});
+      throw e;
+    }
+  }
+
+  const s = {
+    riderUid,
+    pickup: String(pickup || ""),
+    dropoff: String(dropoff || ""),
+    rideType: fare.rideType,
+    pickupLocation: { lat: pickupLocation.lat, lng: pickupLocation.lng },
+    dropoffLocation: dropoffLocation ? { lat: dropoffLocation.lat, lng: dropoffLocation.lng } : null,
+    pickupAt: ts(at),
+    timeZone: zone,
+    status: "scheduled",
+    payment: {
+      status: "registered",
+      amount: fare.amount,
+      currency: fare.currency,
+      error: null,
+      retryAt: null,
+      paymentIntentId: null,
+    },
+    rydrBankCode: code,
+    rydrBankCodeError: null,
+    reminders: remindersFor(at),
+    rideId: null,
+  };
+  await ref(id).set({
+    ...s,
+    nextActionAt: ts(nextActionFor(s)),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return scheduledRideView(id, { ...s, createdAt: admin.firestore.Timestamp.now() });
+}
+
+// Upcoming bookings (scheduled/dispatched) by pickup time; all=true adds past ones, newest first
+export async function listScheduledRides(riderUid, { all = false } = {}) {
+  const snap = await col().where("riderUid", "==", riderUid).get();
+  const rides = snap.docs
+    .map((doc) => ({ id: doc.id, s: doc.data() }))
+    .filter(({ s }) => all || ["scheduled", "dispatched"].includes(s.status))
+    .sort((a, b) => (millis(a.s.pickupAt) - millis(b.s.pickupAt)) * (all ? -1 : 1));
+  return rides.slice(0, 100).map(({ id, s }) => scheduledRideView(id, s));
+}
+
+export async function getScheduledRide(riderUid, id) {
+  return scheduledRideView(id, await loadOwn(riderUid, id));
+}
+
+// Before the free-cancel cutoff. Changes: { pickup, dropoff, pickupLocation,
+// dropoffLocation, pickupAt, timeZone, quoteId, paymentMethodId, rydrBankCode }
+// where a new pickup/dropoff location needs a new quoteId, and rydrBankCode
+// null/"" drops the code.
+export async function modifyScheduledRide(riderUid, id, changes) {
+  const s = await loadOwn(riderUid, id);
+  if (s.status !== "scheduled") throw new Error("not_modifiable");
+  if (Date.now() >= deadlines(s).freeCancelUntil) throw new Error("too_late_to_modify");
+
+  const patch = {};
+  if (changes.pickup !== undefined) patch.pickup = String(changes.pickup || "");
+  if (changes.dropoff !== undefined) patch.dropoff = String(changes.dropoff || "");
+  if (changes.pickupLocation) {
+    if (!isCoordinate(changes.pickupLocation)) throw new Error("invalid_pickup_location");
+    patch.pickupLocation = { lat: changes.pickupLocation.lat, lng: changes.pickupLocation.lng };
+  }
+  if (changes.dropoffLocation) {
+    if (!isCoordinate(changes.dropoffLocation)) throw new Error("invalid_dropoff_location");
+    patch.dropoffLocation = { lat: changes.dropoffLocation.lat, lng: changes.dropoffLocation.lng };
+  }
+  if ((patch.pickupLocation || patch.dropoffLocation) && !changes.quoteId) throw new Error("quote_required");
+  if (changes.timeZone !== undefined) patch.timeZone = checkTimeZone(changes.timeZone);
+
+  let pickupAt = millis(s.pickupAt);
+  if (changes.pickupAt !== undefined) {
+    pickupAt = checkPickupAt(changes.pickupAt);
+    patch.pickupAt = ts(pickupAt);
+    patch.reminders = remindersFor(pickupAt);
+  }
+
+  // New fare or card: re-registered (drops any hold). New time: the hold, if
+  // already placed, is for the old one — drop it and place it again on schedule.
+  if (changes.quoteId || changes.paymentMethodId) {
+    const fare = await payments.register({
+      scheduledId: id,
+      uid: riderUid,
+      quoteId: changes.quoteId || null,
+      paymentMethodId: changes.paymentMethodId || null,
+    });
+    patch.rideType = fare.rideType;
+    patch.payment = { ...s.payment, status: "registered", amount: fare.amount, currency: fare.currency, error: null, retryAt: null };
+  } else if (patch.pickupAt && s.payment?.status === "authorized") {
+    await payments.release({ scheduledId: id });
+    patch.payment = { ...s.payment, status: "registered", retryAt: null };
+  }
+
+  const holdUntil = new Date(pickupAt + CODE_HOLD_GRACE_HOURS * HOUR).toISOString();
+  if (changes.rydrBankCode !== undefined) {
+    const code = changes.rydrBankCode ? String(changes.rydrBankCode).trim().toUpperCase() : null;
+    if (code !== s.rydrBankCode) {
+      if (s.rydrBankCode) await bank.release({ uid: riderUid, bookingId: id, reason: "booking_changed" });
+      if (code) await holdCode({ uid: riderUid, code, bookingId: id, holdUntil });
+      patch.rydrBankCode = code;
+      patch.rydrBankCodeError = null;
+    }
+  }
+  if (patch.pickupAt && s.rydrBankCode && patch.rydrBankCode === undefined) {
+    await holdCode({ uid: riderUid, code: s.rydrBankCode, bookingId: id, holdUntil });
+  }
+
+  const out = await commit(id, ["scheduled"], (t, cur) => ({
+    ...patch,
+    nextActionAt: ts(nextActionFor({ ...cur, ...patch })),
+  }));
+  if (!out) throw new Error("not_modifiable");
+  return scheduledRideView(id, out);
+}
+
+// Free before freeCancelUntil, else the ride type's cancellation fee. Once a
+// driver has accepted, the ride is cancelled through its own flow instead.
+export async function cancelScheduledRide(riderUid, id) {
+  const s = await loadOwn(riderUid, id);
+  if (["cancelled", "failed"].includes(s.status)) return scheduledRideView(id, s);
+  if (s.status === "dispatched") {
+    if (s.payment?.status === "converted") throw new Error("already_dispatched");
+    await cancelRide(riderUid, s.rideId, { reason: "scheduled_ride_cancelled" });
+  }
+  const out = await endBooking(id, s, {
+    status: "cancelled",
+    by: "rider",
+    reason: "rider",
+    chargeFee: lateCancellation(s),
+  }).catch((e) => {
+    throw e.message === "already_converted" ? new Error("already_dispatched") : e;
+  });
+  return scheduledRideView(id, out || (await loadOwn(riderUid, id)));
+}
+
+// Drops the card hold (capturing the fee on a late cancellation) and the code
+// hold, marks the booking over and tells the rider.
+async function endBooking(id, s, { status, by, reason, chargeFee }) {
+  const { cancellationFee = 0 } = await payments.release({ scheduledId: id, cancel: true, chargeFee });
+  if (s.rydrBankCode) {
+    // The hold lapses on its own at holdUntil if this doesn't get through
+    await bank
+      .release({ uid: s.riderUid, bookingId: s.rideId || id, reason: `booking_${status}` })
+      .catch((e) => console.error("scheduled ride code release:", id, e.message));
+  }
+  return commit(id, ["scheduled", "dispatched"], (t, cur) => {
+    queueNotification(t, "ride_cancelled", { uid: cur.riderUid }, {
+      ...rideData(cur),
+      reason,
+      cancellationFeeCents: cancellationFee,
+    });
+    return {
+      status,
+      payment: { ...cur.payment, status: "cancelled", retryAt: null },
+      cancelledBy: by,
+      cancelReason: reason,
+      cancellationFee,
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      nextActionAt: null,
+    };
+  });
+}
+
+// ===== Scheduler =====
+
+// Claims a due booking for LEASE_SECONDS. force: the accept hook, which doesn't wait for it to be due
+async function claim(id, force) {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref(id));
+    const s = snap.data();
+    if (!s || !s.nextActionAt) return null;
+    if (!force && s.nextActionAt.toMillis() > Date.now()) return null;
+    t.update(ref(id), { nextActionAt: ts(Date.now() + LEASE_SECONDS * 1000) });
+    return s;
+  });
+}
+
+// Reminders, card hold and dispatch for one booking, whichever are due. -> true if it was due
+export async function processScheduledRide(id, { force = false } = {}) {
+  const s = await claim(id, force);
+  if (!s) return false;
+  if (s.status === "scheduled") await advanceScheduled(id, s);
+  else if (s.status === "dispatched") await followDispatched(id, s);
+
+  // Reschedule from whatever the steps left (a throw keeps the lease: retried after it)
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(ref(id));
+    const cur = snap.data();
+    if (cur) t.update(ref(id), { nextActionAt: ts(nextActionFor(cur)) });
+  });
+  return true;
+}
+
+async function advanceScheduled(id, s) {
+  const d = deadlines(s);
+  if (s.reminders?.day_before === "due" && Date.now() >= d.dayBeforeAt) {
+    s = await commit(id, ["scheduled"], (t, cur) => {
+      queueNotification(t, "ride_reminder", { uid: cur.riderUid }, { ...rideData(cur), when: "day_before" });
+      return { reminders: { ...cur.reminders, day_before: "sent" } };
+    });
+    if (!s) return;
+  }
+
+  const pay = s.payment?.status;
+  const retryDue = pay === "failed" && Date.now() >= (millis(s.payment.retryAt) ?? 0);
+  if ((pay === "registered" && Date.now() >= d.preauthAt) || retryDue) {
+    s = await placeHold(id);
+    if (!s) return;
+  }
+
+  if (Date.now() < d.dispatchAt) return;
+  if (s.payment?.status !== "authorized") {
+    await endBooking(id, s, { status: "failed", by: "system", reason: "payment_failed", chargeFee: false });
+    return;
+  }
+  await dispatch(id, s);
+}
+
+async function placeHold(id) {
+  try {
+    const hold = await payments.authorize({ scheduledId: id });
+    return commit(id, ["scheduled"], (t, cur) => ({
+      payment: { ...cur.payment, status: "authorized", amount: hold.amount, error: null, retryAt: null },
+    }));
+  } catch (e) {
+    if (e.status !== 402) throw e;
+    return commit(id, ["scheduled"], (t, cur) => {
+      // Once per failure streak; a new card (modify) starts a new one
+      if (cur.payment?.status !== "failed") {
+        queueNotification(t, "ride_payment_failed", { uid: cur.riderUid }, rideData(cur));
+      }
+      return {
+        payment: {
+          ...cur.payment,
+          status: "failed",
+          error: e.message,
+          retryAt: ts(Date.now() + PAYMENT_RETRY_MINUTES * MINUTE),
+        },
+      };
+    });
+  }
+}
+
+async function dispatch(id, s) {
+  const rideId = rideIdFor(id);
+  await requestRide(s.riderUid, {
+    driverId: null,
+    pickup: s.pickup,
+    dropoff: s.dropoff,
+    rideType: s.rideType,
+    pickupLocation: s.pickupLocation,
+    dropoffLocation: s.dropoffLocation,
+    rideId,
+    scheduledRideId: id,
+  });
+
+  // The ride consumes the code, so the hold follows it
+  let rydrBankCodeError = null;
+  if (s.rydrBankCode) {
+    try {
+      await bank.reserve({
+        uid: s.riderUid,
+        code: s.rydrBankCode,
+        bookingId: rideId,
+        fromBookingId: id,
+        holdUntil: new Date(deadlines(s).codeHoldUntil).toISOString(),
+      });
+    } catch (e) {
+      console.error("scheduled ride code move:", id, e.message);
+      rydrBankCodeError = e.message;
+    }
+  }
+
+  await commit(id, ["scheduled"], (t, cur) => {
+    queueNotification(t, "ride_reminder", { uid: cur.riderUid }, { ...rideData(cur), when: "soon" });
+    return {
+      status: "dispatched",
+      rideId,
+      rydrBankCodeError,
+      dispatchedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+  });
+}
+
+// Dispatched, hold not converted yet: wait for a driver to accept (or nobody to)
+async function followDispatched(id, s) {
+  if (s.payment?.status === "converted") return;
+  const ride = (await db.collection("rides").doc(s.rideId).get()).data();
+  if (!ride) return;
+
+  if (ride.status === "cancelled") {
+    const byRider = ride.cancelledBy === "rider";
+    await endBooking(id, s, {
+      status: byRider ? "cancelled" : "failed",
+      by: ride.cancelledBy || "system",
+      reason: byRider ? "rider" : ride.cancelReason || "no_driver_available",
+      chargeFee: byRider && lateCancellation(s),
+    });
+    return;
+  }
+  if (!ride.driverId) return;
+
+  try {
+    const out = await payments.convert({ scheduledId: id, rideId: s.rideId, driverUid: ride.driverId });
+    await commit(id, ["dispatched"], (t, cur) => ({
+      payment: { ...cur.payment, status: "converted", paymentIntentId: out.paymentIntentId, amount: out.amount, error: null },
+    }));
+  } catch (e) {
+    if (e.status !== 402) throw e;
+    // The card took the scheduled hold but not the driver's: the ride can't be paid for
+    await cancelRide(null, s.rideId, { reason: "payment_failed", system: true });
+    await endBooking(id, s, { status: "failed", by: "system", reason: "payment_failed", chargeFee: false });
+  }
+}
+
+export async function runScheduler() {
+  const snap = await col()
+    .where("nextActionAt", "<=", admin.firestore.Timestamp.now())
+    .orderBy("nextActionAt")
+    .limit(BATCH_SIZE)
+    .get();
+  let processed = 0;
+  for (const doc of snap.docs) {
+    try {
+      if (await processScheduledRide(doc.id)) processed++;
+    } catch (e) {
+      console.error("scheduled ride:", doc.id, e.message);
+    }
+  }
+  return { due: snap.size, processed };
+}
@@ -0,0 +1,481 @@
+// server.js (ESM)
+// Rydr dispatch: finds nearby drivers, offers rides to them and tracks each ride
+// through enRouteToPickup -> enRouteToDropoff -> completed/cancelled. Backs the
+// app's RideService (DispatchRideService.swift); the driver app uses /driver/*.
+// Live driver position/ETA for a ride streams over the /realtime WebSocket (realtime.js).
+// Rides booked ahead live in scheduled_rides until dispatch (scheduled.js).
+// SafeRydr (safety.js): trusted contacts, share links served at /trip/:token
+// without login, SOS and check-ins.
+
+import express from "express";
+import cors from "cors";
+import { admin } from "./firebase.js";
+import {
+  driverView,
+  findNearbyDrivers,
+  updateProfile,
+  setAvailability,
+  reportLocation,
+} from "./drivers.js";
+import {
+  OFFER_TIMEOUT_SECONDS,
+  requestRide,
+  respondToOffer,
+  sweepExpiredOffers,
+  cancelRide,
+  advanceRide,
+  getRide,
+  awaitDecision,
+  currentOffer,
+} from "./dispatch.js";
+import { SIMULATOR_ENABLED, attachRealtime, resolveCheckIn } from "./realtime.js";
+import { startSimulation } from "./simulator.js";
+import {
+  DISPATCH_LEAD_MINUTES,
+  FREE_CANCEL_MINUTES,
+  createScheduledRide,
+  listScheduledRides,
+  getScheduledRide,
+  modifyScheduledRide,
+  cancelScheduledRide,
+  processScheduledRide,
+  runScheduler,
+} from "./scheduled.js";
+import {
+  getTrustedContacts,
+  setTrustedContacts,
+  createShareLink,
+  revokeShareLinks,
+  sharedTripStatus,
+  sendSos,
+  respondToCheckIn,
+  sweepCheckIns,
+} from "./safety.js";
+import { tripPage } from "./trip-page.js";
+import { settlePending } from "./settlement.js";
+
+// ---------- Express ----------
+const app = express();
+app.use(express.json({ limit: "1mb" })); // replay tracks for /internal/simulate
+app.use(cors({ origin: true })); // tighten later
+
+// ---------- Auth middleware ----------
+async function requireAuth(req, res, next) {
+  try {
+    const authz = req.headers.authorization || "";
+    const [, token] = authz.split(" ");
+    if (!token) return res.status(401).json({ error: "Missing token" });
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.uid = decoded.uid;
+    req.email = decoded.email || null;
+    req.claims = decoded;
+    next();
+  } catch (e) {
+    res.status(401).json({ error: "Invalid token" });
+  }
+}
+
+// After requireAuth: driver app endpoints need the `driver` custom claim
+function requireDriver(req, res, next) {
+  if (req.claims?.driver === true) return next();
+  res.status(403).json({ error: "driver_only" });
+}
+
+const DRIVER = [requireAuth, requireDriver];
+
+// Thrown codes the apps can act on; anything else is a 500.
+// Errors from stripe-backend/RydrBank (internal.js) carry their .status:
+// a declined card stays a 402, an unreachable or failing service is a 502.
+const NOT_FOUND = ["not_found"];
+const FORBIDDEN = ["not_your_ride"];
+const GONE = ["link_expired"];
+
+function fail(res, e, fallback) {
+  if (NOT_FOUND.includes(e.message)) return res.status(404).json({ error: e.message });
+  if (FORBIDDEN.includes(e.message)) return res.status(403).json({ error: e.message });
+  if (GONE.includes(e.message)) return res.status(410).json({ error: e.message });
+  if (e.status === 402) return res.status(402).json({ error: e.message });
+  if (e.status === 0 || e.status >= 500) {
+    console.error(fallback, e.message);
+    return res.status(502).json({ error: e.message });
+  }
+  if (/^[a-z_]+$/.test(e.message || "")) return res.status(400).json({ error: e.message });
+  console.error(e);
+  res.status(500).json({ error: fallback });
+}
+
+const coordinateFrom = (body, prefix = "") => ({
+  lat: Number(body?.[`${prefix}lat`]),
+  lng: Number(body?.[`${prefix}lng`]),
+});
+
+app.get("/", (_, res) => res.send("Rydr dispatch service up"));
+
+// ===== Rider (RideService) =====
+
+// Nearest available drivers, best score first; rideType narrows to drivers who drive it.
+// Body: { lat, lng, rideType?, pickup?, dropoff? } -> { drivers: [Driver + distanceKm, score] }
+app.post("/drivers/nearby", requireAuth, async (req, res) => {
+  try {
+    const found = await findNearbyDrivers(coordinateFrom(req.body), { rideType: req.body?.rideType });
+    res.json({
+      drivers: found.map((f) =>
+        driverView(f.id, f.driver, { score: f.score, distanceKm: Math.round(f.distanceKm * 100) / 100 })
+      ),
+    });
+  } catch (e) {
+    fail(res, e, "cannot_find_drivers");
+  }
+});
+
+// Body: { driverId, pickup, dropoff, rideType, pickupLat, pickupLng, dropoffLat?, dropoffLng? }
+// -> { rideId, offerTimeoutSeconds }
+app.post("/rides", requireAuth, async (req, res) => {
+  const { driverId, pickup, dropoff, rideType } = req.body || {};
+  if (!pickup || !dropoff) return res.status(400).json({ error: "pickup and dropoff required" });
+  try {
+    const out = await requestRide(req.uid, {
+      driverId: driverId || null,
+      pickup,
+      dropoff,
+      rideType,
+      pickupLocation: coordinateFrom(req.body, "pickup"),
+      dropoffLocation: req.body?.dropoffLat !== undefined ? coordinateFrom(req.body, "dropoff") : null,
+    });
+    res.json({ ...out, offerTimeoutSeconds: OFFER_TIMEOUT_SECONDS });
+  } catch (e) {
+    fail(res, e, "cannot_request_ride");
+  }
+});
+
+// Long poll until a driver accepts or nobody does. Query: ?wait=25 (seconds)
+// -> { decision: "accepted" | "declined" | "pending", ride }
+app.get("/rides/:rideId/decision", requireAuth, async (req, res) => {
+  try {
+    res.json(await awaitDecision(req.uid, req.params.rideId, { waitSeconds: req.query.wait }));
+  } catch (e) {
+    fail(res, e, "cannot_wait");
+  }
+});
+
+// Ride status + the driver's latest position
+app.get("/rides/:rideId", requireAuth, async (req, res) => {
+  try {
+    res.json(await getRide(req.uid, req.params.rideId));
+  } catch (e) {
+    fail(res, e, "cannot_load_ride");
+  }
+});
+
+// Rider or assigned driver. Body: { reason? }
+// The card hold is released (or the cancellation fee taken) on stripe-backend after
+app.post("/rides/:rideId/cancel", requireAuth, async (req, res) => {
+  try {
+    res.json(await cancelRide(req.uid, req.params.rideId, { reason: req.body?.reason || null }));
+  } catch (e) {
+    fail(res, e, "cannot_cancel");
+  }
+});
+
+// ===== Scheduled rides (rider) =====
+
+const scheduledChanges = (body) => ({
+  pickup: body?.pickup,
+  dropoff: body?.dropoff,
+  pickupLocation: body?.pickupLat !== undefined ? coordinateFrom(body, "pickup") : null,
+  dropoffLocation: body?.dropoffLat !== undefined ? coordinateFrom(body, "dropoff") : null,
+  pickupAt: body?.pickupAt,
+  timeZone: body?.timeZone,
+  quoteId: body?.quoteId,
+  paymentMethodId: body?.paymentMethodId,
+  rydrBankCode: body?.rydrBankCode,
+});
+
+// Book ahead. quoteId: a signed fare quote from stripe-backend /fares/quote (sets the ride type).
+// Body: { pickup, dropoff, pickupLat, pickupLng, dropoffLat?, dropoffLng?, pickupAt (ISO),
+//   timeZone?, quoteId, paymentMethodId?, rydrBankCode? }
+// -> scheduled ride + { dispatchLeadMinutes, freeCancelMinutes }
+app.post("/scheduled-rides", requireAuth, async (req, res) => {
+  const { pickup, dropoff } = req.body || {};
+  if (!pickup || !dropoff) return res.status(400).json({ error: "pickup and dropoff required" });
+  try {
+    const ride = await createScheduledRide(req.uid, {
+      ...scheduledChanges(req.body),
+      pickupLocation: coordinateFrom(req.body, "pickup"),
+    });
+    res.json({ ...ride, dispatchLeadMinutes: DISPATCH_LEAD_MINUTES, freeCancelMinutes: FREE_CANCEL_MINUTES });
+  } catch (e) {
+    fail(res, e, "cannot_schedule_ride");
+  }
+});
+
+// Upcoming bookings, soonest first. Query: ?all=true for past/cancelled ones too (newest first)
+app.get("/scheduled-rides", requireAuth, async (req, res) => {
+  try {
+    res.json({ rides: await listScheduledRides(req.uid, { all: req.query.all === "true" }) });
+  } catch (e) {
+    fail(res, e, "cannot_list_scheduled_rides");
+  }
+});
+
+app.get("/scheduled-rides/:id", requireAuth, async (req, res) => {
+  try {
+    res.json(await getScheduledRide(req.uid, req.params.id));
+  } catch (e) {
+    fail(res, e, "cannot_load_scheduled_ride");
+  }
+});
+
+// Until freeCancelUntil. Body: any of the create fields; a new pickup/dropoff
+// location needs a new quoteId; rydrBankCode null drops the code.
+app.patch("/scheduled-rides/:id", requireAuth, async (req, res) => {
+  try {
+    res.json(await modifyScheduledRide(req.uid, req.params.id, scheduledChanges(req.body)));
+  } catch (e) {
+    fail(res, e, "cannot_modify_scheduled_ride");
+  }
+});
+
+// Free until freeCancelUntil, then the ride type's cancellation fee (-> cancellationFee).
+// already_dispatched: a driver has accepted; cancel the ride (rideId) instead.
+app.post("/scheduled-rides/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    res.json(await cancelScheduledRide(req.uid, req.params.id));
+  } catch (e) {
+    fail(res, e, "cannot_cancel_scheduled_ride");
+  }
+});
+
+// ===== SafeRydr (rider) =====
+
+// Optional { lat, lng } of the phone itself
+const phoneLocation = (body) => (body?.lat !== undefined ? coordinateFrom(body) : null);
+
+app.get("/safety/contacts", requireAuth, async (req, res) => {
+  try {
+    res.json({ contacts: await getTrustedContacts(req.uid) });
+  } catch (e) {
+    fail(res, e, "cannot_load_contacts");
+  }
+});
+
+// Replaces the list. Body: { contacts: [{ id?, name, phone? (E.164), email? }] } (up to 5)
+app.put("/safety/contacts", requireAuth, async (req, res) => {
+  try {
+    res.json({ contacts: await setTrustedContacts(req.uid, req.body?.contacts) });
+  } catch (e) {
+    fail(res, e, "cannot_save_contacts");
+  }
+});
+
+// Body: { notifyContacts? } -> { url, expiresAt, notified }
+app.post("/rides/:rideId/share", requireAuth, async (req, res) => {
+  try {
+    res.json(await createShareLink(req.uid, req.params.rideId, { notifyContacts: req.body?.notifyContacts === true }));
+  } catch (e) {
+    fail(res, e, "cannot_share_trip");
+  }
+});
+
+// -> { revoked }
+app.post("/rides/:rideId/share/revoke", requireAuth, async (req, res) => {
+  try {
+    res.json(await revokeShareLinks(req.uid, req.params.rideId));
+  } catch (e) {
+    fail(res, e, "cannot_revoke_share");
+  }
+});
+
+// Body: { lat?, lng? } -> { sosId, notified, tripUrl }
+app.post("/rides/:rideId/sos", requireAuth, async (req, res) => {
+  try {
+    res.json(await sendSos(req.uid, req.params.rideId, { location: phoneLocation(req.body) }));
+  } catch (e) {
+    fail(res, e, "cannot_send_sos");
+  }
+});
+
+// Answer to a { type: "check_in" } realtime message. Body: { checkInId, ok, lat?, lng? }
+// -> { status: "ok", escalated } | { status: "sos", sos }
+app.post("/rides/:rideId/check-in", requireAuth, async (req, res) => {
+  const { checkInId, ok } = req.body || {};
+  if (!checkInId || typeof ok !== "boolean") return res.status(400).json({ error: "checkInId and ok required" });
+  try {
+    const out = await respondToCheckIn(req.uid, req.params.rideId, checkInId, {
+      ok,
+      location: phoneLocation(req.body),
+    });
+    resolveCheckIn(req.params.rideId, checkInId);
+    res.json(out);
+  } catch (e) {
+    fail(res, e, "cannot_check_in");
+  }
+});
+
+// ===== Shared trip (public, the link is the credential) =====
+
+const SHARE_TOKEN = /^[A-Za-z0-9_-]{32}$/;
+
+function noStore(res) {
+  res.set({ "Cache-Control": "no-store", "Referrer-Policy": "no-referrer", "X-Robots-Tag": "noindex" });
+}
+
+app.get("/trip/:token", (req, res) => {
+  noStore(res);
+  if (!SHARE_TOKEN.test(req.params.token)) return res.status(404).type("text").send("Trip link not found");
+  res.type("html").send(tripPage(req.params.token));
+});
+
+app.get("/trip/:token/status", async (req, res) => {
+  noStore(res);
+  if (!SHARE_TOKEN.test(req.params.token)) return res.status(404).json({ error: "not_found" });
+  try {
+    res.json(await sharedTripStatus(req.params.token));
+  } catch (e) {
+    fail(res, e, "cannot_load_trip");
+  }
+});
+
+// ===== Driver app =====
+
+// Body: { name, carMakeModel, profileImage, carImage, perMile, perMinute, rideTypes, compliments }
+app.put("/driver/profile", ...DRIVER, async (req, res) => {
+  try {
+    await updateProfile(req.uid, req.body || {});
+    res.json({ ok: true });
+  } catch (e) {
+    fail(res, e, "cannot_update_profile");
+  }
+});
+
+// Body: { online: true | false }
+app.post("/driver/status", ...DRIVER, async (req, res) => {
+  try {
+    res.json({ status: await setAvailability(req.uid, req.body?.online === true) });
+  } catch (e) {
+    fail(res, e, "cannot_set_status");
+  }
+});
+
+// Body: { lat, lng, heading? }
+app.post("/driver/location", ...DRIVER, async (req, res) => {
+  try {
+    await reportLocation(req.uid, { ...coordinateFrom(req.body), heading: req.body?.heading });
+    res.json({ ok: true });
+  } catch (e) {
+    fail(res, e, "cannot_report_location");
+  }
+});
+
+// The ride currently offered to this driver (null if none)
+app.get("/driver/offer", ...DRIVER, async (req, res) => {
+  try {
+    res.json({ offer: await currentOffer(req.uid) });
+  } catch (e) {
+    fail(res, e, "cannot_load_offer");
+  }
+});
+
+app.post("/driver/offers/:rideId/accept", ...DRIVER, async (req, res) => {
+  try {
+    const ride = await respondToOffer(req.uid, req.params.rideId, true);
+    res.json(ride);
+    // A scheduled ride's card hold moves to this driver now rather than on the next tick
+    if (ride.scheduledRideId) {
+      processScheduledRide(ride.scheduledRideId, { force: true }).catch((e) =>
+        console.error("scheduled ride accept:", ride.scheduledRideId, e.message)
+      );
+    }
+  } catch (e) {
+    fail(res, e, "cannot_accept");
+  }
+});
+
+app.post("/driver/offers/:rideId/decline", ...DRIVER, async (req, res) => {
+  try {
+    res.json(await respondToOffer(req.uid, req.params.rideId, false));
+  } catch (e) {
+    fail(res, e, "cannot_decline");
+  }
+});
+
+// Rider on board -> enRouteToDropoff. Body: { dropoffLat?, dropoffLng? } when the ride has none yet
+app.post("/driver/rides/:rideId/pickup", ...DRIVER, async (req, res) => {
+  try {
+    const dropoffLocation = req.body?.dropoffLat !== undefined ? coordinateFrom(req.body, "dropoff") : null;
+    res.json(await advanceRide(req.uid, req.params.rideId, "pickup", { dropoffLocation }));
+  } catch (e) {
+    fail(res, e, "cannot_update_ride");
+  }
+});
+
+// Dropped off -> completed; the fare is captured on stripe-backend after (settlement.js)
+app.post("/driver/rides/:rideId/complete", ...DRIVER, async (req, res) => {
+  try {
+    res.json(await advanceRide(req.uid, req.params.rideId, "complete"));
+  } catch (e) {
+    fail(res, e, "cannot_update_ride");
+  }
+});
+
+// ===== Internal =====
+
+function requireInternalKey(req, res, next) {
+  const key = process.env.INTERNAL_API_KEY;
+  if (!key || req.headers["x-internal-key"] !== key) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
+
+// Plays driver fixes for an accepted ride (no devices needed); see simulator.js.
+// Body: { rideId, track?, speedup? } -> 202 { ok, rideId, points }; the run's summary is logged.
+app.post("/internal/simulate", requireInternalKey, async (req, res) => {
+  if (!SIMULATOR_ENABLED) return res.status(404).json({ error: "simulator_disabled" });
+  const { rideId, track, speedup } = req.body || {};
+  if (!rideId) return res.status(400).json({ error: "rideId required" });
+  try {
+    const run = await startSimulation(String(rideId), { track: track || null, speedup });
+    run.done
+      .then((summary) => console.log("simulation", rideId, JSON.stringify(summary)))
+      .catch((e) => console.error("simulation", rideId, e));
+    res.status(202).json({ ok: true, rideId, points: run.points });
+  } catch (e) {
+    fail(res, e, "cannot_simulate");
+  }
+});
+
+// ---------- Start ----------
+const PORT = process.env.PORT || 8080;
+const server = app.listen(PORT, () => console.log("Listening on", PORT));
+attachRealtime(server);
+
+// Offers nobody answered go to the next driver
+setInterval(() => {
+  sweepExpiredOffers().catch((e) => console.error("offer sweep:", e));
+}, 5 * 1000).unref();
+
+// Scheduled rides: reminders, card holds and dispatch as they come due
+let schedulerRunning = false;
+setInterval(() => {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  runScheduler()
+    .catch((e) => console.error("scheduler:", e))
+    .finally(() => (schedulerRunning = false));
+}, 15 * 1000).unref();
+
+// Ride captures/cancellations stripe-backend didn't take the first time
+let settling = false;
+setInterval(() => {
+  if (settling) return;
+  settling = true;
+  settlePending()
+    .catch((e) => console.error("ride settlement:", e))
+    .finally(() => (settling = false));
+}, 60 * 1000).unref();
+
+// SafeRydr check-ins nobody answered go to the rider's trusted contacts
+setInterval(() => {
+  sweepCheckIns().catch((e) => console.error("check-in sweep:", e));
+}, 30 * 1000).unref();
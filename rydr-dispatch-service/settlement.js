@@ -0,0 +1,88 @@
+// settlement.js
+// Settles a ride's card hold on stripe-backend once the ride is over: the fare is
+// captured when the driver completes it; the hold is released (or the
+// cancellation fee taken) when it's cancelled. stripe-backend prices both from
+// the ride doc (tripDistanceMi, pickedUpAt/completedAt, cancelledBy), never from
+// anything an app sends.
+//
+// rides/{rideId}.settlement: {
+//   action: "capture" | "cancel", status: "pending" | "done" | "failed",
+//   attempts, retryAt (null: nothing left to do), error, result, settledAt,
+// }
+//
+// Queued in the transaction that ends the ride (queueSettlement), tried right
+// after it (settleRide) and retried by settlePending() with backoff while
+// stripe-backend is down. A 4xx answer is final: "failed" is left for support.
+
+import { admin, db } from "./firebase.js";
+import { ridePayments } from "./internal.js";
+
+const MAX_ATTEMPTS = 10;
+const LEASE_SECONDS = 120; // a crashed attempt is retried after this
+const BATCH_SIZE = 25;
+
+const rideRef = (rideId) => db.collection("rides").doc(rideId);
+const ts = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+
+// For the ride update that completes ("capture") or cancels ("cancel") it
+export function queueSettlement(action) {
+  return { action, status: "pending", attempts: 0, retryAt: admin.firestore.Timestamp.now(), error: null };
+}
+
+// Takes a due settlement for one attempt. -> settlement | null
+async function claim(rideId) {
+  return db.runTransaction(async (t) => {
+    const s = (await t.get(rideRef(rideId))).get("settlement");
+    if (s?.status !== "pending" || (s.retryAt?.toMillis() ?? 0) > Date.now()) return null;
+    t.update(rideRef(rideId), { "settlement.retryAt": ts(Date.now() + LEASE_SECONDS * 1000) });
+    return s;
+  });
+}
+
+// One attempt, if due. -> the stripe-backend result, or null
+export async function settleRide(rideId) {
+  const s = await claim(rideId);
+  if (!s) return null;
+  const attempts = (s.attempts || 0) + 1;
+  try {
+    const result = await ridePayments[s.action]({ rideId });
+    await rideRef(rideId).update({
+      "settlement.status": "done",
+      "settlement.attempts": attempts,
+      "settlement.retryAt": null,
+      "settlement.error": null,
+      "settlement.result": result,
+      "settlement.settledAt": admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return result;
+  } catch (e) {
+    const final = (e.status >= 400 && e.status < 500) || attempts >= MAX_ATTEMPTS;
+    const backoffSeconds = Math.min(3600, 30 * 2 ** attempts);
+    await rideRef(rideId).update({
+      "settlement.status": final ? "failed" : "pending",
+      "settlement.attempts": attempts,
+      "settlement.retryAt": final ? null : ts(Date.now() + backoffSeconds * 1000),
+      "settlement.error": e.message,
+    });
+    console.error("ride settlement:", rideId, s.action, e.message);
+    return null;
+  }
+}
+
+export async function settlePending() {
+  const snap = await db
+    .collection("rides")
+    .where("settlement.retryAt", "<=", admin.firestore.Timestamp.now())
+    .orderBy("settlement.retryAt")
+    .limit(BATCH_SIZE)
+    .get();
+  let settled = 0;
+  for (const doc of snap.docs) {
+    try {
+      if (await settleRide(doc.id)) settled++;
+    } catch (e) {
+      console.error("ride settlement:", doc.id, e.message);
+    }
+  }
+  return { due: snap.size, settled };
+}
@@ -0,0 +1,65 @@
+// simulate.js
+// CLI for the ride simulator on a running dispatch service (SIMULATOR_ENABLED=true).
+//
+//   node simulate.js <rideId> [track.json] [--speedup 3] [--watch]
+//
+// Env: DISPATCH_URL (default http://localhost:8080), INTERNAL_API_KEY.
+// track.json is a replay track (see simulator.js); without it the server drives
+// a synthetic route. --watch follows the ride's /realtime channel as its rider
+// and prints every message until the trip ends.
+
+import { readFile } from "node:fs/promises";
+import WebSocket from "ws";
+
+const BASE = (process.env.DISPATCH_URL || "http://localhost:8080").replace(/\/$/, "");
+const KEY = process.env.INTERNAL_API_KEY || "";
+
+function parseArgs(argv) {
+  const args = { rideId: null, trackFile: null, speedup: 1, watch: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--watch") args.watch = true;
+    else if (argv[i] === "--speedup") args.speedup = Number(argv[++i]) || 1;
+    else if (!args.rideId) args.rideId = argv[i];
+    else args.trackFile = argv[i];
+  }
+  return args;
+}
+
+function watch(rideId) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${BASE.replace(/^http/, "ws")}/realtime`);
+    socket.on("open", () => socket.send(JSON.stringify({ type: "auth", internalKey: KEY, rideId })));
+    socket.on("message", (data) => {
+      const msg = JSON.parse(data.toString());
+      console.log(JSON.stringify(msg));
+      if (msg.type === "status" && ["trip_ended", "cancelled"].includes(msg.event)) socket.close();
+    });
+    socket.on("close", resolve);
+    socket.on("error", reject);
+  });
+}
+
+async function main() {
+  const { rideId, trackFile, speedup, watch: follow } = parseArgs(process.argv.slice(2));
+  if (!rideId) throw new Error("usage: node simulate.js <rideId> [track.json] [--speedup N] [--watch]");
+  const track = trackFile ? JSON.parse(await readFile(trackFile, "utf8")) : null;
+
+  // Subscribe first so the first fixes aren't missed
+  const watching = follow ? watch(rideId) : null;
+  const res = await fetch(`${BASE}/internal/simulate`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-internal-key": KEY },
+    body: JSON.stringify({ rideId, track, speedup }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || `simulate failed (${res.status})`);
+  console.log(`simulating ${rideId}: ${body.points} points`);
+  if (watching) await watching;
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
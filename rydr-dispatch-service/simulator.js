@@ -0,0 +1,147 @@
+// simulator.js
+// Drives a ride without devices: plays a track of driver fixes into the same
+// path as a driver's socket (publishFix) and moves the ride along at pickup and
+// dropoff. Started from POST /internal/simulate (SIMULATOR_ENABLED=true) or
+// `npm run simulate`.
+//
+// Track: [{ lat, lng, t (ms from start), accuracy?, speed?, heading?, event? }]
+// where event "pickup" | "complete" calls advanceRide at that point. Without a
+// track, a synthetic one goes driver -> pickup -> dropoff at city speed, with
+// GPS noise plus the odd stale fix and outlier so the filtering gets exercised.
+
+import { distanceKm, isCoordinate } from "./geo.js";
+import { driverRef } from "./drivers.js";
+import { advanceRide } from "./dispatch.js";
+import { ensureChannel, publishFix } from "./realtime.js";
+import { move } from "./tracking.js";
+
+const SPEED_MPS = 11; // ~40 km/h
+const INTERVAL_MS = 1000;
+const DWELL_FIXES = 5; // waiting at the pickup before the rider gets in
+const MAX_TRACK_POINTS = 5000;
+const MAX_SPEEDUP = 5; // faster and real speeds start looking like GPS jumps
+const STALE_EVERY = 20;
+const OUTLIER_EVERY = 37;
+
+const running = new Set(); // rideIds being simulated
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function bearing(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const y = Math.sin(toRad(b.lng - a.lng)) * Math.cos(toRad(b.lat));
+  const x =
+    Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+    Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lng - a.lng));
+  return Math.round(((Math.atan2(y, x) * 180) / Math.PI + 360) % 360);
+}
+
+// Box-Muller: normal noise with sd `metres`
+function jitter(point, metres) {
+  const gauss = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  return move(point, gauss() * metres, gauss() * metres);
+}
+
+// Straight legs start -> pickup (dwell) -> dropoff, one point per INTERVAL_MS
+export function syntheticTrack(start, pickup, dropoff) {
+  const track = [];
+  let t = 0;
+  const leg = (from, to) => {
+    const metres = distanceKm(from, to) * 1000;
+    const steps = Math.max(1, Math.ceil(metres / (SPEED_MPS * (INTERVAL_MS / 1000))));
+    const heading = bearing(from, to);
+    for (let i = 1; i <= steps; i++) {
+      const f = i / steps;
+      track.push({
+        lat: from.lat + (to.lat - from.lat) * f,
+        lng: from.lng + (to.lng - from.lng) * f,
+        t: (t += INTERVAL_MS),
+        speed: SPEED_MPS,
+        heading,
+      });
+    }
+  };
+  leg(start, pickup);
+  for (let i = 0; i < DWELL_FIXES; i++) track.push({ ...pickup, t: (t += INTERVAL_MS), speed: 0 });
+  track[track.length - 1].event = "pickup";
+  leg(pickup, dropoff);
+  track[track.length - 1].event = "complete";
+  return track;
+}
+
+function validTrack(track) {
+  return (
+    Array.isArray(track) &&
+    track.length > 0 &&
+    track.length <= MAX_TRACK_POINTS &&
+    track.every((p) => isCoordinate(p) && Number.isFinite(Number(p.t)))
+  );
+}
+
+// Checks the ride, then plays the track in (scaled) real time in the background.
+// -> { points, done } where done resolves to { fixes, accepted, dropped: { reason: n }, events }
+export async function startSimulation(rideId, { track = null, speedup = 1 } = {}) {
+  if (running.has(rideId)) throw new Error("already_simulating");
+  if (track && !validTrack(track)) throw new Error("invalid_track");
+  const ride = await ensureChannel(rideId);
+  if (!ride.driverId || !["enRouteToPickup", "enRouteToDropoff"].includes(ride.status)) {
+    throw new Error("ride_not_accepted");
+  }
+
+  const synthetic = !track;
+  if (synthetic) {
+    const d = (await driverRef(ride.driverId).get()).data();
+    const start = d?.location || move(ride.pickupLocation, 1200, 900);
+    const dropoff = ride.dropoffLocation || move(ride.pickupLocation, 2500, 2000);
+    track = syntheticTrack(start, ride.pickupLocation, dropoff);
+    if (ride.status === "enRouteToDropoff") track = track.slice(track.findIndex((p) => p.event === "pickup") + 1);
+  }
+  const scale = Math.min(Math.max(Number(speedup) || 1, 1), MAX_SPEEDUP);
+
+  running.add(rideId);
+  const done = play(rideId, ride.driverId, track, { synthetic, scale }).finally(() => running.delete(rideId));
+  return { points: track.length, done };
+}
+
+async function play(rideId, driverId, track, { synthetic, scale }) {
+  const summary = { fixes: 0, accepted: 0, dropped: {}, events: [] };
+  const tally = (out) => {
+    summary.fixes++;
+    if (out.accepted) summary.accepted++;
+    else summary.dropped[out.reason] = (summary.dropped[out.reason] || 0) + 1;
+    return out;
+  };
+
+  const started = Date.now();
+  for (let i = 0; i < track.length; i++) {
+    const p = track[i];
+    const wait = started + Number(p.t) / scale - Date.now();
+    if (wait > 0) await sleep(wait);
+
+    const at = synthetic ? jitter(p, 8) : { lat: Number(p.lat), lng: Number(p.lng) };
+    const fix = {
+      ...at,
+      ts: Date.now(),
+      accuracy: p.accuracy ?? (synthetic ? 10 : undefined),
+      speed: p.speed,
+      heading: p.heading,
+    };
+    const out = tally(await publishFix(rideId, driverId, fix));
+    if (!out.accepted && ["ride_over", "not_your_ride", "no_subscribers"].includes(out.reason)) break;
+
+    if (synthetic && i % STALE_EVERY === STALE_EVERY - 1) {
+      tally(await publishFix(rideId, driverId, { ...fix, ts: fix.ts - 30 * 1000 }));
+    }
+    if (synthetic && i % OUTLIER_EVERY === OUTLIER_EVERY - 1) {
+      tally(await publishFix(rideId, driverId, { ...move(at, 800, -600), ts: fix.ts + 1, accuracy: 10 }));
+    }
+
+    if (p.event === "pickup" || p.event === "complete") {
+      await advanceRide(driverId, rideId, p.event, {
+        dropoffLocation: p.event === "pickup" && synthetic ? track[track.length - 1] : null,
+      });
+      summary.events.push(p.event);
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,147 @@
+// tracking.js
+// Cleans up a driver's GPS fixes and turns them into what the rider sees.
+// Pure (no I/O) so realtime.js and simulator.js share it.
+//
+// Per fix: drop it if it's older than MAX_FIX_AGE_MS or than the last fix used,
+// too inaccurate, or an impossible jump from the current position (a few jumps
+// in a row are believed: the driver really is somewhere else, e.g. after a
+// tunnel). Kept fixes go through a small Kalman filter weighted by each fix's
+// reported accuracy, so the marker doesn't jitter; the prediction step carries
+// the position forward at the current velocity so a moving car doesn't lag.
+
+import { distanceKm } from "./geo.js";
+
+export const MAX_FIX_AGE_MS = Number(process.env.MAX_FIX_AGE_MS || 15000);
+const MAX_ACCURACY_M = 100;
+const MAX_SPEED_MPS = 70; // ~250 km/h
+const JUMPS_BEFORE_RESET = 3;
+const PROCESS_NOISE_MPS = 3; // how far the true position may drift per second
+const DEFAULT_ACCURACY_M = 15;
+
+export const ARRIVAL_RADIUS_M = Number(process.env.ARRIVAL_RADIUS_M || 60);
+export const ROAD_FACTOR = 1.3; // straight line -> street distance, without a routing engine
+const CITY_SPEED_MPS = 25 / 3.6; // ETA speed while stopped or crawling
+const MOVING_MPS = 3;
+const ODOMETER_STEP_M = 25;
+
+const metres = (a, b) => distanceKm(a, b) * 1000;
+const M_PER_DEG_LAT = 111320;
+const mPerDegLng = (lat) => M_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+
+// Small displacements in metres (flat-earth is fine over a few hundred metres)
+function offsetMetres(a, b) {
+  return { north: (b.lat - a.lat) * M_PER_DEG_LAT, east: (b.lng - a.lng) * mPerDegLng(a.lat) };
+}
+
+export function move(p, north, east) {
+  return { lat: p.lat + north / M_PER_DEG_LAT, lng: p.lng + east / mPerDegLng(p.lat) };
+}
+
+export class Tracker {
+  constructor() {
+    this.position = null; // { lat, lng }
+    this.variance = 0; // m^2
+    this.lastTs = 0;
+    this.speedMps = null; // smoothed
+    this.velocity = { north: 0, east: 0 }; // m/s, smoothed
+    this.heading = null;
+    this.jumps = 0;
+  }
+
+  // fix: { lat, lng, ts (ms), accuracy? (m), speed? (m/s), heading? (deg) }
+  // -> { accepted: true, position, speedMps, heading } | { accepted: false, reason }
+  push(fix, now = Date.now()) {
+    const ts = Number(fix.ts) || now;
+    const accuracy = Number(fix.accuracy) > 0 ? Number(fix.accuracy) : DEFAULT_ACCURACY_M;
+    if (now - ts > MAX_FIX_AGE_MS) return { accepted: false, reason: "stale" };
+    if (ts <= this.lastTs) return { accepted: false, reason: "out_of_order" };
+    if (accuracy > MAX_ACCURACY_M) return { accepted: false, reason: "inaccurate" };
+
+    const raw = { lat: fix.lat, lng: fix.lng };
+    if (!this.position) return this.#reset(raw, ts, accuracy, fix);
+
+    const dt = (ts - this.lastTs) / 1000;
+    const moved = metres(this.position, raw);
+    if (moved / dt > MAX_SPEED_MPS && moved > accuracy * 2) {
+      if (++this.jumps < JUMPS_BEFORE_RESET) return { accepted: false, reason: "jump" };
+      return this.#reset(raw, ts, accuracy, fix);
+    }
+    this.jumps = 0;
+
+    // Kalman step: predict along the velocity (uncertainty grows with time),
+    // then each fix pulls by its accuracy
+    const before = this.position;
+    const predicted = move(before, this.velocity.north * dt, this.velocity.east * dt);
+    this.variance += dt * PROCESS_NOISE_MPS ** 2;
+    const k = this.variance / (this.variance + accuracy ** 2);
+    this.position = {
+      lat: predicted.lat + k * (raw.lat - predicted.lat),
+      lng: predicted.lng + k * (raw.lng - predicted.lng),
+    };
+    this.variance *= 1 - k;
+
+    const step = offsetMetres(before, this.position);
+    this.velocity = {
+      north: 0.5 * this.velocity.north + 0.5 * (step.north / dt),
+      east: 0.5 * this.velocity.east + 0.5 * (step.east / dt),
+    };
+    const measured = Number(fix.speed) >= 0 && fix.speed !== null && fix.speed !== undefined
+      ? Number(fix.speed)
+      : Math.hypot(step.north, step.east) / dt;
+    this.speedMps = this.speedMps === null ? measured : 0.7 * this.speedMps + 0.3 * measured;
+    if (typeof fix.heading === "number" && fix.heading >= 0) this.heading = fix.heading;
+    this.lastTs = ts;
+    return this.#state();
+  }
+
+  #reset(raw, ts, accuracy, fix) {
+    this.position = raw;
+    this.variance = accuracy ** 2;
+    this.lastTs = ts;
+    this.jumps = 0;
+    this.velocity = { north: 0, east: 0 };
+    this.speedMps = Number(fix.speed) >= 0 && fix.speed != null ? Number(fix.speed) : null;
+    this.heading = typeof fix.heading === "number" && fix.heading >= 0 ? fix.heading : this.heading;
+    return this.#state();
+  }
+
+  #state() {
+    return { accepted: true, position: this.position, speedMps: this.speedMps, heading: this.heading };
+  }
+}
+
+// Distance driven, from the Tracker's smoothed positions. Moves shorter than
+// ODOMETER_STEP_M are held until they add up, so a parked car's jitter isn't counted.
+export class Odometer {
+  constructor() {
+    this.anchor = null;
+    this.km = 0;
+  }
+
+  // -> km added by this position
+  push(position) {
+    if (!this.anchor) {
+      this.anchor = position;
+      return 0;
+    }
+    const km = distanceKm(this.anchor, position);
+    if (km * 1000 < ODOMETER_STEP_M) return 0;
+    this.anchor = position;
+    this.km += km;
+    return km;
+  }
+}
+
+// Remaining street distance + ETA from `position` to `target` ({ lat, lng }).
+// -> { remainingKm, etaMinutes, arrived } (nulls when there's no target)
+export function etaTo(position, target, speedMps) {
+  if (!position || !target) return { remainingKm: null, etaMinutes: null, arrived: false };
+  const straight = metres(position, target);
+  const remaining = straight * ROAD_FACTOR;
+  const speed = speedMps !== null && speedMps >= MOVING_MPS ? speedMps : CITY_SPEED_MPS;
+  return {
+    remainingKm: Math.round(remaining / 10) / 100,
+    etaMinutes: Math.round((remaining / speed / 60) * 10) / 10,
+    arrived: straight <= ARRIVAL_RADIUS_M,
+  };
+}
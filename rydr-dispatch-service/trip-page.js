@@ -0,0 +1,129 @@
+// trip-page.js
+// The page a SafeRydr share link opens (GET /trip/:token). No login: it polls
+// /trip/:token/status and fills the fields in with textContent, so nothing the
+// rider or driver typed is ever parsed as HTML.
+
+const POLL_SECONDS = 10;
+
+const STATUS_TEXT = {
+  offered: "Finding a driver",
+  enRouteToPickup: "Driver on the way to pickup",
+  enRouteToDropoff: "On the way",
+  completed: "Trip ended",
+  cancelled: "Trip cancelled",
+};
+
+// token: already checked against the share token format by the route
+export function tripPage(token) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Rydr trip</title>
+<style>
+  body { margin: 0; font-family: -apple-system, system-ui, sans-serif; background: #f4f4f6; color: #111; }
+  main { max-width: 480px; margin: 0 auto; padding: 24px 16px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .muted { color: #666; font-size: 14px; }
+  .card { background: #fff; border-radius: 14px; padding: 16px; margin-top: 16px; }
+  .row { margin: 6px 0; }
+  .label { color: #666; font-size: 13px; }
+  .eta { font-size: 28px; font-weight: 600; }
+  img { width: 100%; border-radius: 10px; margin-top: 8px; }
+  a.button { display: block; text-align: center; background: #111; color: #fff; text-decoration: none;
+    padding: 12px; border-radius: 10px; margin-top: 12px; }
+  [hidden] { display: none !important; }
+</style>
+</head>
+<body>
+<main>
+  <h1 id="status">Loading trip…</h1>
+  <div class="muted" id="updated"></div>
+
+  <div class="card" id="progress" hidden>
+    <div class="eta" id="eta"></div>
+    <div class="muted" id="distance"></div>
+    <a class="button" id="map" target="_blank" rel="noopener noreferrer" hidden>Open driver location in Google Maps</a>
+  </div>
+
+  <div class="card" id="trip" hidden>
+    <div class="row"><div class="label">From</div><div id="pickup"></div></div>
+    <div class="row"><div class="label">To</div><div id="dropoff"></div></div>
+  </div>
+
+  <div class="card" id="driver" hidden>
+    <div class="row"><div class="label">Driver</div><div id="driverName"></div></div>
+    <div class="row"><div class="label">Vehicle</div><div id="vehicle"></div></div>
+    <img id="carImage" alt="" hidden>
+  </div>
+
+  <p class="muted">If you think someone is in danger, call 911.</p>
+</main>
+<script>
+(() => {
+  const TOKEN = ${JSON.stringify(token)};
+  const STATUS_TEXT = ${JSON.stringify(STATUS_TEXT)};
+  const $ = (id) => document.getElementById(id);
+  const show = (id, on) => { $(id).hidden = !on; };
+  let timer = null;
+
+  function stop(text) {
+    clearInterval(timer);
+    $("status").textContent = text;
+    $("updated").textContent = "This link no longer shows the trip.";
+    for (const id of ["progress", "trip", "driver"]) show(id, false);
+  }
+
+  function render(s) {
+    $("status").textContent = STATUS_TEXT[s.status] || "Trip";
+    $("updated").textContent = "Updated " + new Date().toLocaleTimeString();
+    $("pickup").textContent = s.pickup || "";
+    $("dropoff").textContent = s.dropoff || "";
+    show("trip", true);
+
+    if (s.driver) {
+      $("driverName").textContent = s.driver.name;
+      $("vehicle").textContent = s.driver.carMakeModel;
+      if (s.driver.carImage && /^https:\\/\\//.test(s.driver.carImage)) $("carImage").src = s.driver.carImage;
+      show("carImage", !!$("carImage").getAttribute("src"));
+    }
+    show("driver", !!s.driver);
+
+    const live = s.status === "enRouteToPickup" || s.status === "enRouteToDropoff";
+    if (live && s.etaMinutes !== null) {
+      $("eta").textContent = s.etaMinutes + " min " + (s.leg === "pickup" ? "to pickup" : "to drop-off");
+      $("distance").textContent = s.remainingKm !== null ? s.remainingKm + " km left" : "";
+    } else {
+      $("eta").textContent = live ? "Waiting for the driver's location" : "";
+      $("distance").textContent = s.endedAt ? "Ended " + new Date(s.endedAt).toLocaleTimeString() : "";
+    }
+    if (s.location) {
+      $("map").href = "https://maps.google.com/?q=" + s.location.lat + "," + s.location.lng;
+      $("map").hidden = false;
+    } else {
+      $("map").hidden = true;
+    }
+    show("progress", live || !!s.endedAt);
+  }
+
+  async function poll() {
+    try {
+      const res = await fetch("/trip/" + encodeURIComponent(TOKEN) + "/status", { cache: "no-store" });
+      if (res.status === 410 || res.status === 404) return stop("This trip link has expired");
+      if (!res.ok) throw new Error(res.status);
+      render(await res.json());
+    } catch {
+      $("updated").textContent = "Couldn't refresh, retrying…";
+    }
+  }
+
+  poll();
+  timer = setInterval(poll, ${POLL_SECONDS * 1000});
+})();
+</script>
+</body>
+</html>
+`;
+}
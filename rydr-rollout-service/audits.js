@@ -0,0 +1,22 @@
+// audits.js
+// Admin changes go to the same audits collection as rydr-bank-service's support
+// console (its GET /admin/audits finds them by type/uid/actorUid):
+// { type: "admin_<action>", actorUid, actorEmail, actorRole, reason, targetUid, code, details, at }.
+// `actor` = { uid, email, role }.
+
+import { admin, db } from "./firebase.js";
+
+// WRITES ONLY (transaction or batch)
+export function audit(t, actor, action, { reason, targetUid = null, details = {} }) {
+  t.set(db.collection("audits").doc(), {
+    type: `admin_${action}`,
+    actorUid: actor.uid,
+    actorEmail: actor.email || null,
+    actorRole: actor.role,
+    reason,
+    targetUid,
+    code: null,
+    details,
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
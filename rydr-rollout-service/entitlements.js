@@ -0,0 +1,160 @@
+// entitlements.js
+// Per-user feature switches the app reads at runtime (GET /entitlements), so a
+// feature can be turned on for a rider, a cohort or a city without an app release.
+//
+// rollouts/{feature}: {
+//   status: "off" | "limited" | "on",
+//   markets: ["atlanta"],          // limited: on for every rider in these markets
+//   priorityMarkets: ["atlanta"],  // ranked first on the waitlist (waitlist.js)
+//   inviteTtlDays: 14,
+//   updatedAt, updatedBy,
+// }
+// entitlements/{uid}: { features: { [feature]: { enabled, source: "invite" | "admin", at } }, updatedAt }
+//
+// Resolution per feature: off -> nobody (kill switch, grants included); a
+// per-user grant wins otherwise (enabled: false blocks one rider); then on ->
+// everyone, limited -> riders in `markets`. No rollout doc = off.
+
+import { admin, db } from "./firebase.js";
+import { isMarket, marketForUser } from "./markets.js";
+import { audit } from "./audits.js";
+
+// What can be gated. interestCollection: where the app collects waitlist sign-ups.
+export const FEATURES = {
+  safe_rydr: { name: "SafeRydr", interestCollection: "safeRydrInterest" },
+  prestine: { name: "Rydr Prestine", interestCollection: null },
+};
+
+const STATUSES = ["off", "limited", "on"];
+const DEFAULT_INVITE_TTL_DAYS = 14;
+const MAX_INVITE_TTL_DAYS = 60;
+
+const iso = (t) => t?.toDate?.().toISOString() || null;
+
+export function assertFeature(feature) {
+  if (!FEATURES[feature]) throw new Error("unknown_feature");
+}
+
+export const rolloutRef = (feature) => db.collection("rollouts").doc(feature);
+export const entitlementRef = (uid) => db.collection("entitlements").doc(uid);
+
+// Firestore doc -> rollout with defaults filled in
+export function normalizeRollout(feature, data) {
+  const d = data || {};
+  return {
+    feature,
+    status: STATUSES.includes(d.status) ? d.status : "off",
+    markets: (d.markets || []).filter(isMarket),
+    priorityMarkets: (d.priorityMarkets || []).filter(isMarket),
+    inviteTtlDays: Number(d.inviteTtlDays) || DEFAULT_INVITE_TTL_DAYS,
+    updatedAt: iso(d.updatedAt),
+  };
+}
+
+export async function readRollouts() {
+  const keys = Object.keys(FEATURES);
+  const snaps = await db.getAll(...keys.map(rolloutRef));
+  return Object.fromEntries(keys.map((k, i) => [k, normalizeRollout(k, snaps[i].data())]));
+}
+
+// -> { enabled, source: "rollout" | "market" | "invite" | "admin" | null }
+function resolve(rollout, grant, market) {
+  if (rollout.status === "off") return { enabled: false, source: null };
+  if (grant && typeof grant.enabled === "boolean") return { enabled: grant.enabled, source: grant.source || "admin" };
+  if (rollout.status === "on") return { enabled: true, source: "rollout" };
+  if (market && rollout.markets.includes(market)) return { enabled: true, source: "market" };
+  return { enabled: false, source: null };
+}
+
+// What the app asks for. -> { market, features: { [feature]: { enabled, source, waitlist } } }
+export async function entitlementsFor(uid) {
+  const keys = Object.keys(FEATURES);
+  const [rollouts, grantSnap, entrySnaps] = await Promise.all([
+    readRollouts(),
+    entitlementRef(uid).get(),
+    db.getAll(...keys.map((k) => db.collection("waitlist").doc(`${k}_${uid}`))),
+  ]);
+  // The market only matters to limited rollouts that list some
+  const needsMarket = keys.some((k) => rollouts[k].status === "limited" && rollouts[k].markets.length);
+  const market = needsMarket ? await marketForUser(uid) : null;
+  const grants = grantSnap.get("features") || {};
+
+  const features = {};
+  keys.forEach((k, i) => {
+    const entry = entrySnaps[i].data();
+    features[k] = {
+      ...resolve(rollouts[k], grants[k], market),
+      waitlist: entry ? { status: entry.status, inviteExpiresAt: iso(entry.inviteExpiresAt) } : null,
+    };
+  });
+  return { market, features };
+}
+
+// ----- Admin -----
+
+// The editable part of a rollout (what the audit records)
+const settingsOf = ({ status, markets, priorityMarkets, inviteTtlDays }) => ({
+  status,
+  markets,
+  priorityMarkets,
+  inviteTtlDays,
+});
+
+// Body fields left out keep their current value. -> the rollout
+export async function setRollout(actor, { feature, status, markets, priorityMarkets, inviteTtlDays, reason }) {
+  assertFeature(feature);
+  if (status !== undefined && !STATUSES.includes(status)) throw new Error("invalid_status");
+  for (const list of [markets, priorityMarkets]) {
+    if (list !== undefined && (!Array.isArray(list) || !list.every(isMarket))) throw new Error("unknown_market");
+  }
+  if (inviteTtlDays !== undefined) {
+    const days = Number(inviteTtlDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_INVITE_TTL_DAYS) throw new Error("invalid_invite_ttl");
+  }
+
+  const ref = rolloutRef(feature);
+  return db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const before = settingsOf(normalizeRollout(feature, (await t.get(ref)).data()));
+
+    // === WRITES ===
+    const after = {
+      status: status ?? before.status,
+      markets: markets ?? before.markets,
+      priorityMarkets: priorityMarkets ?? before.priorityMarkets,
+      inviteTtlDays: inviteTtlDays !== undefined ? Number(inviteTtlDays) : before.inviteTtlDays,
+    };
+    t.set(ref, { ...after, updatedAt: admin.firestore.FieldValue.serverTimestamp(), updatedBy: actor.uid });
+    audit(t, actor, "rollout", { reason, details: { feature, before, after } });
+    return { feature, ...after };
+  });
+}
+
+// enabled: true | false (this rider only, either way) | null (back to the rollout's rule)
+export async function setEntitlement(actor, { uid, feature, enabled, reason }) {
+  assertFeature(feature);
+  if (!uid) throw new Error("uid_required");
+  if (enabled !== null && typeof enabled !== "boolean") throw new Error("invalid_enabled");
+  await admin.auth().getUser(uid).catch(() => {
+    throw new Error("user_not_found");
+  });
+
+  const ref = entitlementRef(uid);
+  await db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const before = (await t.get(ref)).get(`features.${feature}`) || null;
+
+    // === WRITES ===
+    const value =
+      enabled === null
+        ? admin.firestore.FieldValue.delete()
+        : { enabled, source: "admin", at: admin.firestore.FieldValue.serverTimestamp() };
+    t.set(ref, { features: { [feature]: value }, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    audit(t, actor, "entitlement", {
+      reason,
+      targetUid: uid,
+      details: { feature, before: before?.enabled ?? null, after: enabled },
+    });
+  });
+  return { uid, feature, enabled };
+}
@@ -0,0 +1,16 @@
+// firebase.js
+// Firebase Admin + Firestore (same credential setup as rydr-bank-service)
+
+import admin from "firebase-admin";
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    // On Render, mount your service account JSON as a Secret File
+    credential: admin.credential.cert(
+      process.env.GOOGLE_APPLICATION_CREDENTIALS || "/etc/secrets/firebase.json"
+    ),
+  });
+}
+
+export const db = admin.firestore();
+export { admin };
@@ -0,0 +1,55 @@
+// markets.js
+// Cities Rydr runs in. A rollout can be opened per market (rollouts.js) and the
+// waitlist ranks riders in a rollout's priority markets first (waitlist.js).
+// A rider's market comes from their latest ride's pickup (rydr-dispatch-service
+// rides, same Firestore project), else from the city in their profile.
+
+import { db } from "./firebase.js";
+
+export const MARKETS = [
+  { id: "atlanta", name: "Atlanta", state: "GA", center: { lat: 33.749, lng: -84.388 }, radiusKm: 60 },
+  { id: "charlotte", name: "Charlotte", state: "NC", center: { lat: 35.2271, lng: -80.8431 }, radiusKm: 45 },
+  { id: "nashville", name: "Nashville", state: "TN", center: { lat: 36.1627, lng: -86.7816 }, radiusKm: 45 },
+];
+
+export const isMarket = (id) => MARKETS.some((m) => m.id === id);
+
+function distanceKm(a, b) {
+  const R = 6371;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// { lat, lng } -> market id or null
+export function marketAt(point) {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lng)) return null;
+  let best = null;
+  for (const m of MARKETS) {
+    const km = distanceKm(point, m.center);
+    if (km <= m.radiusKm && (!best || km < best.km)) best = { id: m.id, km };
+  }
+  return best?.id || null;
+}
+
+// riders/{uid}.address: { city, state } as the app saves it (UserSessionManager.swift)
+function marketOfAddress(address) {
+  const city = String(address?.city || "").trim().toLowerCase();
+  if (!city) return null;
+  const state = String(address?.state || "").trim().toUpperCase();
+  const m = MARKETS.find((x) => x.name.toLowerCase() === city && (!state || x.state === state));
+  return m?.id || null;
+}
+
+// Needs the composite index rides (riderUid ==, createdAt desc)
+export async function marketForUser(uid) {
+  const [rides, rider] = await Promise.all([
+    db.collection("rides").where("riderUid", "==", uid).orderBy("createdAt", "desc").limit(1).get(),
+    db.collection("riders").doc(uid).get(),
+  ]);
+  const fromRide = rides.empty ? null : marketAt(rides.docs[0].get("pickupLocation"));
+  return fromRide || marketOfAddress(rider.get("address"));
+}
@@ -0,0 +1,37 @@
+// notifications.js
+// Invite emails go through rydr-bank-service's notification outbox, like
+// rydr-dispatch-service's: this writes notifications/{id} docs (same Firestore
+// project) and the bank's worker renders them and sends them with SendGrid.
+// Templates live in rydr-bank-service/templates.js; bump a version here only
+// after the bank has deployed it.
+//
+//   early_access_invite   rider: invited to try a feature (waitlist.js)
+
+import { admin, db } from "./firebase.js";
+
+const VERSIONS = {
+  early_access_invite: 1,
+};
+
+// WRITES ONLY (transaction or batch). to: { uid } (address looked up at send time)
+// or { email }. -> notification id, to follow delivery (status, providerMessageId)
+export function queueEmail(t, template, to, data) {
+  const templateVersion = VERSIONS[template];
+  if (!templateVersion) throw new Error(`unknown_template:${template}`);
+  const ref = db.collection("notifications").doc();
+  t.set(ref, {
+    channel: "email",
+    template,
+    templateVersion,
+    data,
+    to: to.uid ? { uid: to.uid } : { email: to.email },
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastError: null,
+    providerMessageId: null,
+    secretFields: [],
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
@@ -0,0 +1,200 @@
+// server.js (ESM)
+// Rydr rollout: early-access waitlists (waitlist.js) and the per-user feature
+// entitlements the app checks before showing a gated feature (entitlements.js).
+// Invite emails go out through rydr-bank-service's notification outbox.
+
+import express from "express";
+import cors from "cors";
+import { admin } from "./firebase.js";
+import { MARKETS } from "./markets.js";
+import { FEATURES, entitlementsFor, readRollouts, setRollout, setEntitlement } from "./entitlements.js";
+import {
+  rankedWaitlist,
+  refreshWaitlists,
+  inviteCohort,
+  acceptInvite,
+  expireInvites,
+  waitlistStats,
+  entryView,
+} from "./waitlist.js";
+
+// ---------- Express ----------
+const app = express();
+app.use(express.json());
+app.use(cors({ origin: true })); // tighten later
+
+// ---------- Auth middleware ----------
+async function requireAuth(req, res, next) {
+  try {
+    const authz = req.headers.authorization || "";
+    const [, token] = authz.split(" ");
+    if (!token) return res.status(401).json({ error: "Missing token" });
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.uid = decoded.uid;
+    req.email = decoded.email || null;
+    req.claims = decoded;
+    next();
+  } catch (e) {
+    res.status(401).json({ error: "Invalid token" });
+  }
+}
+
+// Same custom claims as the RydrBank support console: `support` can look,
+// `admin` can change rollouts, invite cohorts and set entitlements.
+const roleOf = (req) => (req.claims?.admin === true ? "admin" : req.claims?.support === true ? "support" : null);
+
+function requireSupport(req, res, next) {
+  if (roleOf(req)) return next();
+  res.status(403).json({ error: "support_only" });
+}
+
+function requireAdmin(req, res, next) {
+  if (roleOf(req) === "admin") return next();
+  res.status(403).json({ error: "admin_only" });
+}
+
+const SUPPORT = [requireAuth, requireSupport];
+const ADMIN = [requireAuth, requireAdmin];
+
+const actorOf = (req) => ({ uid: req.uid, email: req.email, role: roleOf(req) });
+
+// Thrown codes the apps and console can act on; anything else is a 500
+const NOT_FOUND = ["unknown_feature", "user_not_found"];
+
+function fail(res, e, fallback) {
+  if (NOT_FOUND.includes(e.message)) return res.status(404).json({ error: e.message });
+  if (/^[a-z_]+$/.test(e.message || "")) return res.status(400).json({ error: e.message });
+  console.error(e);
+  res.status(500).json({ error: fallback });
+}
+
+// Admin changes need a `reason` (it goes to the audit)
+function reasonOf(req, res) {
+  const reason = String(req.body?.reason || "").trim();
+  if (reason.length < 5) {
+    res.status(400).json({ error: "reason_required" });
+    return null;
+  }
+  return reason;
+}
+
+app.get("/", (_, res) => res.send("Rydr rollout service up"));
+
+// ===== App =====
+
+// -> { market, features: { safe_rydr: { enabled, source, waitlist: { status, inviteExpiresAt } | null }, ... } }
+app.get("/entitlements", requireAuth, async (req, res) => {
+  try {
+    res.json(await entitlementsFor(req.uid));
+  } catch (e) {
+    fail(res, e, "cannot_load_entitlements");
+  }
+});
+
+// The rider takes up an early-access invite -> { feature, enabled }
+app.post("/waitlist/:feature/accept", requireAuth, async (req, res) => {
+  try {
+    res.json(await acceptInvite(req.uid, req.params.feature));
+  } catch (e) {
+    fail(res, e, "cannot_accept_invite");
+  }
+});
+
+// ===== Admin =====
+
+// Features, their rollouts and the markets they can open in
+app.get("/admin/rollouts", ...SUPPORT, async (req, res) => {
+  try {
+    const rollouts = await readRollouts();
+    res.json({
+      features: Object.entries(FEATURES).map(([key, f]) => ({ key, name: f.name, rollout: rollouts[key] })),
+      markets: MARKETS.map(({ id, name, state }) => ({ id, name, state })),
+    });
+  } catch (e) {
+    fail(res, e, "cannot_load_rollouts");
+  }
+});
+
+// Body: { status?: off | limited | on, markets?, priorityMarkets?, inviteTtlDays?, reason }
+app.put("/admin/rollouts/:feature", ...ADMIN, async (req, res) => {
+  const reason = reasonOf(req, res);
+  if (!reason) return;
+  const { status, markets, priorityMarkets, inviteTtlDays } = req.body || {};
+  try {
+    res.json(
+      await setRollout(actorOf(req), {
+        feature: req.params.feature,
+        status,
+        markets,
+        priorityMarkets,
+        inviteTtlDays,
+        reason,
+      })
+    );
+  } catch (e) {
+    fail(res, e, "cannot_update_rollout");
+  }
+});
+
+// Stats, cohorts and the top of the waitlist. Query: ?market=&limit=50
+app.get("/admin/waitlist/:feature", ...SUPPORT, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const [stats, ranked] = await Promise.all([
+      waitlistStats(req.params.feature),
+      rankedWaitlist(req.params.feature, { market: req.query.market || null, limit }),
+    ]);
+    res.json({ ...stats, rollout: ranked.rollout, next: ranked.entries.map(entryView) });
+  } catch (e) {
+    fail(res, e, "cannot_load_waitlist");
+  }
+});
+
+// Invite the next cohort. Body: { size, market?, reason } -> { cohortId, invited }
+app.post("/admin/waitlist/:feature/invite", ...ADMIN, async (req, res) => {
+  const reason = reasonOf(req, res);
+  if (!reason) return;
+  try {
+    res.json(
+      await inviteCohort(actorOf(req), {
+        feature: req.params.feature,
+        size: req.body?.size,
+        market: req.body?.market || null,
+        reason,
+      })
+    );
+  } catch (e) {
+    fail(res, e, "cannot_invite_cohort");
+  }
+});
+
+// One rider. Body: { uid, feature, enabled: true | false | null (back to the rollout), reason }
+app.post("/admin/entitlements", ...ADMIN, async (req, res) => {
+  const reason = reasonOf(req, res);
+  if (!reason) return;
+  const { uid, feature, enabled } = req.body || {};
+  try {
+    res.json(await setEntitlement(actorOf(req), { uid, feature, enabled: enabled ?? null, reason }));
+  } catch (e) {
+    fail(res, e, "cannot_set_entitlement");
+  }
+});
+
+// ---------- Start ----------
+const PORT = process.env.PORT || 8080;
+app.listen(PORT, () => console.log("Listening on", PORT));
+
+// Invites nobody accepted in time
+setInterval(() => {
+  expireInvites().catch((e) => console.error("invite expiry:", e));
+}, 10 * 60 * 1000).unref();
+
+// New sign-ups and ranking inputs (rides, market)
+let refreshing = false;
+setInterval(() => {
+  if (refreshing) return;
+  refreshing = true;
+  refreshWaitlists()
+    .catch((e) => console.error("waitlist refresh:", e))
+    .finally(() => (refreshing = false));
+}, 60 * 60 * 1000).unref();
@@ -0,0 +1,338 @@
+// waitlist.js
+// Early-access waitlists: sign-ups ranked by how long they've waited, how much
+// they ride and whether they're in one of the rollout's priority markets; admins
+// invite the top of the list in cohorts and each invite is tracked to acceptance.
+//
+// waitlist/{feature}_{uid}: {
+//   feature, uid, email, signedUpAt, source,   // source: the interest collection it came from
+//   market, completedRides, rankedAt,          // ranking inputs, refreshed every RANK_TTL_HOURS
+//   status: "waiting" | "invited" | "accepted" | "expired",
+//   cohortId, invitedAt, acceptedAt, expiredAt,
+//   inviteExpiresAt,                           // only while invited (expireInvites' single-field query)
+//   notificationId,                            // the invite email in the bank's outbox
+// }
+// waitlist_cohorts/{id}: { feature, market, requested, invited, reason, createdBy, createdAt }
+//
+// The app collects sign-ups in FEATURES[feature].interestCollection ({ uid, email,
+// timestamp }); syncInterest() copies new ones in before every ranking.
+// Accepting an invite turns the feature on for that rider (entitlements.js).
+
+import { admin, db } from "./firebase.js";
+import { marketForUser } from "./markets.js";
+import { FEATURES, assertFeature, entitlementRef, rolloutRef, normalizeRollout } from "./entitlements.js";
+import { queueEmail } from "./notifications.js";
+import { audit } from "./audits.js";
+
+const PAGE_SIZE = 300;
+const RANK_TTL_HOURS = 24;
+const REFRESH_LIMIT = 200;
+const REFRESH_CONCURRENCY = 10;
+const MAX_COHORT = 500;
+
+// Score: a point per day waited, 4 per completed ride, 60 for a priority market
+const MAX_WAIT_DAYS = 90;
+const POINTS_PER_RIDE = 4;
+const MAX_RIDES = 25;
+const PRIORITY_MARKET_POINTS = 60;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const iso = (t) => t?.toDate?.().toISOString() || null;
+const entryRef = (feature, uid) => db.collection("waitlist").doc(`${feature}_${uid}`);
+
+// ----- Sign-ups -----
+
+// New interest docs -> waiting entries. -> { added }
+export async function syncInterest(feature) {
+  assertFeature(feature);
+  const source = FEATURES[feature].interestCollection;
+  if (!source) return { added: 0 };
+
+  let added = 0;
+  let last = null;
+  for (;;) {
+    let q = db.collection(source).orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) q = q.startAfter(last);
+    const page = await q.get();
+    if (page.empty) break;
+    last = page.docs[page.docs.length - 1];
+
+    const existing = await db.getAll(...page.docs.map((d) => entryRef(feature, d.get("uid") || d.id)));
+    const batch = db.batch();
+    page.docs.forEach((d, i) => {
+      if (existing[i].exists) return;
+      batch.set(existing[i].ref, {
+        feature,
+        uid: d.get("uid") || d.id,
+        email: d.get("email") && d.get("email") !== "unknown" ? d.get("email") : null,
+        signedUpAt: d.get("timestamp") || admin.firestore.FieldValue.serverTimestamp(),
+        source,
+        market: null,
+        completedRides: 0,
+        rankedAt: null,
+        status: "waiting",
+        cohortId: null,
+        notificationId: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      added++;
+    });
+    await batch.commit();
+    if (page.size < PAGE_SIZE) break;
+  }
+  return { added };
+}
+
+// ----- Ranking -----
+
+export function scoreOf(entry, rollout, now = Date.now()) {
+  const waitedDays = Math.max(0, (now - (entry.signedUpAt?.toMillis?.() ?? now)) / DAY);
+  return Math.round(
+    Math.min(waitedDays, MAX_WAIT_DAYS) +
+      Math.min(entry.completedRides || 0, MAX_RIDES) * POINTS_PER_RIDE +
+      (entry.market && rollout.priorityMarkets.includes(entry.market) ? PRIORITY_MARKET_POINTS : 0)
+  );
+}
+
+// Completed rides (rydr-dispatch-service rides) and market for entries not
+// ranked lately, least recently ranked first and at most REFRESH_LIMIT per call
+// (refreshWaitlists keeps the rest current). -> Map id -> fresh signals
+async function refreshSignals(docs) {
+  const fresh = new Map();
+  const staleBefore = Date.now() - RANK_TTL_HOURS * 60 * 60 * 1000;
+  const rankedAt = (d) => d.get("rankedAt")?.toMillis() ?? 0;
+  const stale = docs
+    .filter((d) => rankedAt(d) <= staleBefore)
+    .sort((a, b) => rankedAt(a) - rankedAt(b))
+    .slice(0, REFRESH_LIMIT);
+
+  for (let i = 0; i < stale.length; i += REFRESH_CONCURRENCY) {
+    await Promise.all(
+      stale.slice(i, i + REFRESH_CONCURRENCY).map(async (doc) => {
+        const uid = doc.get("uid");
+        try {
+          const [rides, market] = await Promise.all([
+            db.collection("rides").where("riderUid", "==", uid).where("status", "==", "completed").count().get(),
+            marketForUser(uid),
+          ]);
+          const signals = { completedRides: rides.data().count, market, rankedAt: admin.firestore.Timestamp.now() };
+          await doc.ref.update(signals);
+          fresh.set(doc.id, signals);
+        } catch (e) {
+          console.error("waitlist rank:", doc.id, e.message);
+        }
+      })
+    );
+  }
+  return fresh;
+}
+
+// Waiting entries, best first (ties: earliest sign-up). market: only that market.
+// -> { rollout, entries: [entry + score] }
+export async function rankedWaitlist(feature, { market = null, limit = null } = {}) {
+  assertFeature(feature);
+  await syncInterest(feature);
+  const [rolloutSnap, snap] = await Promise.all([
+    rolloutRef(feature).get(),
+    db.collection("waitlist").where("feature", "==", feature).where("status", "==", "waiting").get(),
+  ]);
+  const rollout = normalizeRollout(feature, rolloutSnap.data());
+  const fresh = await refreshSignals(snap.docs);
+
+  const ranked = snap.docs
+    .map((d) => ({ id: d.id, ...d.data(), ...fresh.get(d.id) }))
+    .filter((e) => !market || e.market === market)
+    .map((e) => ({ ...e, score: scoreOf(e, rollout) }))
+    .sort((a, b) => b.score - a.score || a.signedUpAt.toMillis() - b.signedUpAt.toMillis());
+  return { rollout, entries: limit ? ranked.slice(0, limit) : ranked };
+}
+
+// Job: new sign-ups in and ranking inputs current for every feature with a waitlist
+export async function refreshWaitlists() {
+  const out = {};
+  for (const feature of Object.keys(FEATURES)) {
+    if (!FEATURES[feature].interestCollection) continue;
+    const { entries } = await rankedWaitlist(feature);
+    out[feature] = { waiting: entries.length };
+  }
+  return out;
+}
+
+// ----- Invites -----
+
+// Acceptance deadline as the email shows it (every market is on US Eastern/Central time)
+const acceptByText = (ts) =>
+  ts.toDate().toLocaleDateString("en-US", { month: "long", day: "numeric", timeZone: "America/New_York" });
+
+// Invites the top `size` waiting riders (of `market`, if given) as one cohort.
+// -> { cohortId, invited }
+export async function inviteCohort(actor, { feature, size, market = null, reason }) {
+  assertFeature(feature);
+  const n = Number(size);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_COHORT) throw new Error("invalid_cohort_size");
+
+  const { rollout, entries } = await rankedWaitlist(feature, { market, limit: n });
+  if (rollout.status === "off") throw new Error("rollout_off");
+  if (!entries.length) throw new Error("waitlist_empty");
+
+  const cohortRef = db.collection("waitlist_cohorts").doc();
+  const inviteExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + rollout.inviteTtlDays * DAY);
+  let invited = 0;
+  for (const e of entries) {
+    const ref = db.collection("waitlist").doc(e.id);
+    try {
+      const ok = await db.runTransaction(async (t) => {
+        // === READS FIRST ===
+        if ((await t.get(ref)).get("status") !== "waiting") return false; // invited/removed meanwhile
+
+        // === WRITES ===
+        const notificationId = queueEmail(t, "early_access_invite", { uid: e.uid }, {
+          feature,
+          featureName: FEATURES[feature].name,
+          acceptBy: acceptByText(inviteExpiresAt),
+        });
+        t.update(ref, {
+          status: "invited",
+          cohortId: cohortRef.id,
+          invitedAt: admin.firestore.FieldValue.serverTimestamp(),
+          inviteExpiresAt,
+          notificationId,
+          score: e.score,
+        });
+        return true;
+      });
+      if (ok) invited++;
+    } catch (err) {
+      console.error("waitlist invite:", e.id, err.message);
+    }
+  }
+
+  const batch = db.batch();
+  batch.set(cohortRef, {
+    feature,
+    market,
+    requested: n,
+    invited,
+    reason,
+    createdBy: actor.uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  audit(batch, actor, "waitlist_invite", { reason, details: { feature, market, cohortId: cohortRef.id, invited } });
+  await batch.commit();
+  return { cohortId: cohortRef.id, invited };
+}
+
+// The rider takes up their invite: the feature is on for them from now on.
+// -> { feature, enabled: true }
+export async function acceptInvite(uid, feature) {
+  assertFeature(feature);
+  const ref = entryRef(feature, uid);
+  const grantRef = entitlementRef(uid);
+
+  await db.runTransaction(async (t) => {
+    // === READS FIRST ===
+    const e = (await t.get(ref)).data();
+    if (e?.status === "accepted") return;
+    if (e?.status === "expired" || (e?.status === "invited" && e.inviteExpiresAt.toMillis() <= Date.now())) {
+      throw new Error("invite_expired");
+    }
+    if (e?.status !== "invited") throw new Error("not_invited");
+
+    // === WRITES ===
+    t.update(ref, {
+      status: "accepted",
+      acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      inviteExpiresAt: admin.firestore.FieldValue.delete(),
+    });
+    t.set(
+      grantRef,
+      {
+        features: { [feature]: { enabled: true, source: "invite", at: admin.firestore.FieldValue.serverTimestamp() } },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  });
+  return { feature, enabled: true };
+}
+
+// Invites nobody took up in time. -> { expired }
+export async function expireInvites() {
+  const snap = await db
+    .collection("waitlist")
+    .where("inviteExpiresAt", "<=", admin.firestore.Timestamp.now())
+    .limit(PAGE_SIZE)
+    .get();
+  let expired = 0;
+  for (const doc of snap.docs) {
+    try {
+      const done = await db.runTransaction(async (t) => {
+        const s = await t.get(doc.ref);
+        if (s.get("status") !== "invited") return false;
+        t.update(doc.ref, {
+          status: "expired",
+          expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+          inviteExpiresAt: admin.firestore.FieldValue.delete(),
+        });
+        return true;
+      });
+      if (done) expired++;
+    } catch (e) {
+      console.error("invite expiry:", doc.id, e.message);
+    }
+  }
+  return { expired };
+}
+
+// ----- Reporting -----
+
+const STATUSES = ["waiting", "invited", "accepted", "expired"];
+
+// Counts by status and the latest cohorts with how many accepted.
+// Needs the composite index waitlist_cohorts (feature ==, createdAt desc)
+export async function waitlistStats(feature, { cohorts = 20 } = {}) {
+  assertFeature(feature);
+  const col = db.collection("waitlist").where("feature", "==", feature);
+  const [counts, cohortSnap] = await Promise.all([
+    Promise.all(STATUSES.map((s) => col.where("status", "==", s).count().get())),
+    db.collection("waitlist_cohorts").where("feature", "==", feature).orderBy("createdAt", "desc").limit(cohorts).get(),
+  ]);
+  const accepted = await Promise.all(
+    cohortSnap.docs.map((d) =>
+      db.collection("waitlist").where("cohortId", "==", d.id).where("status", "==", "accepted").count().get()
+    )
+  );
+  return {
+    counts: Object.fromEntries(STATUSES.map((s, i) => [s, counts[i].data().count])),
+    cohorts: cohortSnap.docs.map((d, i) => {
+      const c = d.data();
+      const n = accepted[i].data().count;
+      return {
+        id: d.id,
+        market: c.market,
+        invited: c.invited,
+        accepted: n,
+        acceptanceRate: c.invited ? Math.round((n / c.invited) * 100) / 100 : null,
+        createdAt: iso(c.createdAt),
+        createdBy: c.createdBy,
+      };
+    }),
+  };
+}
+
+// Admin list row
+export function entryView(e) {
+  return {
+    uid: e.uid,
+    email: e.email,
+    signedUpAt: iso(e.signedUpAt),
+    market: e.market,
+    completedRides: e.completedRides,
+    score: e.score ?? null,
+    status: e.status,
+    cohortId: e.cohortId,
+    invitedAt: iso(e.invitedAt),
+    inviteExpiresAt: iso(e.inviteExpiresAt),
+    acceptedAt: iso(e.acceptedAt),
+  };
+}
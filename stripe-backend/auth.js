@@ -0,0 +1,84 @@
+// auth.js
+// Firebase ID token auth + Stripe customer ownership.
+// Each Firebase UID owns exactly one Stripe customer, linked by
+// customer.metadata.firebase_uid and cached in `stripe_customers/{uid}`.
+"use strict";
+
+const firebase = require("./firebase");
+
+// Same contract as rydr-bank-service's requireAuth: sets req.uid (+ email)
+async function requireAuth(req, res, next) {
+  try {
+    const authz = req.headers.authorization || "";
+    const [, token] = authz.split(" ");
+    if (!token) return res.status(401).json({ error: "missing_token" });
+    const decoded = await firebase.admin().auth().verifyIdToken(token);
+    req.uid = decoded.uid;
+    req.email = decoded.email || null;
+    req.emailVerified = decoded.email_verified === true;
+    req.claims = decoded;
+    next();
+  } catch (e) {
+    res.status(401).json({ error: "invalid_token" });
+  }
+}
+
+// After requireAuth: support tooling needs the `support` (or `admin`) custom claim
+function requireSupport(req, res, next) {
+  if (req.claims?.support === true || req.claims?.admin === true) return next();
+  res.status(403).json({ error: "support_only" });
+}
+
+function createOwnership({ stripe, store }) {
+  // UID -> customerId (null if the caller has no customer yet)
+  async function customerIdForUid(uid) {
+    const cached = await store.get("stripe_customers", uid);
+    if (cached?.customerId) return cached.customerId;
+
+    const found = await stripe.customers.search({
+      query: `metadata['firebase_uid']:'${uid}'`,
+    });
+    const customer = found.data.find((c) => !c.deleted);
+    if (!customer) return null;
+
+    await store.set("stripe_customers", uid, { customerId: customer.id });
+    return customer.id;
+  }
+
+  async function linkCustomer(uid, customerId) {
+    await store.set("stripe_customers", uid, { customerId });
+  }
+
+  // After requireAuth. Sets req.customerId to the caller's customer; a body
+  // customerId is still accepted from older app builds but must be theirs.
+  async function requireCustomer(req, res, next) {
+    try {
+      const customerId = await customerIdForUid(req.uid);
+      if (!customerId) return res.status(404).json({ error: "no_customer" });
+
+      const claimed = req.body?.customerId;
+      if (claimed && claimed !== customerId) {
+        return res.status(403).json({ error: "forbidden_customer" });
+      }
+      req.customerId = customerId;
+      next();
+    } catch (e) {
+      console.error("❌ requireCustomer:", e);
+      res.status(500).json({ error: "customer_lookup_failed" });
+    }
+  }
+
+  // Throws a 403-tagged error unless the payment method is attached to customerId
+  async function assertOwnsPaymentMethod(paymentMethodId, customerId) {
+    const pm = await stripe.paymentMethods.retrieve(paymentMethodId).catch(() => null);
+    const owner = typeof pm?.customer === "string" ? pm.customer : pm?.customer?.id;
+    if (!pm || owner !== customerId) {
+      throw Object.assign(new Error("forbidden_payment_method"), { status: 403 });
+    }
+    return pm;
+  }
+
+  return { customerIdForUid, linkCustomer, requireCustomer, assertOwnsPaymentMethod };
+}
+
+module.exports = { requireAuth, requireSupport, createOwnership };
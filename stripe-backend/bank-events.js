@@ -0,0 +1,128 @@
+// bank-events.js
+// Server-to-server ride events for rydr-bank-service, which accrues RydrBank
+// free rides only from these (never from the app). Sent when a ride is captured,
+// and as a reversal when its fare is fully refunded or disputed.
+// redeem() is the one synchronous call: capture needs to know what the ride's
+// RydrBank code covers before it charges anyone.
+//
+// Events are queued in bank_events/{kind}-{rideId} before delivery, so a RydrBank
+// outage never fails a capture; retryPending() redelivers with backoff.
+// Signature: hex HMAC-SHA256(RIDE_EVENTS_SECRET, `${timestamp}.${body}`) in
+// x-rydr-signature, unix seconds in x-rydr-timestamp.
+"use strict";
+
+const crypto = require("crypto");
+
+const BANK_URL = (process.env.RYDR_BANK_URL || "").replace(/\/+$/, "");
+const SECRET = process.env.RIDE_EVENTS_SECRET || "";
+const MAX_ATTEMPTS = 8;
+const TIMEOUT_MS = 10000;
+
+const PATHS = {
+  completed: "/internal/rides/complete",
+  reversed: "/internal/rides/reverse",
+  redeem: "/internal/rides/redeem",
+};
+
+const nowIso = () => new Date().toISOString();
+
+function sign(body, timestamp) {
+  return crypto.createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function createBankEvents({ store }) {
+  const enabled = !!(BANK_URL && SECRET);
+
+  // Signed POST -> the response JSON; throws rydr_bank_<status> unless 2xx
+  async function post(path, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(BANK_URL + path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-rydr-timestamp": String(timestamp),
+        "x-rydr-signature": sign(body, timestamp),
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`rydr_bank_${res.status}`);
+    return res.json();
+  }
+
+  async function deliver(id, event) {
+    try {
+      await post(PATHS[event.kind], event.payload);
+      await store.merge("bank_events", id, { status: "delivered", deliveredAt: nowIso(), error: null });
+    } catch (e) {
+      const attempts = (event.attempts || 0) + 1;
+      const backoffSeconds = Math.min(3600, 30 * 2 ** attempts);
+      await store.merge("bank_events", id, {
+        status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+        attempts,
+        error: e.message,
+        nextAttemptAt: new Date(Date.now() + backoffSeconds * 1000).toISOString(),
+      });
+      console.error("❌ bank-event:", id, e.message);
+    }
+  }
+
+  // Queue once per ride and kind, then try right away
+  async function send(kind, payload) {
+    if (!enabled || !payload.uid) return;
+    const id = `${kind}-${payload.rideId}`;
+    const event = { kind, payload, status: "pending", attempts: 0, createdAt: nowIso() };
+    if (!(await store.create("bank_events", id, event))) return;
+    await deliver(id, event);
+  }
+
+  // `trip` is dispatch's record of the ride (dispatch-rides.js tripOf), so the
+  // distance RydrBank accrues on is the one the fare was settled on.
+  // cardFingerprint feeds the referral same-card check
+  const rideCompleted = ({ uid, rideId, trip, rideType, cardFingerprint = null }) =>
+    send("completed", {
+      uid,
+      rideId,
+      distanceMi: trip.distanceMi,
+      distanceSource: trip.distanceSource,
+      rideType,
+      cardFingerprint,
+    });
+  const rideReversed = ({ uid, rideId, reason }) => send("reversed", { uid, rideId, reason });
+
+  // Consume the code the booker reserved for the ride against the final fare.
+  // RydrBank prices what it covers (never more than fareCents); repeating the call
+  // for the same ride returns the same answer. Throws if RydrBank can't be reached,
+  // so the capture is retried rather than charging the rider the full fare.
+  // -> { code, coveredAmountCents } | null (no code, or RydrBank not configured)
+  async function redeem({ uid, rideId, rideType, distanceMi, durationMin, perMile, perMinute, member, fareCents }) {
+    if (!enabled || !uid) return null;
+    const out = await post(PATHS.redeem, {
+      uid,
+      rideId,
+      rideType,
+      distanceMi,
+      durationMin,
+      perMile,
+      perMinute,
+      member,
+      fareCents,
+    });
+    return out.code ? { code: out.code, coveredAmountCents: out.coveredAmountCents } : null;
+  }
+
+  async function retryPending() {
+    if (!enabled) return;
+    const events = await store.list("bank_events", { status: "pending" });
+    const now = Date.now();
+    for (const event of events) {
+      if (event.nextAttemptAt && Date.parse(event.nextAttemptAt) > now) continue;
+      await deliver(event.id, event);
+    }
+  }
+
+  return { rideCompleted, rideReversed, redeem, retryPending };
+}
+
+module.exports = { createBankEvents };
@@ -0,0 +1,177 @@
+// connect.js
+// Driver payouts via Stripe Connect Express accounts.
+// drivers/{uid} keeps the driver's connected account + onboarding flags;
+// driver_earnings/{rideId} is written whenever a ride (or cancellation fee) is captured.
+"use strict";
+
+const express = require("express");
+
+const RETURN_URL = process.env.CONNECT_RETURN_URL || "https://www.rydr-go.com/driver/onboarding/complete";
+const REFRESH_URL = process.env.CONNECT_REFRESH_URL || "https://www.rydr-go.com/driver/onboarding/refresh";
+
+const nowIso = () => new Date().toISOString();
+
+function accountStatus(account) {
+  return {
+    accountId: account.id,
+    detailsSubmitted: !!account.details_submitted,
+    chargesEnabled: !!account.charges_enabled,
+    payoutsEnabled: !!account.payouts_enabled,
+    transfersActive: account.capabilities?.transfers === "active",
+    requirementsDue: account.requirements?.currently_due || [],
+  };
+}
+
+// A driver can only be paid once Stripe has activated transfers on their account
+function isPayable(driver) {
+  return !!driver?.stripeAccountId && driver.transfersActive === true;
+}
+
+function createConnect({ stripe, store }) {
+  async function syncAccount(uid, account) {
+    const status = accountStatus(account);
+    await store.merge("drivers", uid, {
+      stripeAccountId: account.id,
+      ...status,
+      onboarded: status.detailsSubmitted && status.transfersActive,
+      updatedAt: nowIso(),
+    });
+    return status;
+  }
+
+  // Destination for a ride's transfer_data; throws a 409-tagged error if the driver can't be paid
+  async function payoutDestination(driverUid) {
+    const driver = await store.get("drivers", driverUid);
+    if (!isPayable(driver)) throw Object.assign(new Error("driver_not_onboarded"), { status: 409 });
+    return driver.stripeAccountId;
+  }
+
+  async function recordEarning(rideId, { driverUid, rideType, kind, gross, platformFee }) {
+    await store.merge("driver_earnings", rideId, {
+      driverUid,
+      rideId,
+      rideType,
+      kind, // ride | cancellation
+      gross,
+      platformFee,
+      net: gross - platformFee,
+      capturedAt: nowIso(),
+    });
+  }
+
+  // For the webhook: account.updated -> refresh drivers/{uid}
+  async function onAccountUpdated(account) {
+    const uid = account.metadata?.firebase_uid;
+    if (uid) await syncAccount(uid, account);
+  }
+
+  function routes({ requireAuth }) {
+    const router = express.Router();
+
+    // --- Create (or return) the driver's Express account ---
+    // Auth. -> { accountId, onboarded }
+    router.post("/drivers/connect/account", requireAuth, async (req, res) => {
+      try {
+        const existing = await store.get("drivers", req.uid);
+        if (existing?.stripeAccountId) {
+          return res.json({ accountId: existing.stripeAccountId, onboarded: !!existing.onboarded });
+        }
+
+        const account = await stripe.accounts.create(
+          {
+            type: "express",
+            country: "US",
+            email: req.email || undefined,
+            business_type: "individual",
+            capabilities: { transfers: { requested: true } },
+            metadata: { firebase_uid: req.uid },
+          },
+          { idempotencyKey: `connect-account-${req.uid}` }
+        );
+        await syncAccount(req.uid, account);
+        res.json({ accountId: account.id, onboarded: false });
+      } catch (e) {
+        console.error("❌ connect-account:", e);
+        res.status(500).json({ error: "connect_account_failed" });
+      }
+    });
+
+    // --- Onboarding link (single-use, short-lived) ---
+    // Auth. -> { url, expiresAt }. Stripe sends the driver back to the configured
+    // CONNECT_RETURN_URL / CONNECT_REFRESH_URL only, never a URL from the request.
+    router.post("/drivers/connect/account-link", requireAuth, async (req, res) => {
+      try {
+        const driver = await store.get("drivers", req.uid);
+        if (!driver?.stripeAccountId) return res.status(404).json({ error: "no_connect_account" });
+
+        const link = await stripe.accountLinks.create({
+          account: driver.stripeAccountId,
+          type: "account_onboarding",
+          return_url: RETURN_URL,
+          refresh_url: REFRESH_URL,
+        });
+        res.json({ url: link.url, expiresAt: new Date(link.expires_at * 1000).toISOString() });
+      } catch (e) {
+        console.error("❌ connect-account-link:", e);
+        res.status(500).json({ error: "account_link_failed" });
+      }
+    });
+
+    // --- Onboarding status (fresh from Stripe) ---
+    // Auth. -> { accountId, onboarded, detailsSubmitted, payoutsEnabled, transfersActive, requirementsDue }
+    router.get("/drivers/connect/status", requireAuth, async (req, res) => {
+      try {
+        const driver = await store.get("drivers", req.uid);
+        if (!driver?.stripeAccountId) return res.json({ accountId: null, onboarded: false });
+
+        const account = await stripe.accounts.retrieve(driver.stripeAccountId);
+        const status = await syncAccount(req.uid, account);
+        res.json({ ...status, onboarded: status.detailsSubmitted && status.transfersActive });
+      } catch (e) {
+        console.error("❌ connect-status:", e);
+        res.status(500).json({ error: "status_failed" });
+      }
+    });
+
+    // --- Earnings + payout history ---
+    // Auth. Query: ?limit=25 -> { balance, earnings: [...], payouts: [...] }
+    router.get("/drivers/earnings", requireAuth, async (req, res) => {
+      try {
+        const driver = await store.get("drivers", req.uid);
+        if (!driver?.stripeAccountId) return res.status(404).json({ error: "no_connect_account" });
+        const limit = Math.min(Math.max(Number(req.query.limit) || 25, 1), 100);
+        const opts = { stripeAccount: driver.stripeAccountId };
+
+        const [earnings, payouts, balance] = await Promise.all([
+          store.list("driver_earnings", { driverUid: req.uid }),
+          stripe.payouts.list({ limit }, opts),
+          stripe.balance.retrieve({}, opts),
+        ]);
+
+        const sum = (list) => list.reduce((n, b) => n + b.amount, 0);
+        res.json({
+          balance: { available: sum(balance.available), pending: sum(balance.pending) },
+          earnings: earnings
+            .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt))
+            .slice(0, limit),
+          payouts: payouts.data.map(p => ({
+            id: p.id,
+            amount: p.amount,
+            currency: p.currency,
+            status: p.status,
+            arrivalDate: new Date(p.arrival_date * 1000).toISOString(),
+          })),
+        });
+      } catch (e) {
+        console.error("❌ driver-earnings:", e);
+        res.status(500).json({ error: "earnings_failed" });
+      }
+    });
+
+    return router;
+  }
+
+  return { payoutDestination, recordEarning, onAccountUpdated, routes };
+}
+
+module.exports = { createConnect };
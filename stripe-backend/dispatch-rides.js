@@ -0,0 +1,49 @@
+// dispatch-rides.js
+// Read-only view of rydr-dispatch-service's documents (same Firestore project).
+// Fares are priced from the rates a driver set on their dispatch profile and
+// settled from what dispatch recorded about the trip, never from what the app sends.
+//
+// rides/{rideId}: { riderUid, driverId, rideType, pickup, dropoff, status,
+//   cancelledBy, pickedUpAt, completedAt, tripDistanceMi, tripDistanceSource, ... }
+//   (dispatch.js there)
+// dispatch_drivers/{uid}: { name, perMile, perMinute, rideTypes, ... } (drivers.js
+//   there; not to be confused with drivers/{uid} here, which holds the Connect account)
+"use strict";
+
+const tagged = (code, status) => Object.assign(new Error(code), { status });
+
+// Firestore Timestamp (or ISO string from the file/memory stores) -> ms | null
+const millis = (v) => (v == null ? null : v.toMillis?.() ?? (Date.parse(v) || null));
+
+// Distance and time of a completed ride as dispatch recorded them: its billed
+// tripDistanceMi, and pickup -> drop-off. -> { distanceMi, durationMin, distanceSource } | null
+function tripOf(ride) {
+  const start = millis(ride?.pickedUpAt);
+  const end = millis(ride?.completedAt);
+  const distanceMi = Number(ride?.tripDistanceMi);
+  if (ride?.status !== "completed" || start === null || end === null || !(distanceMi >= 0)) return null;
+  return {
+    distanceMi,
+    durationMin: Math.round(Math.max(0, end - start) / 6000) / 10,
+    distanceSource: ride.tripDistanceSource || null,
+  };
+}
+
+function createDispatchRides({ store }) {
+  const ride = (rideId) => (rideId ? store.get("rides", String(rideId)) : null);
+  const driverProfile = (driverUid) => (driverUid ? store.get("dispatch_drivers", String(driverUid)) : null);
+
+  // -> { perMile, perMinute } as the driver set them (computeFare caps them)
+  async function driverRates(driverUid) {
+    const driver = await driverProfile(driverUid);
+    if (!driver) throw tagged("driver_not_found", 404);
+    const perMile = Number(driver.perMile);
+    const perMinute = Number(driver.perMinute);
+    if (!(perMile >= 0) || !(perMinute >= 0)) throw tagged("driver_rates_missing", 409);
+    return { perMile, perMinute };
+  }
+
+  return { ride, driverProfile, driverRates };
+}
+
+module.exports = { createDispatchRides, tripOf, millis };
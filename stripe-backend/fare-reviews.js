@@ -0,0 +1,260 @@
+// fare-reviews.js
+// Rider fare disputes ("reviews" — not to be confused with Stripe card disputes).
+// A rider files one review per ride with a reason code. Small, clear-cut cases are
+// refunded automatically by rule; everything else waits for support, who can issue
+// full or partial refunds. Every refund/decision is written to `audit_log`.
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+
+const REASONS = ["wrong_route", "driver_no_show", "cleaning_fee", "other"];
+
+// Auto-resolution rules
+const WRONG_ROUTE_TOLERANCE = Number(process.env.WRONG_ROUTE_TOLERANCE || 0.2); // actual > quoted * 1.2
+const AUTO_REFUND_MAX_CENTS = Number(process.env.AUTO_REFUND_MAX_CENTS || 2000);
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS || 30);
+
+const nowIso = () => new Date().toISOString();
+
+// Pure rule evaluation -> { refund: <cents>, rule } or null (needs a human).
+// `ride` is ride_payments/{rideId}; `trip` is dispatch's rides/{rideId}, which is
+// what the driver's distance and arrival are judged on (dispatch-rides.js).
+function evaluateReview(reason, ride, trip) {
+  switch (reason) {
+    case "wrong_route": {
+      const distanceMi = Number(trip?.tripDistanceMi);
+      if (ride.status !== "captured" || !ride.quotedDistanceMi || !(distanceMi > 0)) return null;
+      if (distanceMi <= ride.quotedDistanceMi * (1 + WRONG_ROUTE_TOLERANCE)) return null;
+      // Rider pays what they were quoted; the detour is refunded
+      const refund = (ride.finalAmount || 0) - (ride.quotedAmount || 0);
+      if (refund <= 0 || refund > AUTO_REFUND_MAX_CENTS) return null;
+      return { refund, rule: "wrong_route_over_quote" };
+    }
+    case "driver_no_show": {
+      // Rider was charged a cancellation fee for a driver who never arrived. Only
+      // dispatch can say so: a driver who reached the pickup is support's call.
+      const fee = ride.cancellationFee || 0;
+      if (ride.status !== "cancelled" || fee <= 0 || fee > AUTO_REFUND_MAX_CENTS) return null;
+      if (!trip || trip.status !== "cancelled" || trip.arrivedAtPickupAt) return null;
+      return { refund: fee, rule: "no_show_cancellation_fee" };
+    }
+    default:
+      return null; // cleaning_fee / other -> support
+  }
+}
+
+function createFareReviews({ stripe, store, dispatchRides }) {
+  async function audit(entry) {
+    await store.set("audit_log", crypto.randomUUID(), { ...entry, at: nowIso() });
+  }
+
+  // The ride's charged PaymentIntents, the overage charge first, then the main one
+  // (fare capture or cancellation fee). Refunded amounts come from Stripe's charges.
+  // -> [{ paymentIntentId, field, refunded, refundable }]
+  async function chargedIntents(ride) {
+    const intents = [
+      { paymentIntentId: ride.overagePaymentIntentId, field: "overageRefunded" },
+      { paymentIntentId: ride.paymentIntentId, field: "amountRefunded" },
+    ];
+    const charged = [];
+    for (const intent of intents) {
+      if (!intent.paymentIntentId) continue;
+      const pi = await stripe.paymentIntents.retrieve(intent.paymentIntentId, { expand: ["latest_charge"] });
+      const charge = pi.latest_charge;
+      if (pi.metadata?.ride_id !== ride.rideId || pi.status !== "succeeded" || !charge) continue;
+      const refunded = charge.amount_refunded || 0;
+      charged.push({ ...intent, refunded, refundable: (charge.amount_captured || 0) - refunded });
+    }
+    return charged;
+  }
+
+  // Refund across the ride's PaymentIntents (chargedIntents order); the driver's
+  // transfer and Rydr's application fee are reversed proportionally on each.
+  async function refundRide(ride, amount, { reviewId, actor, note }) {
+    const intents = await chargedIntents(ride);
+    const refundable = intents.reduce((sum, intent) => sum + Math.max(0, intent.refundable), 0);
+    if (refundable <= 0) throw Object.assign(new Error("nothing_to_refund"), { status: 409 });
+
+    const refundAmount = amount == null ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      throw Object.assign(new Error("invalid_amount"), { status: 400, refundable });
+    }
+
+    const refundIds = [];
+    const patch = {};
+    let remaining = refundAmount;
+    for (const intent of intents) {
+      const part = Math.min(remaining, intent.refundable);
+      if (part <= 0) continue;
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: intent.paymentIntentId,
+          amount: part,
+          reason: "requested_by_customer",
+          reverse_transfer: true,
+          refund_application_fee: true,
+          metadata: { ride_id: ride.rideId, review_id: reviewId },
+        },
+        { idempotencyKey: `review-refund-${reviewId}-${intent.paymentIntentId}-${part}-${intent.refunded}` }
+      );
+      refundIds.push(refund.id);
+      patch[intent.field] = intent.refunded + part;
+      remaining -= part;
+    }
+
+    await store.merge("ride_payments", ride.rideId, { ...patch, updatedAt: nowIso() });
+    await audit({
+      action: "refund",
+      actor,
+      reviewId,
+      rideId: ride.rideId,
+      amount: refundAmount,
+      refundIds,
+      note: note || null,
+    });
+    return { refundIds, amount: refundAmount };
+  }
+
+  function fail(res, tag, fallback, e) {
+    if (e.status) return res.status(e.status).json({ error: e.message, ...(e.refundable != null && { refundable: e.refundable }) });
+    console.error(`❌ ${tag}:`, e);
+    res.status(500).json({ error: fallback });
+  }
+
+  function routes({ requireAuth, requireCustomer, requireSupport }) {
+    const router = express.Router();
+
+    // --- Rider: file a review ---
+    // Auth. Body: { reason: "wrong_route" | "driver_no_show" | "cleaning_fee" | "other", note? }
+    //   -> { review } (status "auto_resolved" when a rule refunded it right away)
+    router.post("/rides/:rideId/review", requireAuth, requireCustomer, async (req, res) => {
+      try {
+        const { rideId } = req.params;
+        const { reason, note } = req.body || {};
+        if (!REASONS.includes(reason)) return res.status(400).json({ error: "invalid_reason" });
+
+        const ride = await store.get("ride_payments", rideId);
+        if (!ride || ride.customerId !== req.customerId) return res.status(404).json({ error: "ride_not_found" });
+        const endedAt = Date.parse(ride.completedAt || ride.updatedAt);
+        if (Date.now() - endedAt > REVIEW_WINDOW_DAYS * 86400 * 1000) {
+          return res.status(409).json({ error: "review_window_closed" });
+        }
+
+        // Review ID = ride ID: one review per ride
+        const review = {
+          rideId,
+          uid: req.uid,
+          customerId: req.customerId,
+          reason,
+          note: typeof note === "string" ? note.slice(0, 1000) : null,
+          status: "open",
+          createdAt: nowIso(),
+        };
+        if (!(await store.create("fare_reviews", rideId, review))) {
+          return res.status(409).json({ error: "review_exists" });
+        }
+        await audit({ action: "review_filed", actor: req.uid, reviewId: rideId, rideId, reason });
+
+        const decision = evaluateReview(reason, ride, await dispatchRides.ride(rideId));
+        if (decision) {
+          try {
+            const refund = await refundRide(ride, decision.refund, {
+              reviewId: rideId,
+              actor: "system:auto",
+              note: decision.rule,
+            });
+            Object.assign(review, {
+              status: "auto_resolved",
+              resolution: { rule: decision.rule, ...refund },
+              resolvedAt: nowIso(),
+            });
+            await store.merge("fare_reviews", rideId, review);
+          } catch (e) {
+            // Leave it open for support rather than failing the rider's request
+            console.error("❌ auto-refund:", rideId, e.message);
+          }
+        }
+
+        res.json({ review: { id: rideId, ...review } });
+      } catch (e) {
+        fail(res, "fare-review", "review_failed", e);
+      }
+    });
+
+    // --- Rider: review status ---
+    router.get("/rides/:rideId/review", requireAuth, requireCustomer, async (req, res) => {
+      try {
+        const review = await store.get("fare_reviews", req.params.rideId);
+        if (!review || review.customerId !== req.customerId) return res.status(404).json({ error: "not_found" });
+        res.json({ review: { id: req.params.rideId, ...review } });
+      } catch (e) {
+        fail(res, "fare-review-status", "status_failed", e);
+      }
+    });
+
+    // --- Support: queue ---
+    // Auth + support claim. Query: ?status=open
+    router.get("/support/reviews", requireAuth, requireSupport, async (req, res) => {
+      try {
+        const where = req.query.status ? { status: String(req.query.status) } : {};
+        const reviews = await store.list("fare_reviews", where);
+        res.json({ reviews: reviews.sort((a, b) => a.createdAt.localeCompare(b.createdAt)) });
+      } catch (e) {
+        fail(res, "support-reviews", "list_failed", e);
+      }
+    });
+
+    // --- Support: refund (full when amount is omitted) ---
+    // Auth + support claim. Body: { amount?: <int cents>, note } -> { review, refund }
+    router.post("/support/reviews/:reviewId/refund", requireAuth, requireSupport, async (req, res) => {
+      try {
+        const { reviewId } = req.params;
+        const { amount, note } = req.body || {};
+        if (!note) return res.status(400).json({ error: "note_required" });
+
+        const review = await store.get("fare_reviews", reviewId);
+        if (!review) return res.status(404).json({ error: "not_found" });
+        const ride = await store.get("ride_payments", review.rideId);
+        if (!ride) return res.status(404).json({ error: "ride_not_found" });
+
+        const refund = await refundRide(ride, amount, { reviewId, actor: req.uid, note });
+        const patch = {
+          status: "resolved",
+          resolution: { by: req.uid, note, ...refund },
+          resolvedAt: nowIso(),
+        };
+        await store.merge("fare_reviews", reviewId, patch);
+        res.json({ review: { id: reviewId, ...review, ...patch }, refund });
+      } catch (e) {
+        fail(res, "support-refund", "refund_failed", e);
+      }
+    });
+
+    // --- Support: close without refund ---
+    // Auth + support claim. Body: { note }
+    router.post("/support/reviews/:reviewId/reject", requireAuth, requireSupport, async (req, res) => {
+      try {
+        const { reviewId } = req.params;
+        const { note } = req.body || {};
+        if (!note) return res.status(400).json({ error: "note_required" });
+
+        const review = await store.get("fare_reviews", reviewId);
+        if (!review) return res.status(404).json({ error: "not_found" });
+
+        const patch = { status: "rejected", resolution: { by: req.uid, note }, resolvedAt: nowIso() };
+        await store.merge("fare_reviews", reviewId, patch);
+        await audit({ action: "review_rejected", actor: req.uid, reviewId, rideId: review.rideId, note });
+        res.json({ review: { id: reviewId, ...review, ...patch } });
+      } catch (e) {
+        fail(res, "support-reject", "reject_failed", e);
+      }
+    });
+
+    return router;
+  }
+
+  return { evaluateReview, refundRide, routes };
+}
+
+module.exports = { createFareReviews, evaluateReview, REASONS };
@@ -0,0 +1,173 @@
+// fares.js
+// Server-side fare rules. Mirrors RideManager.caps(for:) / rawFare on the app so
+// the price a rider sees is the price the backend will charge.
+"use strict";
+
+const crypto = require("crypto");
+
+// Booking fee + per-unit caps + rider cancellation fee (USD) per ride type.
+// platformPct is Rydr's cut of the driver-priced (variable) part of a fare.
+const RIDE_TYPES = {
+  go:       { label: "Rydr Go",       booking: 4.0, maxPerMile: 1.0, maxPerMinute: 0.5, cancellation: 5.0,  platformPct: 0.25 },
+  xl:       { label: "Rydr XL",       booking: 5.0, maxPerMile: 2.0, maxPerMinute: 0.5, cancellation: 7.0,  platformPct: 0.22 },
+  prestine: { label: "Rydr Prestine", booking: 8.0, maxPerMile: 4.0, maxPerMinute: 1.0, cancellation: 10.0, platformPct: 0.20 },
+};
+
+const MAX_DISTANCE_MI = 500;
+const MAX_DURATION_MIN = 24 * 60;
+const QUOTE_TTL_SECONDS = Number(process.env.QUOTE_TTL_SECONDS || 600);
+
+// Same matching as the app: "Rydr Prestine" -> prestine, "Rydr XL" -> xl, anything else -> go
+function normalizeRideType(rideType) {
+  const key = String(rideType || "").toLowerCase();
+  if (key.includes("prestine")) return "prestine";
+  if (key.includes("xl")) return "xl";
+  return "go";
+}
+
+function capsFor(rideType) {
+  return RIDE_TYPES[normalizeRideType(rideType)];
+}
+
+const toCents = (usd) => Math.round(usd * 100);
+
+// Rydr Pass: members pay no booking fee and get a percentage off Prestine
+const MEMBER_PRESTINE_DISCOUNT = Number(process.env.MEMBER_PRESTINE_DISCOUNT || 0.1);
+
+// Booking fee + capped variable (- member benefits), in cents.
+// Throws "invalid_<field>" on bad input.
+function computeFare({ rideType, distanceMi, durationMin, perMile, perMinute, member = false }) {
+  const check = (name, v, max) => {
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0 || v > max) {
+      throw new Error(`invalid_${name}`);
+    }
+  };
+  check("distance", distanceMi, MAX_DISTANCE_MI);
+  check("duration", durationMin, MAX_DURATION_MIN);
+  check("per_mile", perMile, Infinity);
+  check("per_minute", perMinute, Infinity);
+
+  const type = normalizeRideType(rideType);
+  const c = RIDE_TYPES[type];
+  const ratePerMile = Math.min(perMile, c.maxPerMile);
+  const ratePerMinute = Math.min(perMinute, c.maxPerMinute);
+
+  const booking = member ? 0 : c.booking;
+  const distanceCharge = toCents(distanceMi * ratePerMile);
+  const timeCharge = toCents(durationMin * ratePerMinute);
+
+  // Total is rounded once (like the app) rather than summing rounded parts
+  const subtotal = toCents(booking + distanceMi * ratePerMile + durationMin * ratePerMinute);
+  const memberDiscount =
+    member && type === "prestine" ? Math.round(subtotal * MEMBER_PRESTINE_DISCOUNT) : 0;
+
+  return {
+    rideType: type,
+    distanceMi,
+    durationMin,
+    perMile: ratePerMile,
+    perMinute: ratePerMinute,
+    member: !!member,
+    bookingFee: toCents(booking),
+    bookingFeeWaived: member ? toCents(c.booking) : 0,
+    distanceCharge,
+    timeCharge,
+    memberDiscount,
+    amount: subtotal - memberDiscount,
+  };
+}
+
+// The fare held for a ride booked on `quote` once its driver is known: the quoted
+// trip at the driver's own rates, but never above the quoted ones (a driver who
+// raises their rates after the quote doesn't raise the rider's price).
+function fareForDriver(quote, { perMile, perMinute }) {
+  return computeFare({
+    rideType: quote.rideType,
+    distanceMi: quote.distanceMi,
+    durationMin: quote.durationMin,
+    perMile: Math.min(perMile, quote.perMile),
+    perMinute: Math.min(perMinute, quote.perMinute),
+    member: quote.member,
+  });
+}
+
+function cancellationFeeFor(rideType) {
+  return toCents(capsFor(rideType).cancellation);
+}
+
+// Platform fee (cents) on a captured ride amount: the booking fee stays with Rydr,
+// the rest is split by the ride type's platformPct. Cancellation fees and Rydr Pass
+// rides (booking fee waived) pass includesBookingFee: false.
+function platformFeeFor(rideType, amount, { includesBookingFee = true } = {}) {
+  const c = capsFor(rideType);
+  const booking = includesBookingFee ? Math.min(toCents(c.booking), amount) : 0;
+  return booking + Math.round((amount - booking) * c.platformPct);
+}
+
+// ---------- Signed quotes ----------
+// quoteId = base64url(payload) + "." + base64url(HMAC-SHA256(payload))
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+function signQuote(secret, fare, { currency = "usd", ttlSeconds = QUOTE_TTL_SECONDS } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    v: 1,
+    id: crypto.randomUUID(),
+    ...fare,
+    currency,
+    iat: now,
+    exp: now + ttlSeconds,
+  };
+  const body = b64url(JSON.stringify(payload));
+  return { quoteId: `${body}.${b64url(hmac(secret, body))}`, quote: payload };
+}
+
+// Returns the quote payload, or throws "invalid_quote" / "quote_expired"
+function verifyQuote(secret, quoteId) {
+  const [body, sig] = String(quoteId || "").split(".");
+  if (!body || !sig) throw new Error("invalid_quote");
+
+  const expected = hmac(secret, body);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error("invalid_quote");
+  }
+
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("invalid_quote");
+  }
+  if (quote.v !== 1 || !Number.isInteger(quote.amount)) throw new Error("invalid_quote");
+  if (quote.exp < Math.floor(Date.now() / 1000)) throw new Error("quote_expired");
+  return quote;
+}
+
+// A quote pays for one booking, by the rider it was quoted to. The first use
+// claims quote_uses/{quote.id}; the same use again (a retried request) passes,
+// any other throws "quote_used" (409).
+async function claimQuote(store, quote, { uid, usedFor }) {
+  if (quote.uid !== uid) throw Object.assign(new Error("invalid_quote"), { status: 400 });
+  const use = { uid, usedFor, usedAt: new Date().toISOString() };
+  if (await store.create("quote_uses", quote.id, use)) return;
+  const existing = await store.get("quote_uses", quote.id);
+  if (existing?.usedFor !== usedFor) throw Object.assign(new Error("quote_used"), { status: 409 });
+}
+
+module.exports = {
+  RIDE_TYPES,
+  normalizeRideType,
+  capsFor,
+  computeFare,
+  fareForDriver,
+  cancellationFeeFor,
+  platformFeeFor,
+  signQuote,
+  verifyQuote,
+  claimQuote,
+};
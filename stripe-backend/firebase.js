@@ -0,0 +1,24 @@
+// firebase.js
+// Lazily initialised Firebase Admin (same credential setup as rydr-bank-service).
+"use strict";
+
+let admin = null;
+
+function getAdmin() {
+  if (admin) return admin;
+  admin = require("firebase-admin");
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      // On Render, mount the service account JSON as a Secret File
+      credential: admin.credential.cert(
+        process.env.GOOGLE_APPLICATION_CREDENTIALS || "/etc/secrets/firebase.json"
+      ),
+    });
+  }
+  return admin;
+}
+
+module.exports = {
+  admin: getAdmin,
+  db: () => getAdmin().firestore(),
+};
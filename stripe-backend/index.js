@@ -5,6 +5,20 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const Stripe = require("stripe");
+const { computeFare, signQuote, verifyQuote, claimQuote, capsFor } = require("./fares");
+const { createRidePayments } = require("./ride-payments");
+const { createStore } = require("./store");
+const { createWebhookHandler } = require("./webhooks");
+const { requireAuth, requireSupport, createOwnership } = require("./auth");
+const { createConnect } = require("./connect");
+const { createTipRoutes } = require("./tips");
+const { createFareReviews } = require("./fare-reviews");
+const { createSplits } = require("./splits");
+const { createReceipts } = require("./receipts");
+const { createSubscriptions } = require("./subscriptions");
+const { createBankEvents } = require("./bank-events");
+const { createScheduledPayments } = require("./scheduled-payments");
+const { createDispatchRides } = require("./dispatch-rides");
 
 dotenv.config();
 
@@ -12,9 +26,43 @@ if (!process.env.STRIPE_SECRET_KEY) {
   console.error("❌ Missing STRIPE_SECRET_KEY");
   process.exit(1);
 }
+if (!process.env.QUOTE_SIGNING_SECRET) {
+  console.error("❌ Missing QUOTE_SIGNING_SECRET");
+  process.exit(1);
+}
 
 const app = express();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+const store = createStore();
+const { customerIdForUid, linkCustomer, requireCustomer, assertOwnsPaymentMethod } =
+  createOwnership({ stripe, store });
+const connect = createConnect({ stripe, store });
+const splits = createSplits({ stripe, store });
+const receipts = createReceipts({ stripe, store });
+const subscriptions = createSubscriptions({ stripe, store });
+const bankEvents = createBankEvents({ store });
+const dispatchRides = createDispatchRides({ store });
+const fareReviews = createFareReviews({ stripe, store, dispatchRides });
+const scheduledPayments = createScheduledPayments({
+  stripe,
+  store,
+  quoteSecret: process.env.QUOTE_SIGNING_SECRET,
+  customerIdForUid,
+  assertOwnsPaymentMethod,
+  connect,
+  dispatchRides,
+});
+const ridePayments = createRidePayments({
+  stripe,
+  store,
+  quoteSecret: process.env.QUOTE_SIGNING_SECRET,
+  assertOwnsPaymentMethod,
+  connect,
+  splits,
+  receipts,
+  bankEvents,
+  dispatchRides,
+});
 
 // --- CORS (optional; iOS native calls don't need it, web would) ---
 const allowed = (process.env.CORS_ORIGINS || "")
@@ -29,75 +77,70 @@ app.use(cors({
 // --- Health ---
 app.get("/", (_req, res) => res.send("✅ Rydr Stripe backend is running"));
 
-// --- Webhook (RAW body; mount BEFORE json parser) ---
-app.post("/webhook", express.raw({ type: "application/json" }), (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  try {
-    const event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
-
-    switch (event.type) {
-      case "setup_intent.succeeded":
-        console.log("💳 setup_intent.succeeded:", event.data.object.id);
-        break;
-      case "payment_intent.succeeded":
-        console.log("💰 payment_intent.succeeded:", event.data.object.id);
-        break;
-      case "payment_intent.payment_failed":
-        console.log("⚠️ payment_intent.payment_failed:", event.data.object.id);
-        break;
-      default:
-        console.log("ℹ️ Unhandled event:", event.type);
-    }
-    res.sendStatus(200);
-  } catch (err) {
-    console.error("❌ Webhook verify failed:", err.message);
-    res.status(400).send(`Webhook Error: ${err.message}`);
-  }
+// --- Webhooks (RAW body; mount BEFORE json parser) ---
+// Connected-account events (account.updated) arrive on their own endpoint + secret.
+const { webhook } = createWebhookHandler({
+  stripe,
+  store,
+  connect,
+  subscriptions,
+  bankEvents,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+const { webhook: connectWebhook } = createWebhookHandler({
+  stripe,
+  store,
+  connect,
+  subscriptions,
+  bankEvents,
+  secret: process.env.STRIPE_CONNECT_WEBHOOK_SECRET,
 });
+app.post("/webhook", express.raw({ type: "application/json" }), webhook);
+app.post("/webhook/connect", express.raw({ type: "application/json" }), connectWebhook);
+
+// --- Scheduled-ride holds + ride capture/cancel (signed calls from rydr-dispatch-service; RAW body too) ---
+app.use(scheduledPayments.routes());
+app.use(ridePayments.internalRoutes());
 
 // --- JSON parser for all OTHER routes ---
 app.use(express.json());
 
 // --- Create-or-get Customer (idempotent) ---
-// Body: { email?: string, name?: string, uid?: string } -> { customerId }
-app.post("/create-customer", async (req, res) => {
+// Auth: Firebase ID token. Body: { email?: string, name?: string } -> { customerId }
+// The customer is always bound to the caller's UID; a body `uid` is ignored.
+app.post("/create-customer", requireAuth, async (req, res) => {
   try {
-    const { email, name, uid } = req.body || {};
-
-    // 1) Prefer lookup by metadata.firebase_uid (if provided)
-    if (uid) {
-      const byUid = await stripe.customers.search({
-        query: `metadata['firebase_uid']:'${uid}'`,
-      });
-      if (byUid.data.length) {
-        return res.json({ customerId: byUid.data[0].id });
-      }
-    }
-
-    // 2) Fallback by email (if present)
-    if (email) {
-      const byEmail = await stripe.customers.search({ query: `email:'${email}'` });
-      if (byEmail.data.length) {
-        // Backfill UID so future lookups use metadata
-        if (uid && byEmail.data[0].metadata?.firebase_uid !== uid) {
-          await stripe.customers.update(byEmail.data[0].id, {
-            metadata: { ...byEmail.data[0].metadata, firebase_uid: uid },
-          });
-        }
-        return res.json({ customerId: byEmail.data[0].id });
+    const { email: bodyEmail, name } = req.body || {};
+    const uid = req.uid;
+
+    // 1) Already linked to this UID
+    const existing = await customerIdForUid(uid);
+    if (existing) return res.json({ customerId: existing });
+
+    // 2) Adopt an unlinked customer only for the caller's *verified* email
+    if (req.email && req.emailVerified) {
+      const safeEmail = req.email.replace(/'/g, "\\'");
+      const byEmail = await stripe.customers.search({ query: `email:'${safeEmail}'` });
+      const unlinked = byEmail.data.find(c => !c.metadata?.firebase_uid);
+      if (unlinked) {
+        await stripe.customers.update(unlinked.id, {
+          metadata: { ...unlinked.metadata, firebase_uid: uid },
+        });
+        await linkCustomer(uid, unlinked.id);
+        return res.json({ customerId: unlinked.id });
       }
     }
 
-    // 3) Create new customer (email optional)
-    const customer = await stripe.customers.create({
-      email: email || undefined,
-      name: name || undefined,
-      metadata: uid ? { firebase_uid: uid } : undefined,
-    });
+    // 3) Create new customer
+    const customer = await stripe.customers.create(
+      {
+        email: req.email || bodyEmail || undefined,
+        name: name || undefined,
+        metadata: { firebase_uid: uid },
+      },
+      { idempotencyKey: `customer-${uid}` }
+    );
+    await linkCustomer(uid, customer.id);
     return res.json({ customerId: customer.id });
   } catch (e) {
     console.error("❌ create-customer:", e);
@@ -106,12 +149,11 @@ app.post("/create-customer", async (req, res) => {
 });
 
 // --- Ephemeral Key ---
-// Headers: "Stripe-Version" required; Body: { customerId }
-app.post("/ephemeral-key", async (req, res) => {
+// Auth. Headers: "Stripe-Version" required; Body: { customerId? } (must be the caller's)
+app.post("/ephemeral-key", requireAuth, requireCustomer, async (req, res) => {
   try {
-    const { customerId } = req.body || {};
+    const { customerId } = req;
     const apiVer = req.headers["stripe-version"];
-    if (!customerId) return res.status(400).json({ error: "customerId_required" });
     if (!apiVer)    return res.status(400).json({ error: "stripe_version_required" });
 
     const key = await stripe.ephemeralKeys.create(
@@ -126,11 +168,10 @@ app.post("/ephemeral-key", async (req, res) => {
 });
 
 // --- SetupIntent (save a card) ---
-// Body: { customerId } -> { clientSecret }
-app.post("/create-setup-intent", async (req, res) => {
+// Auth. Body: { customerId? } -> { clientSecret }
+app.post("/create-setup-intent", requireAuth, requireCustomer, async (req, res) => {
   try {
-    const { customerId } = req.body || {};
-    if (!customerId) return res.status(400).json({ error: "customerId_required" });
+    const { customerId } = req;
 
     const si = await stripe.setupIntents.create({
       customer: customerId,
@@ -144,33 +185,187 @@ app.post("/create-setup-intent", async (req, res) => {
   }
 });
 
-// --- PaymentIntent (charge) ---
-// Body: { amount: <int cents>, currency: "usd", customerId?: "cus_..." }
-app.post("/create-payment-intent", async (req, res) => {
+// --- Fare quote ---
+// Body: { rideType, distanceMi, durationMin, driverId? }
+//   -> { quoteId, amount, currency, expiresAt, breakdown }
+// Rates come from the selected driver's dispatch profile (no driver yet, e.g. a
+// scheduled ride: the ride type's caps, so the quote is the most it can cost).
+// Booking fee + per-mile/per-minute caps are applied here, not trusted from the app,
+// and Rydr Pass benefits are applied automatically for members.
+// The quote is bound to the caller and pays for one booking (claimQuote).
+app.post("/fares/quote", requireAuth, async (req, res) => {
   try {
-    const { amount, currency = "usd", customerId } = req.body || {};
-    if (!Number.isInteger(amount) || amount <= 0) {
-      return res.status(400).json({ error: "invalid_amount" });
+    const { rideType, distanceMi, durationMin, driverId } = req.body || {};
+    const caps = capsFor(rideType);
+    let rates = { perMile: caps.maxPerMile, perMinute: caps.maxPerMinute };
+    if (driverId) {
+      try {
+        rates = await dispatchRides.driverRates(driverId);
+      } catch (e) {
+        if (!e.status) throw e;
+        return res.status(e.status).json({ error: e.message });
+      }
     }
-    const pi = await stripe.paymentIntents.create({
-      amount,
-      currency,
-      customer: customerId,
-      automatic_payment_methods: { enabled: true },
+    const member = await subscriptions.isMember(await customerIdForUid(req.uid));
+    let fare;
+    try {
+      fare = computeFare({ rideType, distanceMi, durationMin, ...rates, member });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { quoteId, quote } = signQuote(process.env.QUOTE_SIGNING_SECRET, {
+      ...fare,
+      uid: req.uid,
+      driverId: driverId ? String(driverId) : null,
+    });
+    res.json({
+      quoteId,
+      amount: quote.amount,
+      currency: quote.currency,
+      expiresAt: new Date(quote.exp * 1000).toISOString(),
+      breakdown: {
+        rideType: fare.rideType,
+        member: fare.member,
+        bookingFee: fare.bookingFee,
+        bookingFeeWaived: fare.bookingFeeWaived,
+        memberDiscount: fare.memberDiscount,
+        distanceCharge: fare.distanceCharge,
+        timeCharge: fare.timeCharge,
+        perMile: fare.perMile,
+        perMinute: fare.perMinute,
+      },
     });
-    res.json({ clientSecret: pi.client_secret, paymentIntentId: pi.id });
+  } catch (e) {
+    console.error("❌ fares-quote:", e);
+    res.status(500).json({ error: "quote_failed" });
+  }
+});
+
+// --- PaymentIntent (charge) ---
+// Auth. Body: { quoteId, customerId? } — amount comes from the signed quote only,
+// and each quote is charged once (a retry returns the same PaymentIntent).
+// 402 payment_blocked while an owed charge is unpaid (webhooks.js), like ride holds.
+app.post("/create-payment-intent", requireAuth, requireCustomer, async (req, res) => {
+  try {
+    const { quoteId } = req.body || {};
+    const { customerId } = req;
+    if (!quoteId) return res.status(400).json({ error: "quoteId_required" });
+
+    const block = await store.get("payment_blocks", customerId);
+    if (block?.blocked) {
+      return res.status(402).json({ error: "payment_blocked", paymentIntentId: block.paymentIntentId });
+    }
+
+    let quote;
+    try {
+      quote = verifyQuote(process.env.QUOTE_SIGNING_SECRET, quoteId);
+      await claimQuote(store, quote, { uid: req.uid, usedFor: `payment-${customerId}` });
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+
+    const pi = await stripe.paymentIntents.create(
+      {
+        amount: quote.amount,
+        currency: quote.currency,
+        customer: customerId,
+        automatic_payment_methods: { enabled: true },
+        metadata: { quote_id: quote.id, ride_type: quote.rideType },
+      },
+      { idempotencyKey: `quote-payment-${quote.id}` }
+    );
+    res.json({ clientSecret: pi.client_secret, paymentIntentId: pi.id, amount: quote.amount });
   } catch (e) {
     console.error("❌ create-payment-intent:", e);
     res.status(500).json({ error: "payment_intent_failed" });
   }
 });
 
+// --- Ride payment lifecycle (hold -> capture / cancel; the last two come from dispatch) ---
+app.use(ridePayments.routes({ requireAuth, requireCustomer }));
+
+// --- Split fare between riders ---
+app.use(splits.routes({ requireAuth, requireCustomer }));
+
+// --- Tipping after ride completion ---
+app.use(createTipRoutes({ stripe, store, receipts, requireAuth, requireCustomer }));
+
+// --- Receipts (stored, emailed, PDF + CSV export) ---
+app.use(receipts.routes({ requireAuth, requireCustomer }));
+
+// --- Fare reviews (rider disputes) + support refunds ---
+app.use(fareReviews.routes({ requireAuth, requireCustomer, requireSupport }));
+
+// --- Rydr Pass membership ---
+app.use(subscriptions.routes({ requireAuth, requireCustomer }));
+
+// --- Driver payouts (Stripe Connect Express) ---
+app.use(connect.routes({ requireAuth }));
+
+// --- Payment status (blocked while an owed charge for a ride has failed, until it's paid) ---
+// Auth. Body: { customerId? } -> { blocked, reason, paymentIntentId, amount }
+app.post("/payment-status", requireAuth, requireCustomer, async (req, res) => {
+  try {
+    const { customerId } = req;
+    const block = await store.get("payment_blocks", customerId);
+    res.json({
+      blocked: !!block?.blocked,
+      reason: block?.blocked ? block.reason : null,
+      paymentIntentId: block?.blocked ? block.paymentIntentId : null,
+      amount: block?.blocked ? block.amount ?? null : null,
+    });
+  } catch (e) {
+    console.error("❌ payment-status:", e);
+    res.status(500).json({ error: "status_failed" });
+  }
+});
+
+// --- Pay what the block is for ---
+// Auth. Body: { paymentMethodId?, customerId? } -> { status, clientSecret }
+// Retries the failed PaymentIntent itself with the given (or default) card;
+// "requires_action" means the app must finish 3DS with clientSecret. The block
+// lifts when its payment_intent.succeeded arrives (webhooks.js).
+app.post("/payment-status/pay", requireAuth, requireCustomer, async (req, res) => {
+  try {
+    const { customerId } = req;
+    const { paymentMethodId } = req.body || {};
+    const block = await store.get("payment_blocks", customerId);
+    if (!block?.blocked) return res.status(409).json({ error: "not_blocked" });
+
+    const pi = await stripe.paymentIntents.retrieve(block.paymentIntentId);
+    if (pi.customer !== customerId) return res.status(404).json({ error: "payment_not_found" });
+    if (pi.status === "succeeded" || pi.status === "processing") {
+      return res.json({ status: pi.status, clientSecret: null });
+    }
+    if (!["requires_payment_method", "requires_confirmation", "requires_action"].includes(pi.status)) {
+      return res.status(409).json({ error: "not_payable", status: pi.status });
+    }
+
+    let pm = paymentMethodId;
+    if (pm) {
+      await assertOwnsPaymentMethod(pm, customerId);
+    } else {
+      const customer = await stripe.customers.retrieve(customerId);
+      pm = customer?.invoice_settings?.default_payment_method || null;
+    }
+    if (!pm) return res.status(400).json({ error: "no_payment_method" });
+
+    const confirmed = await stripe.paymentIntents.confirm(pi.id, { payment_method: pm });
+    res.json({ status: confirmed.status, clientSecret: confirmed.client_secret });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e.type === "StripeCardError") return res.status(402).json({ error: e.code || "card_declined" });
+    console.error("❌ payment-status-pay:", e);
+    res.status(500).json({ error: "pay_failed" });
+  }
+});
+
 // --- List saved card PaymentMethods (for wallet tiles) ---
-// Body: { customerId } -> { paymentMethods: [{id,brand,last4,expMonth,expYear,isDefault}] }
-app.post("/list-payment-methods", async (req, res) => {
+// Auth. Body: { customerId? } -> { paymentMethods: [{id,brand,last4,expMonth,expYear,isDefault}] }
+app.post("/list-payment-methods", requireAuth, requireCustomer, async (req, res) => {
   try {
-    const { customerId } = req.body || {};
-    if (!customerId) return res.status(400).json({ error: "customerId_required" });
+    const { customerId } = req;
 
     const [pms, customer] = await Promise.all([
       stripe.paymentMethods.list({ customer: customerId, type: "card" }),
@@ -196,39 +391,48 @@ app.post("/list-payment-methods", async (req, res) => {
 });
 
 // --- Set default card ---
-// Body: { customerId, paymentMethodId } -> { ok: true }
-app.post("/set-default-payment-method", async (req, res) => {
+// Auth. Body: { customerId?, paymentMethodId } -> { ok: true }
+app.post("/set-default-payment-method", requireAuth, requireCustomer, async (req, res) => {
   try {
-    const { customerId, paymentMethodId } = req.body || {};
-    if (!customerId || !paymentMethodId)
+    const { paymentMethodId } = req.body || {};
+    const { customerId } = req;
+    if (!paymentMethodId)
       return res.status(400).json({ error: "required_params" });
+    await assertOwnsPaymentMethod(paymentMethodId, customerId);
 
     await stripe.customers.update(customerId, {
       invoice_settings: { default_payment_method: paymentMethodId },
     });
     res.json({ ok: true });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("❌ set-default-payment-method:", e);
     res.status(500).json({ error: "update_failed" });
   }
 });
 
 // --- Detach a card ---
-// Body: { paymentMethodId } -> { ok: true }
-app.post("/detach-payment-method", async (req, res) => {
+// Auth. Body: { paymentMethodId } -> { ok: true } (only the caller's own cards)
+app.post("/detach-payment-method", requireAuth, requireCustomer, async (req, res) => {
   try {
     const { paymentMethodId } = req.body || {};
     if (!paymentMethodId)
       return res.status(400).json({ error: "paymentMethodId_required" });
+    await assertOwnsPaymentMethod(paymentMethodId, req.customerId);
 
     await stripe.paymentMethods.detach(paymentMethodId);
     res.json({ ok: true });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("❌ detach-payment-method:", e);
     res.status(500).json({ error: "detach_failed" });
   }
 });
 
+// --- Background jobs ---
+setInterval(() => splits.sweepExpired().catch(e => console.error("❌ split-sweep:", e)), 60 * 1000).unref();
+setInterval(() => bankEvents.retryPending().catch(e => console.error("❌ bank-events:", e)), 60 * 1000).unref();
+
 // --- Listen ---
 const PORT = process.env.PORT || 10000;
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
@@ -0,0 +1,54 @@
+// internal.js
+// Signed calls from rydr-dispatch-service (/internal/*): scheduled-ride holds
+// (scheduled-payments.js) and ride capture/cancel (ride-payments.js).
+// Unix seconds in x-rydr-timestamp, x-rydr-signature = hex
+// HMAC-SHA256(DISPATCH_SIGNING_SECRET, `${timestamp}.${rawBody}`).
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+
+const SECRET = process.env.DISPATCH_SIGNING_SECRET || "";
+const TOLERANCE_SECONDS = 300;
+
+const tagged = (code, status) => Object.assign(new Error(code), { status });
+
+// Throws a 401-tagged error unless the body was signed with DISPATCH_SIGNING_SECRET
+function verifySignature(req) {
+  const timestamp = Number(req.headers["x-rydr-timestamp"]);
+  const signature = String(req.headers["x-rydr-signature"] || "");
+  if (!SECRET || !Buffer.isBuffer(req.body)) throw tagged("unauthorized", 401);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    throw tagged("stale_request", 401);
+  }
+  const expected = crypto.createHmac("sha256", SECRET).update(`${timestamp}.${req.body}`).digest("hex");
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw tagged("bad_signature", 401);
+  try {
+    return JSON.parse(req.body.toString("utf8"));
+  } catch {
+    throw tagged("invalid_json", 400);
+  }
+}
+
+// POST `${prefix}/${action}` for each handler (signed body in, JSON out).
+// Mount BEFORE express.json(): the signature covers the raw body.
+function internalRoutes(prefix, handlers, tag) {
+  const router = express.Router();
+  for (const [action, handler] of Object.entries(handlers)) {
+    router.post(`${prefix}/${action}`, express.raw({ type: "application/json" }), async (req, res) => {
+      try {
+        res.json(await handler(verifySignature(req)));
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        if (e.type === "StripeCardError") return res.status(402).json({ error: e.code || "card_declined" });
+        console.error(`❌ ${tag}-${action}:`, e);
+        res.status(500).json({ error: `${action}_failed` });
+      }
+    });
+  }
+  return router;
+}
+
+module.exports = { verifySignature, internalRoutes };
@@ -0,0 +1,49 @@
+// notify.js
+// Email (SendGrid) + SMS (Twilio), configured exactly like rydr-bank-service:
+// SENDGRID_API_KEY, EMAIL_FROM, EMAIL_FROM_NAME, TWILIO_ACCOUNT_SID/AUTH_TOKEN/FROM.
+// Both senders are no-ops when their provider isn't configured.
+"use strict";
+
+const sgMail = require("@sendgrid/mail");
+const twilio = require("twilio");
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY || "");
+
+const twilioClient =
+  process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
+    ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+    : null;
+
+const FROM_EMAIL = process.env.EMAIL_FROM || "support@rydr-go.com";
+const FROM_NAME = process.env.EMAIL_FROM_NAME || "Rydr Support";
+const SMS_FROM = process.env.TWILIO_FROM || "";
+
+async function sendEmail({ to, subject, text, html, attachments }) {
+  if (!process.env.SENDGRID_API_KEY || !to) return;
+  await sgMail.send({
+    to,
+    from: { email: FROM_EMAIL, name: FROM_NAME },
+    subject,
+    text,
+    html,
+    attachments,
+  });
+}
+
+async function sendSms({ to, body }) {
+  if (!twilioClient || !SMS_FROM || !to) return;
+  await twilioClient.messages.create({ to, from: SMS_FROM, body });
+}
+
+// Best-effort: a failed notification never fails the request that triggered it
+async function notify({ email, phone, subject, text, html, sms }) {
+  const results = await Promise.allSettled([
+    email ? sendEmail({ to: email, subject, text, html }) : null,
+    phone && sms ? sendSms({ to: phone, body: sms }) : null,
+  ]);
+  for (const r of results) {
+    if (r.status === "rejected") console.error("❌ notify:", r.reason?.message || r.reason);
+  }
+}
+
+module.exports = { sendEmail, sendSms, notify };
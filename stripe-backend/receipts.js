@@ -0,0 +1,313 @@
+// receipts.js
+// Server-side ride receipts. A receipt is (re)built from ride_payments whenever a
+// ride is captured or tipped and stored in receipts/{rideId}, so it survives app
+// reinstalls. Riders get an HTML email (with the PDF attached) at completion and
+// can list / export / download receipts for expenses.
+"use strict";
+
+const express = require("express");
+const PDFDocument = require("pdfkit");
+const firebase = require("./firebase");
+const { RIDE_TYPES, computeFare } = require("./fares");
+const { sendEmail } = require("./notify");
+
+const nowIso = () => new Date().toISOString();
+const usd = (cents) => `$${((cents || 0) / 100).toFixed(2)}`;
+const capitalize = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : s);
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Fare breakdown at the booked rates for the final distance/duration
+function lineItems(ride) {
+  if (ride.distanceMi == null || !ride.rideType) return null;
+  const f = computeFare({
+    rideType: ride.rideType,
+    distanceMi: ride.distanceMi,
+    durationMin: ride.durationMin,
+    perMile: ride.perMile ?? RIDE_TYPES[ride.rideType].maxPerMile,
+    perMinute: ride.perMinute ?? RIDE_TYPES[ride.rideType].maxPerMinute,
+    member: !!ride.member,
+  });
+  return {
+    bookingFee: f.bookingFee,
+    distanceCharge: f.distanceCharge,
+    timeCharge: f.timeCharge,
+    memberDiscount: f.memberDiscount,
+  };
+}
+
+function renderHtml(r) {
+  const row = (label, value) =>
+    `<tr><td style="padding:4px 0">${escapeHtml(label)}</td><td style="padding:4px 0;text-align:right">${escapeHtml(value)}</td></tr>`;
+  return `
+  <div style="font-family:-apple-system,Helvetica,Arial,sans-serif;max-width:480px">
+    <h2>Your Rydr receipt</h2>
+    <p>${escapeHtml(new Date(r.date).toLocaleString("en-US", { timeZone: "America/New_York" }))}</p>
+    <p>${escapeHtml(r.pickup || "")} &rarr; ${escapeHtml(r.dropoff || "")}<br/>
+    ${escapeHtml(r.rideTypeLabel)}${r.driverName ? ` with ${escapeHtml(r.driverName)}` : ""} ·
+    ${escapeHtml(r.distanceMi)} mi · ${escapeHtml(r.durationMin)} min</p>
+    <table style="width:100%;border-collapse:collapse">
+      ${r.lineItems ? row("Booking fee", usd(r.lineItems.bookingFee)) : ""}
+      ${r.lineItems ? row("Distance", usd(r.lineItems.distanceCharge)) : ""}
+      ${r.lineItems ? row("Time", usd(r.lineItems.timeCharge)) : ""}
+      ${r.lineItems?.memberDiscount ? row("Rydr Pass discount", `-${usd(r.lineItems.memberDiscount)}`) : ""}
+      ${r.discount ? row(r.discount.label, `-${usd(r.discount.amount)}`) : ""}
+      ${r.paidByOthers ? row("Paid by other riders", `-${usd(r.paidByOthers)}`) : ""}
+      ${r.tip ? row("Tip", usd(r.tip)) : ""}
+      <tr><td style="padding:8px 0;border-top:1px solid #ddd"><strong>Total</strong></td>
+          <td style="padding:8px 0;border-top:1px solid #ddd;text-align:right"><strong>${usd(r.total)}</strong></td></tr>
+    </table>
+    <p>Charged to ${escapeHtml(r.cardMasked || "card on file")}</p>
+    <p>Rydr Support</p>
+  </div>`;
+}
+
+function renderText(r) {
+  const lines = [
+    "Your Rydr receipt",
+    new Date(r.date).toISOString(),
+    `${r.pickup || ""} -> ${r.dropoff || ""}`,
+    `${r.rideTypeLabel} · ${r.distanceMi} mi · ${r.durationMin} min`,
+  ];
+  if (r.lineItems) {
+    lines.push(`Booking fee: ${usd(r.lineItems.bookingFee)}`);
+    lines.push(`Distance: ${usd(r.lineItems.distanceCharge)}`);
+    lines.push(`Time: ${usd(r.lineItems.timeCharge)}`);
+    if (r.lineItems.memberDiscount) lines.push(`Rydr Pass discount: -${usd(r.lineItems.memberDiscount)}`);
+  }
+  if (r.discount) lines.push(`${r.discount.label}: -${usd(r.discount.amount)}`);
+  if (r.paidByOthers) lines.push(`Paid by other riders: -${usd(r.paidByOthers)}`);
+  if (r.tip) lines.push(`Tip: ${usd(r.tip)}`);
+  lines.push(`Total: ${usd(r.total)}`, `Charged to ${r.cardMasked || "card on file"}`, "", "Rydr Support");
+  return lines.join("\n");
+}
+
+function renderPdf(r) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 56 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const line = (label, value, opts = {}) => {
+      const y = doc.y;
+      doc.font(opts.bold ? "Helvetica-Bold" : "Helvetica").text(label, 56, y);
+      doc.text(value, 56, y, { align: "right" });
+    };
+
+    doc.font("Helvetica-Bold").fontSize(20).text("Rydr receipt");
+    doc.moveDown(0.5).font("Helvetica").fontSize(11);
+    doc.text(new Date(r.date).toUTCString());
+    doc.text(`Ride ${r.rideId}`);
+    doc.moveDown();
+    doc.text(`${r.pickup || ""} to ${r.dropoff || ""}`);
+    doc.text(`${r.rideTypeLabel}${r.driverName ? ` with ${r.driverName}` : ""} · ${r.distanceMi} mi · ${r.durationMin} min`);
+    doc.moveDown();
+    if (r.lineItems) {
+      line("Booking fee", usd(r.lineItems.bookingFee));
+      line("Distance", usd(r.lineItems.distanceCharge));
+      line("Time", usd(r.lineItems.timeCharge));
+      if (r.lineItems.memberDiscount) line("Rydr Pass discount", `-${usd(r.lineItems.memberDiscount)}`);
+    }
+    if (r.discount) line(r.discount.label, `-${usd(r.discount.amount)}`);
+    if (r.paidByOthers) line("Paid by other riders", `-${usd(r.paidByOthers)}`);
+    if (r.tip) line("Tip", usd(r.tip));
+    doc.moveDown(0.5);
+    line("Total", usd(r.total), { bold: true });
+    doc.moveDown().font("Helvetica").text(`Charged to ${r.cardMasked || "card on file"}`);
+    doc.end();
+  });
+}
+
+const CSV_COLUMNS = [
+  ["date", (r) => r.date],
+  ["ride_id", (r) => r.rideId],
+  ["ride_type", (r) => r.rideTypeLabel],
+  ["pickup", (r) => r.pickup || ""],
+  ["dropoff", (r) => r.dropoff || ""],
+  ["distance_mi", (r) => r.distanceMi],
+  ["duration_min", (r) => r.durationMin],
+  ["fare", (r) => ((r.fare || 0) / 100).toFixed(2)],
+  ["discount", (r) => ((r.discount?.amount || 0) / 100).toFixed(2)],
+  ["tip", (r) => ((r.tip || 0) / 100).toFixed(2)],
+  ["total", (r) => ((r.total || 0) / 100).toFixed(2)],
+  ["card", (r) => r.cardMasked || ""],
+];
+
+function toCsv(receipts) {
+  const cell = (v) => {
+    let s = String(v ?? "");
+    // Pickup/drop-off text is user-entered: a leading = + - @ would run as a
+    // spreadsheet formula, so it's quoted as text
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const rows = receipts.map((r) => CSV_COLUMNS.map(([, get]) => cell(get(r))).join(","));
+  return [CSV_COLUMNS.map(([h]) => h).join(","), ...rows].join("\n") + "\n";
+}
+
+function createReceipts({ stripe, store }) {
+  async function cardMasked(paymentIntentId) {
+    if (!paymentIntentId) return null;
+    const pi = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ["payment_method"] });
+    const card = pi.payment_method?.card;
+    return card ? `${capitalize(card.brand)} ••${card.last4}` : null;
+  }
+
+  // Build/refresh receipts/{rideId} from ride_payments. `details` carries display-only
+  // fields from the capture call (pickup, dropoff, driverName).
+  async function upsert(rideId, details = {}) {
+    const ride = await store.get("ride_payments", rideId);
+    if (!ride || ride.status !== "captured") return null;
+    const prior = await store.get("receipts", rideId);
+
+    const fare = ride.finalAmount || 0;
+    const discount = ride.discount?.amount ? ride.discount : null;
+    const tip = ride.tip?.status === "succeeded" || ride.tip?.status === "processing" ? ride.tip.amount : 0;
+
+    const receipt = {
+      rideId,
+      uid: ride.uid || null,
+      customerId: ride.customerId,
+      date: ride.completedAt,
+      rideType: ride.rideType,
+      rideTypeLabel: RIDE_TYPES[ride.rideType]?.label || "Rydr",
+      pickup: details.pickup ?? prior?.pickup ?? null,
+      dropoff: details.dropoff ?? prior?.dropoff ?? null,
+      driverName: details.driverName ?? prior?.driverName ?? null,
+      distanceMi: ride.distanceMi,
+      durationMin: ride.durationMin,
+      lineItems: lineItems(ride),
+      fare,
+      discount,
+      paidByOthers: ride.paidByOthers || 0,
+      tip,
+      total: fare - (discount?.amount || 0) - (ride.paidByOthers || 0) + tip,
+      currency: "usd",
+      cardMasked: prior?.cardMasked || (await cardMasked(ride.paymentIntentId)),
+      emailedAt: prior?.emailedAt || null,
+      updatedAt: nowIso(),
+    };
+    await store.set("receipts", rideId, receipt);
+    return receipt;
+  }
+
+  async function email(receipt) {
+    if (!receipt?.uid) return false;
+    const user = await firebase.admin().auth().getUser(receipt.uid).catch(() => null);
+    if (!user?.email) return false;
+
+    const pdf = await renderPdf(receipt);
+    await sendEmail({
+      to: user.email,
+      subject: `Your Rydr receipt — ${usd(receipt.total)}`,
+      text: renderText(receipt),
+      html: renderHtml(receipt),
+      attachments: [
+        {
+          content: pdf.toString("base64"),
+          filename: `rydr-receipt-${receipt.rideId}.pdf`,
+          type: "application/pdf",
+          disposition: "attachment",
+        },
+      ],
+    });
+    await store.merge("receipts", receipt.rideId, { emailedAt: nowIso() });
+    return true;
+  }
+
+  // Capture hook: store + email once. Never fails the capture.
+  async function issue(rideId, details) {
+    try {
+      const receipt = await upsert(rideId, details);
+      if (receipt && !receipt.emailedAt) await email(receipt);
+    } catch (e) {
+      console.error("❌ receipt-issue:", rideId, e.message);
+    }
+  }
+
+  function routes({ requireAuth, requireCustomer }) {
+    const router = express.Router();
+    const authed = [requireAuth, requireCustomer];
+
+    async function ownReceipt(req) {
+      const receipt = await store.get("receipts", req.params.rideId);
+      return receipt && receipt.customerId === req.customerId ? receipt : null;
+    }
+
+    // --- List (JSON or CSV) ---
+    // Auth. Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+    router.get("/receipts", ...authed, async (req, res) => {
+      try {
+        const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+        // `to` is inclusive of the whole day
+        const to = req.query.to ? Date.parse(req.query.to) + 86400 * 1000 : Infinity;
+        if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: "invalid_date" });
+
+        const receipts = (await store.list("receipts", { customerId: req.customerId }))
+          .filter((r) => {
+            const t = Date.parse(r.date);
+            return t >= from && t < to;
+          })
+          .sort((a, b) => b.date.localeCompare(a.date));
+
+        if (req.query.format === "csv") {
+          res.setHeader("Content-Type", "text/csv; charset=utf-8");
+          res.setHeader("Content-Disposition", 'attachment; filename="rydr-receipts.csv"');
+          return res.send(toCsv(receipts));
+        }
+        res.json({ receipts });
+      } catch (e) {
+        console.error("❌ receipts-list:", e);
+        res.status(500).json({ error: "list_failed" });
+      }
+    });
+
+    router.get("/receipts/:rideId", ...authed, async (req, res) => {
+      try {
+        const receipt = await ownReceipt(req);
+        if (!receipt) return res.status(404).json({ error: "not_found" });
+        res.json({ receipt });
+      } catch (e) {
+        console.error("❌ receipt-get:", e);
+        res.status(500).json({ error: "get_failed" });
+      }
+    });
+
+    router.get("/receipts/:rideId/pdf", ...authed, async (req, res) => {
+      try {
+        const receipt = await ownReceipt(req);
+        if (!receipt) return res.status(404).json({ error: "not_found" });
+        const pdf = await renderPdf(receipt);
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="rydr-receipt-${receipt.rideId}.pdf"`);
+        res.send(pdf);
+      } catch (e) {
+        console.error("❌ receipt-pdf:", e);
+        res.status(500).json({ error: "pdf_failed" });
+      }
+    });
+
+    // --- Re-send the email ---
+    router.post("/receipts/:rideId/email", ...authed, async (req, res) => {
+      try {
+        const receipt = await ownReceipt(req);
+        if (!receipt) return res.status(404).json({ error: "not_found" });
+        const sent = await email(receipt);
+        if (!sent) return res.status(409).json({ error: "no_email_on_file" });
+        res.json({ ok: true });
+      } catch (e) {
+        console.error("❌ receipt-email:", e);
+        res.status(500).json({ error: "email_failed" });
+      }
+    });
+
+    return router;
+  }
+
+  return { upsert, issue, routes };
+}
+
+module.exports = { createReceipts, renderHtml, renderPdf, toCsv };
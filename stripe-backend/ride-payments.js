@@ -0,0 +1,496 @@
+// ride-payments.js
+// Ride payment lifecycle: hold once a driver accepts -> capture the final fare at
+// completion, or release / charge a cancellation fee when the ride is cancelled.
+// Every PaymentIntent carries metadata.ride_id; the booked rates travel in metadata
+// too, so the final fare is recomputed here from the trip only.
+// Charges are destination charges to the driver's Connect account; Rydr keeps
+// platformFeeFor(rideType) as the application fee at capture time.
+//
+// The rider only places the hold. Capture and cancel are rydr-dispatch-service's
+// (signed, internal.js) once the ride doc says the ride is over, and read the
+// driver, distance, duration and who cancelled from that doc (dispatch-rides.js).
+"use strict";
+
+const express = require("express");
+const {
+  computeFare,
+  fareForDriver,
+  normalizeRideType,
+  cancellationFeeFor,
+  platformFeeFor,
+  verifyQuote,
+  claimQuote,
+} = require("./fares");
+const { internalRoutes } = require("./internal");
+const { tripOf } = require("./dispatch-rides");
+
+// Rider cancels inside this window after booking -> hold released, no fee
+const CANCEL_GRACE_SECONDS = Number(process.env.CANCEL_GRACE_SECONDS || 120);
+
+// A hold can be placed while the accepted ride is under way
+const HOLDABLE = ["enRouteToPickup", "enRouteToDropoff"];
+// A hold already placed for another quote
+const HELD = ["authorized", "captured", "cancelled"];
+
+const nowIso = () => new Date().toISOString();
+const tagged = (code, status) => Object.assign(new Error(code), { status });
+
+function createRidePayments({
+  stripe,
+  store,
+  quoteSecret,
+  assertOwnsPaymentMethod,
+  connect,
+  splits,
+  receipts,
+  bankEvents,
+  dispatchRides,
+}) {
+  // Local view of the ride's payment; webhooks keep it in sync afterwards
+  const recordRide = (rideId, patch) =>
+    store.merge("ride_payments", rideId, { rideId, ...patch, updatedAt: nowIso() });
+
+  // The dispatch ride, or a 404-tagged error
+  async function loadRide(rideId) {
+    const ride = await dispatchRides.ride(rideId);
+    if (!ride) throw tagged("ride_not_found", 404);
+    return ride;
+  }
+
+  // -> { rec, pi } for the ride's hold, or null if the ride was never paid by card
+  async function loadHold(rideId) {
+    const rec = await store.get("ride_payments", rideId);
+    if (!rec?.paymentIntentId) return null;
+    const pi = await stripe.paymentIntents.retrieve(rec.paymentIntentId, { expand: ["latest_charge"] });
+    if (pi.metadata?.ride_id !== rideId) throw tagged("ride_mismatch", 409);
+    return { rec, pi };
+  }
+
+  function fail(res, tag, fallback, e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e.type === "StripeCardError") return res.status(402).json({ error: e.code || "card_declined" });
+    console.error(`❌ ${tag}:`, e);
+    res.status(500).json({ error: fallback });
+  }
+
+  // -> capture()'s result from the recorded ride payment
+  const capturedResult = (rec) => ({
+    status: "captured",
+    finalAmount: rec.finalAmount,
+    captured: rec.amountCaptured,
+    paidByOthers: rec.paidByOthers || 0,
+    overage: rec.overagePaymentIntentId
+      ? { paymentIntentId: rec.overagePaymentIntentId, amount: rec.overageAmount, status: rec.overageStatus }
+      : null,
+  });
+
+  // Works out who pays what of the final fare and checkpoints it on the ride
+  // payment (`capture`, status "capturing") before anything moves money.
+  // -> the plan
+  async function planCapture(rideId, trip, rec, pi) {
+    let fare;
+    try {
+      fare = computeFare({
+        rideType: pi.metadata.ride_type,
+        distanceMi: trip.distanceMi,
+        durationMin: trip.durationMin,
+        perMile: Number(pi.metadata.per_mile),
+        perMinute: Number(pi.metadata.per_minute),
+        member: pi.metadata.member === "true",
+      });
+    } catch (e) {
+      throw tagged(e.message, 409);
+    }
+    const finalAmount = fare.amount;
+    const rideType = pi.metadata.ride_type;
+    const rideFee = platformFeeFor(rideType, finalAmount, { includesBookingFee: !fare.member });
+
+    // RydrBank code booked for the ride: RydrBank settles what it covers of the
+    // final fare, Rydr pays that part to the driver, and the riders pay the rest
+    const bank = await bankEvents.redeem({
+      uid: rec.uid,
+      rideId,
+      rideType,
+      distanceMi: trip.distanceMi,
+      durationMin: trip.durationMin,
+      perMile: Number(pi.metadata.per_mile),
+      perMinute: Number(pi.metadata.per_minute),
+      member: fare.member,
+      fareCents: finalAmount,
+    });
+    const covered = Math.min(bank?.coveredAmountCents || 0, finalAmount);
+    const coveredFee = finalAmount ? Math.round((rideFee * covered) / finalAmount) : 0;
+
+    // Split fare: shares already paid by other riders come off the booker's charge
+    const { paid: paidShares, paidFee: paidSharesFee } = await splits.settleForCapture(
+      rideId,
+      finalAmount - covered
+    );
+    const bookerAmount = Math.max(0, finalAmount - covered - paidShares);
+    const bookerFee = Math.max(0, rideFee - coveredFee - paidSharesFee);
+
+    let capturable = pi.amount_capturable;
+    if (bookerAmount > capturable) {
+      const incremental =
+        pi.latest_charge?.payment_method_details?.card?.incremental_authorization?.status;
+      if (incremental === "available") {
+        try {
+          const bumped = await stripe.paymentIntents.incrementAuthorization(pi.id, {
+            amount: bookerAmount,
+          });
+          capturable = bumped.amount_capturable;
+        } catch (e) {
+          console.warn("⚠️ incremental authorization declined:", pi.id, e.code || e.message);
+        }
+      }
+    }
+
+    // Rydr's fee is spread over the hold capture and any overage charge pro rata
+    const captureAmount = Math.min(bookerAmount, capturable);
+    const captureFee = bookerAmount ? Math.round((bookerFee * captureAmount) / bookerAmount) : 0;
+    const plan = {
+      status: "capturing",
+      trip,
+      rideType,
+      finalAmount,
+      bankCode: bank?.code || null,
+      covered,
+      coveredFee,
+      paidShares,
+      paidSharesFee,
+      bookerAmount,
+      captureAmount,
+      captureFee,
+      overageFee: bookerFee - captureFee,
+    };
+    await recordRide(rideId, { capture: plan });
+    return plan;
+  }
+
+  // --- Capture the final fare at completion (dispatch) ---
+  // Body: { rideId } -> { status: "captured", finalAmount, captured, paidByOthers,
+  //   overage: null | { paymentIntentId, amount, status } } | { status: "no_payment" }
+  // The fare is the ride's trip as dispatch recorded it (tripOf) at the held rates.
+  // Final fare > hold: try an incremental authorization first, else capture the
+  // full hold and charge the difference as a second off-session PaymentIntent.
+  // A RydrBank code comes off first; with a split fare the booker only pays what
+  // the other riders haven't.
+  // The plan is checkpointed before Stripe is called (planCapture), and every
+  // step after it is idempotent per ride, so a capture that failed part way is
+  // retried from its plan even though the hold is already captured or cancelled.
+  async function capture({ rideId }) {
+    if (!rideId) throw tagged("rideId_required", 400);
+    const ride = await loadRide(rideId);
+    const hold = await loadHold(rideId);
+    if (!hold) return { status: "no_payment" };
+    const { rec, pi } = hold;
+    // (rides captured before checkpoints have status "captured" and no plan)
+    if (rec.capture?.status === "done" || (!rec.capture && rec.status === "captured")) return capturedResult(rec);
+
+    let plan = rec.capture;
+    if (!plan) {
+      const trip = tripOf(ride);
+      if (!trip) throw tagged("ride_not_completed", 409);
+      if (pi.status !== "requires_capture") throw tagged("not_capturable", 409);
+      plan = await planCapture(rideId, trip, rec, pi);
+    }
+    const { trip, rideType, finalAmount, covered, coveredFee, captureAmount, captureFee } = plan;
+    const destination = pi.transfer_data?.destination || null;
+
+    let amountCaptured = 0;
+    if (captureAmount > 0) {
+      if (pi.status === "requires_capture") {
+        const captured = await stripe.paymentIntents.capture(
+          pi.id,
+          {
+            amount_to_capture: captureAmount,
+            metadata: {
+              final_distance_mi: String(trip.distanceMi),
+              final_duration_min: String(trip.durationMin),
+              final_amount: String(finalAmount),
+            },
+            ...(destination && { application_fee_amount: captureFee }),
+          },
+          { idempotencyKey: `ride-capture-${rideId}` }
+        );
+        amountCaptured = captured.amount_received;
+      } else if (pi.status === "succeeded") {
+        amountCaptured = pi.amount_received;
+      } else {
+        throw tagged("not_capturable", 409);
+      }
+    } else if (pi.status === "requires_capture") {
+      // The other riders' shares covered the whole fare
+      await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: "duplicate" });
+    }
+
+    let overage = null;
+    const remainder = plan.bookerAmount - captureAmount;
+    if (remainder > 0) {
+      // A decline leaves the overage owed: payment_intent.payment_failed blocks the rider
+      const second = await stripe.paymentIntents
+        .create(
+          {
+            amount: remainder,
+            currency: pi.currency,
+            customer: pi.customer,
+            payment_method: pi.payment_method,
+            payment_method_types: ["card"],
+            off_session: true,
+            confirm: true,
+            ...(destination && {
+              transfer_data: { destination },
+              application_fee_amount: plan.overageFee,
+            }),
+            metadata: {
+              ride_id: rideId,
+              kind: "fare_overage",
+              driver_uid: pi.metadata.driver_uid || "",
+              parent_payment_intent: pi.id,
+            },
+          },
+          { idempotencyKey: `ride-overage-${rideId}` }
+        )
+        .catch((e) => {
+          if (e.type !== "StripeCardError") throw e;
+          return { id: e.payment_intent?.id || null, status: "failed" };
+        });
+      overage = { paymentIntentId: second.id, amount: remainder, status: second.status };
+    }
+    if (covered > 0 && destination) {
+      await stripe.transfers.create(
+        {
+          amount: covered - coveredFee,
+          currency: pi.currency,
+          destination,
+          metadata: { ride_id: rideId, kind: "rydr_bank", code: plan.bankCode },
+        },
+        { idempotencyKey: `ride-bank-transfer-${rideId}` }
+      );
+    }
+    await recordRide(rideId, {
+      status: "captured",
+      completedAt: nowIso(),
+      finalAmount,
+      distanceMi: trip.distanceMi,
+      distanceSource: trip.distanceSource,
+      durationMin: trip.durationMin,
+      amountCaptured,
+      paidByOthers: plan.paidShares,
+      ...(covered > 0 && { discount: { label: "RydrBank", code: plan.bankCode, amount: covered } }),
+      ...(overage && {
+        overagePaymentIntentId: overage.paymentIntentId,
+        overageAmount: remainder,
+        overageStatus: overage.status,
+      }),
+    });
+    if (destination) {
+      await connect.recordEarning(rideId, {
+        driverUid: pi.metadata.driver_uid,
+        rideType,
+        kind: "ride",
+        gross: finalAmount,
+        platformFee: plan.paidSharesFee + coveredFee + captureFee + plan.overageFee,
+      });
+    }
+
+    const driver = await dispatchRides.driverProfile(ride.driverId);
+    await receipts.issue(rideId, { pickup: ride.pickup, dropoff: ride.dropoff, driverName: driver?.name || null });
+    // Charged ride -> RydrBank accrual (the booker's ride)
+    await bankEvents.rideCompleted({
+      uid: rec.uid,
+      rideId,
+      trip,
+      rideType,
+      cardFingerprint: pi.latest_charge?.payment_method_details?.card?.fingerprint || null,
+    });
+    await recordRide(rideId, { capture: { ...plan, status: "done" } });
+
+    return { status: "captured", finalAmount, captured: amountCaptured, paidByOthers: plan.paidShares, overage };
+  }
+
+  // --- Cancel (dispatch) ---
+  // Body: { rideId } -> { status, cancellationFee }
+  // Who cancelled is the ride doc's cancelledBy. The rider cancelling after the
+  // grace window -> capture the ride type's cancellation fee out of the hold (the
+  // rest is released). Otherwise release the whole hold. Paid split shares are
+  // refunded either way.
+  async function cancel({ rideId }) {
+    if (!rideId) throw tagged("rideId_required", 400);
+    const ride = await loadRide(rideId);
+    if (ride.status !== "cancelled") throw tagged("ride_not_cancelled", 409);
+    // Riders who already paid a split share get it back whatever the booker owes
+    await splits.refundForCancel(rideId);
+    const hold = await loadHold(rideId);
+    if (!hold) return { status: "no_payment", cancellationFee: 0 };
+    const { rec, pi } = hold;
+    if (rec.status === "cancelled") return { status: "cancelled", cancellationFee: rec.cancellationFee || 0 };
+    if (pi.status === "succeeded") throw tagged("already_captured", 409);
+
+    const cancelledBy = ride.cancelledBy || "system";
+    if (pi.status === "canceled") {
+      await recordRide(rideId, { status: "cancelled", cancelledBy, cancellationFee: 0 });
+      return { status: "cancelled", cancellationFee: 0 };
+    }
+
+    const elapsed = Math.floor(Date.now() / 1000) - pi.created;
+    const owesFee =
+      cancelledBy === "rider" && elapsed > CANCEL_GRACE_SECONDS && pi.status === "requires_capture";
+
+    if (owesFee) {
+      const rideType = pi.metadata.ride_type;
+      const fee = Math.min(cancellationFeeFor(rideType), pi.amount_capturable);
+      const platformFee = platformFeeFor(rideType, fee, { includesBookingFee: false });
+      await stripe.paymentIntents.capture(
+        pi.id,
+        {
+          amount_to_capture: fee,
+          metadata: { cancelled_by: cancelledBy, cancellation_fee: String(fee) },
+          ...(pi.transfer_data?.destination && { application_fee_amount: platformFee }),
+        },
+        { idempotencyKey: `ride-cancel-fee-${rideId}` }
+      );
+      if (pi.transfer_data?.destination) {
+        await connect.recordEarning(rideId, {
+          driverUid: pi.metadata.driver_uid,
+          rideType,
+          kind: "cancellation",
+          gross: fee,
+          platformFee,
+        });
+      }
+      await recordRide(rideId, { status: "cancelled", cancelledBy, cancellationFee: fee });
+      return { status: "cancelled", cancellationFee: fee };
+    }
+
+    await stripe.paymentIntents.cancel(pi.id, {
+      cancellation_reason: cancelledBy === "rider" ? "requested_by_customer" : "abandoned",
+    });
+    await recordRide(rideId, { status: "cancelled", cancelledBy, cancellationFee: 0 });
+    return { status: "cancelled", cancellationFee: 0 };
+  }
+
+  // --- Authorize (hold) once a driver has accepted ---
+  // Body: { quoteId, paymentMethodId? }
+  //   -> { paymentIntentId, status, amount, clientSecret }
+  // status "requires_action" means the app must finish 3DS with clientSecret.
+  // The driver is the one dispatch assigned; the quoted trip is held at their
+  // rates (fareForDriver). The quote is used up by this ride (a retry for the
+  // same ride reuses the hold).
+  function routes({ requireAuth, requireCustomer }) {
+    const router = express.Router();
+
+    router.post("/rides/:rideId/authorize", requireAuth, requireCustomer, async (req, res) => {
+      try {
+        const { rideId } = req.params;
+        const { quoteId, paymentMethodId } = req.body || {};
+        const { customerId } = req;
+        if (!quoteId) return res.status(400).json({ error: "quoteId_required" });
+
+        const block = await store.get("payment_blocks", customerId);
+        if (block?.blocked) {
+          return res.status(402).json({ error: "payment_blocked", paymentIntentId: block.paymentIntentId });
+        }
+
+        let quote;
+        try {
+          quote = verifyQuote(quoteSecret, quoteId);
+        } catch (e) {
+          return res.status(400).json({ error: e.message });
+        }
+
+        const ride = await dispatchRides.ride(rideId);
+        if (!ride || ride.riderUid !== req.uid) return res.status(404).json({ error: "ride_not_found" });
+        // Scheduled rides are held through scheduled-payments (convert)
+        if (ride.scheduledRideId) return res.status(409).json({ error: "scheduled_ride" });
+        if (!HOLDABLE.includes(ride.status) || !ride.driverId) {
+          return res.status(409).json({ error: "ride_not_accepted", status: ride.status });
+        }
+        if (normalizeRideType(quote.rideType) !== normalizeRideType(ride.rideType)) {
+          return res.status(400).json({ error: "quote_ride_type_mismatch" });
+        }
+        const existing = await store.get("ride_payments", rideId);
+        if (HELD.includes(existing?.status) && existing.quoteId !== quote.id) {
+          return res.status(409).json({ error: "already_authorized" });
+        }
+
+        const driverUid = ride.driverId;
+        const fare = fareForDriver(quote, await dispatchRides.driverRates(driverUid));
+        await claimQuote(store, quote, { uid: req.uid, usedFor: `ride-${rideId}` });
+
+        let pm = paymentMethodId;
+        if (pm) {
+          await assertOwnsPaymentMethod(pm, customerId);
+        } else {
+          const customer = await stripe.customers.retrieve(customerId);
+          pm = customer?.invoice_settings?.default_payment_method || null;
+        }
+        if (!pm) return res.status(400).json({ error: "no_payment_method" });
+
+        const destination = await connect.payoutDestination(driverUid);
+
+        const pi = await stripe.paymentIntents.create(
+          {
+            amount: fare.amount,
+            currency: quote.currency,
+            customer: customerId,
+            payment_method: pm,
+            payment_method_types: ["card"],
+            capture_method: "manual",
+            confirm: true,
+            payment_method_options: {
+              card: { request_incremental_authorization: "if_available" },
+            },
+            transfer_data: { destination },
+            metadata: {
+              ride_id: rideId,
+              kind: "ride_fare",
+              driver_uid: driverUid,
+              quote_id: quote.id,
+              ride_type: fare.rideType,
+              per_mile: String(fare.perMile),
+              per_minute: String(fare.perMinute),
+              quoted_distance_mi: String(quote.distanceMi),
+              member: String(fare.member),
+            },
+          },
+          { idempotencyKey: `ride-hold-${rideId}-${quote.id}` }
+        );
+        await recordRide(rideId, {
+          paymentIntentId: pi.id,
+          customerId,
+          uid: req.uid,
+          driverUid,
+          quoteId: quote.id,
+          rideType: fare.rideType,
+          perMile: fare.perMile,
+          perMinute: fare.perMinute,
+          member: fare.member,
+          quotedAmount: fare.amount,
+          quotedDistanceMi: quote.distanceMi,
+          quotedDurationMin: quote.durationMin,
+          amount: pi.amount,
+          status: pi.status === "requires_capture" ? "authorized" : pi.status,
+        });
+
+        res.json({
+          paymentIntentId: pi.id,
+          status: pi.status,
+          amount: pi.amount,
+          clientSecret: pi.client_secret,
+        });
+      } catch (e) {
+        fail(res, "ride-authorize", "authorize_failed", e);
+      }
+    });
+
+    return router;
+  }
+
+  // Mount BEFORE express.json(): the signature covers the raw body
+  const internal = () => internalRoutes("/internal/rides", { capture, cancel }, "ride");
+
+  return { routes, internalRoutes: internal };
+}
+
+module.exports = { createRidePayments };
@@ -0,0 +1,274 @@
+// scheduled-payments.js
+// Card holds for rides booked ahead (rydr-dispatch-service's scheduled rides).
+// Card authorizations lapse after about a week, so nothing is held at booking:
+// the booking registers its signed quote + card here, dispatch asks for the hold
+// (authorize) a lead time before pickup, and when a driver accepts the ride the
+// hold is swapped (convert) for a normal ride hold — destination charge to that
+// driver, metadata.ride_id = the dispatch ride — so capture/cancel then go
+// through ride-payments like any other ride.
+//
+// scheduled_payments/{scheduledId}: { uid, customerId, paymentMethodId, quote,
+//   status: registered | authorized | failed | converted | cancelled,
+//   paymentIntentId, attempts, error, rideId, cancellationFee }
+//
+// Only rydr-dispatch-service calls these, signed (internal.js).
+"use strict";
+
+const { cancellationFeeFor, fareForDriver, verifyQuote, claimQuote } = require("./fares");
+const { internalRoutes } = require("./internal");
+
+const nowIso = () => new Date().toISOString();
+const tagged = (code, status) => Object.assign(new Error(code), { status });
+
+function createScheduledPayments({
+  stripe,
+  store,
+  quoteSecret,
+  customerIdForUid,
+  assertOwnsPaymentMethod,
+  connect,
+  dispatchRides,
+}) {
+  const save = (scheduledId, patch) =>
+    store.merge("scheduled_payments", scheduledId, { scheduledId, ...patch, updatedAt: nowIso() });
+
+  async function load(scheduledId) {
+    const rec = scheduledId ? await store.get("scheduled_payments", scheduledId) : null;
+    if (!rec) throw tagged("not_registered", 404);
+    return rec;
+  }
+
+  async function assertNotBlocked(customerId) {
+    const block = await store.get("payment_blocks", customerId);
+    if (block?.blocked) throw tagged("payment_blocked", 402);
+  }
+
+  // At booking, and again whenever the booking's fare or card changes (a card
+  // change alone may leave out quoteId: the registered quote is kept).
+  // Body: { scheduledId, uid, quoteId?, paymentMethodId? } -> { amount, currency, rideType }
+  async function register({ scheduledId, uid, quoteId, paymentMethodId }) {
+    if (!scheduledId || !uid) throw tagged("scheduledId_and_uid_required", 400);
+    const existing = await store.get("scheduled_payments", scheduledId);
+    if (existing && existing.uid !== uid) throw tagged("not_owner", 403);
+    if (existing && ["converted", "cancelled"].includes(existing.status)) throw tagged("not_modifiable", 409);
+
+    let quote = existing?.quote || null;
+    if (quoteId || !quote) {
+      try {
+        quote = verifyQuote(quoteSecret, quoteId);
+        await claimQuote(store, quote, { uid, usedFor: `scheduled-${scheduledId}` });
+      } catch (e) {
+        throw tagged(e.message, e.status || 400);
+      }
+    }
+    const customerId = await customerIdForUid(uid);
+    if (!customerId) throw tagged("no_customer", 404);
+    await assertNotBlocked(customerId);
+
+    let pm = paymentMethodId || existing?.paymentMethodId || null;
+    if (paymentMethodId) {
+      await assertOwnsPaymentMethod(pm, customerId);
+    } else if (!pm) {
+      const customer = await stripe.customers.retrieve(customerId);
+      pm = customer?.invoice_settings?.default_payment_method || null;
+    }
+    if (!pm) throw tagged("no_payment_method", 400);
+
+    if (existing?.status === "authorized") await cancelHold(existing.paymentIntentId);
+
+    await save(scheduledId, {
+      uid,
+      customerId,
+      paymentMethodId: pm,
+      quote,
+      status: "registered",
+      paymentIntentId: null,
+      attempts: existing?.attempts || 0,
+      error: null,
+      registeredAt: nowIso(),
+    });
+    return { amount: quote.amount, currency: quote.currency, rideType: quote.rideType };
+  }
+
+  async function cancelHold(paymentIntentId) {
+    if (!paymentIntentId) return;
+    try {
+      await stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: "abandoned" });
+    } catch (e) {
+      // Already captured/cancelled, or lapsed on its own
+      console.warn("⚠️ scheduled hold cancel:", paymentIntentId, e.code || e.message);
+    }
+  }
+
+  // Places the off-session hold for the quoted fare (no driver yet, so no destination).
+  // Body: { scheduledId } -> { status, paymentIntentId, amount }
+  async function authorize({ scheduledId }) {
+    const rec = await load(scheduledId);
+    if (rec.status === "authorized") {
+      return { status: "authorized", paymentIntentId: rec.paymentIntentId, amount: rec.quote.amount };
+    }
+    if (!["registered", "failed"].includes(rec.status)) throw tagged("not_authorizable", 409);
+    await assertNotBlocked(rec.customerId);
+
+    const attempts = (rec.attempts || 0) + 1;
+    let pi;
+    try {
+      pi = await stripe.paymentIntents.create(
+        {
+          amount: rec.quote.amount,
+          currency: rec.quote.currency,
+          customer: rec.customerId,
+          payment_method: rec.paymentMethodId,
+          payment_method_types: ["card"],
+          capture_method: "manual",
+          off_session: true,
+          confirm: true,
+          metadata: {
+            kind: "scheduled_hold",
+            scheduled_id: scheduledId,
+            quote_id: rec.quote.id,
+            ride_type: rec.quote.rideType,
+          },
+        },
+        // One key per attempt: a retry after the rider fixes their card must not replay the decline
+        { idempotencyKey: `scheduled-hold-${scheduledId}-${rec.quote.id}-${attempts}` }
+      );
+    } catch (e) {
+      if (e.type !== "StripeCardError") throw e;
+      await save(scheduledId, { status: "failed", attempts, error: e.code || "card_declined" });
+      throw tagged(e.code || "card_declined", 402);
+    }
+
+    if (pi.status !== "requires_capture") {
+      await cancelHold(pi.id);
+      await save(scheduledId, { status: "failed", attempts, error: pi.status });
+      throw tagged("authorization_failed", 402);
+    }
+    await save(scheduledId, { status: "authorized", attempts, paymentIntentId: pi.id, error: null, authorizedAt: nowIso() });
+    return { status: "authorized", paymentIntentId: pi.id, amount: pi.amount };
+  }
+
+  // Drops the hold. cancel: the booking is over (else it stays registered for a
+  // later authorize, e.g. after the pickup time moved); chargeFee: a late
+  // cancellation — the ride type's fee is captured from the hold and Rydr keeps it
+  // (no driver was assigned yet).
+  // Body: { scheduledId, cancel?, chargeFee? } -> { cancellationFee, status }
+  async function release({ scheduledId, cancel = false, chargeFee = false }) {
+    const rec = await store.get("scheduled_payments", scheduledId);
+    if (!rec) return { cancellationFee: 0, status: "none" };
+    if (rec.status === "converted") throw tagged("already_converted", 409);
+    if (rec.status === "cancelled") return { cancellationFee: rec.cancellationFee || 0, status: "cancelled" };
+
+    let cancellationFee = 0;
+    if (rec.status === "authorized" && chargeFee && cancel) {
+      const fee = Math.min(cancellationFeeFor(rec.quote.rideType), rec.quote.amount);
+      const captured = await stripe.paymentIntents.capture(
+        rec.paymentIntentId,
+        { amount_to_capture: fee, metadata: { cancelled_by: "rider", cancellation_fee: String(fee) } },
+        { idempotencyKey: `scheduled-cancel-fee-${scheduledId}` }
+      );
+      cancellationFee = captured.amount_received;
+    } else if (rec.status === "authorized") {
+      await cancelHold(rec.paymentIntentId);
+    }
+
+    const status = cancel ? "cancelled" : "registered";
+    await save(scheduledId, {
+      status,
+      paymentIntentId: cancellationFee ? rec.paymentIntentId : null,
+      cancellationFee,
+      ...(cancel && { cancelledAt: nowIso() }),
+    });
+    return { cancellationFee, status };
+  }
+
+  // A driver accepted the dispatched ride: hold the fare again as a normal ride
+  // hold paid out to them (at their rates, fareForDriver), then drop the scheduled hold.
+  // Body: { scheduledId, rideId, driverUid } -> { paymentIntentId, amount, status }
+  async function convert({ scheduledId, rideId, driverUid }) {
+    if (!rideId || !driverUid) throw tagged("rideId_and_driverUid_required", 400);
+    const rec = await load(scheduledId);
+    if (rec.status === "converted" && rec.rideId === rideId) {
+      return { paymentIntentId: rec.paymentIntentId, amount: rec.amount ?? rec.quote.amount, status: "requires_capture" };
+    }
+    if (rec.status !== "authorized") throw tagged("not_authorized", 409);
+
+    const { quote } = rec;
+    const fare = fareForDriver(quote, await dispatchRides.driverRates(driverUid));
+    const destination = await connect.payoutDestination(driverUid);
+    let pi;
+    try {
+      pi = await stripe.paymentIntents.create(
+        {
+          amount: fare.amount,
+          currency: quote.currency,
+          customer: rec.customerId,
+          payment_method: rec.paymentMethodId,
+          payment_method_types: ["card"],
+          capture_method: "manual",
+          off_session: true,
+          confirm: true,
+          payment_method_options: {
+            card: { request_incremental_authorization: "if_available" },
+          },
+          transfer_data: { destination },
+          metadata: {
+            ride_id: rideId,
+            kind: "ride_fare",
+            driver_uid: driverUid,
+            scheduled_id: scheduledId,
+            quote_id: quote.id,
+            ride_type: fare.rideType,
+            per_mile: String(fare.perMile),
+            per_minute: String(fare.perMinute),
+            quoted_distance_mi: String(quote.distanceMi),
+            member: String(fare.member),
+          },
+        },
+        { idempotencyKey: `ride-hold-${rideId}-${quote.id}` }
+      );
+    } catch (e) {
+      if (e.type !== "StripeCardError") throw e;
+      await save(scheduledId, { error: e.code || "card_declined" });
+      throw tagged(e.code || "card_declined", 402);
+    }
+
+    await store.merge("ride_payments", rideId, {
+      rideId,
+      paymentIntentId: pi.id,
+      customerId: rec.customerId,
+      uid: rec.uid,
+      driverUid,
+      scheduledId,
+      quoteId: quote.id,
+      rideType: fare.rideType,
+      perMile: fare.perMile,
+      perMinute: fare.perMinute,
+      member: fare.member,
+      quotedAmount: fare.amount,
+      quotedDistanceMi: quote.distanceMi,
+      quotedDurationMin: quote.durationMin,
+      amount: pi.amount,
+      status: pi.status === "requires_capture" ? "authorized" : pi.status,
+      updatedAt: nowIso(),
+    });
+    await cancelHold(rec.paymentIntentId);
+    await save(scheduledId, {
+      status: "converted",
+      rideId,
+      scheduledHoldId: rec.paymentIntentId,
+      paymentIntentId: pi.id,
+      amount: pi.amount,
+      convertedAt: nowIso(),
+      error: null,
+    });
+    return { paymentIntentId: pi.id, amount: pi.amount, status: pi.status };
+  }
+
+  // Mount BEFORE express.json(): the signature covers the raw body
+  const routes = () => internalRoutes("/internal/scheduled", { register, authorize, release, convert }, "scheduled");
+
+  return { routes };
+}
+
+module.exports = { createScheduledPayments };
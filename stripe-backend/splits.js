@@ -0,0 +1,366 @@
+// splits.js
+// Split fare between Rydr riders. The booker's hold (ride-payments) still covers
+// the whole ride; each invitee who accepts pays their share from their own saved
+// card, and at capture the booker is only charged the final fare minus those
+// paid shares. Invites not accepted within SPLIT_ACCEPT_MINUTES (or still open
+// when the ride completes) fall back to the booker. A final fare under the quote
+// trims paid shares back to an equal split of it; a cancelled ride refunds them.
+//
+// fare_splits/{rideId}: { bookerUid, bookerCustomerId, rideType, total, expiresAt,
+//   open, participants: [{ uid, email, phone, share, status, attempt, paymentIntentId, refunded }] }
+// participant.status: invited | paying | paid | declined | failed | booker_pays | refunded
+// Participants only change through store.update, so an accept, a decline and the
+// split closing at capture or cancel can't overwrite one another.
+"use strict";
+
+const express = require("express");
+const firebase = require("./firebase");
+const { platformFeeFor } = require("./fares");
+const { notify } = require("./notify");
+
+const SPLIT_ACCEPT_MINUTES = Number(process.env.SPLIT_ACCEPT_MINUTES || 30);
+const MAX_INVITEES = 5; // Rydr XL seats six including the booker
+
+// Not settled yet: the booker takes these over when the split closes
+const OPEN = ["invited", "paying", "failed"];
+
+const nowIso = () => new Date().toISOString();
+const usd = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+function createSplits({ stripe, store }) {
+  async function findRydrUser({ email, phone }) {
+    const auth = firebase.admin().auth();
+    const user = email
+      ? await auth.getUserByEmail(String(email).toLowerCase()).catch(() => null)
+      : await auth.getUserByPhoneNumber(String(phone)).catch(() => null);
+    return user;
+  }
+
+  // Share of Rydr's fee that belongs to a share of the fare
+  function shareFee(split, share) {
+    const fee = platformFeeFor(split.rideType, split.total, { includesBookingFee: !split.member });
+    return Math.round((fee * share) / split.total);
+  }
+
+  // Read-modify-write one participant. fn(participant, split) -> patch, or null to
+  // leave it (synchronous; may run more than once).
+  // -> { split, participant } as stored afterwards (participant null if not invited)
+  async function updateParticipant(rideId, uid, fn) {
+    let participant = null;
+    const split = await store.update("fare_splits", rideId, (current) => {
+      const idx = current ? current.participants.findIndex((p) => p.uid === uid) : -1;
+      participant = idx < 0 ? null : current.participants[idx];
+      const patch = participant && fn(participant, current);
+      if (!patch) return null;
+      participant = { ...participant, ...patch };
+      const participants = current.participants.map((p, i) => (i === idx ? participant : p));
+      return { ...current, participants, updatedAt: nowIso() };
+    });
+    return { split, participant };
+  }
+
+  // Close the split: shares still open (invited, mid-payment or declined by the
+  // card) -> booker pays them. Used by the sweeper, at capture and on cancel.
+  // -> the split as stored, or null if the ride has none
+  async function closeSplit(rideId, { notifyBooker = true } = {}) {
+    let lapsed = [];
+    const split = await store.update("fare_splits", rideId, (current) => {
+      lapsed = [];
+      if (!current) return null;
+      const at = nowIso();
+      const participants = current.participants.map((p) => {
+        if (!OPEN.includes(p.status)) return p;
+        lapsed.push(p);
+        return { ...p, status: "booker_pays", lapsedAt: at };
+      });
+      if (!lapsed.length && !current.open) return null;
+      return { ...current, participants, open: false, updatedAt: at };
+    });
+    if (!lapsed.length || !notifyBooker) return split;
+
+    const booker = await firebase.admin().auth().getUser(split.bookerUid).catch(() => null);
+    await notify({
+      email: booker?.email,
+      phone: booker?.phoneNumber,
+      subject: "Your split fare was updated",
+      text: `${lapsed.length} rider(s) didn't accept your split fare in time, so their share will be charged to your card.`,
+      sms: `Rydr: ${lapsed.length} split-fare invite(s) expired. Their share will be charged to your card.`,
+    });
+    return split;
+  }
+
+  // Give `amount` of a paid share back (the driver's transfer and Rydr's fee are
+  // reversed pro rata) and record it. `reason` keys the refund: once per reason.
+  async function refundShare(rideId, p, amount, { reason, status }) {
+    await stripe.refunds.create(
+      {
+        payment_intent: p.paymentIntentId,
+        amount,
+        reverse_transfer: true,
+        refund_application_fee: true,
+        metadata: { ride_id: rideId, kind: "split_share", payer_uid: p.uid, reason },
+      },
+      { idempotencyKey: `split-refund-${rideId}-${p.uid}-${reason}` }
+    );
+    const { participant } = await updateParticipant(rideId, p.uid, (cur) =>
+      cur.status === "paid" && cur.paymentIntentId === p.paymentIntentId
+        ? { share: cur.share - amount, refunded: (cur.refunded || 0) + amount, ...(status && { status }) }
+        : null
+    );
+    return participant;
+  }
+
+  // Called by ride capture with the final fare. Closes the split and trims each
+  // paid share to an equal split of the final fare, refunding the difference, so
+  // riders never pay more than the booker. -> { paid, paidFee } for shares kept.
+  async function settleForCapture(rideId, finalAmount) {
+    const split = await closeSplit(rideId);
+    if (!split) return { paid: 0, paidFee: 0 };
+    const fairShare = Math.floor(finalAmount / (split.participants.length + 1));
+    let paid = 0;
+    let paidFee = 0;
+    for (let p of split.participants) {
+      if (p.status !== "paid") continue;
+      if (p.share > fairShare) {
+        p = await refundShare(rideId, p, p.share - fairShare, { reason: "final_fare" });
+      }
+      paid += p.share;
+      paidFee += shareFee(split, p.share);
+    }
+    return { paid, paidFee };
+  }
+
+  // Called by ride cancel: every paid share goes back in full (the booker's hold
+  // covers any cancellation fee)
+  async function refundForCancel(rideId) {
+    const split = await closeSplit(rideId, { notifyBooker: false });
+    if (!split) return;
+    for (const p of split.participants) {
+      if (p.status === "paid") await refundShare(rideId, p, p.share, { reason: "ride_cancelled", status: "refunded" });
+    }
+  }
+
+  async function sweepExpired() {
+    const splits = await store.list("fare_splits", { open: true });
+    const now = Date.now();
+    for (const split of splits) {
+      if (Date.parse(split.expiresAt) > now) continue;
+      try {
+        await closeSplit(split.id);
+      } catch (e) {
+        console.error("❌ split-sweep:", split.id, e.message);
+      }
+    }
+  }
+
+  function routes({ requireAuth, requireCustomer }) {
+    const router = express.Router();
+    const authed = [requireAuth, requireCustomer];
+
+    // --- Booker: invite riders to split ---
+    // Auth. Body: { invitees: [{ email } | { phone }] } -> { split }
+    router.post("/rides/:rideId/split", ...authed, async (req, res) => {
+      try {
+        const { rideId } = req.params;
+        const { invitees } = req.body || {};
+        if (!Array.isArray(invitees) || invitees.length === 0) {
+          return res.status(400).json({ error: "invitees_required" });
+        }
+        if (invitees.length > MAX_INVITEES) return res.status(400).json({ error: "too_many_invitees" });
+
+        const ride = await store.get("ride_payments", rideId);
+        if (!ride || ride.customerId !== req.customerId) return res.status(404).json({ error: "ride_not_found" });
+        if (ride.status !== "authorized") return res.status(409).json({ error: "ride_not_splittable" });
+
+        const users = await Promise.all(invitees.map((i) => findRydrUser(i || {})));
+        const missing = invitees.filter((_, i) => !users[i]);
+        if (missing.length) return res.status(400).json({ error: "invitee_not_rydr_user", invitees: missing });
+        if (users.some((u) => u.uid === req.uid)) return res.status(400).json({ error: "cannot_invite_self" });
+        if (new Set(users.map((u) => u.uid)).size !== users.length) {
+          return res.status(400).json({ error: "duplicate_invitee" });
+        }
+
+        // Equal shares of the quoted fare; any rounding cents stay with the booker
+        const total = ride.quotedAmount;
+        const share = Math.floor(total / (users.length + 1));
+        const split = {
+          rideId,
+          bookerUid: req.uid,
+          bookerCustomerId: req.customerId,
+          rideType: ride.rideType,
+          member: !!ride.member,
+          total,
+          open: true,
+          expiresAt: new Date(Date.now() + SPLIT_ACCEPT_MINUTES * 60 * 1000).toISOString(),
+          participants: users.map((u) => ({
+            uid: u.uid,
+            email: u.email || null,
+            phone: u.phoneNumber || null,
+            share,
+            status: "invited",
+            paymentIntentId: null,
+          })),
+          createdAt: nowIso(),
+        };
+        if (!(await store.create("fare_splits", rideId, split))) {
+          return res.status(409).json({ error: "split_exists" });
+        }
+
+        await Promise.all(
+          split.participants.map((p) =>
+            notify({
+              email: p.email,
+              phone: p.phone,
+              subject: "You've been invited to split a Rydr fare",
+              text: `You've been invited to split a Rydr ride. Your share is ${usd(p.share)}. Open the Rydr app within ${SPLIT_ACCEPT_MINUTES} minutes to accept.`,
+              sms: `Rydr: you've been invited to split a ride (${usd(p.share)}). Open the app within ${SPLIT_ACCEPT_MINUTES} min to accept.`,
+            })
+          )
+        );
+
+        res.json({ split });
+      } catch (e) {
+        console.error("❌ split-create:", e);
+        res.status(500).json({ error: "split_failed" });
+      }
+    });
+
+    // --- Booker or participant: status ---
+    router.get("/rides/:rideId/split", requireAuth, async (req, res) => {
+      try {
+        const split = await store.get("fare_splits", req.params.rideId);
+        const allowed = split && (split.bookerUid === req.uid || split.participants.some((p) => p.uid === req.uid));
+        if (!allowed) return res.status(404).json({ error: "not_found" });
+        res.json({ split });
+      } catch (e) {
+        console.error("❌ split-status:", e);
+        res.status(500).json({ error: "status_failed" });
+      }
+    });
+
+    // --- Invitee: accept and pay share (default saved card, off-session) ---
+    // Auth. -> { status, paymentIntentId }
+    // The share is claimed ("paying") before the card is charged. If the split
+    // closed in the meantime the booker has taken the share over, so the charge
+    // is refunded.
+    router.post("/rides/:rideId/split/accept", ...authed, async (req, res) => {
+      try {
+        const { rideId } = req.params;
+        const split = await store.get("fare_splits", rideId);
+        const invited = split?.participants.find((p) => p.uid === req.uid);
+        if (!invited) return res.status(404).json({ error: "not_invited" });
+        if (invited.status === "paid") return res.json({ status: "paid", paymentIntentId: invited.paymentIntentId });
+
+        const [customer, ride] = await Promise.all([
+          stripe.customers.retrieve(req.customerId),
+          store.get("ride_payments", rideId),
+        ]);
+        const pm = customer?.invoice_settings?.default_payment_method || null;
+        if (!pm) return res.status(400).json({ error: "no_payment_method" });
+        const driver = ride?.driverUid ? await store.get("drivers", ride.driverUid) : null;
+
+        let closed = null;
+        const { participant: me } = await updateParticipant(rideId, req.uid, (p, current) => {
+          closed = null;
+          if (p.status === "paid") return null;
+          if (p.status !== "invited" && p.status !== "failed") closed = "invite_closed";
+          else if (Date.parse(current.expiresAt) < Date.now()) closed = "invite_expired";
+          return closed ? null : { status: "paying", attempt: (p.attempt || 0) + 1, error: null };
+        });
+        if (me.status === "paid") return res.json({ status: "paid", paymentIntentId: me.paymentIntentId });
+        if (closed) return res.status(409).json({ error: closed, status: me.status });
+        const ownsClaim = (cur) => cur.status === "paying" && cur.attempt === me.attempt;
+
+        let pi;
+        try {
+          pi = await stripe.paymentIntents.create(
+            {
+              amount: me.share,
+              currency: "usd",
+              customer: req.customerId,
+              payment_method: pm,
+              payment_method_types: ["card"],
+              off_session: true,
+              confirm: true,
+              ...(driver?.stripeAccountId && {
+                transfer_data: { destination: driver.stripeAccountId },
+                application_fee_amount: shareFee(split, me.share),
+              }),
+              metadata: { ride_id: rideId, kind: "split_share", payer_uid: req.uid },
+            },
+            { idempotencyKey: `split-share-${rideId}-${req.uid}-${me.attempt}` }
+          );
+        } catch (e) {
+          await updateParticipant(rideId, req.uid, (cur) =>
+            ownsClaim(cur) ? { status: "failed", error: e.code || e.message } : null
+          );
+          if (e.type === "StripeCardError") return res.status(402).json({ error: e.code || "card_declined" });
+          throw e;
+        }
+
+        const { participant: after } = await updateParticipant(rideId, req.uid, (cur) =>
+          ownsClaim(cur) ? { status: "paid", paymentIntentId: pi.id, paidAt: nowIso() } : null
+        );
+        if (after.paymentIntentId !== pi.id) {
+          await stripe.refunds.create(
+            {
+              payment_intent: pi.id,
+              reverse_transfer: true,
+              refund_application_fee: true,
+              metadata: { ride_id: rideId, kind: "split_share", payer_uid: req.uid, reason: "split_closed" },
+            },
+            { idempotencyKey: `split-refund-${rideId}-${req.uid}-late-${me.attempt}` }
+          );
+          return res.status(409).json({ error: "invite_closed", status: after.status });
+        }
+
+        const booker = await firebase.admin().auth().getUser(split.bookerUid).catch(() => null);
+        await notify({
+          email: booker?.email,
+          phone: booker?.phoneNumber,
+          subject: "A rider paid their share",
+          text: `${me.email || me.phone || "A rider"} paid ${usd(me.share)} toward your Rydr ride.`,
+          sms: `Rydr: ${me.email || me.phone || "a rider"} paid their ${usd(me.share)} share of your ride.`,
+        });
+
+        res.json({ status: "paid", paymentIntentId: pi.id });
+      } catch (e) {
+        console.error("❌ split-accept:", e);
+        res.status(500).json({ error: "accept_failed" });
+      }
+    });
+
+    // --- Invitee: decline (booker pays the share) ---
+    router.post("/rides/:rideId/split/decline", requireAuth, async (req, res) => {
+      try {
+        const { rideId } = req.params;
+        let closed = false;
+        const { split, participant } = await updateParticipant(rideId, req.uid, (p) => {
+          closed = p.status !== "invited";
+          return closed ? null : { status: "declined", declinedAt: nowIso() };
+        });
+        if (!participant) return res.status(404).json({ error: "not_invited" });
+        if (closed) return res.status(409).json({ error: "invite_closed" });
+
+        const booker = await firebase.admin().auth().getUser(split.bookerUid).catch(() => null);
+        await notify({
+          email: booker?.email,
+          phone: booker?.phoneNumber,
+          subject: "A rider declined your split fare",
+          text: "One of the riders you invited declined to split the fare. Their share will be charged to your card.",
+          sms: "Rydr: a rider declined your split fare. Their share will be charged to your card.",
+        });
+        res.json({ status: "declined" });
+      } catch (e) {
+        console.error("❌ split-decline:", e);
+        res.status(500).json({ error: "decline_failed" });
+      }
+    });
+
+    return router;
+  }
+
+  return { settleForCapture, refundForCancel, sweepExpired, routes };
+}
+
+module.exports = { createSplits };
@@ -0,0 +1,142 @@
+// store.js
+// Small document store used by the backend for state Stripe doesn't keep for us
+// (processed webhook events, ride payment status, payment blocks, ...).
+//
+// All drivers expose the same async API:
+//   get(collection, id)            -> doc | null
+//   set(collection, id, doc)       -> overwrite
+//   merge(collection, id, patch)   -> shallow merge, creates if missing
+//   create(collection, id, doc)    -> true if created, false if id already exists
+//   update(collection, id, fn)     -> read-modify-write in one transaction: fn(doc | null)
+//                                     returns the new doc, or null to leave it; -> doc after.
+//                                     fn must be synchronous and may run more than once.
+//   list(collection, where = {})   -> [{ id, ...doc }] matching top-level equality filters
+//
+// STORE_DRIVER=firestore (default) | file | memory. memory/file are meant for
+// local runs and tests; file persists to STORE_FILE as one JSON document.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const clone = (v) => (v == null ? v : JSON.parse(JSON.stringify(v)));
+
+function matches(doc, where) {
+  return Object.entries(where).every(([k, v]) => doc[k] === v);
+}
+
+// ---------- Memory ----------
+function createMemoryStore(initial = {}, onChange = () => {}) {
+  const data = clone(initial);
+  const col = (name) => (data[name] ||= {});
+
+  return {
+    async get(collection, id) {
+      return clone(col(collection)[id]) ?? null;
+    },
+    async set(collection, id, doc) {
+      col(collection)[id] = clone(doc);
+      await onChange(data);
+    },
+    async merge(collection, id, patch) {
+      col(collection)[id] = { ...(col(collection)[id] || {}), ...clone(patch) };
+      await onChange(data);
+    },
+    async create(collection, id, doc) {
+      if (col(collection)[id]) return false;
+      col(collection)[id] = clone(doc);
+      await onChange(data);
+      return true;
+    },
+    async update(collection, id, fn) {
+      const next = fn(clone(col(collection)[id]) ?? null);
+      if (next == null) return clone(col(collection)[id]) ?? null;
+      col(collection)[id] = clone(next);
+      await onChange(data);
+      return clone(next);
+    },
+    async list(collection, where = {}) {
+      return Object.entries(col(collection))
+        .filter(([, doc]) => matches(doc, where))
+        .map(([id, doc]) => ({ id, ...clone(doc) }));
+    },
+  };
+}
+
+// ---------- File (JSON snapshot, rewritten atomically on every change) ----------
+function createFileStore(file) {
+  let initial = {};
+  if (fs.existsSync(file)) initial = JSON.parse(fs.readFileSync(file, "utf8") || "{}");
+
+  let writing = Promise.resolve();
+  const persist = (data) => {
+    const snapshot = JSON.stringify(data);
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  };
+
+  return createMemoryStore(initial, persist);
+}
+
+// ---------- Firestore ----------
+function createFirestoreStore(db) {
+  return {
+    async get(collection, id) {
+      const snap = await db.collection(collection).doc(id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    async set(collection, id, doc) {
+      await db.collection(collection).doc(id).set(doc);
+    },
+    async merge(collection, id, patch) {
+      await db.collection(collection).doc(id).set(patch, { merge: true });
+    },
+    async create(collection, id, doc) {
+      try {
+        await db.collection(collection).doc(id).create(doc);
+        return true;
+      } catch (e) {
+        if (e.code === 6) return false; // ALREADY_EXISTS
+        throw e;
+      }
+    },
+    async update(collection, id, fn) {
+      const ref = db.collection(collection).doc(id);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const current = snap.exists ? snap.data() : null;
+        const next = fn(current);
+        if (next == null) return current;
+        tx.set(ref, next);
+        return next;
+      });
+    },
+    async list(collection, where = {}) {
+      let q = db.collection(collection);
+      for (const [k, v] of Object.entries(where)) q = q.where(k, "==", v);
+      const snap = await q.get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+  };
+}
+
+function createStore(env = process.env) {
+  const driver = env.STORE_DRIVER || "firestore";
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore(env.STORE_FILE || path.join(__dirname, "data", "store.json"));
+    case "firestore":
+      return createFirestoreStore(require("./firebase").db());
+    default:
+      throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createStore, createMemoryStore, createFileStore, createFirestoreStore };
@@ -0,0 +1,173 @@
+// subscriptions.js
+// Rydr Pass: monthly membership on Stripe Billing (price RYDR_PASS_PRICE_ID).
+// memberships/{customerId} mirrors the subscription and is kept in sync by the
+// customer.subscription.* webhooks. Benefits (no booking fee, % off Prestine —
+// see fares.computeFare) apply only while the subscription is active/trialing:
+//   - cancel  = cancel_at_period_end; benefits run until the paid period ends
+//   - past_due = renewal failed; benefits pause until the invoice is paid
+//   - canceled / incomplete_expired = no benefits; subscribe again to rejoin
+"use strict";
+
+const express = require("express");
+
+const PRICE_ID = process.env.RYDR_PASS_PRICE_ID || "";
+const BENEFIT_STATUSES = ["active", "trialing"];
+const LIVE_STATUSES = ["active", "trialing", "past_due", "incomplete", "unpaid"];
+
+const nowIso = () => new Date().toISOString();
+
+// `asOf`: unix seconds the subscription snapshot is from (the event's `created`
+// for webhooks, now for one just returned by the API)
+function membershipFrom(sub, asOf) {
+  return {
+    subscriptionId: sub.id,
+    status: sub.status,
+    cancelAtPeriodEnd: !!sub.cancel_at_period_end,
+    // current_period_end moved onto subscription items in newer API versions
+    currentPeriodEnd: new Date(
+      (sub.current_period_end || sub.items?.data?.[0]?.current_period_end || 0) * 1000
+    ).toISOString(),
+    asOf,
+    updatedAt: nowIso(),
+  };
+}
+
+function createSubscriptions({ stripe, store }) {
+  // Webhooks arrive out of order: a snapshot older than the stored one is dropped,
+  // and so is an ended subscription's event once a newer subscription is live.
+  // -> the membership as stored
+  async function sync(sub, asOf = Math.floor(Date.now() / 1000)) {
+    const customerId = typeof sub.customer === "string" ? sub.customer : sub.customer.id;
+    const membership = membershipFrom(sub, asOf);
+    return store.update("memberships", customerId, (m) => {
+      if (m?.asOf && asOf < m.asOf) return null;
+      const replaced =
+        m && m.subscriptionId !== sub.id && LIVE_STATUSES.includes(m.status) && !LIVE_STATUSES.includes(sub.status);
+      return replaced ? null : membership;
+    });
+  }
+
+  // Used by fare quotes: true only while benefits apply
+  async function isMember(customerId) {
+    if (!customerId) return false;
+    const m = await store.get("memberships", customerId);
+    return !!m && BENEFIT_STATUSES.includes(m.status);
+  }
+
+  // Webhook handlers
+  const onSubscriptionChanged = (sub, event) =>
+    sub.metadata?.product === "rydr_pass" ? sync(sub, event.created) : null;
+
+  function view(m) {
+    if (!m) return { member: false, status: "none" };
+    return {
+      member: BENEFIT_STATUSES.includes(m.status),
+      status: m.status,
+      cancelAtPeriodEnd: m.cancelAtPeriodEnd,
+      currentPeriodEnd: m.currentPeriodEnd,
+    };
+  }
+
+  function fail(res, tag, fallback, e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e.type === "StripeCardError") return res.status(402).json({ error: e.code || "card_declined" });
+    console.error(`❌ ${tag}:`, e);
+    res.status(500).json({ error: fallback });
+  }
+
+  function routes({ requireAuth, requireCustomer }) {
+    const router = express.Router();
+    const authed = [requireAuth, requireCustomer];
+
+    async function currentSubscription(customerId) {
+      const m = await store.get("memberships", customerId);
+      if (!m?.subscriptionId || !LIVE_STATUSES.includes(m.status)) return null;
+      return stripe.subscriptions.retrieve(m.subscriptionId);
+    }
+
+    // --- Status ---
+    // Auth. -> { member, status, cancelAtPeriodEnd, currentPeriodEnd }
+    router.get("/subscriptions/rydr-pass", ...authed, async (req, res) => {
+      try {
+        res.json(view(await store.get("memberships", req.customerId)));
+      } catch (e) {
+        fail(res, "pass-status", "status_failed", e);
+      }
+    });
+
+    // --- Subscribe (default saved card) ---
+    // Auth. -> { ...status, clientSecret? } (clientSecret when the first invoice needs 3DS)
+    router.post("/subscriptions/rydr-pass", ...authed, async (req, res) => {
+      try {
+        if (!PRICE_ID) return res.status(503).json({ error: "pass_unavailable" });
+        if (await currentSubscription(req.customerId)) {
+          return res.status(409).json({ error: "already_subscribed" });
+        }
+
+        const customer = await stripe.customers.retrieve(req.customerId);
+        const pm = customer?.invoice_settings?.default_payment_method || null;
+        if (!pm) return res.status(400).json({ error: "no_payment_method" });
+
+        // Keyed on the subscription this one follows: a double tap creates one, and
+        // rejoining after a cancellation isn't answered with the ended subscription
+        const prior = await store.get("memberships", req.customerId);
+        const sub = await stripe.subscriptions.create(
+          {
+            customer: req.customerId,
+            items: [{ price: PRICE_ID }],
+            default_payment_method: pm,
+            payment_behavior: "allow_incomplete",
+            metadata: { product: "rydr_pass", firebase_uid: req.uid },
+            expand: ["latest_invoice.payment_intent"],
+          },
+          { idempotencyKey: `rydr-pass-${req.customerId}-after-${prior?.subscriptionId || "none"}` }
+        );
+        const membership = await sync(sub);
+        const pi = sub.latest_invoice?.payment_intent;
+        res.json({
+          ...view(membership),
+          clientSecret: pi?.status === "requires_action" ? pi.client_secret : null,
+        });
+      } catch (e) {
+        fail(res, "pass-subscribe", "subscribe_failed", e);
+      }
+    });
+
+    // --- Cancel at period end ---
+    router.post("/subscriptions/rydr-pass/cancel", ...authed, async (req, res) => {
+      try {
+        const sub = await currentSubscription(req.customerId);
+        if (!sub) return res.status(404).json({ error: "not_subscribed" });
+
+        // Nothing paid for this period -> end now instead of carrying a debt
+        const updated =
+          sub.status === "past_due" || sub.status === "incomplete" || sub.status === "unpaid"
+            ? await stripe.subscriptions.cancel(sub.id)
+            : await stripe.subscriptions.update(sub.id, { cancel_at_period_end: true });
+        res.json(view(await sync(updated)));
+      } catch (e) {
+        fail(res, "pass-cancel", "cancel_failed", e);
+      }
+    });
+
+    // --- Resume a pending cancellation ---
+    router.post("/subscriptions/rydr-pass/resume", ...authed, async (req, res) => {
+      try {
+        const sub = await currentSubscription(req.customerId);
+        if (!sub) return res.status(409).json({ error: "subscription_ended" });
+        if (!sub.cancel_at_period_end) return res.json(view(await sync(sub)));
+
+        const updated = await stripe.subscriptions.update(sub.id, { cancel_at_period_end: false });
+        res.json(view(await sync(updated)));
+      } catch (e) {
+        fail(res, "pass-resume", "resume_failed", e);
+      }
+    });
+
+    return router;
+  }
+
+  return { isMember, onSubscriptionChanged, routes };
+}
+
+module.exports = { createSubscriptions };
@@ -0,0 +1,160 @@
+// tips.js
+// Post-ride tipping. One tip per ride, within TIP_WINDOW_HOURS of completion,
+// charged off-session to the rider's default saved card. The whole tip goes to
+// the driver (transfer_data, no application fee) and is attached to the ride's
+// record in ride_payments so receipts can show it.
+"use strict";
+
+const express = require("express");
+
+const TIP_PRESETS = [15, 18, 20, 25]; // percent of the final fare
+const TIP_WINDOW_HOURS = Number(process.env.TIP_WINDOW_HOURS || 24);
+const TIP_MIN_CENTS = 50; // Stripe's minimum USD charge
+const TIP_MAX_CENTS = Number(process.env.TIP_MAX_CENTS || 10000);
+// A "pending" slot this old belongs to a request that died before recording the outcome
+const TIP_PENDING_STALE_SECONDS = 120;
+
+const nowIso = () => new Date().toISOString();
+
+function tipWindowEndsAt(ride) {
+  return new Date(Date.parse(ride.completedAt) + TIP_WINDOW_HOURS * 3600 * 1000);
+}
+
+function createTipRoutes({ stripe, store, receipts, requireAuth, requireCustomer }) {
+  const router = express.Router();
+  const authed = [requireAuth, requireCustomer];
+
+  // Completed ride owned by the caller, or a tagged error
+  async function loadCompletedRide(rideId, customerId) {
+    const ride = await store.get("ride_payments", rideId);
+    if (!ride || ride.customerId !== customerId) {
+      throw Object.assign(new Error("ride_not_found"), { status: 404 });
+    }
+    if (ride.status !== "captured" || !ride.completedAt) {
+      throw Object.assign(new Error("ride_not_completed"), { status: 409 });
+    }
+    return ride;
+  }
+
+  function fail(res, tag, fallback, e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    if (e.type === "StripeCardError") return res.status(402).json({ error: e.code || "card_declined" });
+    console.error(`❌ ${tag}:`, e);
+    res.status(500).json({ error: fallback });
+  }
+
+  // --- Tip options for EndRideView ---
+  // Auth. -> { presets: [{ percent, amount }], windowEndsAt, tipped, tip }
+  router.get("/rides/:rideId/tip", ...authed, async (req, res) => {
+    try {
+      const ride = await loadCompletedRide(req.params.rideId, req.customerId);
+      res.json({
+        presets: TIP_PRESETS.map(percent => ({
+          percent,
+          amount: Math.max(TIP_MIN_CENTS, Math.round((ride.finalAmount * percent) / 100)),
+        })),
+        windowEndsAt: tipWindowEndsAt(ride).toISOString(),
+        tipped: ride.tip?.status === "succeeded" || ride.tip?.status === "processing",
+        tip: ride.tip || null,
+      });
+    } catch (e) {
+      fail(res, "tip-options", "tip_options_failed", e);
+    }
+  });
+
+  // --- Leave a tip ---
+  // Auth. Body: { percent: 15|18|20|25 } or { amount: <int cents> }
+  //   -> { tip: { amount, percent, paymentIntentId, status } }
+  router.post("/rides/:rideId/tip", ...authed, async (req, res) => {
+    try {
+      const { rideId } = req.params;
+      const { percent, amount } = req.body || {};
+      const ride = await loadCompletedRide(rideId, req.customerId);
+
+      if (Date.now() > tipWindowEndsAt(ride).getTime()) {
+        return res.status(409).json({ error: "tip_window_closed" });
+      }
+
+      let tipAmount;
+      if (percent != null) {
+        if (!TIP_PRESETS.includes(percent)) return res.status(400).json({ error: "invalid_percent" });
+        tipAmount = Math.max(TIP_MIN_CENTS, Math.round((ride.finalAmount * percent) / 100));
+      } else if (Number.isInteger(amount)) {
+        tipAmount = amount;
+      } else {
+        return res.status(400).json({ error: "percent_or_amount_required" });
+      }
+      if (tipAmount < TIP_MIN_CENTS || tipAmount > TIP_MAX_CENTS) {
+        return res.status(400).json({ error: "invalid_amount" });
+      }
+
+      // One tip per ride: claim the slot in one transaction. A failed attempt may be
+      // retried as the next attempt (its own idempotency key); a stuck one is
+      // replayed under its key, so Stripe returns the tip it already made, or
+      // makes it now (for the original amount).
+      const fresh = { rideId, amount: tipAmount, percent: percent ?? null, status: "pending", createdAt: nowIso() };
+      let claimed = false;
+      const slot = await store.update("tips", rideId, (prior) => {
+        claimed = !prior || prior.status === "failed";
+        if (claimed) return { ...fresh, attempt: (prior?.attempt || 0) + 1 };
+        claimed =
+          prior.status === "pending" &&
+          Date.now() - Date.parse(prior.createdAt) > TIP_PENDING_STALE_SECONDS * 1000;
+        return null;
+      });
+      if (!claimed) return res.status(409).json({ error: "already_tipped" });
+
+      const [customer, driver] = await Promise.all([
+        stripe.customers.retrieve(req.customerId),
+        ride.driverUid ? store.get("drivers", ride.driverUid) : null,
+      ]);
+      const pm = customer?.invoice_settings?.default_payment_method || null;
+
+      let pi;
+      try {
+        if (!pm) throw Object.assign(new Error("no_payment_method"), { status: 400 });
+        if (!driver?.stripeAccountId) throw Object.assign(new Error("driver_not_onboarded"), { status: 409 });
+
+        pi = await stripe.paymentIntents.create(
+          {
+            amount: slot.amount,
+            currency: "usd",
+            customer: req.customerId,
+            payment_method: pm,
+            payment_method_types: ["card"],
+            off_session: true,
+            confirm: true,
+            transfer_data: { destination: driver.stripeAccountId },
+            metadata: { ride_id: rideId, kind: "tip", driver_uid: ride.driverUid },
+          },
+          { idempotencyKey: `ride-tip-${rideId}-${slot.attempt}` }
+        );
+      } catch (e) {
+        await store.merge("tips", rideId, { status: "failed", error: e.code || e.message });
+        throw e;
+      }
+
+      const tip = {
+        amount: slot.amount,
+        percent: slot.percent,
+        paymentIntentId: pi.id,
+        status: pi.status === "succeeded" ? "succeeded" : "processing",
+        at: nowIso(),
+      };
+      await Promise.all([
+        store.merge("tips", rideId, tip),
+        store.merge("ride_payments", rideId, { tip, updatedAt: nowIso() }),
+        store.merge("driver_earnings", rideId, { tip: slot.amount }),
+      ]);
+      await receipts.upsert(rideId).catch(e => console.error("❌ receipt-tip:", rideId, e.message));
+
+      res.json({ tip });
+    } catch (e) {
+      fail(res, "ride-tip", "tip_failed", e);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTipRoutes, TIP_PRESETS };
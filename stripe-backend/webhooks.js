@@ -0,0 +1,260 @@
+// webhooks.js
+// Stripe webhook processing. Every verified event is claimed in `stripe_events`
+// keyed by event ID (store.create, so two deliveries can't both run it), and
+// Stripe's retries of an already-processed event are no-ops.
+// A handler that throws leaves the event "failed" and returns 500 -> Stripe retries.
+// Events arrive out of order, so payment statuses only ever move forward.
+"use strict";
+
+// A "processing" claim whose handler crashed is taken over after this
+const PROCESSING_LEASE_SECONDS = 300;
+
+// Per PaymentIntent kind: the status field it patches and how far along each
+// status is (unlisted: 0). A late or replayed event never takes a captured ride
+// back to "authorized", or a cancelled one (fee captured) to "captured".
+const STATUS_ORDER = {
+  ride_fare: { field: "status", rank: { authorized: 1, captured: 2, canceled: 2, cancelled: 3 } },
+  fare_overage: { field: "overageStatus", rank: { succeeded: 1 } },
+  tip: { field: "status", rank: { succeeded: 1 } },
+};
+
+// PaymentIntent kinds charged off-session for a ride already given: one that
+// fails leaves money owed. Anything the rider confirms themselves (the fare paid
+// up front, a split share), a hold, a tip or a Rydr Pass renewal (invoice ->
+// membership goes past_due instead) just fails.
+const OWED_KINDS = ["fare_overage"];
+
+function movesForward(kind, from, to) {
+  const order = STATUS_ORDER[kind];
+  if (!order || !from || !to) return true;
+  const rank = (status) => order.rank[status] || 0;
+  return rank(to) > rank(from) || rank(to) + rank(from) === 0;
+}
+
+const nowIso = () => new Date().toISOString();
+
+function createWebhookHandler({ stripe, store, secret, connect, subscriptions, bankEvents }) {
+  // payment_intent.* for a ride -> ride_payments/{rideId}. `patches` is keyed by
+  // metadata.kind (ride_fare | fare_overage | tip); kinds without a patch are skipped,
+  // and so are patches for a PaymentIntent the ride no longer uses or that would
+  // move its status backwards (STATUS_ORDER).
+  async function updateRidePayment(pi, patches) {
+    const rideId = pi.metadata?.ride_id;
+    const kind = pi.metadata?.kind || "ride_fare";
+    const patch = patches[kind];
+    if (!rideId || !patch) return;
+
+    const ride = await store.get("ride_payments", rideId);
+    const current = kind === "tip" ? await store.get("tips", rideId) : ride;
+    const currentPi = kind === "fare_overage" ? current?.overagePaymentIntentId : current?.paymentIntentId;
+    const { field } = STATUS_ORDER[kind] || {};
+    if ((currentPi && currentPi !== pi.id) || !movesForward(kind, current?.[field], patch[field])) {
+      console.log("↩️ stale payment event:", pi.id, kind, current?.[field], "->", patch[field]);
+      return;
+    }
+
+    if (kind === "tip") {
+      const tip = { paymentIntentId: pi.id, amount: pi.amount, ...patch };
+      await store.merge("tips", rideId, tip);
+      await store.merge("ride_payments", rideId, { tip: { ...(ride?.tip || {}), ...tip }, updatedAt: nowIso() });
+      return;
+    }
+
+    const base =
+      kind === "fare_overage"
+        ? { overagePaymentIntentId: pi.id }
+        : { paymentIntentId: pi.id, customerId: pi.customer || null, amount: pi.amount };
+    await store.merge("ride_payments", rideId, { rideId, ...base, ...patch, updatedAt: nowIso() });
+  }
+
+  async function blockCustomer(customerId, reason, pi) {
+    if (!customerId) return;
+    await store.set("payment_blocks", customerId, {
+      blocked: true,
+      reason,
+      paymentIntentId: pi.id,
+      amount: pi.amount,
+      blockedAt: nowIso(),
+    });
+  }
+
+  // Only the blocked PaymentIntent itself succeeding (POST /payment-status/pay) lifts
+  // the block: a new card or any other payment doesn't settle what's owed
+  async function clearBlock(customerId, paymentIntentId) {
+    if (!customerId) return;
+    const block = await store.get("payment_blocks", customerId);
+    if (!block?.blocked || block.paymentIntentId !== paymentIntentId) return;
+    await store.merge("payment_blocks", customerId, {
+      blocked: false,
+      clearedAt: nowIso(),
+      clearedBy: paymentIntentId,
+    });
+  }
+
+  // Charges don't carry the PaymentIntent's metadata; look it up for the ride ID
+  async function rideForCharge(charge) {
+    if (!charge.payment_intent) return { rideId: null, kind: null };
+    const piId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent.id;
+    const pi = await stripe.paymentIntents.retrieve(piId);
+    return { rideId: pi.metadata?.ride_id || null, kind: pi.metadata?.kind || "ride_fare" };
+  }
+
+  // Fare given back (full refund or dispute) -> undo the ride's RydrBank accrual
+  async function reverseBankAccrual(rideId, reason) {
+    const ride = await store.get("ride_payments", rideId);
+    if (ride?.uid) await bankEvents.rideReversed({ uid: ride.uid, rideId, reason });
+  }
+
+  const handlers = {
+    "payment_intent.amount_capturable_updated": (pi) =>
+      updateRidePayment(pi, {
+        ride_fare: { status: "authorized", amountCapturable: pi.amount_capturable },
+      }),
+
+    "payment_intent.succeeded": async (pi) => {
+      await updateRidePayment(pi, {
+        ride_fare: { status: "captured", amountCaptured: pi.amount_received },
+        fare_overage: { overageStatus: "succeeded", overageAmount: pi.amount_received },
+        tip: { status: "succeeded" },
+      });
+      // The owed amount is collected -> the block lifts
+      await clearBlock(pi.customer, pi.id);
+    },
+
+    "payment_intent.payment_failed": async (pi) => {
+      const reason = pi.last_payment_error?.code || "payment_failed";
+      await updateRidePayment(pi, {
+        ride_fare: { status: "failed", failureReason: reason },
+        fare_overage: { overageStatus: "failed", failureReason: reason },
+        tip: { status: "failed", error: reason },
+      });
+      // Only a charge that was owed (OWED_KINDS) blocks booking until it's paid
+      const owed = OWED_KINDS.includes(pi.metadata?.kind) && !!pi.metadata?.ride_id && !pi.invoice;
+      if (owed) await blockCustomer(pi.customer, reason, pi);
+    },
+
+    "payment_intent.canceled": (pi) => updateRidePayment(pi, { ride_fare: { status: "canceled" } }),
+
+    "charge.refunded": async (charge) => {
+      const { rideId, kind } = await rideForCharge(charge);
+      for (const refund of charge.refunds?.data || []) {
+        await store.set("refunds", refund.id, {
+          chargeId: charge.id,
+          paymentIntentId: charge.payment_intent,
+          rideId,
+          amount: refund.amount,
+          reason: refund.reason || null,
+          status: refund.status,
+          createdAt: new Date(refund.created * 1000).toISOString(),
+        });
+      }
+      // The fare and its overage are separate charges, each with its own refunded total
+      // (tips and split shares only get the `refunds` rows above)
+      if (rideId && kind === "fare_overage") {
+        await store.merge("ride_payments", rideId, { overageRefunded: charge.amount_refunded, updatedAt: nowIso() });
+      } else if (rideId && kind === "ride_fare") {
+        await store.merge("ride_payments", rideId, {
+          amountRefunded: charge.amount_refunded,
+          refunded: charge.refunded,
+          updatedAt: nowIso(),
+        });
+        if (charge.refunded) await reverseBankAccrual(rideId, "refunded");
+      }
+    },
+
+    // Rydr Pass membership state
+    "customer.subscription.created": (sub, event) => subscriptions.onSubscriptionChanged(sub, event),
+    "customer.subscription.updated": (sub, event) => subscriptions.onSubscriptionChanged(sub, event),
+    "customer.subscription.deleted": (sub, event) => subscriptions.onSubscriptionChanged(sub, event),
+
+    // Connect: onboarding progress on a driver's Express account
+    "account.updated": (account) => connect.onAccountUpdated(account),
+
+    "charge.dispute.created": async (dispute) => {
+      const charge = await stripe.charges.retrieve(dispute.charge);
+      const { rideId, kind } = await rideForCharge(charge);
+      await store.set("disputes", dispute.id, {
+        chargeId: dispute.charge,
+        paymentIntentId: charge.payment_intent,
+        customerId: charge.customer || null,
+        rideId,
+        amount: dispute.amount,
+        reason: dispute.reason,
+        status: dispute.status,
+        createdAt: new Date(dispute.created * 1000).toISOString(),
+      });
+      if (rideId) {
+        await store.merge("ride_payments", rideId, { disputed: true, disputeId: dispute.id, updatedAt: nowIso() });
+        if (kind === "ride_fare" || kind === "fare_overage") await reverseBankAccrual(rideId, "disputed");
+      }
+    },
+  };
+
+  // -> "claimed" | "duplicate" (already handled) | "busy" (another delivery is on it)
+  async function claimEvent(event) {
+    const at = nowIso();
+    const claim = { type: event.type, status: "processing", attempts: 1, receivedAt: at, claimedAt: at };
+    if (await store.create("stripe_events", event.id, claim)) return "claimed";
+
+    const prior = await store.get("stripe_events", event.id);
+    if (prior?.status === "processed" || prior?.status === "ignored") return "duplicate";
+    const stale =
+      prior?.status === "processing" &&
+      Date.now() - Date.parse(prior.claimedAt || prior.receivedAt) > PROCESSING_LEASE_SECONDS * 1000;
+    if (prior?.status !== "failed" && !stale) return "busy";
+
+    // A retry: one claim per attempt number, so concurrent retries can't both run it
+    const attempts = (prior.attempts || 1) + 1;
+    const retry = { eventId: event.id, attempt: attempts, claimedAt: at };
+    if (!(await store.create("stripe_event_attempts", `${event.id}-${attempts}`, retry))) return "busy";
+    await store.merge("stripe_events", event.id, { status: "processing", attempts, claimedAt: at });
+    return "claimed";
+  }
+
+  // -> { duplicate, busy }
+  async function processEvent(event) {
+    const claim = await claimEvent(event);
+    if (claim !== "claimed") return { duplicate: claim === "duplicate", busy: claim === "busy" };
+
+    const handler = handlers[event.type];
+    try {
+      if (handler) await handler(event.data.object, event);
+      else console.log("ℹ️ Unhandled event:", event.type);
+      await store.merge("stripe_events", event.id, {
+        status: handler ? "processed" : "ignored",
+        processedAt: nowIso(),
+        error: null,
+      });
+      return { duplicate: false, busy: false };
+    } catch (e) {
+      await store.merge("stripe_events", event.id, { status: "failed", error: e.message });
+      throw e;
+    }
+  }
+
+  // Express handler — needs the RAW body (mount before express.json())
+  async function webhook(req, res) {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, req.headers["stripe-signature"], secret);
+    } catch (err) {
+      console.error("❌ Webhook verify failed:", err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+      const { duplicate, busy } = await processEvent(event);
+      if (duplicate) console.log("↩️ duplicate event:", event.id, event.type);
+      // Still being handled by another delivery: Stripe retries later, and that
+      // retry is a no-op if this one finished
+      res.sendStatus(busy ? 409 : 200);
+    } catch (e) {
+      console.error("❌ webhook handler:", event.type, event.id, e);
+      res.sendStatus(500);
+    }
+  }
+
+  return { webhook, processEvent, handlers };
+}
+
+module.exports = { createWebhookHandler };